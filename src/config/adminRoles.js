@@ -0,0 +1,87 @@
+// Admin operator roles and the permissions each one grants
+const PERMISSIONS = [
+  'stats:view',
+  'users:view',
+  'users:delete',
+  'listings:view',
+  'listings:edit',
+  'orders:view',
+  'payouts:view',
+  'payouts:process',
+  'profits:edit',
+  'support:view',
+  'support:respond',
+  'audit:view',
+  'compliance:view',
+  'compliance:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  // Owners can do everything, including deleting users
+  owner: PERMISSIONS,
+  // Finance handles money movement and can look up the records behind it
+  finance: [
+    'stats:view',
+    'users:view',
+    'listings:view',
+    'orders:view',
+    'payouts:view',
+    'payouts:process',
+    'profits:edit',
+    'audit:view',
+    'compliance:view'
+  ],
+  // Support agents only work the support chat queue
+  support: [
+    'support:view',
+    'support:respond'
+  ]
+};
+
+// Admin pages in sidebar order, with the permission needed to open each
+const ADMIN_PAGES = [
+  { path: '/admin/dashboard.html', permission: 'stats:view' },
+  { path: '/admin/users.html', permission: 'users:view' },
+  { path: '/admin/listings.html', permission: 'listings:view' },
+  { path: '/admin/orders.html', permission: 'orders:view' },
+  { path: '/admin/payouts.html', permission: 'payouts:view' },
+  { path: '/admin/support.html', permission: 'support:view' },
+  { path: '/admin/audit.html', permission: 'audit:view' }
+];
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - The admin role
+ * @returns {Array<string>} - The granted permissions (empty for unknown roles)
+ */
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - The admin role
+ * @param {string} permission - The permission to check
+ * @returns {boolean} - Whether the permission is granted
+ */
+function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission);
+}
+
+/**
+ * Get the first admin page a role is allowed to open
+ * @param {string} role - The admin role
+ * @returns {string|null} - The page path, or null if the role can't open any page
+ */
+function getHomePage(role) {
+  const page = ADMIN_PAGES.find(adminPage => hasPermission(role, adminPage.permission));
+  return page ? page.path : null;
+}
+
+module.exports = {
+  ROLES: Object.keys(ROLE_PERMISSIONS),
+  PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  getHomePage
+};
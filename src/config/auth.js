@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// End-user authentication configuration
+const authConfig = {
+  jwtSecret: process.env.JWT_SECRET,
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30'),
+  otpTtlMinutes: parseInt(process.env.OTP_TTL_MINUTES || '5'),
+  otpMaxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS || '5'),
+  otpMaxRequestsPerHour: parseInt(process.env.OTP_MAX_REQUESTS_PER_HOUR || '5')
+};
+
+// Validate auth configuration
+if (!authConfig.jwtSecret) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('Missing JWT_SECRET in environment variables');
+    process.exit(1);
+  }
+
+  // Tokens signed with a random secret stop working on restart, which is fine for development
+  console.warn('Missing JWT_SECRET in environment variables, using a random secret for this process');
+  authConfig.jwtSecret = crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = authConfig;
@@ -17,6 +17,22 @@
  * 1. You're using a User Auth Token for Trading API, not an OAuth token
  * 2. The token hasn't expired (they typically last 1-2 years)
  * 3. The token is for the correct environment (production vs. sandbox)
+ *
+ * For the Sell Inventory REST API (EBAY_LISTING_API=inventory):
+ * 1. Generate a User Access Token (OAuth) with the sell.inventory scope and set EBAY_OAUTH_TOKEN
+ * 2. Create business policies (fulfillment, payment, return) and an inventory location in Seller Hub,
+ *    then set EBAY_FULFILLMENT_POLICY_ID, EBAY_PAYMENT_POLICY_ID, EBAY_RETURN_POLICY_ID
+ *    and EBAY_MERCHANT_LOCATION_KEY
+ * 3. New listings are created through the Inventory API; listings created through the
+ *    Trading API keep being revised and ended through it
+ *
+ * For sellers connecting their own eBay accounts (OAuth authorization code grant):
+ * 1. Under "User Tokens" > "Get a Token from eBay via Your Application", add a redirect URL (RuName)
+ *    whose "auth accepted" URL is https://<api host>/api/users/ebay/callback, and set EBAY_RU_NAME
+ * 2. Set EBAY_TOKEN_ENCRYPTION_KEY to 32 random bytes, hex-encoded (openssl rand -hex 32);
+ *    sellers' tokens are encrypted with it before they are stored
+ * 3. Optionally set EBAY_CONNECT_RETURN_URL to send sellers back to the app after connecting
+ * Listings of sellers who haven't connected keep using the house account credentials above.
  */
 
 // Check if we should force sandbox mode based on credentials
@@ -30,6 +46,27 @@ const ebayConfig = {
   certId: process.env.EBAY_CERT_ID,
   devId: process.env.EBAY_DEV_ID,
   authToken: process.env.EBAY_AUTH_TOKEN,
+  oauthToken: process.env.EBAY_OAUTH_TOKEN,
+  // Which API new eBay listings are created with: 'trading' (XML) or 'inventory' (REST)
+  listingApi: process.env.EBAY_LISTING_API === 'inventory' ? 'inventory' : 'trading',
+  fulfillmentPolicyId: process.env.EBAY_FULFILLMENT_POLICY_ID,
+  paymentPolicyId: process.env.EBAY_PAYMENT_POLICY_ID,
+  returnPolicyId: process.env.EBAY_RETURN_POLICY_ID,
+  merchantLocationKey: process.env.EBAY_MERCHANT_LOCATION_KEY,
+  // Where eBay categories and item specifics come from: the Taxonomy API ('api'), or only the
+  // bundled snapshot ('snapshot') for offline development and tests. The API falls back to the snapshot.
+  taxonomySource: process.env.EBAY_TAXONOMY_SOURCE === 'snapshot' ? 'snapshot' : 'api',
+  ruName: process.env.EBAY_RU_NAME,
+  tokenEncryptionKey: process.env.EBAY_TOKEN_ENCRYPTION_KEY,
+  connectReturnUrl: process.env.EBAY_CONNECT_RETURN_URL,
+  // Scopes requested when a seller connects their eBay account
+  userScopes: [
+    'https://api.ebay.com/oauth/api_scope',
+    'https://api.ebay.com/oauth/api_scope/sell.inventory',
+    'https://api.ebay.com/oauth/api_scope/sell.account',
+    'https://api.ebay.com/oauth/api_scope/sell.fulfillment',
+    'https://api.ebay.com/oauth/api_scope/commerce.identity.readonly'
+  ],
   // If EBAY_SANDBOX_MODE is not explicitly set, detect it from credentials
   sandbox: process.env.EBAY_SANDBOX_MODE === 'true' || 
            (process.env.EBAY_SANDBOX_MODE !== 'false' && detectSandboxFromCredentials(process.env.EBAY_CERT_ID))
@@ -42,6 +79,8 @@ console.log('- Cert ID:', ebayConfig.certId ? `${ebayConfig.certId.substring(0,
 console.log('- Dev ID:', ebayConfig.devId ? `${ebayConfig.devId.substring(0, 4)}...` : 'Not set');
 console.log('- Auth Token:', ebayConfig.authToken ? `${ebayConfig.authToken.substring(0, 4)}...` : 'Not set');
 console.log('- Sandbox Mode:', ebayConfig.sandbox);
+console.log('- Listing API:', ebayConfig.listingApi);
+console.log('- Taxonomy Source:', ebayConfig.taxonomySource);
 
 // Validate credential and environment consistency
 if (ebayConfig.certId && ebayConfig.certId.startsWith('SBX-') && !ebayConfig.sandbox) {
@@ -49,9 +88,27 @@ if (ebayConfig.certId && ebayConfig.certId.startsWith('SBX-') && !ebayConfig.san
   ebayConfig.sandbox = true;
 }
 
+// API hosts; EBAY_API_BASE_URL and EBAY_AUTH_BASE_URL point them at local stub servers instead
+ebayConfig.apiBaseUrl = process.env.EBAY_API_BASE_URL ||
+  (ebayConfig.sandbox ? 'https://api.sandbox.ebay.com' : 'https://api.ebay.com');
+// The Identity API is served from the apiz host
+ebayConfig.identityBaseUrl = process.env.EBAY_API_BASE_URL ||
+  (ebayConfig.sandbox ? 'https://apiz.sandbox.ebay.com' : 'https://apiz.ebay.com');
+// Where sellers are sent to grant consent
+ebayConfig.authBaseUrl = process.env.EBAY_AUTH_BASE_URL ||
+  (ebayConfig.sandbox ? 'https://auth.sandbox.ebay.com' : 'https://auth.ebay.com');
+
 // Validate eBay configuration
 if (!ebayConfig.appId || !ebayConfig.certId || !ebayConfig.devId || !ebayConfig.authToken) {
   console.warn('Missing eBay API credentials in environment variables');
 }
 
+if (ebayConfig.ruName && !/^[0-9a-f]{64}$/i.test(ebayConfig.tokenEncryptionKey || '')) {
+  console.warn('EBAY_RU_NAME is set but EBAY_TOKEN_ENCRYPTION_KEY is missing or not 32 hex-encoded bytes; sellers cannot connect eBay accounts');
+}
+
+if (ebayConfig.listingApi === 'inventory' && !ebayConfig.oauthToken) {
+  console.warn('EBAY_LISTING_API is inventory but EBAY_OAUTH_TOKEN is not set');
+}
+
 module.exports = ebayConfig; 
\ No newline at end of file
@@ -2,7 +2,9 @@
 const facebookConfig = {
   appId: process.env.FACEBOOK_APP_ID,
   appSecret: process.env.FACEBOOK_APP_SECRET,
-  accessToken: process.env.FACEBOOK_ACCESS_TOKEN
+  accessToken: process.env.FACEBOOK_ACCESS_TOKEN,
+  // FACEBOOK_GRAPH_BASE_URL points the client at a local stand-in (see src/utils/fakeMarketplaceServer.js)
+  graphBaseUrl: process.env.FACEBOOK_GRAPH_BASE_URL || 'https://graph.facebook.com/v18.0'
 };
 
 // Validate Facebook configuration
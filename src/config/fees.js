@@ -0,0 +1,25 @@
+/**
+ * Read a rate such as 0.025 from the environment, keeping the default when it's missing or out of range
+ * @param {string} value - The environment variable's value
+ * @param {number} fallback - The default rate
+ * @returns {number}
+ */
+function parseRate(value, fallback) {
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) && rate >= 0 && rate <= 1 ? rate : fallback;
+}
+
+// What comes off each sale before the seller is paid: SnapList's commission and the marketplace's fee
+const feesConfig = {
+  // SnapList's commission on the sale price (0.025 = 2.5%). Sellers can have their own rate
+  // for a promotion (users.commission_rate, until users.commission_rate_until)
+  commissionRate: parseRate(process.env.SNAPLIST_COMMISSION_RATE, 0.025),
+  // Each marketplace's selling fee, used until the order reports what was actually taken (Facebook never does):
+  // rate of the sale price plus a fixed amount, and never less than the minimum
+  marketplaceFees: {
+    ebay: { rate: parseRate(process.env.EBAY_FINAL_VALUE_FEE_RATE, 0.1325), fixed: 0.4, minimum: 0 },
+    facebook: { rate: parseRate(process.env.FACEBOOK_SELLING_FEE_RATE, 0.1), fixed: 0, minimum: 0.8 }
+  }
+};
+
+module.exports = feesConfig;
@@ -0,0 +1,28 @@
+// Shipping configuration: the carriers sellers can ship with, how shipments are tracked and where labels come from
+const shippingConfig = {
+  // Carriers we accept tracking numbers for, keyed by the code sellers send, with each marketplace's name for them
+  carriers: {
+    usps: { name: 'USPS', ebay: 'USPS', facebook: 'USPS' },
+    ups: { name: 'UPS', ebay: 'UPS', facebook: 'UPS' },
+    fedex: { name: 'FedEx', ebay: 'FedEx', facebook: 'FEDEX' },
+    dhl: { name: 'DHL', ebay: 'DHL', facebook: 'DHL_ECOMMERCE_US' }
+  },
+  // Carrier status provider to poll for tracking updates (see src/services/carriers)
+  statusProvider: process.env.CARRIER_STATUS_PROVIDER || 'stub',
+  // How long the stub provider takes to report a shipment delivered
+  stubDeliveryHours: parseFloat(process.env.STUB_CARRIER_DELIVERY_HOURS) || 72,
+  // Label provider to quote and buy postage from (see src/services/labels)
+  labelProvider: process.env.LABEL_PROVIDER || 'fake',
+  // Private Supabase storage bucket for label PDFs
+  labelBucket: process.env.SHIPPING_LABEL_BUCKET || 'shipping-labels'
+};
+
+if (shippingConfig.statusProvider === 'stub' && process.env.NODE_ENV === 'production') {
+  console.warn('CARRIER_STATUS_PROVIDER is not set, shipment tracking uses the stub provider');
+}
+
+if (shippingConfig.labelProvider === 'fake' && process.env.NODE_ENV === 'production') {
+  console.warn('LABEL_PROVIDER is not set, shipping labels come from the fake provider and are not real postage');
+}
+
+module.exports = shippingConfig;
@@ -0,0 +1,20 @@
+// SMS (Twilio) configuration used for sign-in codes and admin alerts
+const smsConfig = {
+  accountSid: process.env.TWILIO_ACCOUNT_SID,
+  authToken: process.env.TWILIO_AUTH_TOKEN,
+  fromNumber: process.env.TWILIO_FROM_NUMBER,
+  // Comma-separated numbers that get operational alerts (e.g. an item sold twice)
+  adminAlertPhones: (process.env.ADMIN_ALERT_PHONES || '')
+    .split(',')
+    .map(phone => phone.trim())
+    .filter(Boolean)
+};
+
+// Validate SMS configuration
+if (!smsConfig.accountSid || !smsConfig.authToken || !smsConfig.fromNumber) {
+  console.warn(process.env.NODE_ENV === 'production'
+    ? 'Missing Twilio credentials in environment variables, SMS (including sign-in codes) will not be sent'
+    : 'Missing Twilio credentials in environment variables, sign-in codes will be logged instead of sent');
+}
+
+module.exports = smsConfig;
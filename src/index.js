@@ -1,23 +1,35 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const path = require('path');
 const fs = require('fs');
 const scheduler = require('node-schedule');
 const os = require('os');
 
 // Import routes
+const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const listingRoutes = require('./routes/listings');
 const profitsRoutes = require('./routes/profits');
 const imagesRoutes = require('./routes/images');
 const payoutsRoutes = require('./routes/payouts');
+const ordersRoutes = require('./routes/orders');
 const shareRoutes = require('./routes/share');
 const adminRoutes = require('./routes/admin');
 const ebayWebhooksRoutes = require('./routes/ebayWebhooks');
 
-// Import price reduction service
+// Import admin session middleware
+const { adminPageAuth, requirePagePermission } = require('./middleware/auth');
+
+// Import scheduled job services
 const { schedulePriceReductions } = require('./services/priceService');
+const { processPendingDeletions } = require('./services/ebayAccountDeletionService');
+const { runPublishJob } = require('./services/publishQueueService');
+const { runSoldSyncJob } = require('./services/soldSyncService');
+const { processPendingDelists } = require('./services/delistService');
+const { runOrderSyncJob } = require('./services/orderService');
+const { runShipmentTrackingJob } = require('./services/shipmentService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -30,13 +42,24 @@ if (!fs.existsSync(tempDir)) {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // eBay signs the raw request body, so keep the exact bytes for webhook verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/ebay-webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Set public directory explicitly using __dirname
 const publicPath = path.join(__dirname, 'public');
 console.log('Public directory path:', publicPath);
 
+// Admin pages are only served through the session-checked routes below
+app.use('/static/admin', adminPageAuth);
+
 // Serve static files for shared listings
 app.use('/static', express.static(publicPath));
 
@@ -112,20 +135,14 @@ app.get('/privacy', (req, res) => {
   }
 });
 
-// Admin authentication middleware
-function adminAuthCheck(req, res, next) {
-  // In a production environment, you'd implement proper session-based auth
-  // For this simple implementation, we'll trust the client-side auth
-  // and focus on serving the pages
-  next();
-}
-
 // Mount routes
+app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/listings', listingRoutes);
 app.use('/api/profits', profitsRoutes);
 app.use('/api/images', imagesRoutes);
 app.use('/api/payouts', payoutsRoutes);
+app.use('/api/orders', ordersRoutes);
 app.use('/share', shareRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/ebay-webhooks', ebayWebhooksRoutes);
@@ -150,7 +167,7 @@ app.get('/admin/login.html', (req, res) => {
   }
 });
 
-app.get('/admin/dashboard.html', (req, res) => {
+app.get('/admin/dashboard.html', adminPageAuth, requirePagePermission('stats:view'), (req, res) => {
   try {
     const htmlPath = path.join(publicPath, 'admin/dashboard.html');
     if (fs.existsSync(htmlPath)) {
@@ -166,7 +183,7 @@ app.get('/admin/dashboard.html', (req, res) => {
 });
 
 // Add routes for all other admin pages
-app.get('/admin/users.html', (req, res) => {
+app.get('/admin/users.html', adminPageAuth, requirePagePermission('users:view'), (req, res) => {
   try {
     const htmlPath = path.join(publicPath, 'admin/users.html');
     if (fs.existsSync(htmlPath)) {
@@ -181,7 +198,7 @@ app.get('/admin/users.html', (req, res) => {
   }
 });
 
-app.get('/admin/listings.html', (req, res) => {
+app.get('/admin/listings.html', adminPageAuth, requirePagePermission('listings:view'), (req, res) => {
   try {
     const htmlPath = path.join(publicPath, 'admin/listings.html');
     if (fs.existsSync(htmlPath)) {
@@ -196,7 +213,22 @@ app.get('/admin/listings.html', (req, res) => {
   }
 });
 
-app.get('/admin/payouts.html', (req, res) => {
+app.get('/admin/orders.html', adminPageAuth, requirePagePermission('orders:view'), (req, res) => {
+  try {
+    const htmlPath = path.join(publicPath, 'admin/orders.html');
+    if (fs.existsSync(htmlPath)) {
+      res.sendFile(htmlPath);
+    } else {
+      console.error('Admin orders page not found at path:', htmlPath);
+      res.status(404).send('Admin orders page not found');
+    }
+  } catch (error) {
+    console.error('Error serving admin orders page:', error);
+    res.status(500).send('Error loading admin orders page');
+  }
+});
+
+app.get('/admin/payouts.html', adminPageAuth, requirePagePermission('payouts:view'), (req, res) => {
   try {
     const htmlPath = path.join(publicPath, 'admin/payouts.html');
     if (fs.existsSync(htmlPath)) {
@@ -211,7 +243,7 @@ app.get('/admin/payouts.html', (req, res) => {
   }
 });
 
-app.get('/admin/support.html', (req, res) => {
+app.get('/admin/support.html', adminPageAuth, requirePagePermission('support:view'), (req, res) => {
   try {
     const htmlPath = path.join(publicPath, 'admin/support.html');
     if (fs.existsSync(htmlPath)) {
@@ -226,6 +258,21 @@ app.get('/admin/support.html', (req, res) => {
   }
 });
 
+app.get('/admin/audit.html', adminPageAuth, requirePagePermission('audit:view'), (req, res) => {
+  try {
+    const htmlPath = path.join(publicPath, 'admin/audit.html');
+    if (fs.existsSync(htmlPath)) {
+      res.sendFile(htmlPath);
+    } else {
+      console.error('Admin audit page not found at path:', htmlPath);
+      res.status(404).send('Admin audit page not found');
+    }
+  } catch (error) {
+    console.error('Error serving admin audit page:', error);
+    res.status(500).send('Error loading admin audit page');
+  }
+});
+
 // Health check route
 app.get('/api/health', (req, res) => {
   res.status(200).json({ status: 'OK', message: 'SnapList API is running' });
@@ -242,11 +289,30 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Schedule automatic price reductions (runs every day at midnight)
-scheduler.scheduleJob('0 0 * * *', schedulePriceReductions);
-
-// Start server
+// Scheduled jobs and the server only run outside tests, where the suite drives the app itself
 if (process.env.NODE_ENV !== 'test') {
+  // Schedule automatic price reductions (runs every day at midnight)
+  scheduler.scheduleJob('0 0 * * *', schedulePriceReductions);
+
+  // Check active listings for sales on their marketplaces (runs every 30 minutes)
+  scheduler.scheduleJob('*/30 * * * *', runSoldSyncJob);
+
+  // Retry ending sold listings on their other marketplaces (runs every 5 minutes)
+  scheduler.scheduleJob('*/5 * * * *', processPendingDelists);
+
+  // Pull orders for recent sales and refresh ones that haven't shipped (runs every 30 minutes)
+  scheduler.scheduleJob('15,45 * * * *', runOrderSyncJob);
+
+  // Retry tracking uploads and poll carriers for shipped orders until they're delivered (runs hourly)
+  scheduler.scheduleJob('40 * * * *', runShipmentTrackingJob);
+
+  // Process new eBay account deletions and retry failed ones (runs every 15 minutes)
+  scheduler.scheduleJob('*/15 * * * *', processPendingDeletions);
+
+  // Reconcile missing marketplace channels and retry failed publishes (runs every 5 minutes)
+  scheduler.scheduleJob('*/5 * * * *', runPublishJob);
+
+  // Start server
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -1,39 +1,137 @@
 /**
  * Authentication middleware
- * Provides simple authentication for the SnapList API
+ * Provides authentication for the SnapList API
  */
+const authService = require('../services/authService');
+const adminAuthService = require('../services/adminAuthService');
+const adminRoles = require('../config/adminRoles');
 
 /**
- * Middleware to check if user is authenticated
+ * Middleware to check if user is authenticated.
+ * Expects an `Authorization: Bearer <access token>` header and attaches
+ * the authenticated user to `req.user`.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
 const auth = (req, res, next) => {
-  // For now, we'll implement a minimal authentication check
-  // In a production environment, this would validate tokens, sessions, etc.
-  
-  // Always allow the request to proceed for now
-  // This is a placeholder for future authentication implementation
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  const payload = authService.verifyAccessToken(token);
+
+  if (!payload) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired access token' });
+  }
+
+  req.user = {
+    id: payload.sub,
+    phone: payload.phone
+  };
+
   next();
 };
 
 /**
- * Middleware to check if user is an admin
+ * Middleware factory to ensure a route parameter refers to the authenticated user
+ * @param {string} param - The route parameter holding the user ID
+ * @returns {Function} - Express middleware
+ */
+const requireSelf = (param = 'id') => (req, res, next) => {
+  if (!req.user || req.params[param] !== req.user.id) {
+    return res.status(403).json({ success: false, message: 'You can only access your own account' });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to check if user is an admin.
+ * Validates the admin session cookie and attaches the admin to `req.admin`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const adminAuth = async (req, res, next) => {
+  try {
+    const token = req.cookies && req.cookies[adminAuthService.SESSION_COOKIE_NAME];
+    const session = await adminAuthService.getSession(token);
+
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Admin authentication required' });
+    }
+
+    req.admin = session.admin;
+    req.adminSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware for admin HTML pages: redirects to the login page instead of returning JSON
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const adminAuth = (req, res, next) => {
-  // In a production environment, this would validate admin privileges
-  // For now, we'll implement a simple admin check based on headers or tokens
-  
-  // Always allow admin requests to proceed for now
-  // This is a placeholder for future admin authentication implementation
+const adminPageAuth = async (req, res, next) => {
+  try {
+    const token = req.cookies && req.cookies[adminAuthService.SESSION_COOKIE_NAME];
+    const session = await adminAuthService.getSession(token);
+
+    if (!session) {
+      return res.redirect('/admin/login.html');
+    }
+
+    req.admin = session.admin;
+    req.adminSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware factory to require an admin permission on an API route.
+ * Must run after adminAuth.
+ * @param {string} permission - The required permission (see config/adminRoles)
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.admin || !adminRoles.hasPermission(req.admin.role, permission)) {
+    return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory to require an admin permission on an admin page.
+ * Must run after adminPageAuth; sends operators without access to their own home page.
+ * @param {string} permission - The required permission (see config/adminRoles)
+ * @returns {Function} - Express middleware
+ */
+const requirePagePermission = (permission) => (req, res, next) => {
+  if (!req.admin || !adminRoles.hasPermission(req.admin.role, permission)) {
+    const homePage = req.admin && req.admin.homePage;
+    return homePage
+      ? res.redirect(homePage)
+      : res.status(403).send('You do not have access to the admin dashboard');
+  }
+
   next();
 };
 
 module.exports = {
   auth,
-  adminAuth
-}; 
\ No newline at end of file
+  requireSelf,
+  adminAuth,
+  adminPageAuth,
+  requirePermission,
+  requirePagePermission
+};
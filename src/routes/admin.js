@@ -1,7 +1,17 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
+const feesConfig = require('../config/fees');
 const router = express.Router();
 const { getUserById } = require('../utils/user');
+const adminAuthService = require('../services/adminAuthService');
+const auditService = require('../services/auditService');
+const ebayAccountDeletionService = require('../services/ebayAccountDeletionService');
+const delistService = require('../services/delistService');
+const feeService = require('../services/feeService');
+const ledgerService = require('../services/ledgerService');
+const orderService = require('../services/orderService');
+const refundService = require('../services/refundService');
+const { adminAuth, requirePermission } = require('../middleware/auth');
 const axios = require('axios');
 
 // eBay API Configuration
@@ -18,58 +28,161 @@ const EBAY_API_URL = EBAY_CONFIG.sandboxMode
   ? 'https://api.sandbox.ebay.com'
   : 'https://api.ebay.com';
 
+/**
+ * Session cookie options shared by login and logout
+ */
+const SESSION_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/'
+};
+
+/**
+ * @api {post} /api/admin/auth/login Login
+ * @apiDescription Verify admin credentials and start a session (HttpOnly cookie)
+ * @apiName Login
+ * @apiGroup Admin
+ * 
+ * @apiParam {String} email Admin email
+ * @apiParam {String} password Admin password
+ * 
+ * @apiSuccess {Boolean} success Whether the login was successful
+ * @apiSuccess {Object} admin The signed-in admin
+ */
+router.post('/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    const result = await adminAuthService.login(email, password, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    if (!result.success) {
+      return res.status(result.status || 401).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    req.admin = result.admin;
+    await auditService.recordAdminAction(req, {
+      action: 'admin.login',
+      entityType: 'admin',
+      entityId: result.admin.id
+    });
+    
+    res.cookie(adminAuthService.SESSION_COOKIE_NAME, result.token, {
+      ...SESSION_COOKIE_OPTIONS,
+      expires: result.expiresAt
+    });
+    
+    res.json({
+      success: true,
+      admin: result.admin
+    });
+  } catch (error) {
+    console.error('Error logging in admin:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log in'
+    });
+  }
+});
+
 /**
  * @api {get} /api/admin/auth/check Check authentication status
- * @apiDescription Check if the user is authenticated
+ * @apiDescription Check if the request carries a valid admin session
  * @apiName CheckAuth
  * @apiGroup Admin
  * 
  * @apiSuccess {Boolean} authenticated Whether the user is authenticated
+ * @apiSuccess {Object} [admin] The signed-in admin
  */
-router.get('/auth/check', (req, res) => {
-  // In a production environment, this would validate session tokens
-  // For now, we'll return authenticated=true for all requests
-  res.json({
-    authenticated: true
-  });
+router.get('/auth/check', async (req, res) => {
+  try {
+    const session = await adminAuthService.getSession(req.cookies[adminAuthService.SESSION_COOKIE_NAME]);
+    
+    if (!session) {
+      return res.json({
+        authenticated: false
+      });
+    }
+    
+    res.json({
+      authenticated: true,
+      admin: session.admin
+    });
+  } catch (error) {
+    console.error('Error checking admin session:', error);
+    res.json({
+      authenticated: false
+    });
+  }
 });
 
 /**
  * @api {post} /api/admin/auth/logout Logout
- * @apiDescription Logout the user
+ * @apiDescription Revoke the current admin session
  * @apiName Logout
  * @apiGroup Admin
  * 
  * @apiSuccess {Boolean} success Whether the logout was successful
  */
-router.post('/auth/logout', (req, res) => {
-  // In a production environment, this would invalidate session tokens
-  // For now, we'll return success=true for all requests
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+router.post('/auth/logout', async (req, res) => {
+  try {
+    const token = req.cookies[adminAuthService.SESSION_COOKIE_NAME];
+    const session = await adminAuthService.getSession(token);
+    const result = await adminAuthService.logout(token);
+    
+    if (session && result.success) {
+      req.admin = session.admin;
+      await auditService.recordAdminAction(req, {
+        action: 'admin.logout',
+        entityType: 'admin',
+        entityId: session.admin.id
+      });
+    }
+    
+    res.clearCookie(adminAuthService.SESSION_COOKIE_NAME, SESSION_COOKIE_OPTIONS);
+    
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out admin:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out'
+    });
+  }
 });
 
+// Every route below requires a valid admin session; each route then checks
+// the operator's role for the permission it needs (see config/adminRoles)
+router.use(adminAuth);
+
 /**
  * @api {get} /api/admin/stats Get dashboard statistics
  * @apiDescription Get key statistics for the admin dashboard
  * @apiName GetDashboardStats
  * @apiGroup Admin
  * 
- * @apiSuccess {Object} data Dashboard statistics
+ * @apiSuccess {Object} stats Dashboard statistics. Sales figures come from the ledger:
+ *   totalRevenue (gross sales), marketplaceFees, totalProfit (SnapList commission), shippingCosts,
+ *   sellerNet, and the configured commissionRate
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('stats:view'), async (req, res) => {
   try {
-    // Total revenue calculation
-    const { data: salesData, error: salesError } = await supabase
-      .from('sales')
-      .select('price, fee, net_amount');
-    
-    if (salesError) throw salesError;
+    const sales = await ledgerService.getPlatformTotals();
     
-    const totalRevenue = salesData.reduce((sum, sale) => sum + parseFloat(sale.price || 0), 0);
-    const totalProfit = salesData.reduce((sum, sale) => sum + parseFloat(sale.fee || 0), 0);
+    if (!sales.success) throw new Error(sales.message);
     
     // Active users count
     const { count: userCount, error: usersError } = await supabase
@@ -97,8 +210,12 @@ router.get('/stats', async (req, res) => {
     res.json({
       success: true,
       stats: {
-        totalRevenue,
-        totalProfit,
+        totalRevenue: sales.totals.gross,
+        marketplaceFees: sales.totals.marketplaceFees,
+        totalProfit: sales.totals.commission,
+        shippingCosts: sales.totals.shipping,
+        sellerNet: sales.totals.sellerNet,
+        commissionRate: feesConfig.commissionRate,
         userCount,
         activeListingCount,
         soldCount
@@ -128,7 +245,7 @@ router.get('/stats', async (req, res) => {
  * @apiSuccess {Object[]} users Array of users
  * @apiSuccess {Number} count Total count of users
  */
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:view'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -144,11 +261,7 @@ router.get('/users', async (req, res) => {
     // Start building query
     let query = supabase
       .from('users')
-      .select(`
-        *,
-        listings(count),
-        sales(count)
-      `, { count: 'exact' });
+      .select('*', { count: 'exact' });
     
     // Add search filter if provided
     if (search) {
@@ -166,6 +279,18 @@ router.get('/users', async (req, res) => {
     
     if (error) throw error;
     
+    // Count each user's active and sold listings; a sale marks its listing sold
+    const { data: userListings, error: listingsError } = await supabase
+      .from('listings')
+      .select('user_id, status')
+      .in('user_id', users.map(user => user.id))
+      .in('status', ['active', 'sold']);
+    
+    if (listingsError) throw listingsError;
+    
+    const countListings = (userId, status) =>
+      userListings.filter(listing => listing.user_id === userId && listing.status === status).length;
+    
     // Format user data for frontend
     const formattedUsers = users.map(user => ({
       id: user.id,
@@ -178,8 +303,8 @@ router.get('/users', async (req, res) => {
       paypal_id: user.paypal_id,
       venmo_id: user.venmo_id,
       cashapp_id: user.cashapp_id,
-      active_listings_count: user.listings ? user.listings.length : 0,
-      sold_items_count: user.sales ? user.sales.length : 0
+      active_listings_count: countListings(user.id, 'active'),
+      sold_items_count: countListings(user.id, 'sold')
     }));
     
     res.json({
@@ -206,7 +331,7 @@ router.get('/users', async (req, res) => {
  * 
  * @apiSuccess {Object} user User details
  */
-router.get('/users/:id', async (req, res) => {
+router.get('/users/:id', requirePermission('users:view'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -232,6 +357,86 @@ router.get('/users/:id', async (req, res) => {
   }
 });
 
+/**
+ * @api {put} /api/admin/users/:id/commission Set a seller's commission rate
+ * @apiDescription Give a seller their own commission rate, e.g. for a promotion, or clear it to go back
+ * to the configured rate. Applies to sales from now on; earlier sales keep the rate they were charged.
+ * @apiName SetUserCommission
+ * @apiGroup Admin
+ * 
+ * @apiParam {String} id User ID
+ * @apiParam {Number|null} commission_rate Rate as a fraction of the sale price (0.01 = 1%), or null to clear it
+ * @apiParam {String} [commission_rate_until] When the rate ends (ISO date); it doesn't end if omitted
+ * 
+ * @apiSuccess {Object} user The user's id, commission_rate and commission_rate_until
+ * @apiSuccess {Number} effective_rate The rate the seller's next sale will be charged
+ */
+router.put('/users/:id/commission', requirePermission('profits:edit'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { commission_rate: rate, commission_rate_until: until = null } = req.body || {};
+    
+    if (rate !== null && !(typeof rate === 'number' && rate >= 0 && rate <= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'commission_rate must be a number from 0 to 1, or null to use the standard rate'
+      });
+    }
+    
+    if (until !== null && (rate === null || Number.isNaN(Date.parse(until)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'commission_rate_until must be a date, and needs a commission_rate'
+      });
+    }
+    
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('id, commission_rate, commission_rate_until')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({
+        commission_rate: rate,
+        commission_rate_until: rate === null ? null : until && new Date(until).toISOString()
+      })
+      .eq('id', id)
+      .select('id, commission_rate, commission_rate_until')
+      .single();
+    
+    if (error) throw error;
+    
+    await auditService.recordAdminAction(req, {
+      action: 'user.commission_rate',
+      entityType: 'user',
+      entityId: id,
+      before: existingUser,
+      after: user
+    });
+    
+    res.json({
+      success: true,
+      user,
+      effective_rate: feeService.commissionRateFor(user)
+    });
+  } catch (error) {
+    console.error('Error setting commission rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set commission rate'
+    });
+  }
+});
+
 /**
  * @api {delete} /api/admin/users/:id Delete a user
  * @apiDescription Delete a user and all associated data
@@ -242,10 +447,17 @@ router.get('/users/:id', async (req, res) => {
  * 
  * @apiSuccess {Boolean} success Indicates if the operation was successful
  */
-router.delete('/users/:id', async (req, res) => {
+router.delete('/users/:id', requirePermission('users:delete'), async (req, res) => {
   try {
     const { id } = req.params;
     
+    // Snapshot the user for the audit log before it's gone
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
     // Delete user from database
     const { error } = await supabase
       .from('users')
@@ -254,6 +466,13 @@ router.delete('/users/:id', async (req, res) => {
     
     if (error) throw error;
     
+    await auditService.recordAdminAction(req, {
+      action: 'user.delete',
+      entityType: 'user',
+      entityId: id,
+      before: existingUser
+    });
+    
     res.json({
       success: true,
       message: 'User deleted successfully'
@@ -285,7 +504,7 @@ router.delete('/users/:id', async (req, res) => {
  * @apiSuccess {Object[]} listings Array of listings
  * @apiSuccess {Number} count Total count of listings
  */
-router.get('/listings', async (req, res) => {
+router.get('/listings', requirePermission('listings:view'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -377,7 +596,7 @@ router.get('/listings', async (req, res) => {
  * 
  * @apiSuccess {Object} listing Listing details
  */
-router.get('/listings/:id', async (req, res) => {
+router.get('/listings/:id', requirePermission('listings:view'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -386,7 +605,8 @@ router.get('/listings/:id', async (req, res) => {
       .from('listings')
       .select(`
         *,
-        users(name, phone)
+        users(name, phone),
+        channels:listing_channels(*)
       `)
       .eq('id', id)
       .single();
@@ -428,7 +648,7 @@ router.get('/listings/:id', async (req, res) => {
  * @apiSuccess {Boolean} success Indicates if the update was successful
  * @apiSuccess {Object} listing Updated listing
  */
-router.put('/listings/:id', async (req, res) => {
+router.put('/listings/:id', requirePermission('listings:edit'), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, description, price, status } = req.body;
@@ -441,6 +661,12 @@ router.put('/listings/:id', async (req, res) => {
     
     updates.updated_at = new Date().toISOString();
     
+    const { data: existingListing } = await supabase
+      .from('listings')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
     // Update listing in database
     const { data: updatedListing, error } = await supabase
       .from('listings')
@@ -451,6 +677,14 @@ router.put('/listings/:id', async (req, res) => {
     
     if (error) throw error;
     
+    await auditService.recordAdminAction(req, {
+      action: 'listing.update',
+      entityType: 'listing',
+      entityId: id,
+      before: existingListing,
+      after: updatedListing
+    });
+    
     res.json({
       success: true,
       listing: updatedListing
@@ -475,7 +709,7 @@ router.put('/listings/:id', async (req, res) => {
  * 
  * @apiSuccess {Boolean} success Indicates if the status update was successful
  */
-router.put('/listings/:id/status', async (req, res) => {
+router.put('/listings/:id/status', requirePermission('listings:edit'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -496,17 +730,33 @@ router.put('/listings/:id/status', async (req, res) => {
       });
     }
     
+    const { data: existingListing } = await supabase
+      .from('listings')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
     // Update listing status
-    const { data, error } = await supabase
+    const { data: updatedListing, error } = await supabase
       .from('listings')
       .update({ 
         status,
         updated_at: new Date().toISOString()
       })
-      .eq('id', id);
+      .eq('id', id)
+      .select()
+      .maybeSingle();
     
     if (error) throw error;
     
+    await auditService.recordAdminAction(req, {
+      action: 'listing.status_change',
+      entityType: 'listing',
+      entityId: id,
+      before: existingListing,
+      after: updatedListing
+    });
+    
     res.json({
       success: true,
       message: 'Listing status updated successfully'
@@ -520,6 +770,175 @@ router.put('/listings/:id/status', async (req, res) => {
   }
 });
 
+/**
+ * @api {get} /api/admin/orders Get orders
+ * @apiDescription Get orders pulled from the marketplaces, newest first
+ * @apiName GetOrders
+ * @apiGroup Admin
+ * 
+ * @apiParam {Number} [page=1] Page number
+ * @apiParam {Number} [limit=20] Number of orders per page (max 100)
+ * @apiParam {String} [status] Filter by fulfillment status (unfulfilled, shipped, delivered, cancelled)
+ * @apiParam {String} [channel] Filter by marketplace (ebay, facebook)
+ * @apiParam {String} [user_id] Filter by seller
+ * @apiParam {String} [listing_id] Filter by listing
+ * 
+ * @apiSuccess {Object[]} orders Array of orders with their listing and seller
+ * @apiSuccess {Number} count Total count of matching orders
+ */
+router.get('/orders', requirePermission('orders:view'), async (req, res) => {
+  try {
+    const result = await orderService.getOrders(req.query, '*, listings(title, price), users(name, phone)');
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      orders: result.orders,
+      count: result.count
+    });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders'
+    });
+  }
+});
+
+/**
+ * @api {get} /api/admin/orders/:id Get order details
+ * @apiDescription Get one order with its listing, seller, profit record and refunds
+ * @apiName GetOrder
+ * @apiGroup Admin
+ * 
+ * @apiParam {String} id Order ID
+ * 
+ * @apiSuccess {Object} order The order
+ */
+router.get('/orders/:id', requirePermission('orders:view'), async (req, res) => {
+  try {
+    const result = await orderService.getOrder(
+      req.params.id,
+      null,
+      '*, listings(title, price, status, sold_channel), users(name, phone), profits(id, amount, status), order_refunds(*)'
+    );
+    
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      order: result.order
+    });
+  } catch (error) {
+    console.error('Error fetching order details:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order details'
+    });
+  }
+});
+
+/**
+ * @api {post} /api/admin/orders/:id/refunds Record a refund
+ * @apiDescription Record money given back to the buyer of an order and take it back from the seller's balance.
+ * The seller's balance may go below zero; the seller is notified either way.
+ * @apiName RecordRefund
+ * @apiGroup Admin
+ * 
+ * @apiParam {String} id Order ID
+ * @apiParam {Number} amount Amount refunded to the buyer
+ * @apiParam {Number} [seller_charge] Amount taken from the seller's balance (defaults to amount; 0 when SnapList or the marketplace covers it)
+ * @apiParam {String} reason Why the buyer was refunded
+ * @apiParam {Boolean} [item_returned=false] Whether the item came back
+ * 
+ * @apiSuccess {Object} refund The refund
+ * @apiSuccess {Object} adjustment The balance adjustment charged to the seller, if any
+ * @apiSuccess {Number} balance The seller's available balance afterwards
+ */
+router.post('/orders/:id/refunds', requirePermission('profits:edit'), async (req, res) => {
+  try {
+    const result = await refundService.recordRefund(req.params.id, req.body || {}, { adminId: req.admin.id });
+    
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    await auditService.recordAdminAction(req, {
+      action: 'refund.record',
+      entityType: 'order',
+      entityId: req.params.id,
+      after: result.refund,
+      metadata: { adjustment_id: result.adjustment ? result.adjustment.id : null, balance: result.balance }
+    });
+    
+    res.status(201).json({
+      success: true,
+      refund: result.refund,
+      adjustment: result.adjustment,
+      balance: result.balance
+    });
+  } catch (error) {
+    console.error('Error recording refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record refund'
+    });
+  }
+});
+
+/**
+ * @api {get} /api/admin/refunds Get refunds
+ * @apiDescription Get recorded refunds, newest first
+ * @apiName GetRefunds
+ * @apiGroup Admin
+ * 
+ * @apiParam {Number} [page=1] Page number
+ * @apiParam {Number} [limit=20] Number of refunds per page (max 100)
+ * @apiParam {String} [user_id] Filter by seller
+ * @apiParam {String} [order_id] Filter by order
+ * 
+ * @apiSuccess {Object[]} refunds Array of refunds with their order and seller
+ * @apiSuccess {Number} count Total count of matching refunds
+ */
+router.get('/refunds', requirePermission('payouts:view'), async (req, res) => {
+  try {
+    const result = await refundService.getRefunds(req.query);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      refunds: result.refunds,
+      count: result.count
+    });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds'
+    });
+  }
+});
+
 /**
  * @api {get} /api/admin/payouts/stats Get payout statistics
  * @apiDescription Get statistics for payouts (pending, monthly, processing time)
@@ -528,7 +947,7 @@ router.put('/listings/:id/status', async (req, res) => {
  * 
  * @apiSuccess {Object} data Payout statistics
  */
-router.get('/payouts/stats', async (req, res) => {
+router.get('/payouts/stats', requirePermission('payouts:view'), async (req, res) => {
   try {
     // Get pending payouts data
     const { data: pendingPayouts, error: pendingError } = await supabase
@@ -642,7 +1061,7 @@ router.get('/payouts/stats', async (req, res) => {
  * @apiSuccess {Object[]} payouts Array of payouts
  * @apiSuccess {Number} count Total count of payouts
  */
-router.get('/payouts', async (req, res) => {
+router.get('/payouts', requirePermission('payouts:view'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -715,10 +1134,16 @@ router.get('/payouts', async (req, res) => {
  * 
  * @apiSuccess {Boolean} success Indicates if the operation was successful
  */
-router.post('/process-payout/:id', async (req, res) => {
+router.post('/process-payout/:id', requirePermission('payouts:process'), async (req, res) => {
   try {
     const { id } = req.params;
     
+    const { data: existingPayout } = await supabase
+      .from('payout_requests')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
     // Update payout status
     const { data: payout, error } = await supabase
       .from('payout_requests')
@@ -732,6 +1157,17 @@ router.post('/process-payout/:id', async (req, res) => {
     
     if (error) throw error;
     
+    // The payout may have been rejected (and given back) before
+    await ledgerService.syncPayout(payout);
+    
+    await auditService.recordAdminAction(req, {
+      action: 'payout.process',
+      entityType: 'payout_request',
+      entityId: id,
+      before: existingPayout,
+      after: payout
+    });
+    
     res.json({
       success: true,
       message: 'Payout processed successfully',
@@ -755,12 +1191,12 @@ router.post('/process-payout/:id', async (req, res) => {
  * @apiSuccess {Boolean} success Indicates if the operation was successful
  * @apiSuccess {Number} processed_count Number of payouts processed
  */
-router.post('/payouts/process-all', async (req, res) => {
+router.post('/payouts/process-all', requirePermission('payouts:process'), async (req, res) => {
   try {
     // Find all pending payouts
     const { data: pendingPayouts, error: findError } = await supabase
       .from('payout_requests')
-      .select('id')
+      .select('*')
       .eq('status', 'pending');
     
     if (findError) throw findError;
@@ -785,6 +1221,18 @@ router.post('/payouts/process-all', async (req, res) => {
     
     if (updateError) throw updateError;
     
+    // Record each payout separately so every seller's payout history is complete
+    for (const updatedPayout of updatedPayouts) {
+      await auditService.recordAdminAction(req, {
+        action: 'payout.process',
+        entityType: 'payout_request',
+        entityId: updatedPayout.id,
+        before: pendingPayouts.find(payout => payout.id === updatedPayout.id) || null,
+        after: updatedPayout,
+        metadata: { bulk: true, processed_count: updatedPayouts.length }
+      });
+    }
+    
     res.json({
       success: true,
       message: 'All pending payouts processed successfully',
@@ -810,7 +1258,7 @@ router.post('/payouts/process-all', async (req, res) => {
  * @apiSuccess {Boolean} success Indicates if the operation was successful
  * @apiSuccess {Object} payout The processed payout
  */
-router.post('/payouts/:id/process', async (req, res) => {
+router.post('/payouts/:id/process', requirePermission('payouts:process'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -848,6 +1296,14 @@ router.post('/payouts/:id/process', async (req, res) => {
     
     if (updateError) throw updateError;
     
+    await auditService.recordAdminAction(req, {
+      action: 'payout.process',
+      entityType: 'payout_request',
+      entityId: id,
+      before: existingPayout,
+      after: updatedPayout
+    });
+    
     res.json({
       success: true,
       message: 'Payout processed successfully',
@@ -877,7 +1333,7 @@ router.post('/payouts/:id/process', async (req, res) => {
  * @apiSuccess {Object[]} chats Array of support chats
  * @apiSuccess {Number} count Total count of chats
  */
-router.get('/support-chats', async (req, res) => {
+router.get('/support-chats', requirePermission('support:view'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -1002,7 +1458,7 @@ router.get('/support-chats', async (req, res) => {
  * 
  * @apiSuccess {Object} chat Support chat details
  */
-router.get('/support-chats/:id', async (req, res) => {
+router.get('/support-chats/:id', requirePermission('support:view'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -1048,7 +1504,7 @@ router.get('/support-chats/:id', async (req, res) => {
  * 
  * @apiSuccess {Object[]} chats Array of support chats for the user
  */
-router.get('/support-chats/user/:userId', async (req, res) => {
+router.get('/support-chats/user/:userId', requirePermission('support:view'), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -1093,7 +1549,7 @@ router.get('/support-chats/user/:userId', async (req, res) => {
  * 
  * @apiSuccess {Object[]} messages Array of messages in the conversation
  */
-router.get('/support-chats/conversation/:conversationId', async (req, res) => {
+router.get('/support-chats/conversation/:conversationId', requirePermission('support:view'), async (req, res) => {
   try {
     const { conversationId } = req.params;
     
@@ -1177,7 +1633,7 @@ router.get('/support-chats/conversation/:conversationId', async (req, res) => {
  * 
  * @apiSuccess {Boolean} success Indicates if the operation was successful
  */
-router.post('/support-chats/:id/respond', async (req, res) => {
+router.post('/support-chats/:id/respond', requirePermission('support:respond'), async (req, res) => {
   try {
     const { id } = req.params;
     const { response } = req.body;
@@ -1189,6 +1645,12 @@ router.post('/support-chats/:id/respond', async (req, res) => {
       });
     }
     
+    const { data: existingChat } = await supabase
+      .from('support_chats')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
     // Update chat with admin response
     const { data: chat, error } = await supabase
       .from('support_chats')
@@ -1203,6 +1665,14 @@ router.post('/support-chats/:id/respond', async (req, res) => {
     
     if (error) throw error;
     
+    await auditService.recordAdminAction(req, {
+      action: 'support_chat.respond',
+      entityType: 'support_chat',
+      entityId: id,
+      before: existingChat,
+      after: chat
+    });
+    
     res.json({
       success: true,
       message: 'Response sent successfully',
@@ -1227,7 +1697,7 @@ router.post('/support-chats/:id/respond', async (req, res) => {
  * 
  * @apiSuccess {Boolean} success Indicates if the toggle was successful
  */
-router.put('/support-chats/:id/toggle-ai', async (req, res) => {
+router.put('/support-chats/:id/toggle-ai', requirePermission('support:respond'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -1275,6 +1745,15 @@ router.put('/support-chats/:id/toggle-ai', async (req, res) => {
       updateResult = { chat: updatedChat };
     }
     
+    await auditService.recordAdminAction(req, {
+      action: 'support_chat.toggle_ai',
+      entityType: 'support_chat',
+      entityId: id,
+      before: { hide_ai_response: chat.hide_ai_response, conversation_id: chat.conversation_id },
+      after: { hide_ai_response: hideAiResponse, conversation_id: chat.conversation_id },
+      metadata: updateResult.messages ? { updated_count: updateResult.messages.length } : null
+    });
+    
     res.json({
       success: true,
       message: `AI response ${hideAiResponse ? 'hidden' : 'visible'}`,
@@ -1301,7 +1780,7 @@ router.put('/support-chats/:id/toggle-ai', async (req, res) => {
  * 
  * @apiSuccess {Boolean} success Indicates if the status update was successful
  */
-router.put('/support-chats/:id/status', async (req, res) => {
+router.put('/support-chats/:id/status', requirePermission('support:respond'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -1322,6 +1801,12 @@ router.put('/support-chats/:id/status', async (req, res) => {
       });
     }
     
+    const { data: existingChat } = await supabase
+      .from('support_chats')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
     // Update chat status
     const { data: chat, error } = await supabase
       .from('support_chats')
@@ -1335,6 +1820,14 @@ router.put('/support-chats/:id/status', async (req, res) => {
     
     if (error) throw error;
     
+    await auditService.recordAdminAction(req, {
+      action: 'support_chat.status_change',
+      entityType: 'support_chat',
+      entityId: id,
+      before: existingChat,
+      after: chat
+    });
+    
     res.json({
       success: true,
       message: 'Support chat status updated successfully',
@@ -1359,7 +1852,7 @@ router.put('/support-chats/:id/status', async (req, res) => {
  * 
  * @apiSuccess {Object} payout Payout details
  */
-router.get('/payouts/:id', async (req, res) => {
+router.get('/payouts/:id', requirePermission('payouts:view'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -1416,7 +1909,7 @@ router.get('/payouts/:id', async (req, res) => {
  * 
  * @apiSuccess {Object[]} items Array of items in the payout
  */
-router.get('/payouts/:id/items', async (req, res) => {
+router.get('/payouts/:id/items', requirePermission('payouts:view'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -1459,5 +1952,223 @@ router.get('/payouts/:id/items', async (req, res) => {
   }
 });
 
+/**
+ * @api {get} /api/admin/ebay-deletions Get eBay account deletions
+ * @apiDescription Get eBay marketplace account deletion notifications and their processing status
+ * @apiName GetEbayDeletions
+ * @apiGroup Admin
+ * 
+ * @apiParam {Number} [page=1] Page number
+ * @apiParam {Number} [limit=10] Number of deletions per page (max 100)
+ * @apiParam {String} [status] Filter by status (pending, processing, retrying, completed, failed)
+ * 
+ * @apiSuccess {Object[]} deletions Array of deletion notifications
+ * @apiSuccess {Number} count Total count of matching deletions
+ * @apiSuccess {Object} summary Number of deletions in each status
+ */
+router.get('/ebay-deletions', requirePermission('compliance:view'), async (req, res) => {
+  try {
+    const result = await ebayAccountDeletionService.getDeletions(req.query);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      deletions: result.deletions,
+      count: result.count,
+      summary: result.summary
+    });
+  } catch (error) {
+    console.error('Error fetching eBay account deletions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch eBay account deletions'
+    });
+  }
+});
+
+/**
+ * @api {post} /api/admin/ebay-deletions/:id/retry Retry an eBay account deletion
+ * @apiDescription Requeue a failed or retrying deletion with fresh attempts and process it now
+ * @apiName RetryEbayDeletion
+ * @apiGroup Admin
+ * 
+ * @apiParam {String} id Deletion ID
+ * 
+ * @apiSuccess {Boolean} success Indicates if the deletion was processed
+ * @apiSuccess {Object} deletion The processed deletion
+ */
+router.post('/ebay-deletions/:id/retry', requirePermission('compliance:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await ebayAccountDeletionService.retryDeletion(id);
+    
+    // A 400 means nothing was requeued, so there's no action to record
+    if (result.status !== 400) {
+      await auditService.recordAdminAction(req, {
+        action: 'ebay_deletion.retry',
+        entityType: 'ebay_account_deletion',
+        entityId: id,
+        after: result.deletion || null,
+        metadata: result.success ? null : { error: result.message }
+      });
+    }
+    
+    if (!result.success) {
+      return res.status(result.status || 500).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Deletion processed successfully',
+      deletion: result.deletion
+    });
+  } catch (error) {
+    console.error('Error retrying eBay account deletion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry eBay account deletion'
+    });
+  }
+});
+
+/**
+ * @api {get} /api/admin/oversells Get oversell incidents
+ * @apiDescription Get listings that sold on more than one marketplace before they could be ended everywhere
+ * @apiName GetOversells
+ * @apiGroup Admin
+ * 
+ * @apiParam {Number} [page=1] Page number
+ * @apiParam {Number} [limit=10] Number of incidents per page (max 100)
+ * @apiParam {String} [status] Filter by status (open, resolved)
+ * 
+ * @apiSuccess {Object[]} incidents Array of oversell incidents with their listing and seller
+ * @apiSuccess {Number} count Total count of matching incidents
+ */
+router.get('/oversells', requirePermission('listings:view'), async (req, res) => {
+  try {
+    const result = await delistService.getOversellIncidents(req.query);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      incidents: result.incidents,
+      count: result.count
+    });
+  } catch (error) {
+    console.error('Error fetching oversell incidents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch oversell incidents'
+    });
+  }
+});
+
+/**
+ * @api {put} /api/admin/oversells/:id/resolve Resolve an oversell incident
+ * @apiDescription Close an oversell incident once the second order has been cancelled or otherwise settled
+ * @apiName ResolveOversell
+ * @apiGroup Admin
+ * 
+ * @apiParam {String} id Incident ID
+ * @apiParam {String} [notes] What was done to settle the second order
+ * 
+ * @apiSuccess {Boolean} success Indicates if the incident was resolved
+ * @apiSuccess {Object} incident The resolved incident
+ */
+router.put('/oversells/:id/resolve', requirePermission('listings:edit'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body || {};
+    
+    const result = await delistService.resolveOversellIncident(id, req.admin.id, notes);
+    
+    if (!result.success) {
+      return res.status(result.status || 500).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    await auditService.recordAdminAction(req, {
+      action: 'oversell.resolve',
+      entityType: 'oversell_incident',
+      entityId: id,
+      before: result.before,
+      after: result.incident
+    });
+    
+    res.json({
+      success: true,
+      message: 'Oversell incident resolved',
+      incident: result.incident
+    });
+  } catch (error) {
+    console.error('Error resolving oversell incident:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve oversell incident'
+    });
+  }
+});
+
+/**
+ * @api {get} /api/admin/audit Get the admin audit log
+ * @apiDescription Get a paginated, filterable list of recorded admin actions
+ * @apiName GetAuditLog
+ * @apiGroup Admin
+ * 
+ * @apiParam {Number} [page=1] Page number
+ * @apiParam {Number} [limit=25] Number of entries per page (max 200)
+ * @apiParam {String} [admin_id] Filter by the admin who acted
+ * @apiParam {String} [action] Filter by action (e.g. payout.process)
+ * @apiParam {String} [entity_type] Filter by entity type (e.g. payout_request)
+ * @apiParam {String} [entity_id] Filter by entity ID
+ * @apiParam {String} [from] Only entries at or after this ISO timestamp
+ * @apiParam {String} [to] Only entries at or before this ISO timestamp
+ * 
+ * @apiSuccess {Object[]} entries Array of audit log entries
+ * @apiSuccess {Number} count Total count of matching entries
+ */
+router.get('/audit', requirePermission('audit:view'), async (req, res) => {
+  try {
+    const result = await auditService.getAuditLog(req.query);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      entries: result.entries,
+      count: result.count
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
 // Export the router module
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,125 @@
+const express = require('express');
+const authService = require('../services/authService');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/auth/otp
+ * @desc Send a sign-in code to a phone number
+ * @access Public
+ */
+router.post('/otp', async (req, res) => {
+  try {
+    const { phone } = req.body;
+
+    const result = await authService.requestOtp(phone);
+
+    if (!result.success) {
+      return res.status(result.status || 400).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      expiresAt: result.expiresAt
+    });
+  } catch (error) {
+    console.error('Error in POST /auth/otp:', error);
+    res.status(500).json({ success: false, message: `Failed to send sign-in code: ${error.message}` });
+  }
+});
+
+/**
+ * @route POST /api/auth/verify
+ * @desc Verify a sign-in code and issue access/refresh tokens.
+ *       Unknown phone numbers are registered when name and birthday are included.
+ * @access Public
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { phone, code, name, birthday, zelle_id } = req.body;
+
+    const result = await authService.verifyOtp(phone, code, { name, birthday, zelle_id });
+
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message,
+        registrationRequired: result.registrationRequired || false
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      user: result.user,
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
+      tokenType: result.tokenType,
+      expiresIn: result.expiresIn
+    });
+  } catch (error) {
+    console.error('Error in POST /auth/verify:', error);
+    res.status(500).json({ success: false, message: `Failed to verify sign-in code: ${error.message}` });
+  }
+});
+
+/**
+ * @route POST /api/auth/refresh
+ * @desc Exchange a refresh token for a new token pair
+ * @access Public
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
+
+    const result = await authService.refreshSession(refreshToken);
+
+    if (!result.success) {
+      return res.status(result.status || 401).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      user: result.user,
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
+      tokenType: result.tokenType,
+      expiresIn: result.expiresIn
+    });
+  } catch (error) {
+    console.error('Error in POST /auth/refresh:', error);
+    res.status(500).json({ success: false, message: `Failed to refresh session: ${error.message}` });
+  }
+});
+
+/**
+ * @route POST /api/auth/logout
+ * @desc Revoke a refresh token
+ * @access Public
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
+
+    const result = await authService.revokeRefreshToken(refreshToken);
+
+    if (!result.success) {
+      return res.status(result.status || 500).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({ success: true, message: result.message });
+  } catch (error) {
+    console.error('Error in POST /auth/logout:', error);
+    res.status(500).json({ success: false, message: `Failed to sign out: ${error.message}` });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const { supabase } = require('../config/supabase');
+const ebayNotificationService = require('../services/ebayNotificationService');
+const ebayAccountDeletionService = require('../services/ebayAccountDeletionService');
 
 // Generate a verification token if one doesn't exist
 // The verification token has to be between 32 and 80 characters
@@ -59,16 +61,26 @@ router.get('/account-deletion', (req, res) => {
  */
 router.post('/account-deletion', async (req, res) => {
   try {
-    console.log('Received eBay account deletion notification:', JSON.stringify(req.body));
+    // The body carries the seller's eBay identity; only its ID is logged until the signature checks out
+    const notificationId = req.body && req.body.notification && req.body.notification.notificationId;
+    console.log(`Received eBay account deletion notification ${notificationId || '(no ID)'}`);
 
-    // First immediately acknowledge the notification with 200 OK
-    // As per eBay's documentation, we should always acknowledge first
+    // Verify the ECDSA signature over the exact bytes eBay sent before trusting anything in the body
+    const verification = await ebayNotificationService.verifyNotification(
+      req.rawBody,
+      req.headers['x-ebay-signature']
+    );
     
-    // Later, we should verify the signature using one of eBay's SDKs
-    // or following their manual validation process
-    // For now, we'll just log the signature for debugging
-    const ebaySignature = req.headers['x-ebay-signature'];
-    console.log('Received eBay signature:', ebaySignature);
+    if (!verification.verified) {
+      console.warn(`Rejected unverified eBay notification (kid: ${verification.kid || 'none'}): ${verification.reason}`);
+      
+      // A key lookup failure isn't the sender's fault; ask eBay to redeliver instead of dropping it.
+      // eBay treats 412 as a signature failure and doesn't retry.
+      return res.status(verification.retryable ? 503 : 412).json({
+        success: false,
+        message: verification.reason
+      });
+    }
     
     // Process the notification data according to eBay's format
     const notification = req.body && req.body.notification;
@@ -88,20 +100,27 @@ router.post('/account-deletion', async (req, res) => {
     const eiasToken = notification.data.eiasToken;
     const eventDate = notification.eventDate;
     
-    // Log the deletion request to the database
-    await supabase
+    // Queue the deletion; the processor purges linked users' eBay data and records the outcome
+    const { data: deletion, error: insertError } = await supabase
       .from('ebay_account_deletions')
       .insert({
         ebay_user_id: userId,
         ebay_username: username || null,
+        eias_token: eiasToken || null,
         deletion_date: eventDate || new Date().toISOString(),
-        request_body: req.body
-      });
-
-    // Here you would implement logic to:
-    // 1. Find any users associated with this eBay account
-    // 2. Delete their eBay-related data
-    // 3. Notify them if needed
+        request_body: req.body,
+        status: 'pending',
+        created_at: new Date().toISOString()
+      })
+      .select('id')
+      .single();
+    
+    if (insertError) throw insertError;
+    
+    // Start processing right away; the scheduled job picks it up if this doesn't finish
+    ebayAccountDeletionService.processDeletion(deletion.id).catch(error => {
+      console.error(`Error processing eBay account deletion ${deletion.id}:`, error);
+    });
 
     // Return success - always return 200 to acknowledge notification
     return res.status(200).json({
@@ -110,10 +129,10 @@ router.post('/account-deletion', async (req, res) => {
     });
   } catch (error) {
     console.error('Error processing eBay account deletion:', error);
-    // Still return 200 as eBay requires acknowledgment
-    return res.status(200).json({
-      success: true,
-      message: 'Notification received, but processing encountered an error'
+    // The notification wasn't stored, so let eBay redeliver it rather than acknowledging and losing it
+    return res.status(500).json({
+      success: false,
+      message: 'Notification could not be recorded'
     });
   }
 });
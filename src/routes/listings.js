@@ -1,28 +1,43 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
-const ebayService = require('../services/ebayService');
-const facebookService = require('../services/facebookService');
+const marketplaces = require('../services/marketplaces');
+const listingChannelService = require('../services/listingChannelService');
 const priceService = require('../services/priceService');
-const notificationService = require('../services/notificationService');
+const publishQueueService = require('../services/publishQueueService');
+const soldSyncService = require('../services/soldSyncService');
+const ebayTaxonomyService = require('../services/ebayTaxonomyService');
+const policyProfileService = require('../services/policyProfileService');
+const { auth } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Every listing route acts on behalf of the signed-in user
+router.use(auth);
+
+// item_specifics maps eBay aspect names to a value or a list of values
+const isValidItemSpecifics = (value) =>
+  value === null || (
+    typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(entry =>
+      typeof entry === 'string' || (Array.isArray(entry) && entry.every(item => typeof item === 'string')))
+  );
+
 /**
  * @route GET /api/listings
  * @desc Get all listings for a user
- * @access Public
+ * @access Private
  */
 router.get('/', async (req, res) => {
   try {
-    const { user_id, status, limit = 20, offset = 0 } = req.query;
+    const { user_id = req.user.id, status, limit = 20, offset = 0 } = req.query;
     
-    if (!user_id) {
-      return res.status(400).json({ success: false, message: 'User ID is required' });
+    if (user_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only access your own listings' });
     }
     
     let query = supabase
       .from('listings')
-      .select('*')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
       .eq('user_id', user_id)
       .order('created_at', { ascending: false });
     
@@ -49,10 +64,60 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/listings/ebay/categories
+ * @desc Suggest eBay categories for keywords (e.g. a listing's title)
+ * @access Private
+ */
+router.get('/ebay/categories', async (req, res) => {
+  try {
+    const { q, category } = req.query;
+    
+    const result = await ebayTaxonomyService.suggestCategories(q, category);
+    
+    if (!result.success) {
+      return res.status(result.status || 500).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      categories: result.categories,
+      source: result.source
+    });
+  } catch (error) {
+    console.error('Error in GET /listings/ebay/categories:', error);
+    res.status(500).json({ success: false, message: `Failed to suggest eBay categories: ${error.message}` });
+  }
+});
+
+/**
+ * @route GET /api/listings/ebay/categories/:categoryId/aspects
+ * @desc Get the item specifics an eBay category accepts, and which are required
+ * @access Private
+ */
+router.get('/ebay/categories/:categoryId/aspects', async (req, res) => {
+  try {
+    const result = await ebayTaxonomyService.getItemAspects(req.params.categoryId);
+    
+    if (!result.success) {
+      return res.status(result.status || 500).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      aspects: result.aspects,
+      source: result.source
+    });
+  } catch (error) {
+    console.error(`Error in GET /listings/ebay/categories/${req.params.categoryId}/aspects:`, error);
+    res.status(500).json({ success: false, message: `Failed to fetch eBay item specifics: ${error.message}` });
+  }
+});
+
 /**
  * @route GET /api/listings/:id
  * @desc Get a specific listing
- * @access Public
+ * @access Private
  */
 router.get('/:id', async (req, res) => {
   try {
@@ -60,9 +125,10 @@ router.get('/:id', async (req, res) => {
     
     const { data: listing, error } = await supabase
       .from('listings')
-      .select('*')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
       .eq('id', id)
-      .single();
+      .eq('user_id', req.user.id)
+      .maybeSingle();
     
     if (error) {
       console.error(`Error fetching listing ${id}:`, error);
@@ -98,12 +164,12 @@ router.get('/:id', async (req, res) => {
 /**
  * @route POST /api/listings
  * @desc Create a new listing
- * @access Public
+ * @access Private
  */
 router.post('/', async (req, res) => {
   try {
     const { 
-      user_id, 
+      user_id = req.user.id, 
       title, 
       description, 
       price, 
@@ -114,17 +180,29 @@ router.post('/', async (req, res) => {
       brand,
       size,
       color,
+      ebay_category_id,
+      item_specifics,
+      shipping_profile_id,
+      return_profile_id,
       min_price
     } = req.body;
     
+    if (user_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only create listings for your own account' });
+    }
+    
     // Validate required fields
-    if (!user_id || !title || !description || !price || !image_urls || !image_urls.length) {
+    if (!title || !description || !price || !image_urls || !image_urls.length) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Missing required fields: user_id, title, description, price, and image_urls are required' 
+        message: 'Missing required fields: title, description, price, and image_urls are required' 
       });
     }
     
+    if (item_specifics !== undefined && !isValidItemSpecifics(item_specifics)) {
+      return res.status(400).json({ success: false, message: 'item_specifics must map names to a string or a list of strings' });
+    }
+    
     // Validate user exists
     const { data: user, error: userError } = await supabase
       .from('users')
@@ -136,6 +214,11 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
     
+    const profileCheck = await policyProfileService.validateListingProfiles(user_id, { shipping_profile_id, return_profile_id });
+    if (!profileCheck.success) {
+      return res.status(profileCheck.status || 500).json({ success: false, message: profileCheck.message });
+    }
+    
     // Calculate minimum price (50% of original) if not provided
     const originalPrice = parseFloat(price);
     const calculatedMinPrice = min_price !== undefined ? parseFloat(min_price) : Math.round((originalPrice * 0.5) * 100) / 100;
@@ -157,6 +240,10 @@ router.post('/', async (req, res) => {
         brand: brand || null,
         size: size || null,
         color: color || null,
+        ebay_category_id: ebay_category_id || null,
+        item_specifics: item_specifics || null,
+        shipping_profile_id: shipping_profile_id || null,
+        return_profile_id: return_profile_id || null,
         platform: platform || 'both', // Default to both if not specified
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString(),
@@ -170,54 +257,48 @@ router.post('/', async (req, res) => {
       return res.status(500).json({ success: false, message: `Failed to create listing: ${error.message}` });
     }
     
-    // Always post to both platforms if platform is 'both' or not specified
-    const shouldPostToEbay = platform === 'both' || platform === 'eBay' || !platform;
-    const shouldPostToFacebook = platform === 'both' || platform === 'Facebook Marketplace' || !platform;
-    
-    // Create listing on eBay if applicable
-    let ebayResult = { success: false, message: 'eBay posting skipped' };
-    if (shouldPostToEbay) {
-      ebayResult = await ebayService.createEbayListing(listing, image_urls);
-    }
-    
-    // Create listing on Facebook Marketplace if applicable
-    let facebookResult = { success: false, message: 'Facebook posting skipped' };
-    if (shouldPostToFacebook) {
-      facebookResult = await facebookService.createFacebookListing(listing, image_urls);
-    }
-    
-    // Update our listing with marketplace IDs
-    const updates = {};
-    
-    if (ebayResult.success && ebayResult.ebayItemId) {
-      updates.ebay_listing_id = ebayResult.ebayItemId;
-    }
-    
-    if (facebookResult.success && facebookResult.fbListingId) {
-      updates.facebook_listing_id = facebookResult.fbListingId;
-    }
+    // Post to every marketplace if platform is 'both' or not specified
+    const targets = marketplaces.getMarketplacesForPlatform(platform);
+    const marketplaceResults = {};
+    const channels = [];
     
-    if (Object.keys(updates).length > 0) {
-      const { error: updateError } = await supabase
-        .from('listings')
-        .update(updates)
-        .eq('id', listing.id);
+    for (const marketplace of marketplaces.getMarketplaces()) {
+      if (!targets.includes(marketplace)) {
+        marketplaceResults[marketplace.name] = { success: false, message: `${marketplace.displayName} posting skipped` };
+        continue;
+      }
       
-      if (updateError) {
-        console.error('Error updating listing with marketplace IDs:', updateError);
+      // Claim the new channel first so the reconcile job can't publish it as missing at the same time
+      const claimed = await publishQueueService.claimForPublish(listing, marketplace);
+      if (!claimed) {
+        marketplaceResults[marketplace.name] = { success: false, message: `${marketplace.displayName} posting is already in progress` };
+        continue;
+      }
+      
+      // Failed publishes stay on the channel with their error and are retried by the publish job
+      const { result, channel } = await publishQueueService.publishChannel(listing, marketplace);
+      marketplaceResults[marketplace.name] = result;
+      if (channel) {
+        channels.push(channel);
       }
     }
     
+    // Mirror marketplace IDs onto the response the way the legacy columns now hold them
+    const legacyFields = {};
+    channels.filter(channel => channel.status === 'active').forEach(channel => {
+      const marketplace = marketplaces.getMarketplace(channel.channel);
+      legacyFields[marketplace.listingIdField] = channel.external_id;
+      if (marketplace.listingUrlField) legacyFields[marketplace.listingUrlField] = channel.external_url;
+    });
+    
     res.status(201).json({
       success: true,
       listing: {
         ...listing,
-        ...updates
+        ...legacyFields,
+        channels
       },
-      marketplace: {
-        ebay: ebayResult,
-        facebook: facebookResult
-      }
+      marketplace: marketplaceResults
     });
   } catch (error) {
     console.error('Error in POST /listings:', error);
@@ -228,24 +309,40 @@ router.post('/', async (req, res) => {
 /**
  * @route PUT /api/listings/:id
  * @desc Update a listing
- * @access Public
+ * @access Private
  */
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const { title, description, price, status, min_price } = req.body;
+    // Listing details used when the listing is published; condition, category and brand
+    // changes are also sent to marketplaces that support them
+    const publishFields = [
+      'condition', 'category', 'brand', 'size', 'color', 'ebay_category_id', 'item_specifics',
+      'shipping_profile_id', 'return_profile_id'
+    ];
+    
+    if (req.body.item_specifics !== undefined && !isValidItemSpecifics(req.body.item_specifics)) {
+      return res.status(400).json({ success: false, message: 'item_specifics must map names to a string or a list of strings' });
+    }
     
     // Fetch the current listing
     const { data: existingListing, error: fetchError } = await supabase
       .from('listings')
-      .select('*')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
       .eq('id', id)
+      .eq('user_id', req.user.id)
       .single();
     
     if (fetchError || !existingListing) {
       return res.status(404).json({ success: false, message: 'Listing not found' });
     }
     
+    const profileCheck = await policyProfileService.validateListingProfiles(req.user.id, req.body);
+    if (!profileCheck.success) {
+      return res.status(profileCheck.status || 500).json({ success: false, message: profileCheck.message });
+    }
+    
     // Prepare updates
     const updates = {};
     
@@ -253,6 +350,9 @@ router.put('/:id', async (req, res) => {
     if (description !== undefined) updates.description = description;
     if (status !== undefined) updates.status = status;
     if (min_price !== undefined) updates.min_price = min_price;
+    publishFields.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field] || null;
+    });
     
     // Handle price updates separately to track history
     if (price !== undefined && price !== existingListing.price) {
@@ -283,31 +383,22 @@ router.put('/:id', async (req, res) => {
       }
       
       // Update on marketplaces
-      if (existingListing.ebay_listing_id) {
-        const ebayUpdateData = {};
-        if (updates.title) ebayUpdateData.Title = updates.title;
-        if (updates.description) ebayUpdateData.Description = updates.description;
-        
-        if (Object.keys(ebayUpdateData).length > 0) {
-          await ebayService.updateEbayListing(existingListing.ebay_listing_id, ebayUpdateData);
-        }
-        
-        if (updates.status === 'ended') {
-          await ebayService.endEbayListing(existingListing.ebay_listing_id);
-        }
-      }
+      const marketplaceChanges = {};
+      if (updates.title) marketplaceChanges.title = updates.title;
+      if (updates.description) marketplaceChanges.description = updates.description;
+      ['condition', 'category', 'brand'].forEach(field => {
+        if (updates[field] !== undefined) marketplaceChanges[field] = updates[field];
+      });
       
-      if (existingListing.facebook_listing_id) {
-        const fbUpdateData = {};
-        if (updates.title) fbUpdateData.name = updates.title;
-        if (updates.description) fbUpdateData.description = updates.description;
-        
-        if (Object.keys(fbUpdateData).length > 0) {
-          await facebookService.updateFacebookListing(existingListing.facebook_listing_id, fbUpdateData);
+      for (const link of marketplaces.getLinkedMarketplaces(existingListing)) {
+        if (Object.keys(marketplaceChanges).length > 0) {
+          const updateResult = await link.marketplace.updateListing(link.externalId, marketplaceChanges, link.channel);
+          await listingChannelService.recordSyncResult(link, id, updateResult);
         }
         
         if (updates.status === 'ended') {
-          await facebookService.endFacebookListing(existingListing.facebook_listing_id);
+          const endResult = await link.marketplace.endListing(link.externalId, link.channel);
+          await listingChannelService.recordSyncResult(link, id, endResult, 'ended');
         }
       }
     }
@@ -315,7 +406,7 @@ router.put('/:id', async (req, res) => {
     // Get the updated listing
     const { data: updatedListing, error: refetchError } = await supabase
       .from('listings')
-      .select('*')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
       .eq('id', id)
       .single();
     
@@ -339,7 +430,7 @@ router.put('/:id', async (req, res) => {
 /**
  * @route DELETE /api/listings/:id
  * @desc Delete a listing
- * @access Public
+ * @access Private
  */
 router.delete('/:id', async (req, res) => {
   try {
@@ -348,21 +439,18 @@ router.delete('/:id', async (req, res) => {
     // Fetch the listing first
     const { data: listing, error: fetchError } = await supabase
       .from('listings')
-      .select('*')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
       .eq('id', id)
+      .eq('user_id', req.user.id)
       .single();
     
     if (fetchError || !listing) {
       return res.status(404).json({ success: false, message: 'Listing not found' });
     }
     
-    // End listings on marketplaces
-    if (listing.ebay_listing_id) {
-      await ebayService.endEbayListing(listing.ebay_listing_id);
-    }
-    
-    if (listing.facebook_listing_id) {
-      await facebookService.endFacebookListing(listing.facebook_listing_id);
+    // End listings on marketplaces (channels are removed with the listing)
+    for (const { marketplace, externalId, channel } of marketplaces.getLinkedMarketplaces(listing)) {
+      await marketplace.endListing(externalId, channel);
     }
     
     // Delete the listing
@@ -391,7 +479,7 @@ router.delete('/:id', async (req, res) => {
 /**
  * @route GET /api/listings/:id/check-sold
  * @desc Check if a listing has been sold
- * @access Public
+ * @access Private
  */
 router.get('/:id/check-sold', async (req, res) => {
   try {
@@ -400,8 +488,9 @@ router.get('/:id/check-sold', async (req, res) => {
     // Fetch the listing
     const { data: listing, error: fetchError } = await supabase
       .from('listings')
-      .select('*')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
       .eq('id', id)
+      .eq('user_id', req.user.id)
       .single();
     
     if (fetchError || !listing) {
@@ -418,85 +507,121 @@ router.get('/:id/check-sold', async (req, res) => {
       });
     }
     
-    let ebayResult = { success: false, sold: false };
-    let facebookResult = { success: false, sold: false };
-    let soldPlatform = null;
+    const statusResults = {};
+    marketplaces.getMarketplaces().forEach(marketplace => {
+      statusResults[marketplace.name] = { success: false, sold: false };
+    });
+    
+    // Check each linked marketplace until one reports a sale; a sale marks the listing sold,
+    // records the profit and notifies the seller, the same as the background sync
+    const check = await soldSyncService.checkListingSold(listing);
+    Object.assign(statusResults, check.results);
     
-    // Check eBay
-    if (listing.ebay_listing_id) {
-      ebayResult = await ebayService.checkEbayListingSold(listing.ebay_listing_id);
-      if (ebayResult.success && ebayResult.sold) {
-        soldPlatform = 'ebay';
-      }
+    const sold = check.sold;
+    const soldPlatform = sold ? check.marketplace.name : null;
+    
+    res.status(200).json({
+      success: true,
+      sold,
+      platform: soldPlatform,
+      ...statusResults
+    });
+  } catch (error) {
+    console.error(`Error in GET /listings/${req.params.id}/check-sold:`, error);
+    res.status(500).json({ success: false, message: `Failed to check if listing is sold: ${error.message}` });
+  }
+});
+
+/**
+ * @route PUT /api/listings/:id/channels/:channel
+ * @desc Set or clear the price a listing uses on one marketplace
+ * @access Private
+ */
+router.put('/:id/channels/:channel', async (req, res) => {
+  try {
+    const { id, channel } = req.params;
+    const { price_override } = req.body;
+    
+    const priceOverride = price_override === null || price_override === undefined ? null : parseFloat(price_override);
+    
+    if (priceOverride !== null && (isNaN(priceOverride) || priceOverride <= 0)) {
+      return res.status(400).json({ success: false, message: 'price_override must be a positive number or null' });
     }
     
-    // Check Facebook
-    if (listing.facebook_listing_id && !soldPlatform) {
-      facebookResult = await facebookService.checkFacebookListingSold(listing.facebook_listing_id);
-      if (facebookResult.success && facebookResult.sold) {
-        soldPlatform = 'facebook';
-      }
+    const { data: listing, error: fetchError } = await supabase
+      .from('listings')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+    
+    if (fetchError || !listing) {
+      return res.status(404).json({ success: false, message: 'Listing not found' });
     }
     
-    const sold = soldPlatform !== null;
+    const result = await listingChannelService.setPriceOverride(listing, channel, priceOverride);
     
-    // If sold, update the listing and create a profit record
-    if (sold) {
-      // Update listing status
-      const { error: updateError } = await supabase
-        .from('listings')
-        .update({
-          status: 'sold',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', id);
-      
-      if (updateError) {
-        console.error(`Error updating listing ${id} status to sold:`, updateError);
-      }
-      
-      // Create profit record
-      const { error: profitError } = await supabase
-        .from('profits')
-        .insert({
-          listing_id: id,
-          user_id: listing.user_id,
-          amount: parseFloat(listing.price),
-          platform: soldPlatform,
-          status: 'pending',
-          created_at: new Date().toISOString()
-        });
-      
-      if (profitError) {
-        console.error(`Error creating profit record for listing ${id}:`, profitError);
-      }
-      
-      // Send notification
-      await notificationService.createNotification({
-        user_id: listing.user_id,
-        listing_id: id,
-        type: 'item_sold',
-        message: `Your listing "${listing.title}" has been sold on ${soldPlatform === 'ebay' ? 'eBay' : 'Facebook Marketplace'} for $${listing.price}. Payment will be processed within 24-48 hours.`
-      });
+    if (!result.success) {
+      return res.status(result.status || 500).json({ success: false, message: result.message });
     }
     
     res.status(200).json({
       success: true,
-      sold,
-      platform: soldPlatform,
-      ebay: ebayResult,
-      facebook: facebookResult
+      channel: result.channel,
+      marketplace: result.marketplace
     });
   } catch (error) {
-    console.error(`Error in GET /listings/${req.params.id}/check-sold:`, error);
-    res.status(500).json({ success: false, message: `Failed to check if listing is sold: ${error.message}` });
+    console.error(`Error in PUT /listings/${req.params.id}/channels/${req.params.channel}:`, error);
+    res.status(500).json({ success: false, message: `Failed to update channel: ${error.message}` });
+  }
+});
+
+/**
+ * @route POST /api/listings/:id/republish
+ * @desc Publish a listing again on marketplaces where it is missing or failed
+ * @access Private
+ */
+router.post('/:id/republish', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { channels } = req.body || {};
+    
+    if (channels !== undefined && (!Array.isArray(channels) || channels.some(channel => typeof channel !== 'string'))) {
+      return res.status(400).json({ success: false, message: 'channels must be an array of marketplace names' });
+    }
+    
+    const { data: listing, error: fetchError } = await supabase
+      .from('listings')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+    
+    if (fetchError || !listing) {
+      return res.status(404).json({ success: false, message: 'Listing not found' });
+    }
+    
+    const result = await publishQueueService.republishListing(listing, channels);
+    
+    if (!result.success) {
+      return res.status(result.status || 500).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      channels: result.channels,
+      marketplace: result.marketplace
+    });
+  } catch (error) {
+    console.error(`Error in POST /listings/${req.params.id}/republish:`, error);
+    res.status(500).json({ success: false, message: `Failed to republish listing: ${error.message}` });
   }
 });
 
 /**
  * @route POST /api/listings/:id/reduce-price
  * @desc Manually trigger a price reduction
- * @access Public
+ * @access Private
  */
 router.post('/:id/reduce-price', async (req, res) => {
   try {
@@ -505,8 +630,9 @@ router.post('/:id/reduce-price', async (req, res) => {
     // Fetch the listing
     const { data: listing, error: fetchError } = await supabase
       .from('listings')
-      .select('*')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
       .eq('id', id)
+      .eq('user_id', req.user.id)
       .single();
     
     if (fetchError || !listing) {
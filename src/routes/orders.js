@@ -0,0 +1,167 @@
+const express = require('express');
+const orderService = require('../services/orderService');
+const shipmentService = require('../services/shipmentService');
+const labelService = require('../services/labelService');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/orders
+ * @desc Get the seller's orders, newest first (filter by status, channel or listing_id)
+ * @access Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, channel, listing_id, page, limit } = req.query;
+    
+    const result = await orderService.getOrders({
+      user_id: req.user.id,
+      status,
+      channel,
+      listing_id,
+      page,
+      limit
+    });
+    
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      orders: result.orders,
+      count: result.count
+    });
+  } catch (error) {
+    console.error('Error in GET /orders:', error);
+    res.status(500).json({ success: false, message: `Failed to fetch orders: ${error.message}` });
+  }
+});
+
+/**
+ * @route GET /api/orders/:id
+ * @desc Get one of the seller's orders
+ * @access Private
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const result = await orderService.getOrder(req.params.id, req.user.id);
+    
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      order: result.order
+    });
+  } catch (error) {
+    console.error(`Error in GET /orders/${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: `Failed to fetch order: ${error.message}` });
+  }
+});
+
+/**
+ * @route POST /api/orders/:id/ship
+ * @desc Mark one of the seller's orders shipped with its carrier and tracking number, and send the tracking to the marketplace
+ * @access Private
+ */
+router.post('/:id/ship', auth, async (req, res) => {
+  try {
+    const { carrier, tracking_number } = req.body || {};
+    
+    const result = await shipmentService.shipOrder(req.params.id, req.user.id, {
+      carrier,
+      trackingNumber: tracking_number
+    });
+    
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      order: result.order,
+      marketplace: result.marketplace
+    });
+  } catch (error) {
+    console.error(`Error in POST /orders/${req.params.id}/ship:`, error);
+    res.status(500).json({ success: false, message: `Failed to ship order: ${error.message}` });
+  }
+});
+
+/**
+ * @route POST /api/orders/:id/label/rates
+ * @desc Quote postage for an order (weight_oz, length_in, width_in, height_in default to the listing's shipping profile; from_address is required)
+ * @access Private
+ */
+router.post('/:id/label/rates', auth, async (req, res) => {
+  try {
+    const result = await labelService.quoteLabelRates(req.params.id, req.user.id, req.body || {});
+    
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      rates: result.rates
+    });
+  } catch (error) {
+    console.error(`Error in POST /orders/${req.params.id}/label/rates:`, error);
+    res.status(500).json({ success: false, message: `Failed to quote rates: ${error.message}` });
+  }
+});
+
+/**
+ * @route POST /api/orders/:id/label
+ * @desc Buy a shipping label for an order (the cheapest rate unless rate_id picks one), charge it to the sale and mark the order shipped
+ * @access Private
+ */
+router.post('/:id/label', auth, async (req, res) => {
+  try {
+    const result = await labelService.purchaseLabel(req.params.id, req.user.id, req.body || {});
+    
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      order: result.order,
+      label: result.label,
+      marketplace: result.marketplace,
+      message: result.message
+    });
+  } catch (error) {
+    console.error(`Error in POST /orders/${req.params.id}/label:`, error);
+    res.status(500).json({ success: false, message: `Failed to buy label: ${error.message}` });
+  }
+});
+
+/**
+ * @route GET /api/orders/:id/label
+ * @desc Get a temporary link to an order's label PDF
+ * @access Private
+ */
+router.get('/:id/label', auth, async (req, res) => {
+  try {
+    const result = await labelService.getLabelUrl(req.params.id, req.user.id);
+    
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      url: result.url,
+      expires_in: result.expiresIn
+    });
+  } catch (error) {
+    console.error(`Error in GET /orders/${req.params.id}/label:`, error);
+    res.status(500).json({ success: false, message: `Failed to fetch label: ${error.message}` });
+  }
+});
+
+module.exports = router;
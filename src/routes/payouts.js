@@ -1,14 +1,17 @@
 const express = require('express');
+const { supabase } = require('../config/supabase');
 const payoutService = require('../services/payoutService');
+const auditService = require('../services/auditService');
+const { auth, requireSelf, adminAuth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 /**
  * @route GET /api/payouts/available/:userId
  * @desc Get available payout amount for a user
- * @access Public
+ * @access Private
  */
-router.get('/available/:userId', async (req, res) => {
+router.get('/available/:userId', auth, requireSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -31,22 +34,32 @@ router.get('/available/:userId', async (req, res) => {
 /**
  * @route POST /api/payouts
  * @desc Create a new payout request
- * @access Public
+ * @access Private
  */
-router.post('/', async (req, res) => {
+router.post('/', auth, async (req, res) => {
   try {
-    const { user_id, amount, phone } = req.body;
+    const { user_id = req.user.id, amount, phone } = req.body;
     
-    if (!user_id || !amount || !phone) {
+    if (user_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only request payouts from your own balance' });
+    }
+    
+    if (!amount || !phone) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Missing required fields: user_id, amount, phone' 
+        message: 'Missing required fields: amount, phone' 
       });
     }
     
+    const payoutAmount = parseFloat(amount);
+    
+    if (!Number.isFinite(payoutAmount) || payoutAmount <= 0) {
+      return res.status(400).json({ success: false, message: 'Amount must be a positive number' });
+    }
+    
     const result = await payoutService.createPayoutRequest({
       user_id,
-      amount: parseFloat(amount),
+      amount: payoutAmount,
       phone
     });
     
@@ -67,9 +80,9 @@ router.post('/', async (req, res) => {
 /**
  * @route GET /api/payouts/user/:userId
  * @desc Get payout requests for a user
- * @access Public
+ * @access Private
  */
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', auth, requireSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -89,12 +102,37 @@ router.get('/user/:userId', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/payouts/adjustments/:userId
+ * @desc Get changes made to a user's balance outside of sales and payouts (e.g. refunds taken back)
+ * @access Private
+ */
+router.get('/adjustments/:userId', auth, requireSelf('userId'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const result = await payoutService.getUserAdjustments(userId);
+    
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      adjustments: result.adjustments
+    });
+  } catch (error) {
+    console.error(`Error in GET /payouts/adjustments/${req.params.userId}:`, error);
+    res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+  }
+});
+
 /**
  * @route PUT /api/payouts/:payoutId
  * @desc Update payout request status (for admin use)
- * @access Public (would typically be restricted to admins in production)
+ * @access Admin
  */
-router.put('/:payoutId', async (req, res) => {
+router.put('/:payoutId', adminAuth, requirePermission('payouts:process'), async (req, res) => {
   try {
     const { payoutId } = req.params;
     const { status, notes } = req.body;
@@ -106,12 +144,26 @@ router.put('/:payoutId', async (req, res) => {
       });
     }
     
+    const { data: existingPayout } = await supabase
+      .from('payout_requests')
+      .select('*')
+      .eq('id', payoutId)
+      .maybeSingle();
+    
     const result = await payoutService.updatePayoutStatus(payoutId, status, notes);
     
     if (!result.success) {
-      return res.status(400).json({ success: false, message: result.message });
+      return res.status(result.status || 400).json({ success: false, message: result.message });
     }
     
+    await auditService.recordAdminAction(req, {
+      action: status === 'completed' ? 'payout.process' : 'payout.reject',
+      entityType: 'payout_request',
+      entityId: payoutId,
+      before: existingPayout,
+      after: result.payout
+    });
+    
     res.status(200).json({
       success: true,
       payout: result.payout
@@ -1,19 +1,24 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
+const auditService = require('../services/auditService');
+const feeService = require('../services/feeService');
+const ledgerService = require('../services/ledgerService');
+const shipmentService = require('../services/shipmentService');
+const { auth, adminAuth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 /**
  * @route GET /api/profits
  * @desc Get all profits for a user
- * @access Public
+ * @access Private
  */
-router.get('/', async (req, res) => {
+router.get('/', auth, async (req, res) => {
   try {
-    const { user_id, status, limit = 20, offset = 0 } = req.query;
+    const { user_id = req.user.id, status, limit = 20, offset = 0 } = req.query;
     
-    if (!user_id) {
-      return res.status(400).json({ success: false, message: 'User ID is required' });
+    if (user_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only access your own profits' });
     }
     
     let query = supabase
@@ -45,10 +50,21 @@ router.get('/', async (req, res) => {
     // Calculate total profit
     const totalProfit = data.reduce((sum, profit) => sum + parseFloat(profit.amount), 0);
     
+    // Each sale's gross, what came off it and what the seller keeps
+    const profits = data.map(profit => ({ ...profit, net: feeService.netAmount(profit) }));
+    const sumOf = (column) => Math.round(data.reduce((sum, profit) => sum + (Number(profit[column]) || 0), 0) * 100) / 100;
+    
     res.status(200).json({
       success: true,
-      profits: data,
+      profits,
       total: totalProfit,
+      totals: {
+        gross: sumOf('amount'),
+        marketplace_fees: sumOf('fees'),
+        commission: sumOf('commission'),
+        shipping: sumOf('shipping_cost'),
+        net: Math.round(profits.reduce((sum, profit) => sum + profit.net, 0) * 100) / 100
+      },
       count: data.length
     });
   } catch (error) {
@@ -60,75 +76,45 @@ router.get('/', async (req, res) => {
 /**
  * @route GET /api/profits/summary
  * @desc Get a summary of profits for a user
- * @access Public
+ * @access Private
  */
-router.get('/summary', async (req, res) => {
+router.get('/summary', auth, async (req, res) => {
   try {
-    const { user_id } = req.query;
+    const { user_id = req.user.id } = req.query;
     
-    if (!user_id) {
-      return res.status(400).json({ success: false, message: 'User ID is required' });
+    if (user_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only access your own profits' });
     }
     
-    // Get all profits for the user
-    const { data: profits, error } = await supabase
-      .from('profits')
-      .select('amount, status, platform, created_at')
-      .eq('user_id', user_id);
+    // Totals come from the ledger, net of marketplace fees, commission and shipping
+    const result = await ledgerService.getUserEarnings(user_id);
     
-    if (error) {
-      console.error('Error fetching profits for summary:', error);
-      return res.status(500).json({ success: false, message: `Failed to fetch profits: ${error.message}` });
+    if (!result.success) {
+      console.error('Error fetching ledger for summary:', result.message);
+      return res.status(500).json({ success: false, message: `Failed to fetch profits: ${result.message}` });
     }
     
-    // Calculate summary
-    const summary = {
-      totalProfit: 0,
-      pendingProfit: 0,
-      completedProfit: 0,
-      byPlatform: {
-        ebay: 0,
-        facebook: 0
-      },
-      byMonth: {}
-    };
-    
-    profits.forEach(profit => {
-      const amount = parseFloat(profit.amount);
-      summary.totalProfit += amount;
-      
-      if (profit.status === 'pending') {
-        summary.pendingProfit += amount;
-      } else {
-        summary.completedProfit += amount;
-      }
-      
-      if (profit.platform === 'ebay') {
-        summary.byPlatform.ebay += amount;
-      } else if (profit.platform === 'facebook') {
-        summary.byPlatform.facebook += amount;
-      }
-      
-      // Group by month
-      const date = new Date(profit.created_at);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      if (!summary.byMonth[monthKey]) {
-        summary.byMonth[monthKey] = 0;
-      }
-      summary.byMonth[monthKey] += amount;
-    });
+    const { earnings } = result;
     
     // Convert byMonth to array for easier frontend processing
-    const byMonthArray = Object.entries(summary.byMonth)
+    const byMonthArray = Object.entries(earnings.byMonth)
       .map(([month, amount]) => ({ month, amount }))
       .sort((a, b) => a.month.localeCompare(b.month));
     
     res.status(200).json({
       success: true,
       summary: {
-        ...summary,
+        totalProfit: earnings.total,
+        pendingProfit: earnings.pending,
+        completedProfit: earnings.completed,
+        availableBalance: earnings.available,
+        grossSales: earnings.gross,
+        marketplaceFees: earnings.marketplaceFees,
+        commission: earnings.commission,
+        shippingCosts: earnings.shipping,
+        byPlatform: earnings.byPlatform,
         byMonth: byMonthArray,
-        totalCount: profits.length
+        totalCount: earnings.saleCount
       }
     });
   } catch (error) {
@@ -140,9 +126,9 @@ router.get('/summary', async (req, res) => {
 /**
  * @route GET /api/profits/:id
  * @desc Get a specific profit
- * @access Public
+ * @access Private
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', auth, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -161,7 +147,8 @@ router.get('/:id', async (req, res) => {
         )
       `)
       .eq('id', id)
-      .single();
+      .eq('user_id', req.user.id)
+      .maybeSingle();
     
     if (error) {
       console.error(`Error fetching profit ${id}:`, error);
@@ -174,7 +161,7 @@ router.get('/:id', async (req, res) => {
     
     res.status(200).json({
       success: true,
-      profit
+      profit: { ...profit, net: feeService.netAmount(profit) }
     });
   } catch (error) {
     console.error(`Error in GET /profits/${req.params.id}:`, error);
@@ -185,9 +172,9 @@ router.get('/:id', async (req, res) => {
 /**
  * @route PUT /api/profits/:id
  * @desc Update a profit's status (e.g., mark as completed)
- * @access Public
+ * @access Admin
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', adminAuth, requirePermission('profits:edit'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -207,6 +194,19 @@ router.put('/:id', async (req, res) => {
       updates.completed_at = req.body.completed_at;
     }
     
+    const { data: existingProfit } = await supabase
+      .from('profits')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (status === 'completed' && existingProfit) {
+      const check = await shipmentService.canCompleteProfit(existingProfit);
+      if (!check.allowed) {
+        return res.status(400).json({ success: false, message: check.message });
+      }
+    }
+    
     const { data: updatedProfit, error } = await supabase
       .from('profits')
       .update(updates)
@@ -219,6 +219,17 @@ router.put('/:id', async (req, res) => {
       return res.status(500).json({ success: false, message: `Failed to update profit: ${error.message}` });
     }
     
+    // Completing a sale releases its proceeds for payout; moving it back to pending holds them again
+    await ledgerService.syncProfit(updatedProfit);
+    
+    await auditService.recordAdminAction(req, {
+      action: 'profit.status_change',
+      entityType: 'profit',
+      entityId: id,
+      before: existingProfit,
+      after: updatedProfit
+    });
+    
     res.status(200).json({
       success: true,
       profit: updatedProfit
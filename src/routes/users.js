@@ -1,50 +1,231 @@
 const express = require('express');
 const userUtils = require('../utils/userUtils');
 const notificationService = require('../services/notificationService');
+const ebayAccountService = require('../services/ebayAccountService');
+const policyProfileService = require('../services/policyProfileService');
+const ebayConfig = require('../config/ebay');
 const openai = require('../config/openai');
 const { supabase } = require('../config/supabase');
 const crypto = require('crypto');
-const { auth } = require('../middleware/auth');
+const { auth, requireSelf } = require('../middleware/auth');
 
 const router = express.Router();
 
 /**
- * @route POST /api/users
- * @desc Create a new user
- * @access Public
+ * @route GET /api/users/ebay/callback
+ * @desc eBay redirects here after a seller grants (or declines) consent
+ * @access Public (the signed state identifies the user)
  */
-router.post('/', async (req, res) => {
+router.get('/ebay/callback', async (req, res) => {
+  // Send the seller back to the app when a return URL is configured, otherwise show a plain message
+  const finish = (status, message) => {
+    if (ebayConfig.connectReturnUrl) {
+      const query = new URLSearchParams({ ebay: status, ...(message && { message }) });
+      return res.redirect(`${ebayConfig.connectReturnUrl}?${query.toString()}`);
+    }
+    
+    res.status(status === 'connected' ? 200 : 400).type('text/plain').send(
+      status === 'connected'
+        ? 'Your eBay account is connected. You can return to SnapList.'
+        : `Your eBay account could not be connected: ${message}`
+    );
+  };
+  
   try {
-    const { name, birthday, phone, zelle_id } = req.body;
+    const { code, state, error_description } = req.query;
     
-    // Create the user
-    const result = await userUtils.createUser({
-      name,
-      birthday,
-      phone,
-      zelle_id
+    if (!code) {
+      return finish('error', error_description || 'eBay consent was declined');
+    }
+    
+    const result = await ebayAccountService.completeConnection(code, state);
+    
+    if (!result.success) {
+      return finish('error', result.message);
+    }
+    
+    finish('connected');
+  } catch (error) {
+    console.error('Error in GET /users/ebay/callback:', error);
+    finish('error', 'Something went wrong, please try again');
+  }
+});
+
+/**
+ * @route GET /api/users/:id/ebay
+ * @desc Get whether the user has connected an eBay account
+ * @access Private
+ */
+router.get('/:id/ebay', auth, requireSelf('id'), async (req, res) => {
+  try {
+    const result = await ebayAccountService.getConnection(req.params.id);
+    
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      ebay: result.ebay
     });
+  } catch (error) {
+    console.error(`Error in GET /users/${req.params.id}/ebay:`, error);
+    res.status(500).json({ success: false, message: `Failed to fetch eBay account: ${error.message}` });
+  }
+});
+
+/**
+ * @route GET /api/users/:id/ebay/connect
+ * @desc Get the eBay consent URL to open in a browser
+ * @access Private
+ */
+router.get('/:id/ebay/connect', auth, requireSelf('id'), async (req, res) => {
+  try {
+    const result = await ebayAccountService.getConnectUrl(req.params.id);
     
     if (!result.success) {
-      return res.status(400).json({ success: false, message: result.message });
+      return res.status(result.status || 500).json({ success: false, message: result.message });
     }
     
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      user: result.user
+      url: result.url
+    });
+  } catch (error) {
+    console.error(`Error in GET /users/${req.params.id}/ebay/connect:`, error);
+    res.status(500).json({ success: false, message: `Failed to start eBay connection: ${error.message}` });
+  }
+});
+
+/**
+ * @route DELETE /api/users/:id/ebay
+ * @desc Disconnect the user's eBay account
+ * @access Private
+ */
+router.delete('/:id/ebay', auth, requireSelf('id'), async (req, res) => {
+  try {
+    const result = await ebayAccountService.disconnect(req.params.id);
+    
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.message });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'eBay account disconnected'
     });
   } catch (error) {
-    console.error('Error in POST /users:', error);
-    res.status(500).json({ success: false, message: `Failed to create user: ${error.message}` });
+    console.error(`Error in DELETE /users/${req.params.id}/ebay:`, error);
+    res.status(500).json({ success: false, message: `Failed to disconnect eBay account: ${error.message}` });
   }
 });
 
+// Shipping and return profiles share their endpoints; the path selects the kind
+const PROFILE_ROUTES = [
+  { path: 'shipping-profiles', kind: 'shipping' },
+  { path: 'return-profiles', kind: 'returns' }
+];
+
+PROFILE_ROUTES.forEach(({ path, kind }) => {
+  /**
+   * @route GET /api/users/:id/shipping-profiles, GET /api/users/:id/return-profiles
+   * @desc List the user's shipping or return profiles
+   * @access Private
+   */
+  router.get(`/:id/${path}`, auth, requireSelf('id'), async (req, res) => {
+    try {
+      const result = await policyProfileService.listProfiles(req.params.id, kind);
+      
+      if (!result.success) {
+        return res.status(result.status || 500).json({ success: false, message: result.message });
+      }
+      
+      res.status(200).json({
+        success: true,
+        profiles: result.profiles
+      });
+    } catch (error) {
+      console.error(`Error in GET /users/${req.params.id}/${path}:`, error);
+      res.status(500).json({ success: false, message: `Failed to fetch profiles: ${error.message}` });
+    }
+  });
+  
+  /**
+   * @route POST /api/users/:id/shipping-profiles, POST /api/users/:id/return-profiles
+   * @desc Create a shipping or return profile
+   * @access Private
+   */
+  router.post(`/:id/${path}`, auth, requireSelf('id'), async (req, res) => {
+    try {
+      const result = await policyProfileService.createProfile(req.params.id, kind, req.body);
+      
+      if (!result.success) {
+        return res.status(result.status || 500).json({ success: false, message: result.message });
+      }
+      
+      res.status(201).json({
+        success: true,
+        profile: result.profile
+      });
+    } catch (error) {
+      console.error(`Error in POST /users/${req.params.id}/${path}:`, error);
+      res.status(500).json({ success: false, message: `Failed to create profile: ${error.message}` });
+    }
+  });
+  
+  /**
+   * @route PUT /api/users/:id/shipping-profiles/:profileId, PUT /api/users/:id/return-profiles/:profileId
+   * @desc Update a shipping or return profile
+   * @access Private
+   */
+  router.put(`/:id/${path}/:profileId`, auth, requireSelf('id'), async (req, res) => {
+    try {
+      const result = await policyProfileService.updateProfile(req.params.id, kind, req.params.profileId, req.body);
+      
+      if (!result.success) {
+        return res.status(result.status || 500).json({ success: false, message: result.message });
+      }
+      
+      res.status(200).json({
+        success: true,
+        profile: result.profile
+      });
+    } catch (error) {
+      console.error(`Error in PUT /users/${req.params.id}/${path}/${req.params.profileId}:`, error);
+      res.status(500).json({ success: false, message: `Failed to update profile: ${error.message}` });
+    }
+  });
+  
+  /**
+   * @route DELETE /api/users/:id/shipping-profiles/:profileId, DELETE /api/users/:id/return-profiles/:profileId
+   * @desc Delete a shipping or return profile; listings using it fall back to the default
+   * @access Private
+   */
+  router.delete(`/:id/${path}/:profileId`, auth, requireSelf('id'), async (req, res) => {
+    try {
+      const result = await policyProfileService.deleteProfile(req.params.id, kind, req.params.profileId);
+      
+      if (!result.success) {
+        return res.status(result.status || 500).json({ success: false, message: result.message });
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: 'Profile deleted'
+      });
+    } catch (error) {
+      console.error(`Error in DELETE /users/${req.params.id}/${path}/${req.params.profileId}:`, error);
+      res.status(500).json({ success: false, message: `Failed to delete profile: ${error.message}` });
+    }
+  });
+});
+
 /**
  * @route GET /api/users/:id
  * @desc Get a user by ID
- * @access Public
+ * @access Private
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', auth, requireSelf('id'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -67,16 +248,16 @@ router.get('/:id', async (req, res) => {
 /**
  * @route PUT /api/users/:id
  * @desc Update a user
- * @access Public
+ * @access Private
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', auth, requireSelf('id'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, phone, zelle_id } = req.body;
+    const { name, zelle_id } = req.body || {};
     
+    // The phone number is the sign-in identity, so it can't be changed here
     const result = await userUtils.updateUser(id, {
       name,
-      phone,
       zelle_id
     });
     
@@ -97,9 +278,9 @@ router.put('/:id', async (req, res) => {
 /**
  * @route GET /api/users/:id/stats
  * @desc Get user statistics
- * @access Public
+ * @access Private
  */
-router.get('/:id/stats', async (req, res) => {
+router.get('/:id/stats', auth, requireSelf('id'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -122,9 +303,9 @@ router.get('/:id/stats', async (req, res) => {
 /**
  * @route GET /api/users/:id/notifications
  * @desc Get user notifications
- * @access Public
+ * @access Private
  */
-router.get('/:id/notifications', async (req, res) => {
+router.get('/:id/notifications', auth, requireSelf('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, limit = 20, offset = 0 } = req.query;
@@ -153,9 +334,9 @@ router.get('/:id/notifications', async (req, res) => {
 /**
  * @route POST /api/users/:id/notifications/read
  * @desc Mark all notifications as read
- * @access Public
+ * @access Private
  */
-router.post('/:id/notifications/read', async (req, res) => {
+router.post('/:id/notifications/read', auth, requireSelf('id'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -178,9 +359,9 @@ router.post('/:id/notifications/read', async (req, res) => {
 /**
  * @route POST /api/users/:id/chat/support
  * @desc Process a support chat message and get AI response
- * @access Public
+ * @access Private
  */
-router.post('/:id/chat/support', async (req, res) => {
+router.post('/:id/chat/support', auth, requireSelf('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const { message, conversation_id } = req.body;
@@ -203,6 +384,7 @@ router.post('/:id/chat/support', async (req, res) => {
         .from('support_chats')
         .select('status')
         .eq('conversation_id', conversation_id)
+        .eq('user_id', id)
         .eq('status', 'escalated')
         .limit(1);
       
@@ -483,9 +665,9 @@ Remember: Never share outside contact info or emails. Keep the conversation righ
 /**
  * @route GET /api/users/:id/chat/support/history
  * @desc Get user's support chat history grouped by conversations
- * @access Public
+ * @access Private
  */
-router.get('/:id/chat/support/history', async (req, res) => {
+router.get('/:id/chat/support/history', auth, requireSelf('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const { limit = 20 } = req.query;
@@ -551,9 +733,9 @@ router.get('/:id/chat/support/history', async (req, res) => {
 /**
  * @route GET /api/users/:id/chat/support/conversations/:conversationId
  * @desc Get all messages in a specific conversation
- * @access Public
+ * @access Private
  */
-router.get('/:id/chat/support/conversations/:conversationId', async (req, res) => {
+router.get('/:id/chat/support/conversations/:conversationId', auth, requireSelf('id'), async (req, res) => {
   try {
     const { id, conversationId } = req.params;
     
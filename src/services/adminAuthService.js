@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const adminRoles = require('../config/adminRoles');
+
+const SESSION_COOKIE_NAME = 'snaplist_admin_session';
+const SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_TTL_HOURS || '12');
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - The plain-text password
+ * @returns {Promise<string>} - The encoded hash (scrypt$salt$hash)
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Check a password against an encoded hash
+ * @param {string} password - The plain-text password
+ * @param {string} encoded - The encoded hash from hashPassword
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+function verifyPassword(password, encoded) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = (encoded || '').split('$');
+
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return resolve(false);
+    }
+
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+}
+
+/**
+ * Hash a session token for storage so a database leak can't be replayed
+ * @param {string} token - The raw session token
+ * @returns {string} - The hex digest
+ */
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Strip secrets from an admin row
+ * @param {Object} admin - The admin row
+ * @returns {Object} - The public admin fields
+ */
+function toPublicAdmin(admin) {
+  return {
+    id: admin.id,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    permissions: adminRoles.getPermissions(admin.role),
+    homePage: adminRoles.getHomePage(admin.role)
+  };
+}
+
+/**
+ * Verify admin credentials and open a session
+ * @param {string} email - The admin email
+ * @param {string} password - The plain-text password
+ * @param {Object} context - Request context (ip, userAgent)
+ * @returns {Promise<Object>} - The admin and session token
+ */
+async function login(email, password, context = {}) {
+  try {
+    if (!email || !password) {
+      return { success: false, status: 400, message: 'Email and password are required' };
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select('*')
+      .eq('email', email.trim().toLowerCase())
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching admin account:', error);
+      return { success: false, status: 500, message: 'Failed to sign in' };
+    }
+
+    if (!admin || admin.disabled_at) {
+      return { success: false, status: 401, message: 'Invalid email or password' };
+    }
+
+    if (admin.locked_until && new Date(admin.locked_until) > new Date()) {
+      return { success: false, status: 429, message: 'Too many failed sign-in attempts. Please try again later.' };
+    }
+
+    const passwordMatches = await verifyPassword(password, admin.password_hash);
+
+    if (!passwordMatches) {
+      const failedAttempts = (admin.failed_login_attempts || 0) + 1;
+      const lockout = failedAttempts >= MAX_FAILED_LOGINS;
+
+      await supabase
+        .from('admins')
+        .update({
+          failed_login_attempts: lockout ? 0 : failedAttempts,
+          locked_until: lockout ? new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString() : null
+        })
+        .eq('id', admin.id);
+
+      return { success: false, status: 401, message: 'Invalid email or password' };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+    const { error: sessionError } = await supabase
+      .from('admin_sessions')
+      .insert({
+        token_hash: hashSessionToken(token),
+        admin_id: admin.id,
+        ip_address: context.ip || null,
+        user_agent: context.userAgent || null,
+        expires_at: expiresAt.toISOString(),
+        created_at: new Date().toISOString()
+      });
+
+    if (sessionError) {
+      console.error('Error creating admin session:', sessionError);
+      return { success: false, status: 500, message: 'Failed to sign in' };
+    }
+
+    await supabase
+      .from('admins')
+      .update({
+        failed_login_attempts: 0,
+        locked_until: null,
+        last_login_at: new Date().toISOString()
+      })
+      .eq('id', admin.id);
+
+    return {
+      success: true,
+      admin: toPublicAdmin(admin),
+      token,
+      expiresAt
+    };
+  } catch (error) {
+    console.error('Error in admin login:', error);
+    return { success: false, status: 500, message: `Sign in failed: ${error.message}` };
+  }
+}
+
+/**
+ * Look up the admin for a session token
+ * @param {string} token - The raw session token from the cookie
+ * @returns {Promise<Object|null>} - The session with its admin, or null if invalid
+ */
+async function getSession(token) {
+  if (!token) return null;
+
+  const { data: session, error } = await supabase
+    .from('admin_sessions')
+    .select(`
+      id,
+      expires_at,
+      revoked_at,
+      admins (*)
+    `)
+    .eq('token_hash', hashSessionToken(token))
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching admin session:', error);
+    return null;
+  }
+
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  if (!session.admins || session.admins.disabled_at) {
+    return null;
+  }
+
+  return {
+    id: session.id,
+    expiresAt: session.expires_at,
+    admin: toPublicAdmin(session.admins)
+  };
+}
+
+/**
+ * Revoke a session (logout)
+ * @param {string} token - The raw session token from the cookie
+ * @returns {Promise<Object>} - The result
+ */
+async function logout(token) {
+  try {
+    if (token) {
+      const { error } = await supabase
+        .from('admin_sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('token_hash', hashSessionToken(token))
+        .is('revoked_at', null);
+
+      if (error) {
+        console.error('Error revoking admin session:', error);
+        return { success: false, message: 'Failed to log out' };
+      }
+    }
+
+    return { success: true, message: 'Logged out successfully' };
+  } catch (error) {
+    console.error('Error in admin logout:', error);
+    return { success: false, message: `Logout failed: ${error.message}` };
+  }
+}
+
+/**
+ * Create an admin account
+ * @param {Object} adminData - The admin data (email, password, name, role)
+ * @returns {Promise<Object>} - The created admin
+ */
+async function createAdmin(adminData) {
+  try {
+    if (!adminData.email || !adminData.password) {
+      return { success: false, message: 'Email and password are required' };
+    }
+
+    if (adminData.password.length < 12) {
+      return { success: false, message: 'Password must be at least 12 characters' };
+    }
+
+    const role = adminData.role || 'support';
+
+    if (!adminRoles.ROLES.includes(role)) {
+      return { success: false, message: `Invalid role. Must be one of: ${adminRoles.ROLES.join(', ')}` };
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .insert({
+        email: adminData.email.trim().toLowerCase(),
+        name: adminData.name || null,
+        role,
+        password_hash: await hashPassword(adminData.password),
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating admin:', error);
+      return { success: false, message: `Failed to create admin: ${error.message}` };
+    }
+
+    return { success: true, admin: toPublicAdmin(admin) };
+  } catch (error) {
+    console.error('Error in createAdmin:', error);
+    return { success: false, message: `Admin creation failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  SESSION_COOKIE_NAME,
+  hashPassword,
+  verifyPassword,
+  login,
+  getSession,
+  logout,
+  createAdmin
+};
@@ -0,0 +1,89 @@
+const { supabase } = require('../config/supabase');
+
+/**
+ * Record an admin action in the append-only audit log.
+ * Failures are logged but never thrown, so auditing can't undo an action that already happened.
+ * @param {Object} req - Express request object (provides req.admin, IP and user agent)
+ * @param {Object} entry - The audit entry
+ * @param {string} entry.action - What was done (e.g. 'payout.process')
+ * @param {string} entry.entityType - The type of record affected (e.g. 'payout_request')
+ * @param {string} [entry.entityId] - The ID of the record affected
+ * @param {Object} [entry.before] - Snapshot of the record before the change
+ * @param {Object} [entry.after] - Snapshot of the record after the change
+ * @param {Object} [entry.metadata] - Any extra context (e.g. counts for bulk actions)
+ * @returns {Promise<Object>} - The result
+ */
+async function recordAdminAction(req, entry) {
+  try {
+    const admin = req.admin || {};
+
+    const { error } = await supabase
+      .from('admin_audit_log')
+      .insert({
+        admin_id: admin.id || null,
+        admin_email: admin.email || null,
+        admin_role: admin.role || null,
+        action: entry.action,
+        entity_type: entry.entityType,
+        entity_id: entry.entityId ? String(entry.entityId) : null,
+        before: entry.before || null,
+        after: entry.after || null,
+        metadata: entry.metadata || null,
+        ip_address: req.ip || null,
+        user_agent: req.get ? req.get('user-agent') || null : null,
+        created_at: new Date().toISOString()
+      });
+
+    if (error) {
+      console.error(`Error recording admin action ${entry.action}:`, error);
+      return { success: false, message: `Failed to record admin action: ${error.message}` };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error in recordAdminAction:', error);
+    return { success: false, message: `Recording admin action failed: ${error.message}` };
+  }
+}
+
+/**
+ * Get audit log entries
+ * @param {Object} filters - Query filters (admin_id, action, entity_type, entity_id, from, to, page, limit)
+ * @returns {Promise<Object>} - The matching entries and total count
+ */
+async function getAuditLog(filters = {}) {
+  try {
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 25, 200);
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('admin_audit_log')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (filters.admin_id) query = query.eq('admin_id', filters.admin_id);
+    if (filters.action) query = query.eq('action', filters.action);
+    if (filters.entity_type) query = query.eq('entity_type', filters.entity_type);
+    if (filters.entity_id) query = query.eq('entity_id', filters.entity_id);
+    if (filters.from) query = query.gte('created_at', filters.from);
+    if (filters.to) query = query.lte('created_at', filters.to);
+
+    const { data, count, error } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Error fetching audit log:', error);
+      return { success: false, message: `Failed to fetch audit log: ${error.message}` };
+    }
+
+    return { success: true, entries: data, count };
+  } catch (error) {
+    console.error('Error in getAuditLog:', error);
+    return { success: false, message: `Fetching audit log failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  recordAdminAction,
+  getAuditLog
+};
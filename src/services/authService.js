@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const authConfig = require('../config/auth');
+const smsService = require('./smsService');
+const userUtils = require('../utils/userUtils');
+
+/**
+ * Normalize a phone number to E.164 format (US numbers by default)
+ * @param {string} phone - The phone number as entered
+ * @returns {string|null} - The normalized phone number
+ */
+function normalizePhone(phone) {
+  if (!phone || typeof phone !== 'string') return null;
+
+  const digits = phone.replace(/\D/g, '');
+
+  if (phone.trim().startsWith('+')) {
+    return digits.length >= 8 ? `+${digits}` : null;
+  }
+
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+
+  return null;
+}
+
+/**
+ * Hash a one-time code so plain codes are never stored
+ * @param {string} phone - The normalized phone number
+ * @param {string} code - The one-time code
+ * @returns {string} - The hex digest
+ */
+function hashOtp(phone, code) {
+  return crypto
+    .createHmac('sha256', authConfig.jwtSecret)
+    .update(`${phone}:${code}`)
+    .digest('hex');
+}
+
+/**
+ * Find a user whose stored phone matches the given normalized phone
+ * @param {string} phone - The normalized phone number
+ * @returns {Promise<Object|null>} - The user, if any
+ */
+async function findUserByPhone(phone) {
+  // Older accounts store the phone as typed, so match the common formats too
+  const national = phone.startsWith('+1') ? phone.substring(2) : phone.substring(1);
+  const candidates = [
+    phone,
+    phone.substring(1),
+    national,
+    `${national.substring(0, 3)}-${national.substring(3, 6)}-${national.substring(6)}`
+  ];
+
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('*')
+    .in('phone', candidates)
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) throw error;
+
+  return users && users.length > 0 ? users[0] : null;
+}
+
+/**
+ * Send a sign-in code to a phone number
+ * @param {string} rawPhone - The phone number as entered
+ * @returns {Promise<Object>} - The result
+ */
+async function requestOtp(rawPhone) {
+  try {
+    const phone = normalizePhone(rawPhone);
+
+    if (!phone) {
+      return { success: false, status: 400, message: 'A valid phone number is required' };
+    }
+
+    // Limit how many codes a single number can request
+    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const { count, error: countError } = await supabase
+      .from('auth_otps')
+      .select('*', { count: 'exact', head: true })
+      .eq('phone', phone)
+      .gte('created_at', oneHourAgo);
+
+    if (countError) {
+      console.error('Error counting recent sign-in codes:', countError);
+      return { success: false, status: 500, message: 'Failed to send sign-in code' };
+    }
+
+    if (count >= authConfig.otpMaxRequestsPerHour) {
+      return { success: false, status: 429, message: 'Too many sign-in codes requested. Please try again later.' };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiresAt = new Date(Date.now() + authConfig.otpTtlMinutes * 60 * 1000).toISOString();
+
+    const { error } = await supabase
+      .from('auth_otps')
+      .insert({
+        phone,
+        code_hash: hashOtp(phone, code),
+        expires_at: expiresAt,
+        attempts: 0,
+        created_at: new Date().toISOString()
+      });
+
+    if (error) {
+      console.error('Error storing sign-in code:', error);
+      return { success: false, status: 500, message: 'Failed to send sign-in code' };
+    }
+
+    const smsResult = await smsService.sendSms(phone, `Your SnapList code is ${code}. It expires in ${authConfig.otpTtlMinutes} minutes.`);
+
+    if (!smsResult.success) {
+      return { success: false, status: 502, message: 'Failed to send sign-in code' };
+    }
+
+    return { success: true, message: 'Sign-in code sent', expiresAt };
+  } catch (error) {
+    console.error('Error in requestOtp:', error);
+    return { success: false, status: 500, message: `Sending sign-in code failed: ${error.message}` };
+  }
+}
+
+/**
+ * Issue an access/refresh token pair for a user
+ * @param {Object} user - The user
+ * @returns {Promise<Object>} - The tokens
+ */
+async function issueTokens(user) {
+  const accessToken = jwt.sign(
+    { sub: user.id, phone: user.phone, type: 'access' },
+    authConfig.jwtSecret,
+    { expiresIn: authConfig.accessTokenTtl }
+  );
+
+  const refreshTokenId = uuidv4();
+  const refreshExpiresAt = new Date(Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabase
+    .from('auth_refresh_tokens')
+    .insert({
+      id: refreshTokenId,
+      user_id: user.id,
+      expires_at: refreshExpiresAt.toISOString(),
+      created_at: new Date().toISOString()
+    });
+
+  if (error) throw error;
+
+  const refreshToken = jwt.sign(
+    { sub: user.id, type: 'refresh' },
+    authConfig.jwtSecret,
+    { jwtid: refreshTokenId, expiresIn: `${authConfig.refreshTokenTtlDays}d` }
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Verify a sign-in code and issue tokens. New phone numbers are registered
+ * when the registration fields are provided.
+ * @param {string} rawPhone - The phone number as entered
+ * @param {string} code - The one-time code
+ * @param {Object} registration - Optional new user fields (name, birthday, zelle_id)
+ * @returns {Promise<Object>} - The user and tokens
+ */
+async function verifyOtp(rawPhone, code, registration = {}) {
+  try {
+    const phone = normalizePhone(rawPhone);
+
+    if (!phone || !code) {
+      return { success: false, status: 400, message: 'Phone number and code are required' };
+    }
+
+    const { data: otps, error: otpError } = await supabase
+      .from('auth_otps')
+      .select('*')
+      .eq('phone', phone)
+      .is('consumed_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (otpError) {
+      console.error('Error fetching sign-in code:', otpError);
+      return { success: false, status: 500, message: 'Failed to verify sign-in code' };
+    }
+
+    const otp = otps && otps[0];
+
+    if (!otp || otp.attempts >= authConfig.otpMaxAttempts) {
+      return { success: false, status: 401, message: 'Sign-in code is invalid or has expired' };
+    }
+
+    const expected = Buffer.from(otp.code_hash, 'hex');
+    const actual = Buffer.from(hashOtp(phone, String(code).trim()), 'hex');
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      await supabase
+        .from('auth_otps')
+        .update({ attempts: otp.attempts + 1 })
+        .eq('id', otp.id);
+
+      return { success: false, status: 401, message: 'Sign-in code is invalid or has expired' };
+    }
+
+    let user = await findUserByPhone(phone);
+
+    if (!user) {
+      // Leave the code unconsumed so the app can resubmit it with the registration fields
+      if (!registration.name || !registration.birthday) {
+        return {
+          success: false,
+          status: 404,
+          registrationRequired: true,
+          message: 'No account exists for this phone number. Provide name and birthday to register.'
+        };
+      }
+
+      const createResult = await userUtils.createUser({
+        name: registration.name,
+        birthday: registration.birthday,
+        phone,
+        zelle_id: registration.zelle_id
+      });
+
+      if (!createResult.success) {
+        return { success: false, status: 400, message: createResult.message };
+      }
+
+      user = createResult.user;
+    }
+
+    const { error: consumeError } = await supabase
+      .from('auth_otps')
+      .update({ consumed_at: new Date().toISOString() })
+      .eq('id', otp.id);
+
+    if (consumeError) {
+      console.error('Error consuming sign-in code:', consumeError);
+      return { success: false, status: 500, message: 'Failed to verify sign-in code' };
+    }
+
+    const tokens = await issueTokens(user);
+
+    return { success: true, user, ...tokens };
+  } catch (error) {
+    console.error('Error in verifyOtp:', error);
+    return { success: false, status: 500, message: `Verifying sign-in code failed: ${error.message}` };
+  }
+}
+
+/**
+ * Exchange a refresh token for a new token pair (the old refresh token is revoked)
+ * @param {string} refreshToken - The refresh token
+ * @returns {Promise<Object>} - The new tokens
+ */
+async function refreshSession(refreshToken) {
+  try {
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, authConfig.jwtSecret);
+    } catch (err) {
+      return { success: false, status: 401, message: 'Invalid or expired refresh token' };
+    }
+
+    if (payload.type !== 'refresh' || !payload.jti) {
+      return { success: false, status: 401, message: 'Invalid or expired refresh token' };
+    }
+
+    // Revoke atomically so a refresh token can only be used once
+    const { data: revoked, error: revokeError } = await supabase
+      .from('auth_refresh_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', payload.jti)
+      .eq('user_id', payload.sub)
+      .is('revoked_at', null)
+      .select();
+
+    if (revokeError) {
+      console.error('Error revoking refresh token:', revokeError);
+      return { success: false, status: 500, message: 'Failed to refresh session' };
+    }
+
+    if (!revoked || revoked.length === 0) {
+      return { success: false, status: 401, message: 'Invalid or expired refresh token' };
+    }
+
+    const userResult = await userUtils.getUserById(payload.sub);
+
+    if (!userResult.success) {
+      return { success: false, status: 401, message: 'Account no longer exists' };
+    }
+
+    const tokens = await issueTokens(userResult.user);
+
+    return { success: true, user: userResult.user, ...tokens };
+  } catch (error) {
+    console.error('Error in refreshSession:', error);
+    return { success: false, status: 500, message: `Refreshing session failed: ${error.message}` };
+  }
+}
+
+/**
+ * Revoke a refresh token (sign out)
+ * @param {string} refreshToken - The refresh token
+ * @returns {Promise<Object>} - The result
+ */
+async function revokeRefreshToken(refreshToken) {
+  try {
+    const payload = jwt.decode(refreshToken);
+
+    if (payload && payload.jti) {
+      const { error } = await supabase
+        .from('auth_refresh_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', payload.jti)
+        .is('revoked_at', null);
+
+      if (error) {
+        console.error('Error revoking refresh token:', error);
+        return { success: false, status: 500, message: 'Failed to sign out' };
+      }
+    }
+
+    return { success: true, message: 'Signed out successfully' };
+  } catch (error) {
+    console.error('Error in revokeRefreshToken:', error);
+    return { success: false, status: 500, message: `Sign out failed: ${error.message}` };
+  }
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - The access token
+ * @returns {Object|null} - The token payload, or null if invalid
+ */
+function verifyAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, authConfig.jwtSecret);
+    return payload.type === 'access' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  normalizePhone,
+  requestOtp,
+  verifyOtp,
+  refreshSession,
+  revokeRefreshToken,
+  verifyAccessToken
+};
@@ -0,0 +1,45 @@
+/**
+ * Carrier status provider registry
+ *
+ * Shipment tracking asks one provider (chosen by CARRIER_STATUS_PROVIDER) where a package is, so
+ * a tracking aggregator or a carrier's own API can be plugged in without touching the tracking job:
+ *
+ *   name               - Short key selected by CARRIER_STATUS_PROVIDER (e.g. 'stub')
+ *   getTrackingStatus({ carrier, trackingNumber, shippedAt }) -> { success, status, deliveredAt, message }
+ *     `carrier` is one of the codes in config/shipping; `status` is 'pre_transit', 'in_transit',
+ *     'out_for_delivery', 'delivered' or 'exception', and `deliveredAt` is set once delivered
+ */
+const shippingConfig = require('../../config/shipping');
+const stubCarrier = require('./stubCarrier');
+
+const SHIPMENT_STATUSES = ['pre_transit', 'in_transit', 'out_for_delivery', 'delivered', 'exception'];
+
+const providers = new Map();
+
+/**
+ * Register a carrier status provider
+ * @param {Object} provider - The provider (see the contract above)
+ */
+function registerCarrierProvider(provider) {
+  if (!provider || !provider.name || typeof provider.getTrackingStatus !== 'function') {
+    throw new Error('Carrier status providers need a name and getTrackingStatus');
+  }
+
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get the configured carrier status provider
+ * @returns {Object|null} - The provider, or null if CARRIER_STATUS_PROVIDER names one that isn't registered
+ */
+function getCarrierProvider() {
+  return providers.get(shippingConfig.statusProvider) || null;
+}
+
+registerCarrierProvider(stubCarrier);
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  registerCarrierProvider,
+  getCarrierProvider
+};
@@ -0,0 +1,36 @@
+const shippingConfig = require('../../config/shipping');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Local stand-in for a carrier tracking API, for development and tests.
+ * Every package moves through pre-transit, in transit and out for delivery, and is delivered
+ * STUB_CARRIER_DELIVERY_HOURS after it shipped. Tracking numbers containing "EXCEPTION" get stuck.
+ */
+module.exports = {
+  name: 'stub',
+
+  async getTrackingStatus({ trackingNumber, shippedAt }) {
+    if (!trackingNumber || !shippedAt) {
+      return { success: false, message: 'A tracking number and ship date are required' };
+    }
+
+    if (/EXCEPTION/i.test(trackingNumber)) {
+      return { success: true, status: 'exception', deliveredAt: null };
+    }
+
+    const deliveryTime = shippingConfig.stubDeliveryHours * HOUR;
+    const deliveredAt = new Date(new Date(shippedAt).getTime() + deliveryTime);
+    const remaining = deliveredAt.getTime() - Date.now();
+
+    if (remaining <= 0) {
+      return { success: true, status: 'delivered', deliveredAt: deliveredAt.toISOString() };
+    }
+
+    let status = 'in_transit';
+    if (remaining > deliveryTime - HOUR) status = 'pre_transit';
+    else if (remaining <= 8 * HOUR) status = 'out_for_delivery';
+
+    return { success: true, status, deliveredAt: null };
+  }
+};
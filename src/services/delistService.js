@@ -0,0 +1,389 @@
+const { supabase } = require('../config/supabase');
+const marketplaces = require('./marketplaces');
+const listingChannelService = require('./listingChannelService');
+const notificationService = require('./notificationService');
+
+const RETRY_BASE_MINUTES = 5;
+// Every minute a sold item stays up elsewhere is a chance to sell it twice, so retries never stop, only slow down
+const MAX_RETRY_MINUTES = 60;
+const BATCH_SIZE = 25;
+// A run that crashes mid-delist leaves the channel claimed; after this long another run may take it over
+const DELIST_LEASE_MINUTES = 15;
+
+/**
+ * When to try ending a channel again
+ * @param {number} attempts - Delist attempts made so far
+ * @returns {string} - ISO timestamp of the next attempt
+ */
+function getNextDelistAt(attempts) {
+  const minutes = Math.min(RETRY_BASE_MINUTES * Math.pow(2, attempts - 1), MAX_RETRY_MINUTES);
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Record that a listing sold on a second marketplace, and alert the seller and admins.
+ * Each listing and marketplace pair is reported once.
+ * @param {Object} listing - The listing
+ * @param {string} firstChannel - The marketplace the listing sold on first
+ * @param {Object} marketplace - The marketplace adapter that also reported a sale
+ * @returns {Promise<Object>} - The incident, or null if it was already reported
+ */
+async function reportOversell(listing, firstChannel, marketplace) {
+  try {
+    const { data: incident, error } = await supabase
+      .from('oversell_incidents')
+      .upsert({
+        listing_id: listing.id,
+        user_id: listing.user_id,
+        first_channel: firstChannel,
+        second_channel: marketplace.name,
+        status: 'open',
+        created_at: new Date().toISOString()
+      }, { onConflict: 'listing_id,second_channel', ignoreDuplicates: true })
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error(`Error recording oversell for listing ${listing.id}:`, error);
+      return { success: false, message: `Failed to record oversell: ${error.message}` };
+    }
+
+    if (!incident) {
+      return { success: true, incident: null };
+    }
+
+    const first = marketplaces.getMarketplace(firstChannel);
+    const firstName = first ? first.displayName : firstChannel;
+
+    console.error(`Listing ${listing.id} sold on both ${firstChannel} and ${marketplace.name}`);
+
+    await notificationService.createNotification({
+      user_id: listing.user_id,
+      listing_id: listing.id,
+      type: 'oversold',
+      message: `Your listing "${listing.title}" sold on both ${firstName} and ${marketplace.displayName}. Please don't ship it twice; our team will contact you to sort out the second order.`
+    });
+
+    await notificationService.alertAdmins(
+      `SnapList oversell: listing ${listing.id} ("${listing.title}") sold on both ${firstName} and ${marketplace.displayName}. Incident ${incident.id}.`
+    );
+
+    return { success: true, incident };
+  } catch (error) {
+    console.error('Error in reportOversell:', error);
+    return { success: false, message: `Reporting oversell failed: ${error.message}` };
+  }
+}
+
+/**
+ * Try to take a sold listing down from one marketplace. A sale found there instead is an oversell;
+ * a failed end is retried with backoff by processPendingDelists.
+ * @param {Object} listing - The listing (id, user_id, title, sold_channel)
+ * @param {Object} channel - The listing_channels row, with status 'ending'
+ * @returns {Promise<Object>} - { success, ended, oversold }
+ */
+async function attemptDelist(listing, channel) {
+  const marketplace = marketplaces.getMarketplace(channel.channel);
+  if (!marketplace) {
+    return { success: false, message: `Unknown marketplace ${channel.channel}` };
+  }
+
+  const link = { marketplace, externalId: channel.external_id, channel };
+
+  // A buyer may have bought it here before it came down
+  let status;
+  try {
+    status = await marketplace.getStatus(channel.external_id, channel);
+  } catch (error) {
+    status = { success: false, message: error.message };
+  }
+
+  if (status.success && status.sold) {
+    await listingChannelService.recordSyncResult(link, listing.id, status, 'sold');
+    await reportOversell(listing, listing.sold_channel, marketplace);
+    return { success: true, ended: false, oversold: true };
+  }
+
+  let result;
+  try {
+    result = await marketplace.endListing(channel.external_id, channel);
+  } catch (error) {
+    result = { success: false, message: error.message };
+  }
+
+  if (result.success) {
+    await listingChannelService.recordSyncResult(link, listing.id, result, 'ended');
+    return { success: true, ended: true, oversold: false };
+  }
+
+  const attempts = (channel.delist_attempts || 0) + 1;
+  console.error(`Ending sold listing ${listing.id} on ${marketplace.name} failed (attempt ${attempts}):`, result.message);
+
+  await listingChannelService.recordSyncResult(link, listing.id, result);
+
+  const { error } = await supabase
+    .from('listing_channels')
+    .update({ delist_attempts: attempts, next_delist_at: getNextDelistAt(attempts) })
+    .eq('id', channel.id);
+
+  if (error) {
+    console.error(`Error scheduling delist retry for ${marketplace.name} channel of listing ${listing.id}:`, error);
+  }
+
+  return { success: false, ended: false, oversold: false, message: result.message };
+}
+
+/**
+ * Claim a live channel of a sold listing for ending and try to end it
+ * (also used when a publish that was in flight during the sale has just gone live)
+ * @param {Object} listing - The listing (id, user_id, title, sold_channel)
+ * @param {Object} channel - The listing_channels row, with status 'active'
+ * @returns {Promise<Object|null>} - { success, ended, oversold }, or null if another run is ending it
+ */
+async function endChannel(listing, channel) {
+  const { data: ending, error } = await supabase
+    .from('listing_channels')
+    .update({
+      status: 'ending',
+      delist_attempts: 0,
+      next_delist_at: new Date(Date.now() + DELIST_LEASE_MINUTES * 60 * 1000).toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', channel.id)
+    .eq('status', 'active')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error queuing ${channel.channel} delist for sold listing ${listing.id}:`, error);
+    return null;
+  }
+
+  if (!ending) return null;
+
+  return attemptDelist(listing, ending);
+}
+
+/**
+ * Stop a sold listing's queued publish. A publish already running when this lands
+ * finds the listing sold once it goes live and ends it (see publishQueueService.publishChannel).
+ * @param {Object} listing - The listing
+ * @param {Object} channel - The listing_channels row, with status 'pending'
+ * @returns {Promise<void>}
+ */
+async function cancelPublish(listing, channel) {
+  const { error } = await supabase
+    .from('listing_channels')
+    .update({ status: 'ended', next_publish_at: null, updated_at: new Date().toISOString() })
+    .eq('id', channel.id)
+    .eq('status', 'pending');
+
+  if (error) {
+    console.error(`Error cancelling ${channel.channel} publish for sold listing ${listing.id}:`, error);
+  }
+}
+
+/**
+ * Take a listing that just sold down from every other marketplace it is live on
+ * @param {Object} listing - The listing (id, user_id, title)
+ * @param {Object} soldMarketplace - The marketplace adapter it sold on
+ * @returns {Promise<Object>} - Results by marketplace name
+ */
+async function endOtherChannels(listing, soldMarketplace) {
+  const results = {};
+
+  try {
+    const { data: channels, error } = await supabase
+      .from('listing_channels')
+      .select('*')
+      .eq('listing_id', listing.id)
+      .neq('channel', soldMarketplace.name);
+
+    if (error) {
+      console.error(`Error fetching channels to end for sold listing ${listing.id}:`, error);
+      return { success: false, message: `Failed to fetch channels: ${error.message}` };
+    }
+
+    const soldListing = { ...listing, sold_channel: soldMarketplace.name };
+
+    for (const channel of channels) {
+      // Another check already found it sold here too
+      if (channel.status === 'sold') {
+        const marketplace = marketplaces.getMarketplace(channel.channel);
+        if (marketplace) {
+          await reportOversell(soldListing, soldMarketplace.name, marketplace);
+          results[channel.channel] = { success: true, ended: false, oversold: true };
+        }
+        continue;
+      }
+
+      // A queued publish would put the listing up again after the sale
+      if (channel.status === 'pending') {
+        await cancelPublish(listing, channel);
+        continue;
+      }
+
+      if (channel.status !== 'active' || !channel.external_id) continue;
+
+      const result = await endChannel(soldListing, channel);
+      if (result) results[channel.channel] = result;
+    }
+
+    return { success: true, results };
+  } catch (error) {
+    console.error('Error in endOtherChannels:', error);
+    return { success: false, message: `Ending other channels failed: ${error.message}` };
+  }
+}
+
+/**
+ * Claim an ending channel so a concurrent run can't end it twice
+ * @param {Object} channel - The listing_channels row
+ * @returns {Promise<Object|null>} - The claimed channel, or null if another run has it
+ */
+async function claimChannel(channel) {
+  const now = new Date();
+
+  const { data, error } = await supabase
+    .from('listing_channels')
+    .update({
+      next_delist_at: new Date(now.getTime() + DELIST_LEASE_MINUTES * 60 * 1000).toISOString()
+    })
+    .eq('id', channel.id)
+    .eq('status', 'ending')
+    .lte('next_delist_at', now.toISOString())
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error claiming ${channel.channel} delist for listing ${channel.listing_id}:`, error);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Retry ending sold listings on marketplaces where an earlier attempt failed
+ * @returns {Promise<void>}
+ */
+async function processPendingDelists() {
+  try {
+    const { data: channels, error } = await supabase
+      .from('listing_channels')
+      .select('*, listing:listings(id, user_id, title, sold_channel)')
+      .eq('status', 'ending')
+      .lte('next_delist_at', new Date().toISOString())
+      .order('next_delist_at', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) {
+      console.error('Error fetching marketplace listings waiting to be ended:', error);
+      return;
+    }
+
+    if (channels.length > 0) {
+      console.log(`Ending ${channels.length} sold listing(s) on other marketplaces`);
+    }
+
+    for (const channel of channels) {
+      const claimed = await claimChannel(channel);
+      if (!claimed || !channel.listing) continue;
+
+      await attemptDelist(channel.listing, claimed);
+    }
+  } catch (error) {
+    console.error('Error in delist job:', error);
+  }
+}
+
+/**
+ * Get oversell incidents for the admin dashboard
+ * @param {Object} filters - Query filters (status, page, limit)
+ * @returns {Promise<Object>} - The incidents and total count
+ */
+async function getOversellIncidents(filters = {}) {
+  try {
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 10, 100);
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('oversell_incidents')
+      .select('*, listings(title, price, status), users(name, phone)', { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (filters.status) query = query.eq('status', filters.status);
+
+    const { data, count, error } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Error fetching oversell incidents:', error);
+      return { success: false, message: `Failed to fetch oversell incidents: ${error.message}` };
+    }
+
+    return { success: true, incidents: data, count };
+  } catch (error) {
+    console.error('Error in getOversellIncidents:', error);
+    return { success: false, message: `Fetching oversell incidents failed: ${error.message}` };
+  }
+}
+
+/**
+ * Close an oversell incident once the second order has been dealt with
+ * @param {string} incidentId - The oversell_incidents row ID
+ * @param {string} adminId - The admin resolving it
+ * @param {string} [notes] - What was done (e.g. order cancelled and refunded)
+ * @returns {Promise<Object>} - The incident before and after
+ */
+async function resolveOversellIncident(incidentId, adminId, notes) {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('oversell_incidents')
+      .select('*')
+      .eq('id', incidentId)
+      .maybeSingle();
+
+    if (fetchError) {
+      return { success: false, status: 500, message: `Failed to fetch incident: ${fetchError.message}` };
+    }
+
+    if (!existing) {
+      return { success: false, status: 404, message: 'Oversell incident not found' };
+    }
+
+    if (existing.status === 'resolved') {
+      return { success: false, status: 400, message: 'Oversell incident is already resolved' };
+    }
+
+    const { data: incident, error } = await supabase
+      .from('oversell_incidents')
+      .update({
+        status: 'resolved',
+        resolution_notes: notes || null,
+        resolved_by: adminId,
+        resolved_at: new Date().toISOString()
+      })
+      .eq('id', incidentId)
+      .select()
+      .single();
+
+    if (error) {
+      return { success: false, status: 500, message: `Failed to resolve incident: ${error.message}` };
+    }
+
+    return { success: true, status: 200, before: existing, incident };
+  } catch (error) {
+    console.error('Error in resolveOversellIncident:', error);
+    return { success: false, status: 500, message: `Resolving incident failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  endOtherChannels,
+  endChannel,
+  reportOversell,
+  processPendingDelists,
+  getOversellIncidents,
+  resolveOversellIncident
+};
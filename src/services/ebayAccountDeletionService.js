@@ -0,0 +1,342 @@
+const { supabase } = require('../config/supabase');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MINUTES = 5;
+const BATCH_SIZE = 25;
+// A run that crashes mid-deletion leaves the row 'processing'; after this long another run may take it over
+const PROCESSING_LEASE_MINUTES = 15;
+
+/**
+ * Purge steps run for every SnapList user linked to a deleted eBay account.
+ * Each step receives the user ID and returns a count of records it changed.
+ */
+const PURGE_STEPS = [
+  {
+    name: 'listing_channels',
+    // Drop the user's eBay channels (item IDs, URLs, sync errors); the listings themselves stay
+    run: async (userId) => {
+      const { data: listings, error: listingsError } = await supabase
+        .from('listings')
+        .select('id')
+        .eq('user_id', userId);
+
+      if (listingsError) throw new Error(`Failed to look up listings: ${listingsError.message}`);
+      if (!listings || listings.length === 0) return 0;
+
+      const { data, error } = await supabase
+        .from('listing_channels')
+        .delete()
+        .eq('channel', 'ebay')
+        .in('listing_id', listings.map(listing => listing.id))
+        .select('id');
+
+      if (error) throw new Error(`Failed to purge eBay listing channels: ${error.message}`);
+      return data ? data.length : 0;
+    }
+  },
+  {
+    name: 'listings',
+    // Clear the legacy eBay ID and URL columns mirrored onto listings
+    run: async (userId) => {
+      const { data, error } = await supabase
+        .from('listings')
+        .update({
+          ebay_listing_id: null,
+          ebay_url: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('user_id', userId)
+        .not('ebay_listing_id', 'is', null)
+        .select('id');
+
+      if (error) throw new Error(`Failed to purge eBay listing data: ${error.message}`);
+      return data ? data.length : 0;
+    }
+  },
+  {
+    name: 'ebay_accounts',
+    // Remove the account link and everything eBay issued for it (IDs, tokens)
+    run: async (userId) => {
+      const { data, error } = await supabase
+        .from('ebay_accounts')
+        .delete()
+        .eq('user_id', userId)
+        .select('id');
+
+      if (error) throw new Error(`Failed to remove eBay account link: ${error.message}`);
+      return data ? data.length : 0;
+    }
+  }
+];
+
+/**
+ * Purge steps run once per deletion for the eBay account as a buyer, whether or not it is linked
+ * to a SnapList user. Each step receives the deletion row and returns a count of records it changed.
+ */
+const BUYER_PURGE_STEPS = [
+  {
+    name: 'orders',
+    // Strip the buyer's name, username, email and address from orders they placed; the sale itself stays
+    run: async (deletion) => {
+      if (!deletion.ebay_username) return 0;
+
+      const { data, error } = await supabase
+        .from('orders')
+        .update({
+          buyer_name: null,
+          buyer_username: null,
+          buyer_email: null,
+          shipping_address: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('channel', 'ebay')
+        .eq('buyer_username', deletion.ebay_username)
+        .select('id');
+
+      if (error) throw new Error(`Failed to purge eBay buyer details from orders: ${error.message}`);
+      return data ? data.length : 0;
+    }
+  }
+];
+
+/**
+ * Find SnapList users linked to an eBay account by user ID or EIAS token
+ * @param {Object} deletion - The deletion row
+ * @returns {Promise<Array<string>>} - The linked SnapList user IDs
+ */
+async function findLinkedUsers(deletion) {
+  const filters = [`ebay_user_id.eq.${deletion.ebay_user_id}`];
+
+  if (deletion.eias_token) {
+    filters.push(`eias_token.eq.${deletion.eias_token}`);
+  }
+
+  const { data, error } = await supabase
+    .from('ebay_accounts')
+    .select('user_id')
+    .or(filters.join(','));
+
+  if (error) throw new Error(`Failed to look up linked users: ${error.message}`);
+
+  return [...new Set((data || []).map(account => account.user_id))];
+}
+
+/**
+ * Process one deletion notification: purge linked users' eBay data and the account's buyer details,
+ * and record the outcome.
+ * Failed attempts are rescheduled with exponential backoff until MAX_ATTEMPTS is reached.
+ * @param {string} deletionId - The ebay_account_deletions row ID
+ * @returns {Promise<Object>} - The result
+ */
+async function processDeletion(deletionId) {
+  try {
+    const now = new Date();
+
+    // Claim the row so a concurrent run (webhook and scheduler) can't process it twice
+    const { data: deletion, error: claimError } = await supabase
+      .from('ebay_account_deletions')
+      .update({
+        status: 'processing',
+        next_attempt_at: new Date(now.getTime() + PROCESSING_LEASE_MINUTES * 60 * 1000).toISOString()
+      })
+      .eq('id', deletionId)
+      .or(`status.in.(pending,retrying),and(status.eq.processing,next_attempt_at.lte.${now.toISOString()})`)
+      .select()
+      .maybeSingle();
+
+    if (claimError) {
+      console.error(`Error claiming eBay account deletion ${deletionId}:`, claimError);
+      return { success: false, message: `Failed to claim deletion: ${claimError.message}` };
+    }
+
+    if (!deletion) {
+      return { success: false, message: 'Deletion is not awaiting processing' };
+    }
+
+    const attempts = (deletion.attempts || 0) + 1;
+
+    try {
+      const userIds = await findLinkedUsers(deletion);
+      const purged = {};
+
+      for (const userId of userIds) {
+        for (const step of PURGE_STEPS) {
+          purged[step.name] = (purged[step.name] || 0) + await step.run(userId);
+        }
+      }
+
+      for (const step of BUYER_PURGE_STEPS) {
+        purged[step.name] = (purged[step.name] || 0) + await step.run(deletion);
+      }
+
+      // Keep the opaque eBay user ID as proof of which notification was handled; drop everything else
+      const { data: completed, error: updateError } = await supabase
+        .from('ebay_account_deletions')
+        .update({
+          status: 'completed',
+          attempts,
+          ebay_username: null,
+          eias_token: null,
+          request_body: null,
+          linked_user_count: userIds.length,
+          result: { purged },
+          last_error: null,
+          next_attempt_at: null,
+          processed_at: new Date().toISOString()
+        })
+        .eq('id', deletionId)
+        .select()
+        .single();
+
+      if (updateError) throw new Error(`Failed to record completion: ${updateError.message}`);
+
+      console.log(`Processed eBay account deletion ${deletionId}: ${userIds.length} linked user(s)`);
+      return { success: true, deletion: completed };
+    } catch (error) {
+      const giveUp = attempts >= MAX_ATTEMPTS;
+      const nextAttemptAt = giveUp
+        ? null
+        : new Date(Date.now() + RETRY_BASE_MINUTES * Math.pow(2, attempts - 1) * 60 * 1000).toISOString();
+
+      console.error(`Error processing eBay account deletion ${deletionId} (attempt ${attempts}):`, error.message);
+
+      await supabase
+        .from('ebay_account_deletions')
+        .update({
+          status: giveUp ? 'failed' : 'retrying',
+          attempts,
+          last_error: error.message,
+          next_attempt_at: nextAttemptAt
+        })
+        .eq('id', deletionId);
+
+      return { success: false, message: error.message };
+    }
+  } catch (error) {
+    console.error('Error in processDeletion:', error);
+    return { success: false, message: `Deletion processing failed: ${error.message}` };
+  }
+}
+
+/**
+ * Process every deletion that is new or due for a retry
+ * @returns {Promise<void>}
+ */
+async function processPendingDeletions() {
+  try {
+    const now = new Date().toISOString();
+
+    const { data: deletions, error } = await supabase
+      .from('ebay_account_deletions')
+      .select('id')
+      .or(`status.eq.pending,and(status.in.(retrying,processing),next_attempt_at.lte.${now})`)
+      .order('created_at', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) {
+      console.error('Error fetching eBay account deletions to process:', error);
+      return;
+    }
+
+    if (deletions.length > 0) {
+      console.log(`Processing ${deletions.length} eBay account deletion(s)`);
+    }
+
+    for (const deletion of deletions) {
+      await processDeletion(deletion.id);
+    }
+  } catch (error) {
+    console.error('Error in eBay account deletion job:', error);
+  }
+}
+
+/**
+ * Put a deletion back in the queue with a fresh set of attempts (admin retry)
+ * @param {string} deletionId - The ebay_account_deletions row ID
+ * @returns {Promise<Object>} - The result of processing it again
+ */
+async function retryDeletion(deletionId) {
+  try {
+    const { data: deletion, error } = await supabase
+      .from('ebay_account_deletions')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: null
+      })
+      .eq('id', deletionId)
+      .in('status', ['retrying', 'failed'])
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error(`Error requeuing eBay account deletion ${deletionId}:`, error);
+      return { success: false, status: 500, message: `Failed to requeue deletion: ${error.message}` };
+    }
+
+    if (!deletion) {
+      return { success: false, status: 400, message: 'Only retrying or failed deletions can be retried' };
+    }
+
+    const result = await processDeletion(deletionId);
+    return { ...result, status: result.success ? 200 : 500 };
+  } catch (error) {
+    console.error('Error in retryDeletion:', error);
+    return { success: false, status: 500, message: `Retry failed: ${error.message}` };
+  }
+}
+
+/**
+ * Get deletion notifications with their processing state
+ * @param {Object} filters - Query filters (status, page, limit)
+ * @returns {Promise<Object>} - The deletions, total count and per-status summary
+ */
+async function getDeletions(filters = {}) {
+  try {
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 10, 100);
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('ebay_account_deletions')
+      .select('id, ebay_user_id, deletion_date, status, attempts, next_attempt_at, last_error, linked_user_count, result, processed_at, created_at', { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (filters.status) query = query.eq('status', filters.status);
+
+    const { data, count, error } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Error fetching eBay account deletions:', error);
+      return { success: false, message: `Failed to fetch deletions: ${error.message}` };
+    }
+
+    const { data: statuses, error: summaryError } = await supabase
+      .from('ebay_account_deletions')
+      .select('status');
+
+    if (summaryError) {
+      console.error('Error summarizing eBay account deletions:', summaryError);
+      return { success: false, message: `Failed to summarize deletions: ${summaryError.message}` };
+    }
+
+    const summary = { pending: 0, processing: 0, retrying: 0, completed: 0, failed: 0 };
+    statuses.forEach(row => {
+      summary[row.status] = (summary[row.status] || 0) + 1;
+    });
+
+    return { success: true, deletions: data, count, summary };
+  } catch (error) {
+    console.error('Error in getDeletions:', error);
+    return { success: false, message: `Fetching deletions failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  PURGE_STEPS,
+  BUYER_PURGE_STEPS,
+  processDeletion,
+  processPendingDeletions,
+  retryDeletion,
+  getDeletions
+};
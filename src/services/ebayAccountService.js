@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const ebayConfig = require('../config/ebay');
+const authConfig = require('../config/auth');
+const { supabase } = require('../config/supabase');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+// How long a seller has to finish the consent flow
+const CONNECT_STATE_TTL_MINUTES = 15;
+// Refresh a minute early so a token never expires mid-request
+const ACCESS_TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+let applicationToken = null;
+
+/**
+ * Check the settings needed for sellers to connect eBay accounts
+ * @returns {boolean} - Whether the OAuth flow is available
+ */
+function isConfigured() {
+  return Boolean(
+    ebayConfig.appId &&
+    ebayConfig.certId &&
+    ebayConfig.ruName &&
+    /^[0-9a-f]{64}$/i.test(ebayConfig.tokenEncryptionKey || '')
+  );
+}
+
+/**
+ * Call the eBay OAuth token endpoint with our application credentials
+ * @param {Object} params - Form parameters (grant_type and the grant's fields)
+ * @returns {Promise<Object>} - The token response
+ */
+async function requestToken(params) {
+  const credentials = Buffer.from(`${ebayConfig.appId}:${ebayConfig.certId}`).toString('base64');
+  const response = await axios.post(
+    `${ebayConfig.apiBaseUrl}/identity/v1/oauth2/token`,
+    new URLSearchParams(params).toString(),
+    {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${credentials}`
+      }
+    }
+  );
+
+  return response.data;
+}
+
+/**
+ * Get an application access token (client credentials grant) for APIs that don't act as a seller,
+ * such as notification keys and taxonomy. Cached until shortly before it expires.
+ * @returns {Promise<string>} - The access token
+ */
+async function getApplicationToken() {
+  if (applicationToken && applicationToken.expiresAt > Date.now()) {
+    return applicationToken.token;
+  }
+
+  if (!ebayConfig.appId || !ebayConfig.certId) {
+    throw new Error('EBAY_APP_ID and EBAY_CERT_ID are required for eBay application tokens');
+  }
+
+  const tokens = await requestToken({
+    grant_type: 'client_credentials',
+    scope: 'https://api.ebay.com/oauth/api_scope'
+  });
+
+  applicationToken = {
+    token: tokens.access_token,
+    expiresAt: Date.now() + tokens.expires_in * 1000 - ACCESS_TOKEN_EXPIRY_MARGIN_MS
+  };
+
+  return applicationToken.token;
+}
+
+/**
+ * Describe an OAuth or Identity API error for logs and results
+ * @param {Error} error - The axios error
+ * @returns {string} - The message
+ */
+function describeError(error) {
+  const data = error.response && error.response.data;
+  if (data && data.error_description) return data.error_description;
+  if (data && data.errors && data.errors[0]) return data.errors[0].longMessage || data.errors[0].message;
+  return error.message;
+}
+
+/**
+ * Build the eBay consent page URL for a seller
+ * @param {string} userId - The SnapList user ID
+ * @returns {Promise<Object>} - The URL to open in a browser
+ */
+async function getConnectUrl(userId) {
+  if (!isConfigured()) {
+    return { success: false, status: 503, message: 'Connecting eBay accounts is not configured' };
+  }
+
+  // The state ties eBay's redirect back to this user and expires with the flow; its nonce is
+  // stored so the callback can accept it only once
+  const nonce = crypto.randomBytes(32).toString('hex');
+  const { error } = await supabase
+    .from('ebay_connect_states')
+    .insert({
+      nonce,
+      user_id: userId,
+      expires_at: new Date(Date.now() + CONNECT_STATE_TTL_MINUTES * 60 * 1000).toISOString(),
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error(`Error starting eBay connection for user ${userId}:`, error);
+    return { success: false, status: 500, message: `Failed to start eBay connection: ${error.message}` };
+  }
+
+  const state = jwt.sign({ sub: userId, type: 'ebay_connect', nonce }, authConfig.jwtSecret, {
+    expiresIn: `${CONNECT_STATE_TTL_MINUTES}m`
+  });
+
+  const query = new URLSearchParams({
+    client_id: ebayConfig.appId,
+    redirect_uri: ebayConfig.ruName,
+    response_type: 'code',
+    scope: ebayConfig.userScopes.join(' '),
+    state
+  });
+
+  return { success: true, url: `${ebayConfig.authBaseUrl}/oauth2/authorize?${query.toString()}` };
+}
+
+/**
+ * Finish the consent flow: exchange the authorization code and store the seller's tokens
+ * @param {string} code - The authorization code from eBay's redirect
+ * @param {string} state - The state from eBay's redirect
+ * @returns {Promise<Object>} - The connected user ID and eBay username
+ */
+async function completeConnection(code, state) {
+  try {
+    if (!isConfigured()) {
+      return { success: false, status: 503, message: 'Connecting eBay accounts is not configured' };
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(state, authConfig.jwtSecret);
+    } catch (error) {
+      return { success: false, status: 400, message: 'The eBay connection link has expired, please try again' };
+    }
+
+    if (payload.type !== 'ebay_connect' || !payload.sub || !payload.nonce) {
+      return { success: false, status: 400, message: 'Invalid eBay connection state' };
+    }
+
+    if (!code) {
+      return { success: false, status: 400, message: 'eBay did not return an authorization code' };
+    }
+
+    // Use the state up before exchanging the code, so a replayed redirect can't connect anything
+    const { data: consumed, error: stateError } = await supabase
+      .from('ebay_connect_states')
+      .update({ used_at: new Date().toISOString() })
+      .eq('nonce', payload.nonce)
+      .eq('user_id', payload.sub)
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select('nonce');
+
+    if (stateError) {
+      console.error(`Error checking eBay connection state for user ${payload.sub}:`, stateError);
+      return { success: false, status: 500, message: `Failed to check eBay connection state: ${stateError.message}` };
+    }
+
+    if (consumed.length === 0) {
+      return { success: false, status: 400, message: 'This eBay connection link was already used, please try again' };
+    }
+
+    let tokens;
+    let identity;
+    try {
+      tokens = await requestToken({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: ebayConfig.ruName
+      });
+
+      const response = await axios.get(`${ebayConfig.identityBaseUrl}/commerce/identity/v1/user/`, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      identity = response.data;
+    } catch (error) {
+      console.error(`Error completing eBay connection for user ${payload.sub}:`, describeError(error));
+      return { success: false, status: 502, message: `eBay connection failed: ${describeError(error)}` };
+    }
+
+    // An eBay account acts for one SnapList user at a time; the other user has to disconnect it first
+    const { data: linked, error: linkedError } = await supabase
+      .from('ebay_accounts')
+      .select('user_id')
+      .eq('ebay_user_id', identity.userId)
+      .neq('user_id', payload.sub)
+      .not('refresh_token_encrypted', 'is', null)
+      .limit(1);
+
+    if (linkedError) {
+      console.error(`Error checking eBay account ${identity.userId} for user ${payload.sub}:`, linkedError);
+      return { success: false, status: 500, message: `Failed to check eBay account: ${linkedError.message}` };
+    }
+
+    if (linked.length > 0) {
+      return { success: false, status: 409, message: 'This eBay account is already connected to another SnapList account' };
+    }
+
+    const now = Date.now();
+    const key = ebayConfig.tokenEncryptionKey;
+
+    const { data: account, error } = await supabase
+      .from('ebay_accounts')
+      .upsert({
+        user_id: payload.sub,
+        ebay_user_id: identity.userId,
+        ebay_username: identity.username || null,
+        access_token_encrypted: encrypt(tokens.access_token, key),
+        access_token_expires_at: new Date(now + tokens.expires_in * 1000).toISOString(),
+        refresh_token_encrypted: encrypt(tokens.refresh_token, key),
+        refresh_token_expires_at: tokens.refresh_token_expires_in
+          ? new Date(now + tokens.refresh_token_expires_in * 1000).toISOString()
+          : null,
+        scopes: ebayConfig.userScopes,
+        connected_at: new Date(now).toISOString(),
+        updated_at: new Date(now).toISOString()
+      }, { onConflict: 'user_id' })
+      .select('user_id, ebay_username')
+      .single();
+
+    if (error) {
+      console.error(`Error saving eBay account for user ${payload.sub}:`, error);
+      return { success: false, status: 500, message: `Failed to save eBay account: ${error.message}` };
+    }
+
+    return { success: true, userId: account.user_id, ebayUsername: account.ebay_username };
+  } catch (error) {
+    console.error('Error in completeConnection:', error);
+    return { success: false, status: 500, message: `eBay connection failed: ${error.message}` };
+  }
+}
+
+/**
+ * Get a seller's eBay connection status (never includes tokens)
+ * @param {string} userId - The SnapList user ID
+ * @returns {Promise<Object>} - The connection status
+ */
+async function getConnection(userId) {
+  try {
+    const { data: account, error } = await supabase
+      .from('ebay_accounts')
+      .select('ebay_username, connected_at, refresh_token_expires_at, refresh_token_encrypted')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error(`Error fetching eBay account for user ${userId}:`, error);
+      return { success: false, message: `Failed to fetch eBay account: ${error.message}` };
+    }
+
+    const connected = Boolean(account && account.refresh_token_encrypted);
+
+    return {
+      success: true,
+      ebay: {
+        connected,
+        ebay_username: connected ? account.ebay_username : null,
+        connected_at: connected ? account.connected_at : null,
+        expires_at: connected ? account.refresh_token_expires_at : null
+      }
+    };
+  } catch (error) {
+    console.error('Error in getConnection:', error);
+    return { success: false, message: `Fetching eBay account failed: ${error.message}` };
+  }
+}
+
+/**
+ * Forget a seller's tokens. The account link itself is kept so eBay account deletion
+ * notifications can still be traced back to the user.
+ * @param {string} userId - The SnapList user ID
+ * @returns {Promise<Object>} - The result
+ */
+async function disconnect(userId) {
+  try {
+    const { error } = await supabase
+      .from('ebay_accounts')
+      .update({
+        access_token_encrypted: null,
+        access_token_expires_at: null,
+        refresh_token_encrypted: null,
+        refresh_token_expires_at: null,
+        connected_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error(`Error disconnecting eBay account for user ${userId}:`, error);
+      return { success: false, message: `Failed to disconnect eBay account: ${error.message}` };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error in disconnect:', error);
+    return { success: false, message: `Disconnecting eBay account failed: ${error.message}` };
+  }
+}
+
+/**
+ * Get a usable access token for a connected account, refreshing it when it has expired
+ * @param {Object} account - The ebay_accounts row
+ * @returns {Promise<Object>} - { success, accessToken, ebayUserId }
+ */
+async function getAccountAccessToken(account) {
+  const key = ebayConfig.tokenEncryptionKey;
+  const expiresAt = account.access_token_expires_at ? new Date(account.access_token_expires_at).getTime() : 0;
+
+  if (account.access_token_encrypted && expiresAt - ACCESS_TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+    return { success: true, accessToken: decrypt(account.access_token_encrypted, key), ebayUserId: account.ebay_user_id };
+  }
+
+  let tokens;
+  try {
+    tokens = await requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: decrypt(account.refresh_token_encrypted, key),
+      scope: (account.scopes || ebayConfig.userScopes).join(' ')
+    });
+  } catch (error) {
+    const data = error.response && error.response.data;
+    console.error(`Error refreshing eBay token for user ${account.user_id}:`, describeError(error));
+
+    // The seller revoked access or the refresh token expired: they need to connect again
+    if (data && data.error === 'invalid_grant') {
+      await disconnect(account.user_id);
+      return { success: false, message: 'eBay connection has expired, please reconnect your eBay account' };
+    }
+
+    return { success: false, message: `Refreshing eBay token failed: ${describeError(error)}` };
+  }
+
+  const { error } = await supabase
+    .from('ebay_accounts')
+    .update({
+      access_token_encrypted: encrypt(tokens.access_token, key),
+      access_token_expires_at: new Date(Date.now() + tokens.expires_in * 1000).toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('user_id', account.user_id);
+
+  if (error) {
+    // The new token still works for this call; the next call just refreshes again
+    console.error(`Error saving refreshed eBay token for user ${account.user_id}:`, error);
+  }
+
+  return { success: true, accessToken: tokens.access_token, ebayUserId: account.ebay_user_id };
+}
+
+/**
+ * Get the credentials to act as a seller on eBay.
+ * `accessToken` is null when the seller hasn't connected, meaning the house account should be used.
+ * @param {Object} filter - { userId } for the listing owner, or { ebayUserId } for the account a listing was created under
+ * @returns {Promise<Object>} - { success, accessToken, ebayUserId, message }
+ */
+async function getSellerAuth(filter) {
+  try {
+    let query = supabase
+      .from('ebay_accounts')
+      .select('*');
+
+    query = filter.ebayUserId
+      ? query.eq('ebay_user_id', filter.ebayUserId).not('refresh_token_encrypted', 'is', null).limit(1)
+      : query.eq('user_id', filter.userId);
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+      console.error('Error fetching eBay account credentials:', error);
+      return { success: false, message: `Failed to fetch eBay account: ${error.message}` };
+    }
+
+    if (!data || !data.refresh_token_encrypted) {
+      return { success: true, accessToken: null, ebayUserId: null };
+    }
+
+    if (!isConfigured()) {
+      return { success: false, message: 'eBay account is connected but EBAY_TOKEN_ENCRYPTION_KEY is not configured' };
+    }
+
+    return await getAccountAccessToken(data);
+  } catch (error) {
+    console.error('Error in getSellerAuth:', error);
+    return { success: false, message: `Fetching eBay credentials failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  getApplicationToken,
+  getConnectUrl,
+  completeConnection,
+  getConnection,
+  disconnect,
+  getSellerAuth
+};
@@ -0,0 +1,152 @@
+/**
+ * Typed errors for eBay REST API failures.
+ * eBay returns `{ errors: [{ errorId, domain, category, message, longMessage, parameters }] }`;
+ * toEbayError picks the error class from the HTTP status and the first error ID so callers
+ * can tell a bad listing from an expired token or an outage.
+ */
+
+// Error IDs that mean our credentials are wrong or expired
+const AUTH_ERROR_IDS = [1001, 1002, 1100];
+// Error IDs that mean the SKU, offer or listing doesn't exist
+const NOT_FOUND_ERROR_IDS = [25702, 25710, 25713];
+// Error IDs for transient eBay-side failures
+const SERVER_ERROR_IDS = [25001];
+const RATE_LIMIT_ERROR_IDS = [2001];
+
+/**
+ * Convert one REST error or warning into the shared structured shape
+ * @param {Object} entry - { errorId, message, longMessage } as returned by eBay
+ * @param {string} [severity] - 'Error' or 'Warning'
+ * @returns {Object} - { code, severity, shortMessage, longMessage }
+ */
+function toErrorEntry(entry, severity = 'Error') {
+  return {
+    code: entry.errorId !== undefined ? String(entry.errorId) : null,
+    severity,
+    shortMessage: entry.message || null,
+    longMessage: entry.longMessage || entry.message || null
+  };
+}
+
+class EbayApiError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {Object} [details] - What eBay returned
+   * @param {number} [details.httpStatus] - The HTTP status code
+   * @param {number} [details.errorId] - The first eBay error ID
+   * @param {string} [details.category] - The eBay error category (REQUEST, APPLICATION, BUSINESS)
+   * @param {string} [details.domain] - The eBay error domain (e.g. API_INVENTORY)
+   * @param {Array<Object>} [details.errors] - Every error eBay returned
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.httpStatus = details.httpStatus || null;
+    this.errorId = details.errorId || null;
+    this.category = details.category || null;
+    this.domain = details.domain || null;
+    this.errors = details.errors || [];
+  }
+
+  // Whether trying the same request again later might succeed
+  get retryable() {
+    return false;
+  }
+
+  // eBay's errors in the shape the Trading API client reports them: { code, severity, shortMessage, longMessage }
+  toErrorList() {
+    if (this.errors.length === 0) {
+      return [{ code: this.errorId, severity: 'Error', shortMessage: this.message, longMessage: this.message }];
+    }
+
+    return this.errors.map(toErrorEntry);
+  }
+
+  toJSON() {
+    return {
+      type: this.name,
+      message: this.message,
+      httpStatus: this.httpStatus,
+      errorId: this.errorId,
+      retryable: this.retryable
+    };
+  }
+}
+
+// Credentials are missing, invalid or expired
+class EbayAuthError extends EbayApiError {}
+
+// The listing data was rejected (bad price, category, policy, picture, ...)
+class EbayValidationError extends EbayApiError {}
+
+// The SKU, offer or listing doesn't exist on eBay
+class EbayNotFoundError extends EbayApiError {}
+
+class EbayRateLimitError extends EbayApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+// eBay had an internal error or couldn't be reached
+class EbayServerError extends EbayApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * Convert an axios error from an eBay REST call into a typed eBay error
+ * @param {Error} error - The error thrown by axios
+ * @returns {EbayApiError} - The typed error
+ */
+function toEbayError(error) {
+  if (error instanceof EbayApiError) {
+    return error;
+  }
+
+  if (!error.response) {
+    return new EbayServerError(`eBay request failed: ${error.message}`);
+  }
+
+  const httpStatus = error.response.status;
+  const errors = (error.response.data && error.response.data.errors) || [];
+  const first = errors[0] || {};
+  const details = {
+    httpStatus,
+    errorId: first.errorId,
+    category: first.category,
+    domain: first.domain,
+    errors
+  };
+  const message = first.longMessage || first.message || `eBay returned HTTP ${httpStatus}`;
+
+  if (httpStatus === 401 || httpStatus === 403 || AUTH_ERROR_IDS.includes(first.errorId)) {
+    return new EbayAuthError(message, details);
+  }
+
+  if (httpStatus === 429 || RATE_LIMIT_ERROR_IDS.includes(first.errorId)) {
+    return new EbayRateLimitError(message, details);
+  }
+
+  if (httpStatus === 404 || NOT_FOUND_ERROR_IDS.includes(first.errorId)) {
+    return new EbayNotFoundError(message, details);
+  }
+
+  if (httpStatus >= 500 || SERVER_ERROR_IDS.includes(first.errorId)) {
+    return new EbayServerError(message, details);
+  }
+
+  return new EbayValidationError(message, details);
+}
+
+module.exports = {
+  EbayApiError,
+  EbayAuthError,
+  EbayValidationError,
+  EbayNotFoundError,
+  EbayRateLimitError,
+  EbayServerError,
+  toEbayError,
+  toErrorEntry
+};
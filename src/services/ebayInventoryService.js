@@ -0,0 +1,567 @@
+const axios = require('axios');
+const ebayConfig = require('../config/ebay');
+const { processImageUrls } = require('./ebayService');
+const ebayTaxonomyService = require('./ebayTaxonomyService');
+const policyProfileService = require('./policyProfileService');
+const { EbayNotFoundError, toEbayError, toErrorEntry } = require('./ebayErrors');
+
+const INVENTORY_API_PATH = '/sell/inventory/v1';
+const ACCOUNT_API_PATH = '/sell/account/v1';
+const MARKETPLACE_ID = 'EBAY_US';
+const SKU_PREFIX = 'SNAPLIST-';
+// Business policies and locations SnapList creates on an eBay account are named after the profile they come from
+const POLICY_NAME_PREFIX = 'SnapList';
+const LOCATION_KEY_PREFIX = 'SNAPLIST-';
+const POLICY_CATEGORY_TYPES = [{ name: 'ALL_EXCLUDING_MOTORS_VEHICLES' }];
+
+// Our conditions mapped to Inventory API condition enums
+const CONDITION_MAP = {
+  'New': 'NEW',
+  'New with tags': 'NEW',
+  'New without tags': 'NEW_OTHER',
+  'Used - Excellent': 'USED_EXCELLENT',
+  'Used - Good': 'USED_GOOD',
+  'Used - Fair': 'USED_ACCEPTABLE',
+  'Used - Poor': 'USED_ACCEPTABLE'
+};
+
+// Offer listing statuses mapped to the Trading API ListingStatus values the rest of the app expects
+const LISTING_STATUS_MAP = {
+  ACTIVE: 'Active',
+  OUT_OF_STOCK: 'Completed',
+  ENDED: 'Ended'
+};
+
+// Offer fields eBay sets itself; they must be left out when replacing an offer
+const READ_ONLY_OFFER_FIELDS = ['offerId', 'sku', 'marketplaceId', 'format', 'status', 'listing'];
+
+/**
+ * Whether a listing is posted with the house account's configured business policies.
+ * Listings with a seller's shipping or return profile, or posted under a seller's own eBay account,
+ * get policies created from their profiles instead.
+ * @param {string} [accessToken] - The seller's OAuth token, if they connected their eBay account
+ * @param {Object} policies - The listing's { shipping, returns } profiles
+ * @returns {boolean}
+ */
+function usesHousePolicies(accessToken, policies) {
+  return !accessToken && !policies.shipping.id && !policies.returns.id;
+}
+
+/**
+ * Check the REST credentials, business policies and location needed to list through the Inventory API
+ * @param {string} [accessToken] - The seller's OAuth token, if they connected their eBay account
+ * @param {Object} policies - The listing's { shipping, returns } profiles
+ * @returns {Array<string>} - Names of the missing settings
+ */
+function getMissingSettings(accessToken, policies) {
+  const required = {
+    EBAY_OAUTH_TOKEN: accessToken || ebayConfig.oauthToken
+  };
+
+  if (usesHousePolicies(accessToken, policies)) {
+    required.EBAY_FULFILLMENT_POLICY_ID = ebayConfig.fulfillmentPolicyId;
+    required.EBAY_RETURN_POLICY_ID = ebayConfig.returnPolicyId;
+  }
+
+  if (!accessToken) {
+    required.EBAY_PAYMENT_POLICY_ID = ebayConfig.paymentPolicyId;
+  }
+
+  // Profiles with a postal code get their own inventory location
+  if (!policies.shipping.postal_code) {
+    required.EBAY_MERCHANT_LOCATION_KEY = ebayConfig.merchantLocationKey;
+  }
+
+  return Object.keys(required).filter(name => !required[name]);
+}
+
+/**
+ * Call a Sell REST API
+ * @param {string} apiPath - The API's base path (e.g. /sell/inventory/v1)
+ * @param {string} method - The HTTP method
+ * @param {string} path - The path below the API's base path
+ * @param {Object} [data] - The JSON body
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - The response body
+ * @throws {EbayApiError} - A typed error describing what eBay rejected
+ */
+async function sellRequest(apiPath, method, path, data, accessToken) {
+  try {
+    const houseToken = ebayConfig.oauthToken || '';
+    const token = accessToken || (houseToken.startsWith('Bearer ') ? houseToken.substring(7) : houseToken);
+
+    const response = await axios({
+      method,
+      url: `${ebayConfig.apiBaseUrl}${apiPath}${path}`,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Content-Language': 'en-US',
+        'Accept-Language': 'en-US'
+      },
+      data
+    });
+
+    return response.data;
+  } catch (error) {
+    throw toEbayError(error);
+  }
+}
+
+/**
+ * Call the Sell Inventory API
+ * @param {string} method - The HTTP method
+ * @param {string} path - The path below /sell/inventory/v1
+ * @param {Object} [data] - The JSON body
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - The response body
+ * @throws {EbayApiError} - A typed error describing what eBay rejected
+ */
+function inventoryRequest(method, path, data, accessToken) {
+  return sellRequest(INVENTORY_API_PATH, method, path, data, accessToken);
+}
+
+/**
+ * Translate a shipping profile into a Sell Account API fulfillment policy
+ * @param {Object} shipping - The shipping profile
+ * @param {string} name - The policy name
+ * @returns {Object} - The fulfillment policy
+ */
+function buildFulfillmentPolicy(shipping, name) {
+  const policy = {
+    name,
+    marketplaceId: MARKETPLACE_ID,
+    categoryTypes: POLICY_CATEGORY_TYPES,
+    handlingTime: { value: shipping.handling_days, unit: 'DAY' },
+    localPickup: shipping.type === 'local_pickup',
+    shippingOptions: []
+  };
+
+  if (shipping.type !== 'local_pickup') {
+    const service = { sortOrder: 1, shippingServiceCode: shipping.service };
+
+    if (shipping.type === 'flat') {
+      service.shippingCost = { value: String(shipping.cost), currency: 'USD' };
+    } else if (shipping.type === 'free') {
+      service.freeShipping = true;
+      service.shippingCost = { value: '0.00', currency: 'USD' };
+    }
+
+    policy.shippingOptions.push({
+      optionType: 'DOMESTIC',
+      costType: shipping.type === 'calculated' ? 'CALCULATED' : 'FLAT_RATE',
+      shippingServices: [service]
+    });
+  }
+
+  return policy;
+}
+
+/**
+ * Translate a return profile into a Sell Account API return policy
+ * @param {Object} returns - The return profile
+ * @param {string} name - The policy name
+ * @returns {Object} - The return policy
+ */
+function buildReturnPolicy(returns, name) {
+  const policy = {
+    name,
+    marketplaceId: MARKETPLACE_ID,
+    categoryTypes: POLICY_CATEGORY_TYPES,
+    returnsAccepted: Boolean(returns.returns_accepted)
+  };
+
+  if (returns.returns_accepted) {
+    policy.returnPeriod = { value: returns.return_days, unit: 'DAY' };
+    policy.refundMethod = 'MONEY_BACK';
+    policy.returnShippingCostPayer = returns.return_shipping_paid_by === 'seller' ? 'SELLER' : 'BUYER';
+  }
+
+  return policy;
+}
+
+/**
+ * Create a business policy on the eBay account, or bring the one created earlier for the same profile up to date
+ * @param {string} type - 'fulfillment', 'return' or 'payment'
+ * @param {Object} policy - The policy, including its name
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<string>} - The policy ID
+ */
+async function ensurePolicy(type, policy, accessToken) {
+  const idField = `${type}PolicyId`;
+  const data = await sellRequest(
+    ACCOUNT_API_PATH,
+    'get',
+    `/${type}_policy?marketplace_id=${MARKETPLACE_ID}`,
+    undefined,
+    accessToken
+  );
+  const existing = (data[`${type}Policies`] || []).find(entry => entry.name === policy.name);
+
+  if (existing) {
+    await sellRequest(ACCOUNT_API_PATH, 'put', `/${type}_policy/${existing[idField]}`, policy, accessToken);
+    return existing[idField];
+  }
+
+  const created = await sellRequest(ACCOUNT_API_PATH, 'post', `/${type}_policy`, policy, accessToken);
+  return created[idField];
+}
+
+/**
+ * Get the business policy IDs for an offer: the house account's configured policies, or policies
+ * created from the listing's shipping and return profiles
+ * @param {Object} policies - The listing's { shipping, returns } profiles
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - The offer's listingPolicies
+ */
+async function getListingPolicies(policies, accessToken) {
+  if (usesHousePolicies(accessToken, policies)) {
+    return {
+      fulfillmentPolicyId: ebayConfig.fulfillmentPolicyId,
+      paymentPolicyId: ebayConfig.paymentPolicyId,
+      returnPolicyId: ebayConfig.returnPolicyId
+    };
+  }
+
+  const { shipping, returns } = policies;
+
+  return {
+    fulfillmentPolicyId: await ensurePolicy(
+      'fulfillment',
+      buildFulfillmentPolicy(shipping, `${POLICY_NAME_PREFIX} shipping ${shipping.id || 'default'}`),
+      accessToken
+    ),
+    paymentPolicyId: accessToken
+      ? await ensurePolicy('payment', {
+        name: `${POLICY_NAME_PREFIX} payment`,
+        marketplaceId: MARKETPLACE_ID,
+        categoryTypes: POLICY_CATEGORY_TYPES
+      }, accessToken)
+      : ebayConfig.paymentPolicyId,
+    returnPolicyId: await ensurePolicy(
+      'return',
+      buildReturnPolicy(returns, `${POLICY_NAME_PREFIX} returns ${returns.id || 'default'}`),
+      accessToken
+    )
+  };
+}
+
+/**
+ * Get the inventory location an item ships from: one per postal code in the seller's shipping profile,
+ * otherwise the configured EBAY_MERCHANT_LOCATION_KEY
+ * @param {Object} shipping - The shipping profile
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<string>} - The merchant location key
+ */
+async function getMerchantLocationKey(shipping, accessToken) {
+  if (!shipping.postal_code) {
+    return ebayConfig.merchantLocationKey;
+  }
+
+  const key = `${LOCATION_KEY_PREFIX}${shipping.postal_code.replace(/[^A-Za-z0-9]/g, '')}`;
+
+  try {
+    await inventoryRequest('get', `/location/${key}`, undefined, accessToken);
+  } catch (error) {
+    if (!(error instanceof EbayNotFoundError)) throw error;
+
+    await inventoryRequest('post', `/location/${key}`, {
+      location: { address: { postalCode: shipping.postal_code, country: 'US' } },
+      locationTypes: ['WAREHOUSE'],
+      merchantLocationStatus: 'ENABLED',
+      name: `${POLICY_NAME_PREFIX} ${shipping.postal_code}`
+    }, accessToken);
+  }
+
+  return key;
+}
+
+/**
+ * Build a failed result from an eBay error
+ * @param {string} action - What was being done (e.g. 'creation')
+ * @param {Error} error - The error
+ * @returns {Object} - { success: false, ack, errors, warnings, message, error }
+ */
+function failure(action, error) {
+  const ebayError = toEbayError(error);
+  console.error(`eBay Inventory API listing ${action} failed:`, ebayError.toJSON());
+  return {
+    success: false,
+    ack: 'Failure',
+    errors: ebayError.toErrorList(),
+    warnings: [],
+    message: `eBay listing ${action} failed: ${ebayError.message}`,
+    error: ebayError.toJSON()
+  };
+}
+
+/**
+ * Build a successful result, matching the Trading API client's { ack, errors, warnings }
+ * @param {Array<Object>} [restWarnings] - Warnings eBay returned ({ errorId, message, longMessage })
+ * @param {Object} [fields] - Extra result fields
+ * @returns {Object} - The result
+ */
+function success(restWarnings = [], fields = {}) {
+  const warnings = restWarnings.map(entry => toErrorEntry(entry, 'Warning'));
+  if (warnings.length > 0) {
+    console.warn('eBay Inventory API warnings:', warnings);
+  }
+
+  return {
+    success: true,
+    ack: warnings.length > 0 ? 'Warning' : 'Success',
+    errors: [],
+    warnings,
+    ...fields
+  };
+}
+
+/**
+ * Get the URL buyers use to view an eBay listing
+ * @param {string} ebayItemId - The eBay listing ID
+ * @returns {string} - The listing URL
+ */
+function getItemUrl(ebayItemId) {
+  return `https://${ebayConfig.sandbox ? 'sandbox.' : ''}ebay.com/itm/${ebayItemId}`;
+}
+
+/**
+ * Find the offer already created for a SKU (e.g. by an earlier attempt that failed to publish)
+ * @param {string} sku - The inventory item SKU
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object|null>} - The offer, or null if there is none
+ */
+async function findOffer(sku, accessToken) {
+  try {
+    const data = await inventoryRequest(
+      'get',
+      `/offer?sku=${encodeURIComponent(sku)}&marketplace_id=${MARKETPLACE_ID}`,
+      undefined,
+      accessToken
+    );
+    return (data.offers || [])[0] || null;
+  } catch (error) {
+    if (error instanceof EbayNotFoundError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Create a listing on eBay through the Inventory API: inventory item, then offer, then publish.
+ * Every step is idempotent per listing, so a retry picks up where a failed attempt stopped.
+ * @param {Object} listing - The listing data
+ * @param {Array} imageUrls - Array of image URLs
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - The created eBay listing, with its SKU and offer ID
+ */
+async function createEbayListing(listing, imageUrls, accessToken) {
+  try {
+    const policies = await policyProfileService.getListingPolicies(listing);
+    if (!policies.success) {
+      return { success: false, message: `eBay listing creation failed: ${policies.message}` };
+    }
+
+    const missing = getMissingSettings(accessToken, policies);
+    if (missing.length > 0) {
+      console.warn(`eBay Inventory API not fully configured (missing ${missing.join(', ')}), skipping eBay listing`);
+      return { success: false, message: 'eBay Inventory API credentials not fully configured' };
+    }
+
+    // Resolve the category and its required item specifics before calling eBay
+    const prepared = await ebayTaxonomyService.prepareListing(listing);
+    if (!prepared.success) {
+      return { success: false, retryable: prepared.retryable, missing: prepared.missing, message: prepared.message };
+    }
+
+    const sku = `${SKU_PREFIX}${listing.id}`;
+    const pictures = processImageUrls(imageUrls)
+      .filter(url => url && url.startsWith('https://'))
+      .slice(0, 12); // eBay allows up to 12 images
+
+    // The Inventory API takes every aspect as a list of values
+    const aspects = {};
+    Object.entries(prepared.specifics).forEach(([name, value]) => {
+      aspects[name] = Array.isArray(value) ? value.map(String) : [String(value)];
+    });
+
+    const { shipping } = policies;
+    const inventoryItem = {
+      availability: {
+        shipToLocationAvailability: { quantity: 1 }
+      },
+      condition: CONDITION_MAP[listing.condition] || 'NEW',
+      product: {
+        title: listing.title,
+        description: listing.description,
+        aspects,
+        ...(pictures.length > 0 && { imageUrls: pictures })
+      }
+    };
+
+    // Calculated shipping rates come from the package in the seller's shipping profile
+    if (shipping.type === 'calculated') {
+      inventoryItem.packageWeightAndSize = {
+        dimensions: { height: shipping.height_in, length: shipping.length_in, width: shipping.width_in, unit: 'INCH' },
+        weight: { value: shipping.weight_oz, unit: 'OUNCE' }
+      };
+    }
+
+    await inventoryRequest('put', `/inventory_item/${encodeURIComponent(sku)}`, inventoryItem, accessToken);
+
+    const offer = {
+      availableQuantity: 1,
+      categoryId: prepared.categoryId,
+      listingDescription: listing.description,
+      listingPolicies: await getListingPolicies(policies, accessToken),
+      merchantLocationKey: await getMerchantLocationKey(shipping, accessToken),
+      pricingSummary: {
+        price: { value: String(listing.price), currency: 'USD' }
+      }
+    };
+
+    let offerId;
+    let ebayItemId;
+    let warnings = [];
+    const existing = await findOffer(sku, accessToken);
+
+    if (existing) {
+      offerId = existing.offerId;
+      if (existing.status === 'PUBLISHED' && existing.listing) {
+        ebayItemId = existing.listing.listingId;
+      } else {
+        await inventoryRequest('put', `/offer/${offerId}`, offer, accessToken);
+      }
+    } else {
+      const created = await inventoryRequest('post', '/offer', {
+        sku,
+        marketplaceId: MARKETPLACE_ID,
+        format: 'FIXED_PRICE',
+        ...offer
+      }, accessToken);
+      offerId = created.offerId;
+    }
+
+    if (!ebayItemId) {
+      const published = await inventoryRequest('post', `/offer/${offerId}/publish`, undefined, accessToken);
+      ebayItemId = published.listingId;
+      warnings = published.warnings || [];
+    }
+
+    if (!ebayItemId) {
+      console.error('eBay did not return a listing ID when publishing offer', offerId);
+      return { success: false, message: 'Failed to create eBay listing - no item ID returned' };
+    }
+
+    return success(warnings, {
+      ebayItemId,
+      ebayUrl: getItemUrl(ebayItemId),
+      sku,
+      offerId
+    });
+  } catch (error) {
+    return failure('creation', error);
+  }
+}
+
+/**
+ * Update a listing created through the Inventory API. Published offers are revised on eBay automatically.
+ * @param {Object} channelData - The channel's marketplace data ({ sku, offerId })
+ * @param {Object} changes - Our field names ({ title, description, price })
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - The update result
+ */
+async function updateEbayListing(channelData, changes, accessToken) {
+  try {
+    if (!accessToken && !ebayConfig.oauthToken) {
+      return { success: false, message: 'eBay Inventory API credentials not fully configured' };
+    }
+
+    const { sku, offerId } = channelData;
+
+    if (changes.title !== undefined || changes.description !== undefined) {
+      const item = await inventoryRequest('get', `/inventory_item/${encodeURIComponent(sku)}`, undefined, accessToken);
+      const product = { ...item.product };
+      if (changes.title !== undefined) product.title = changes.title;
+      if (changes.description !== undefined) product.description = changes.description;
+
+      await inventoryRequest('put', `/inventory_item/${encodeURIComponent(sku)}`, {
+        availability: item.availability,
+        condition: item.condition,
+        product,
+        ...(item.packageWeightAndSize && { packageWeightAndSize: item.packageWeightAndSize })
+      }, accessToken);
+    }
+
+    if (changes.price !== undefined || changes.description !== undefined) {
+      const current = await inventoryRequest('get', `/offer/${offerId}`, undefined, accessToken);
+      const offer = { ...current };
+      READ_ONLY_OFFER_FIELDS.forEach(field => delete offer[field]);
+
+      if (changes.price !== undefined) {
+        offer.pricingSummary = {
+          ...offer.pricingSummary,
+          price: { value: String(changes.price), currency: 'USD' }
+        };
+      }
+      if (changes.description !== undefined) offer.listingDescription = changes.description;
+
+      await inventoryRequest('put', `/offer/${offerId}`, offer, accessToken);
+    }
+
+    return success([], { message: 'eBay listing updated successfully' });
+  } catch (error) {
+    return failure('update', error);
+  }
+}
+
+/**
+ * End a listing created through the Inventory API by withdrawing its offer
+ * @param {Object} channelData - The channel's marketplace data ({ sku, offerId })
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - The end result
+ */
+async function endEbayListing(channelData, accessToken) {
+  try {
+    if (!accessToken && !ebayConfig.oauthToken) {
+      return { success: false, message: 'eBay Inventory API credentials not fully configured' };
+    }
+
+    await inventoryRequest('post', `/offer/${channelData.offerId}/withdraw`, undefined, accessToken);
+
+    return success([], { message: 'eBay listing ended successfully' });
+  } catch (error) {
+    return failure('end', error);
+  }
+}
+
+/**
+ * Check if a listing created through the Inventory API has been sold
+ * @param {Object} channelData - The channel's marketplace data ({ sku, offerId })
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - The check result
+ */
+async function checkEbayListingSold(channelData, accessToken) {
+  try {
+    if (!accessToken && !ebayConfig.oauthToken) {
+      return { success: false, message: 'eBay Inventory API credentials not fully configured' };
+    }
+
+    const offer = await inventoryRequest('get', `/offer/${channelData.offerId}`, undefined, accessToken);
+    const ebayListing = offer.listing || {};
+    const sold = (ebayListing.soldQuantity || 0) > 0;
+
+    return success([], {
+      sold,
+      status: sold ? 'Completed' : LISTING_STATUS_MAP[ebayListing.listingStatus] || 'Unknown'
+    });
+  } catch (error) {
+    return failure('check', error);
+  }
+}
+
+module.exports = {
+  createEbayListing,
+  updateEbayListing,
+  endEbayListing,
+  checkEbayListingSold
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const ebayConfig = require('../config/ebay');
+const { getApplicationToken } = require('./ebayAccountService');
+
+// eBay rotates notification keys rarely; an hour keeps lookups cheap without pinning a revoked key for long
+const PUBLIC_KEY_CACHE_TTL_MS = 60 * 60 * 1000;
+
+const publicKeyCache = new Map();
+
+/**
+ * Default key provider: fetch a public key from the eBay Notification API
+ * @param {string} kid - The key ID from the signature header
+ * @returns {Promise<Object>} - The key (PEM), algorithm and digest
+ */
+async function fetchEbayPublicKey(kid) {
+  const token = await getApplicationToken();
+  const response = await axios.get(
+    `${ebayConfig.apiBaseUrl}/commerce/notification/v1/public_key/${encodeURIComponent(kid)}`,
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+
+  return {
+    key: response.data.key,
+    algorithm: response.data.algorithm,
+    digest: response.data.digest
+  };
+}
+
+let keyProvider = fetchEbayPublicKey;
+
+/**
+ * Replace the function used to look up public keys (e.g. with a local key pair in tests).
+ * Clears the key cache so keys from the previous provider aren't reused.
+ * @param {Function} provider - async (kid) => ({ key, algorithm, digest }); pass null to restore the eBay provider
+ */
+function setKeyProvider(provider) {
+  keyProvider = provider || fetchEbayPublicKey;
+  publicKeyCache.clear();
+}
+
+/**
+ * Get a public key by key ID, using the cache when possible. Only keys that were found are cached.
+ * @param {string} kid - The key ID
+ * @returns {Promise<Object>} - The key (PEM), algorithm and digest
+ */
+async function getPublicKey(kid) {
+  const cached = publicKeyCache.get(kid);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.publicKey;
+  }
+
+  const publicKey = await keyProvider(kid);
+
+  // A key eBay didn't return is looked up again next time, in case it was published since
+  if (publicKey && publicKey.key) {
+    publicKeyCache.set(kid, {
+      publicKey,
+      expiresAt: Date.now() + PUBLIC_KEY_CACHE_TTL_MS
+    });
+  }
+
+  return publicKey;
+}
+
+/**
+ * Decode the x-ebay-signature header (base64-encoded JSON)
+ * @param {string} header - The raw header value
+ * @returns {Object|null} - The decoded { alg, kid, signature, digest }, or null if malformed
+ */
+function decodeSignatureHeader(header) {
+  if (!header) return null;
+
+  try {
+    const decoded = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+
+    if (!decoded || !decoded.kid || !decoded.signature) {
+      return null;
+    }
+
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * eBay sometimes returns the PEM body on a single line; rebuild it so crypto accepts it
+ * @param {string} key - The key as returned by the provider
+ * @returns {string} - A well-formed PEM public key
+ */
+function toPem(key) {
+  const match = /-----BEGIN PUBLIC KEY-----(.*)-----END PUBLIC KEY-----/s.exec(key);
+
+  if (!match) {
+    return key;
+  }
+
+  const body = match[1].replace(/\s+/g, '');
+  const lines = body.match(/.{1,64}/g) || [];
+  return `-----BEGIN PUBLIC KEY-----\n${lines.join('\n')}\n-----END PUBLIC KEY-----\n`;
+}
+
+/**
+ * Normalise a digest name so eBay's `SHA1` and `SHA-256` match what crypto expects
+ * @param {string} digest - The digest name
+ * @returns {string} - e.g. sha1, sha256
+ */
+function normalizeDigest(digest) {
+  return String(digest).toLowerCase().replace('-', '');
+}
+
+/**
+ * Verify an eBay notification against its signature header
+ * @param {Buffer|string} rawBody - The exact request body eBay signed
+ * @param {string} signatureHeader - The x-ebay-signature header value
+ * @returns {Promise<Object>} - { verified, reason, kid }; `retryable` is set when the key couldn't be fetched
+ */
+async function verifyNotification(rawBody, signatureHeader) {
+  const signature = decodeSignatureHeader(signatureHeader);
+
+  if (!signature) {
+    return { verified: false, reason: 'Missing or malformed x-ebay-signature header' };
+  }
+
+  if (!rawBody || rawBody.length === 0) {
+    return { verified: false, reason: 'Missing request body', kid: signature.kid };
+  }
+
+  let publicKey;
+  try {
+    publicKey = await getPublicKey(signature.kid);
+  } catch (error) {
+    console.error(`Error fetching eBay public key ${signature.kid}:`, error.message);
+    return { verified: false, retryable: true, reason: 'Unable to fetch eBay public key', kid: signature.kid };
+  }
+
+  if (!publicKey || !publicKey.key) {
+    return { verified: false, reason: 'Unknown signing key', kid: signature.kid };
+  }
+
+  if (publicKey.algorithm && publicKey.algorithm.toUpperCase() !== 'ECDSA') {
+    return { verified: false, reason: `Unsupported signature algorithm ${publicKey.algorithm}`, kid: signature.kid };
+  }
+
+  // The key says which digest eBay signs with; the header's own claim is only checked against it
+  const digest = normalizeDigest(publicKey.digest || 'SHA1');
+
+  if (signature.digest && normalizeDigest(signature.digest) !== digest) {
+    return { verified: false, reason: `Signature digest ${signature.digest} does not match the signing key`, kid: signature.kid };
+  }
+
+  try {
+    const verifier = crypto.createVerify(digest);
+    verifier.update(rawBody);
+    verifier.end();
+
+    const verified = verifier.verify(toPem(publicKey.key), Buffer.from(signature.signature, 'base64'));
+
+    return verified
+      ? { verified: true, kid: signature.kid }
+      : { verified: false, reason: 'Signature does not match payload', kid: signature.kid };
+  } catch (error) {
+    console.error('Error verifying eBay notification signature:', error.message);
+    return { verified: false, reason: `Signature verification failed: ${error.message}`, kid: signature.kid };
+  }
+}
+
+module.exports = {
+  decodeSignatureHeader,
+  verifyNotification,
+  setKeyProvider
+};
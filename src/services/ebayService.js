@@ -1,17 +1,232 @@
 const axios = require('axios');
+const { XMLBuilder, XMLParser } = require('fast-xml-parser');
 const ebayConfig = require('../config/ebay');
 const { supabase } = require('../config/supabase');
+const ebayTaxonomyService = require('./ebayTaxonomyService');
+const policyProfileService = require('./policyProfileService');
+
+const xmlBuilder = new XMLBuilder({ ignoreAttributes: false, suppressEmptyNode: true });
+
+// Keep values as strings (item IDs are long numbers) and always read <Errors> as a list
+const xmlParser = new XMLParser({
+  ignoreAttributes: true,
+  removeNSPrefix: true,
+  parseTagValue: false,
+  isArray: (name) => name === 'Errors'
+});
+
+// GetOrders only looks back 90 days
+const MAX_ORDER_LOOKBACK_DAYS = 90;
+const MAX_ORDER_PAGES = 10;
+
+/**
+ * Get the token for the X-EBAY-API-IAF-TOKEN header: the seller's OAuth token when they have
+ * connected their eBay account, otherwise the house account's Auth'n'Auth token
+ * @param {string} [accessToken] - The seller's OAuth access token
+ * @returns {string} - The header value
+ */
+function getIafToken(accessToken) {
+  if (accessToken) return accessToken;
+  if (!ebayConfig.authToken) return '';
+  
+  // If the authToken starts with "Bearer", remove it as it's for REST APIs, not Trading API
+  return ebayConfig.authToken.startsWith('Bearer ') ? ebayConfig.authToken.substring(7) : ebayConfig.authToken;
+}
+
+/**
+ * Parse a Trading API response into its acknowledgement, errors and warnings
+ * @param {string} xml - The response body
+ * @param {string} callName - The Trading API call (e.g. 'AddItem')
+ * @returns {Object} - { ack, errors, warnings, response } where errors/warnings are { code, severity, shortMessage, longMessage }
+ */
+function parseEbayResponse(xml, callName) {
+  let parsed;
+  try {
+    parsed = xmlParser.parse(xml || '');
+  } catch (error) {
+    parsed = {};
+  }
+
+  const response = parsed[`${callName}Response`] || {};
+  const entries = (response.Errors || []).map(entry => ({
+    code: entry.ErrorCode || null,
+    severity: entry.SeverityCode || 'Error',
+    shortMessage: entry.ShortMessage || null,
+    longMessage: entry.LongMessage || entry.ShortMessage || null
+  }));
+
+  return {
+    ack: response.Ack || null,
+    errors: entries.filter(entry => entry.severity !== 'Warning'),
+    warnings: entries.filter(entry => entry.severity === 'Warning'),
+    response
+  };
+}
+
+/**
+ * Summarise structured eBay errors in one line
+ * @param {Array<Object>} errors - { code, severity, shortMessage, longMessage }
+ * @returns {string} - The messages, or a generic one when eBay sent none
+ */
+function describeErrors(errors) {
+  const messages = (errors || []).map(error => error.longMessage || error.shortMessage).filter(Boolean);
+  return messages.length > 0 ? messages.join('; ') : 'Unknown eBay API error';
+}
+
+/**
+ * Call the Trading API
+ * @param {string} callName - The call (e.g. 'AddItem'); selects both the header and the request element
+ * @param {Object} body - The request fields
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - { success, ack, errors, warnings, response }; Warning acks count as success
+ */
+async function tradingRequest(callName, body, accessToken) {
+  const xml = xmlBuilder.build({
+    '?xml': { '@_version': '1.0', '@_encoding': 'utf-8' },
+    [`${callName}Request`]: { '@_xmlns': 'urn:ebay:apis:eBLBaseComponents', ...body }
+  });
+
+  let data;
+  try {
+    const response = await axios({
+      method: 'post',
+      url: `${ebayConfig.apiBaseUrl}/ws/api.dll`,
+      headers: {
+        'X-EBAY-API-SITEID': '0',
+        'X-EBAY-API-COMPATIBILITY-LEVEL': '967',
+        'X-EBAY-API-CALL-NAME': callName,
+        // Ensure we have actual values for the required headers
+        'X-EBAY-API-APP-NAME': ebayConfig.appId || '',
+        'X-EBAY-API-DEV-NAME': ebayConfig.devId || '',
+        'X-EBAY-API-CERT-NAME': ebayConfig.certId || '',
+        'X-EBAY-API-IAF-TOKEN': getIafToken(accessToken),
+        'X-EBAY-API-DETAIL-LEVEL': '0',
+        'Content-Type': 'application/xml'
+      },
+      data: xml
+    });
+    data = response.data;
+  } catch (error) {
+    // eBay still describes most HTTP-level failures in an XML body
+    data = error.response && typeof error.response.data === 'string' ? error.response.data : null;
+
+    if (!data) {
+      return {
+        success: false,
+        ack: null,
+        errors: [{ code: null, severity: 'Error', shortMessage: error.message, longMessage: error.message }],
+        warnings: [],
+        response: {}
+      };
+    }
+  }
+
+  const result = parseEbayResponse(data, callName);
+
+  if (result.warnings.length > 0) {
+    console.warn(`eBay ${callName} warnings:`, result.warnings);
+  }
+
+  return {
+    ...result,
+    success: result.ack === 'Success' || result.ack === 'Warning'
+  };
+}
+
+/**
+ * Make sure image URLs are full URLs eBay can fetch
+ * @param {Array} imageUrls - Array of image URLs or storage filenames
+ * @returns {Array<string>} - The full image URLs
+ */
+function processImageUrls(imageUrls) {
+  return (imageUrls || []).map(url => {
+    // If the URL is already a full URL, use it as is
+    if (url && url.startsWith('http')) {
+      return url;
+    }
+    
+    // Otherwise, assume it's just the filename and construct the full Supabase URL
+    return `https://lsrdviupiuoztnccwdxk.supabase.co/storage/v1/object/public/snaplist-images/uploads/${url}`;
+  });
+}
+
+/**
+ * Translate a shipping profile into Trading API Item fields
+ * @param {Object} shipping - The shipping profile
+ * @returns {Object} - ShippingDetails, DispatchTimeMax and, when needed, PostalCode and ShippingPackageDetails
+ */
+function buildShippingFields(shipping) {
+  const fields = { DispatchTimeMax: shipping.handling_days };
+  const option = { ShippingServicePriority: 1, ShippingService: shipping.service };
+
+  if (shipping.postal_code) {
+    fields.PostalCode = shipping.postal_code;
+  }
+
+  switch (shipping.type) {
+    case 'free':
+      fields.ShippingDetails = {
+        ShippingType: 'Flat',
+        ShippingServiceOptions: { ...option, ShippingServiceCost: 0, FreeShipping: true }
+      };
+      break;
+    case 'calculated':
+      fields.ShippingDetails = { ShippingType: 'Calculated', ShippingServiceOptions: option };
+      fields.ShippingPackageDetails = {
+        MeasurementUnit: 'English',
+        PackageDepth: shipping.height_in,
+        PackageLength: shipping.length_in,
+        PackageWidth: shipping.width_in,
+        ShippingPackage: 'PackageThickEnvelope',
+        WeightMajor: Math.floor(shipping.weight_oz / 16),
+        WeightMinor: Math.ceil(shipping.weight_oz % 16)
+      };
+      break;
+    case 'local_pickup':
+      fields.ShippingDetails = {
+        ShippingType: 'Flat',
+        ShippingServiceOptions: { ShippingServicePriority: 1, ShippingService: 'LocalPickup', ShippingServiceCost: 0 }
+      };
+      break;
+    default:
+      fields.ShippingDetails = {
+        ShippingType: 'Flat',
+        ShippingServiceOptions: { ...option, ShippingServiceCost: shipping.cost }
+      };
+  }
+
+  return fields;
+}
+
+/**
+ * Translate a return profile into a Trading API ReturnPolicy
+ * @param {Object} returns - The return profile
+ * @returns {Object} - The ReturnPolicy
+ */
+function buildReturnPolicy(returns) {
+  if (!returns.returns_accepted) {
+    return { ReturnsAcceptedOption: 'ReturnsNotAccepted' };
+  }
+
+  return {
+    ReturnsAcceptedOption: 'ReturnsAccepted',
+    RefundOption: 'MoneyBack',
+    ReturnsWithinOption: `Days_${returns.return_days}`,
+    ShippingCostPaidByOption: returns.return_shipping_paid_by === 'seller' ? 'Seller' : 'Buyer'
+  };
+}
 
 /**
  * Create a new listing on eBay
  * @param {Object} listing - The listing data
  * @param {Array} imageUrls - Array of image URLs
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
  * @returns {Promise<Object>} - The created eBay listing
  */
-async function createEbayListing(listing, imageUrls) {
+async function createEbayListing(listing, imageUrls, accessToken) {
   try {
     // Enhanced validation to ensure all required credentials are present
-    if (!ebayConfig.appId || !ebayConfig.certId || !ebayConfig.devId || !ebayConfig.authToken) {
+    if (!ebayConfig.appId || !ebayConfig.certId || !ebayConfig.devId || (!ebayConfig.authToken && !accessToken)) {
       console.warn('eBay credentials not fully configured, skipping eBay listing');
       return { success: false, message: 'eBay API credentials not fully configured' };
     }
@@ -20,36 +235,20 @@ async function createEbayListing(listing, imageUrls) {
     if (!ebayConfig.appId) console.warn('Missing EBAY_APP_ID in environment variables');
     if (!ebayConfig.certId) console.warn('Missing EBAY_CERT_ID in environment variables');
     if (!ebayConfig.devId) console.warn('Missing EBAY_DEV_ID in environment variables');
-    if (!ebayConfig.authToken) console.warn('Missing EBAY_AUTH_TOKEN in environment variables');
+    if (!ebayConfig.authToken && !accessToken) console.warn('Missing EBAY_AUTH_TOKEN in environment variables');
     
-    // In a real implementation, this would use the eBay Trading API or Inventory API
-    // For demonstration purposes, we're using a simplified approach
-    const ebayApiUrl = ebayConfig.sandbox
-      ? 'https://api.sandbox.ebay.com/ws/api.dll'
-      : 'https://api.ebay.com/ws/api.dll';
+    // Resolve the category and its required item specifics before calling eBay
+    const prepared = await ebayTaxonomyService.prepareListing(listing);
+    if (!prepared.success) {
+      return { success: false, retryable: prepared.retryable, missing: prepared.missing, message: prepared.message };
+    }
     
-    // Sanitize description to handle HTML content safely
-    const sanitizeDescription = (desc) => {
-      if (!desc) return '';
-      
-      // For simplicity, we'll wrap the description in CDATA if it contains HTML
-      if (desc.includes('<') || desc.includes('&')) {
-        return `<![CDATA[${desc}]]>`;
-      }
-      
-      return desc;
-    };
+    const policies = await policyProfileService.getListingPolicies(listing);
+    if (!policies.success) {
+      return { success: false, message: `eBay listing creation failed: ${policies.message}` };
+    }
     
-    // Process image URLs to ensure they're full URLs
-    const processedImageUrls = (imageUrls || []).map(url => {
-      // If the URL is already a full URL, use it as is
-      if (url && url.startsWith('http')) {
-        return url;
-      }
-      
-      // Otherwise, assume it's just the filename and construct the full Supabase URL
-      return `https://lsrdviupiuoztnccwdxk.supabase.co/storage/v1/object/public/snaplist-images/uploads/${url}`;
-    });
+    const processedImageUrls = processImageUrls(imageUrls);
     
     // Map condition to eBay condition ID
     const getConditionID = (condition) => {
@@ -66,120 +265,29 @@ async function createEbayListing(listing, imageUrls) {
       return conditionMap[condition] || 1000; // Default to New if not found
     };
     
-    // Map category to eBay category ID - could be expanded with more mappings
-    const getCategoryID = (category) => {
-      const categoryMap = {
-        // Men's Clothing
-        'T-Shirts': '185116',
-        'Shirts': '185101',
-        'Pants': '185105',
-        'Jeans': '11483',
-        'Shorts': '15689',
-        'Suits': '3001',
-        'Sweaters': '11484',
-        'Coats & Jackets': '57988',
-        'Activewear': '185099',
-        
-        // Women's Clothing
-        'Dresses': '63861',
-        'Tops & Blouses': '53159',
-        'Skirts': '63864',
-        "Women's Pants": '63863',
-        "Women's Jeans": '11554',
-        "Women's Shorts": '11555',
-        "Women's Suits": '63866',
-        "Women's Sweaters": '63866',
-        "Women's Coats": '63862',
-        "Women's Activewear": '185099',
-        
-        // Footwear
-        'Shoes': '93427',
-        "Men's Shoes": '93427',
-        "Women's Shoes": '55793',
-        'Athletic Shoes': '15709',
-        'Boots': '11498',
-        'Sandals': '62107',
-        
-        // Accessories
-        'Accessories': '4250',
-        'Watches': '14324',
-        'Belts': '2993',
-        'Hats': '52365',
-        'Sunglasses': '79720',
-        'Wallets': '2996',
-        'Bags & Purses': '169291',
-        'Jewelry': '281',
-        
-        // Electronics
-        'Smartphones': '9355',
-        'Laptops': '177',
-        'Tablets': '171485',
-        'Headphones': '112529',
-        'Cameras': '625',
-        'Smart Watches': '178893',
-        'Video Games': '1249',
-        'Gaming Consoles': '139971',
-        
-        // Home & Garden
-        'Furniture': '3197',
-        'Home Decor': '10033',
-        'Kitchen': '20625',
-        'Bedding': '20444',
-        'Bath': '133696',
-        'Tools': '631',
-        
-        // Baby & Kids
-        'Baby Clothing': '3082',
-        'Toys': '220',
-        'Kids Clothing': '171146',
-        
-        // Sports & Outdoors
-        'Sporting Goods': '888',
-        'Fitness Equipment': '15273',
-        'Cycling': '7294',
-        'Camping': '16034',
-        
-        // Books & Media
-        'Books': '267',
-        'Movies': '11232',
-        'Music': '11233'
-      };
-      
-      return categoryMap[category] || '185116'; // Default to T-Shirts if not found
-    };
-    
     // Prepare the listing data
     const ebayListing = {
       Item: {
         Title: listing.title,
-        Description: sanitizeDescription(listing.description),
+        // The XML builder escapes HTML in the description
+        Description: listing.description || '',
         PrimaryCategory: {
-          CategoryID: getCategoryID(listing.category)
+          CategoryID: prepared.categoryId
         },
         StartPrice: listing.price,
         ConditionID: getConditionID(listing.condition),
         Country: 'US',
         Currency: 'USD',
         Location: 'United States', // Add required Location field
-        DispatchTimeMax: 3, // 3 days handling time
+        ...buildShippingFields(policies.shipping),
         ListingDuration: 'GTC', // Good 'Til Cancelled - required for fixed price listings
         ListingType: 'FixedPriceItem',
-        // Add required item specifics for the category
+        // Item specifics resolved for the category (Brand, Size, Color, ...)
         ItemSpecifics: {
-          NameValueList: [
-            {
-              Name: 'Brand',
-              Value: listing.brand || 'Unbranded'
-            },
-            {
-              Name: 'Model',
-              Value: listing.model || 'Generic'
-            },
-            {
-              Name: 'Type',
-              Value: listing.type || 'Basic Tee'
-            }
-          ]
+          NameValueList: Object.entries(prepared.specifics).map(([name, value]) => ({
+            Name: name,
+            Value: value
+          }))
         },
         PictureDetails: {
           // eBay requires images to be hosted on a public server with https URLs
@@ -188,41 +296,13 @@ async function createEbayListing(listing, imageUrls) {
             .filter(url => url && url.startsWith('https://'))
             .slice(0, 12) // eBay allows up to 12 images
         },
-        ReturnPolicy: {
-          ReturnsAcceptedOption: 'ReturnsAccepted',
-          RefundOption: 'MoneyBack',
-          ReturnsWithinOption: 'Days_30',
-          ShippingCostPaidByOption: 'Buyer'
-        },
-        ShippingDetails: {
-          ShippingType: 'Flat',
-          ShippingServiceOptions: {
-            ShippingServicePriority: 1,
-            ShippingService: 'USPSPriority',
-            ShippingServiceCost: 10.00
-          }
-        },
+        ReturnPolicy: buildReturnPolicy(policies.returns),
         Site: 'US',
         Country: 'US',
         Currency: 'USD'
       }
     };
     
-    // Add more item specifics if available
-    if (listing.color) {
-      ebayListing.Item.ItemSpecifics.NameValueList.push({
-        Name: 'Color',
-        Value: listing.color
-      });
-    }
-    
-    if (listing.size) {
-      ebayListing.Item.ItemSpecifics.NameValueList.push({
-        Name: 'Size',
-        Value: listing.size
-      });
-    }
-    
     // Check if we have valid pictures before proceeding
     if (!ebayListing.Item.PictureDetails.PictureURL || ebayListing.Item.PictureDetails.PictureURL.length === 0) {
       console.warn('No valid image URLs for eBay listing, skipping PictureDetails');
@@ -231,51 +311,28 @@ async function createEbayListing(listing, imageUrls) {
     }
     
     // Make the API request to eBay
-    const response = await axios({
-      method: 'post',
-      url: ebayApiUrl,
-      headers: {
-        'X-EBAY-API-SITEID': '0',
-        'X-EBAY-API-COMPATIBILITY-LEVEL': '967',
-        'X-EBAY-API-CALL-NAME': 'AddItem',
-        // Ensure we have actual values for the required headers
-        'X-EBAY-API-APP-NAME': ebayConfig.appId || '',
-        'X-EBAY-API-DEV-NAME': ebayConfig.devId || '',
-        'X-EBAY-API-CERT-NAME': ebayConfig.certId || '',
-        // IMPORTANT: The Trading API requires a User Auth Token, not an OAuth token
-        // If the authToken starts with "Bearer", remove it as it's for REST APIs, not Trading API
-        'X-EBAY-API-IAF-TOKEN': ebayConfig.authToken ? 
-          (ebayConfig.authToken.startsWith('Bearer ') ? ebayConfig.authToken.substring(7) : ebayConfig.authToken) : '',
-        'X-EBAY-API-DETAIL-LEVEL': '0',
-        'Content-Type': 'application/xml'
-      },
-      data: generateEbayXml(ebayListing)
-    });
+    const result = await tradingRequest('AddItem', ebayListing, accessToken);
+    const ebayItemId = result.response.ItemID || null;
+    const details = { ack: result.ack, errors: result.errors, warnings: result.warnings };
     
-    // Parse the response
-    const ebayItemId = extractEbayItemId(response.data);
-    
-    // Check if the response indicates failure
-    if (response.data.includes('<Ack>Failure</Ack>')) {
-      // Extract error messages from the response
-      const errorMatch = response.data.match(/<LongMessage>([^<]+)<\/LongMessage>/);
-      const errorMessage = errorMatch ? errorMatch[1] : 'Unknown eBay API error';
-      console.error('eBay API Error:', errorMessage);
-      return { success: false, message: `eBay listing creation failed: ${errorMessage}` };
+    if (!result.success) {
+      console.error('eBay API Error:', result.errors);
+      return { success: false, ...details, message: `eBay listing creation failed: ${describeErrors(result.errors)}` };
     }
     
     if (!ebayItemId) {
-      console.error('Failed to extract eBay item ID from response');
-      return { success: false, message: 'Failed to create eBay listing - no item ID returned' };
+      console.error('Failed to find the eBay item ID in the AddItem response');
+      return { success: false, ...details, message: 'Failed to create eBay listing - no item ID returned' };
     }
     
     return {
       success: true,
+      ...details,
       ebayItemId,
       ebayUrl: `https://${ebayConfig.sandbox ? 'sandbox.' : ''}ebay.com/itm/${ebayItemId}`
     };
   } catch (error) {
-    console.error('Error creating eBay listing:', error.response?.data || error.message);
+    console.error('Error creating eBay listing:', error.message);
     return { success: false, message: `eBay listing creation failed: ${error.message}` };
   }
 }
@@ -284,56 +341,34 @@ async function createEbayListing(listing, imageUrls) {
  * Update an existing eBay listing
  * @param {string} ebayItemId - The eBay item ID
  * @param {Object} updateData - The data to update
- * @returns {Promise<Object>} - The update result
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - The update result, with eBay's ack, errors and warnings
  */
-async function updateEbayListing(ebayItemId, updateData) {
+async function updateEbayListing(ebayItemId, updateData, accessToken) {
   try {
-    if (!ebayConfig.appId || !ebayConfig.certId || !ebayConfig.devId || !ebayConfig.authToken) {
+    if (!ebayConfig.appId || !ebayConfig.certId || !ebayConfig.devId || (!ebayConfig.authToken && !accessToken)) {
       console.warn('eBay credentials not fully configured, skipping eBay listing update');
       return { success: false, message: 'eBay API credentials not fully configured' };
     }
     
-    // In a real implementation, this would use the eBay Trading API
-    const ebayApiUrl = ebayConfig.sandbox
-      ? 'https://api.sandbox.ebay.com/ws/api.dll'
-      : 'https://api.ebay.com/ws/api.dll';
-    
-    // Prepare the update data
-    const ebayUpdate = {
+    const result = await tradingRequest('ReviseItem', {
       Item: {
         ItemID: ebayItemId,
         ...updateData
       }
-    };
-    
-    // Make the API request to eBay
-    const response = await axios({
-      method: 'post',
-      url: ebayApiUrl,
-      headers: {
-        'X-EBAY-API-SITEID': '0',
-        'X-EBAY-API-COMPATIBILITY-LEVEL': '967',
-        'X-EBAY-API-CALL-NAME': 'ReviseItem',
-        'X-EBAY-API-APP-NAME': ebayConfig.appId || '',
-        'X-EBAY-API-DEV-NAME': ebayConfig.devId || '',
-        'X-EBAY-API-CERT-NAME': ebayConfig.certId || '',
-        'X-EBAY-API-IAF-TOKEN': ebayConfig.authToken ? 
-          (ebayConfig.authToken.startsWith('Bearer ') ? ebayConfig.authToken.substring(7) : ebayConfig.authToken) : '',
-        'X-EBAY-API-DETAIL-LEVEL': '0',
-        'Content-Type': 'application/xml'
-      },
-      data: generateEbayXml(ebayUpdate)
-    });
-    
-    // Check for success in the response
-    const success = response.data.includes('<Ack>Success</Ack>');
+    }, accessToken);
     
     return { 
-      success, 
-      message: success ? 'eBay listing updated successfully' : 'Failed to update eBay listing'
+      success: result.success,
+      ack: result.ack,
+      errors: result.errors,
+      warnings: result.warnings,
+      message: result.success
+        ? 'eBay listing updated successfully'
+        : `eBay listing update failed: ${describeErrors(result.errors)}`
     };
   } catch (error) {
-    console.error('Error updating eBay listing:', error.response?.data || error.message);
+    console.error('Error updating eBay listing:', error.message);
     return { success: false, message: `eBay listing update failed: ${error.message}` };
   }
 }
@@ -341,54 +376,32 @@ async function updateEbayListing(ebayItemId, updateData) {
 /**
  * End an eBay listing
  * @param {string} ebayItemId - The eBay item ID
- * @returns {Promise<Object>} - The end result
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - The end result, with eBay's ack, errors and warnings
  */
-async function endEbayListing(ebayItemId) {
+async function endEbayListing(ebayItemId, accessToken) {
   try {
-    if (!ebayConfig.appId || !ebayConfig.certId || !ebayConfig.devId || !ebayConfig.authToken) {
+    if (!ebayConfig.appId || !ebayConfig.certId || !ebayConfig.devId || (!ebayConfig.authToken && !accessToken)) {
       console.warn('eBay credentials not fully configured, skipping eBay listing end');
       return { success: false, message: 'eBay API credentials not fully configured' };
     }
     
-    // In a real implementation, this would use the eBay Trading API
-    const ebayApiUrl = ebayConfig.sandbox
-      ? 'https://api.sandbox.ebay.com/ws/api.dll'
-      : 'https://api.ebay.com/ws/api.dll';
-    
-    // Prepare the end listing request
-    const ebayEnd = {
+    const result = await tradingRequest('EndItem', {
       ItemID: ebayItemId,
       EndingReason: 'NotAvailable'
-    };
-    
-    // Make the API request to eBay
-    const response = await axios({
-      method: 'post',
-      url: ebayApiUrl,
-      headers: {
-        'X-EBAY-API-SITEID': '0',
-        'X-EBAY-API-COMPATIBILITY-LEVEL': '967',
-        'X-EBAY-API-CALL-NAME': 'EndItem',
-        'X-EBAY-API-APP-NAME': ebayConfig.appId || '',
-        'X-EBAY-API-DEV-NAME': ebayConfig.devId || '',
-        'X-EBAY-API-CERT-NAME': ebayConfig.certId || '',
-        'X-EBAY-API-IAF-TOKEN': ebayConfig.authToken ? 
-          (ebayConfig.authToken.startsWith('Bearer ') ? ebayConfig.authToken.substring(7) : ebayConfig.authToken) : '',
-        'X-EBAY-API-DETAIL-LEVEL': '0',
-        'Content-Type': 'application/xml'
-      },
-      data: generateEbayXml(ebayEnd)
-    });
-    
-    // Check for success in the response
-    const success = response.data.includes('<Ack>Success</Ack>');
+    }, accessToken);
     
     return { 
-      success, 
-      message: success ? 'eBay listing ended successfully' : 'Failed to end eBay listing'
+      success: result.success,
+      ack: result.ack,
+      errors: result.errors,
+      warnings: result.warnings,
+      message: result.success
+        ? 'eBay listing ended successfully'
+        : `eBay listing end failed: ${describeErrors(result.errors)}`
     };
   } catch (error) {
-    console.error('Error ending eBay listing:', error.response?.data || error.message);
+    console.error('Error ending eBay listing:', error.message);
     return { success: false, message: `eBay listing end failed: ${error.message}` };
   }
 }
@@ -396,139 +409,192 @@ async function endEbayListing(ebayItemId) {
 /**
  * Check if an eBay listing has been sold
  * @param {string} ebayItemId - The eBay item ID
- * @returns {Promise<Object>} - The check result
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - The check result, with eBay's ack, errors and warnings
  */
-async function checkEbayListingSold(ebayItemId) {
+async function checkEbayListingSold(ebayItemId, accessToken) {
   try {
-    if (!ebayConfig.appId || !ebayConfig.certId || !ebayConfig.devId || !ebayConfig.authToken) {
+    if (!ebayConfig.appId || !ebayConfig.certId || !ebayConfig.devId || (!ebayConfig.authToken && !accessToken)) {
       console.warn('eBay credentials not fully configured, skipping eBay listing check');
       return { success: false, message: 'eBay API credentials not fully configured' };
     }
     
-    // In a real implementation, this would use the eBay Trading API
-    const ebayApiUrl = ebayConfig.sandbox
-      ? 'https://api.sandbox.ebay.com/ws/api.dll'
-      : 'https://api.ebay.com/ws/api.dll';
+    const result = await tradingRequest('GetItem', { ItemID: ebayItemId }, accessToken);
+    const details = { ack: result.ack, errors: result.errors, warnings: result.warnings };
     
-    // Make the API request to eBay
-    const response = await axios({
-      method: 'post',
-      url: ebayApiUrl,
-      headers: {
-        'X-EBAY-API-SITEID': '0',
-        'X-EBAY-API-COMPATIBILITY-LEVEL': '967',
-        'X-EBAY-API-CALL-NAME': 'GetItem',
-        'X-EBAY-API-APP-NAME': ebayConfig.appId || '',
-        'X-EBAY-API-DEV-NAME': ebayConfig.devId || '',
-        'X-EBAY-API-CERT-NAME': ebayConfig.certId || '',
-        'X-EBAY-API-IAF-TOKEN': ebayConfig.authToken ? 
-          (ebayConfig.authToken.startsWith('Bearer ') ? ebayConfig.authToken.substring(7) : ebayConfig.authToken) : '',
-        'X-EBAY-API-DETAIL-LEVEL': '0',
-        'Content-Type': 'application/xml'
-      },
-      data: generateEbayXml({ ItemID: ebayItemId })
-    });
+    if (!result.success) {
+      return { success: false, ...details, message: `eBay listing check failed: ${describeErrors(result.errors)}` };
+    }
     
-    // Check if the item is sold
-    const soldStatus = extractEbaySoldStatus(response.data);
+    const sellingStatus = (result.response.Item && result.response.Item.SellingStatus) || {};
+    const listingStatus = sellingStatus.ListingStatus || 'Unknown';
     
     return { 
       success: true,
-      sold: soldStatus === 'Completed',
-      status: soldStatus
+      ...details,
+      sold: listingStatus === 'Completed',
+      status: listingStatus
     };
   } catch (error) {
-    console.error('Error checking eBay listing:', error.response?.data || error.message);
+    console.error('Error checking eBay listing:', error.message);
     return { success: false, message: `eBay listing check failed: ${error.message}` };
   }
 }
 
+// The parser only knows <Errors> is a list; one order or transaction comes back as a plain object
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+const toAmount = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
 /**
- * Generate eBay XML request
- * @param {Object} data - The data to convert to XML
- * @returns {string} - The XML string
+ * Turn one GetOrders transaction into our order shape
+ * @param {Object} order - The <Order> element
+ * @param {Object} transaction - The <Transaction> element for our item
+ * @returns {Object} - The order (see the fetchOrders contract in services/marketplaces)
  */
-function generateEbayXml(data) {
-  // Function to escape XML special characters
-  const escapeXml = (unsafe) => {
-    if (typeof unsafe !== 'string') return unsafe;
-    return unsafe
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
-  };
+function normalizeEbayOrder(order, transaction) {
+  const address = order.ShippingAddress || {};
+  const buyer = transaction.Buyer || {};
+  const shipping = order.ShippingServiceSelected || {};
+  const quantity = parseInt(transaction.QuantityPurchased) || 1;
 
-  // This is a simplified version; in a real implementation you would use a proper XML builder
-  const generateXmlFromObject = (obj) => {
-    let xml = '';
-    for (const [key, value] of Object.entries(obj)) {
-      if (value === undefined || value === null) continue;
-      
-      if (Array.isArray(value)) {
-        xml += value.map(item => {
-          if (typeof item === 'object') {
-            return `<${key}>${generateXmlFromObject(item)}</${key}>`;
-          }
-          return `<${key}>${escapeXml(item)}</${key}>`;
-        }).join('');
-      } else if (typeof value === 'object') {
-        xml += `<${key}>${generateXmlFromObject(value)}</${key}>`;
-      } else {
-        xml += `<${key}>${escapeXml(value)}</${key}>`;
-      }
-    }
-    return xml;
-  };
-  
-  // Determine which API call we're making based on the data
-  let requestType = 'AddItemRequest';
-  if (data.ItemID && !data.Item) {
-    requestType = 'GetItemRequest';
-  } else if (data.ItemID && data.EndingReason) {
-    requestType = 'EndItemRequest';
-  } else if (data.Item && data.Item.ItemID) {
-    requestType = 'ReviseItemRequest';
+  let fulfillmentStatus = 'unfulfilled';
+  if (order.OrderStatus === 'Cancelled' || order.OrderStatus === 'CancelPending') {
+    fulfillmentStatus = 'cancelled';
+  } else if (order.ShippedTime) {
+    fulfillmentStatus = 'shipped';
   }
-  
-  return `<?xml version="1.0" encoding="utf-8"?><${requestType} xmlns="urn:ebay:apis:eBLBaseComponents">${generateXmlFromObject(data)}</${requestType}>`;
+
+  return {
+    externalOrderId: order.OrderID,
+    externalId: transaction.Item && transaction.Item.ItemID,
+    buyer: {
+      name: address.Name || [buyer.UserFirstName, buyer.UserLastName].filter(Boolean).join(' ') || null,
+      username: order.BuyerUserID || null,
+      email: buyer.Email && buyer.Email !== 'Invalid Request' ? buyer.Email : null
+    },
+    shippingAddress: address.Street1 ? {
+      name: address.Name || null,
+      street1: address.Street1,
+      street2: address.Street2 || null,
+      city: address.CityName || null,
+      state: address.StateOrProvince || null,
+      postalCode: address.PostalCode || null,
+      country: address.Country || null,
+      phone: address.Phone && address.Phone !== 'Invalid Request' ? address.Phone : null
+    } : null,
+    salePrice: toAmount(transaction.TransactionPrice) * quantity,
+    shippingPaid: toAmount(shipping.ShippingServiceCost) || 0,
+    marketplaceFees: toAmount(transaction.FinalValueFee),
+    currency: 'USD',
+    fulfillmentStatus,
+    orderedAt: order.CreatedTime || null,
+    shippedAt: order.ShippedTime || null
+  };
 }
 
 /**
- * Extract eBay item ID from response
- * @param {string} responseData - The response data
- * @returns {string|null} - The extracted item ID
+ * Get the orders for an eBay item
+ * @param {string} ebayItemId - The eBay item ID
+ * @param {string|Date} [createdFrom] - Only orders created since (capped at eBay's 90-day limit)
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - { success, orders, message } with eBay's ack, errors and warnings
  */
-function extractEbayItemId(responseData) {
-  // In a real implementation, you would use a proper XML parser
-  console.log('eBay response:', responseData); // Add debugging to see the actual response
-  
-  // Try more flexible pattern matching that handles potential namespaces
-  const itemIdMatch = responseData.match(/<([\w:]*)?ItemID>([^<]+)<\/([\w:]*)?ItemID>/);
-  if (itemIdMatch && itemIdMatch[2]) {
-    return itemIdMatch[2];
+async function getEbayOrders(ebayItemId, createdFrom, accessToken) {
+  try {
+    if (!ebayConfig.appId || !ebayConfig.certId || !ebayConfig.devId || (!ebayConfig.authToken && !accessToken)) {
+      console.warn('eBay credentials not fully configured, skipping eBay order fetch');
+      return { success: false, orders: [], message: 'eBay API credentials not fully configured' };
+    }
+    
+    const now = new Date();
+    const earliest = new Date(now.getTime() - MAX_ORDER_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const from = createdFrom && new Date(createdFrom) > earliest ? new Date(createdFrom) : earliest;
+    const orders = [];
+    
+    for (let page = 1; page <= MAX_ORDER_PAGES; page++) {
+      const result = await tradingRequest('GetOrders', {
+        CreateTimeFrom: from.toISOString(),
+        CreateTimeTo: now.toISOString(),
+        OrderRole: 'Seller',
+        DetailLevel: 'ReturnAll',
+        Pagination: { EntriesPerPage: 100, PageNumber: page }
+      }, accessToken);
+      
+      if (!result.success) {
+        return {
+          success: false,
+          orders: [],
+          ack: result.ack,
+          errors: result.errors,
+          warnings: result.warnings,
+          message: `eBay order fetch failed: ${describeErrors(result.errors)}`
+        };
+      }
+      
+      const orderArray = result.response.OrderArray || {};
+      asArray(orderArray.Order).forEach(order => {
+        const transactions = asArray(order.TransactionArray && order.TransactionArray.Transaction);
+        const transaction = transactions.find(entry => entry.Item && String(entry.Item.ItemID) === String(ebayItemId));
+        if (transaction) orders.push(normalizeEbayOrder(order, transaction));
+      });
+      
+      if (result.response.HasMoreOrders !== 'true') break;
+    }
+    
+    return { success: true, orders };
+  } catch (error) {
+    console.error('Error fetching eBay orders:', error.message);
+    return { success: false, orders: [], message: `eBay order fetch failed: ${error.message}` };
   }
-  
-  // If still not found, try another common format
-  const altMatch = responseData.match(/ItemID[^>]*>([^<]+)</);
-  return altMatch ? altMatch[1] : null;
 }
 
 /**
- * Extract eBay sold status from response
- * @param {string} responseData - The response data
- * @returns {string} - The extracted status
+ * Mark an eBay order shipped and upload its tracking number
+ * @param {string} orderId - The eBay order ID
+ * @param {Object} shipment - { carrier, trackingNumber }, with eBay's name for the carrier
+ * @param {string} [accessToken] - The seller's OAuth token (defaults to the house account)
+ * @returns {Promise<Object>} - The result, with eBay's ack, errors and warnings
  */
-function extractEbaySoldStatus(responseData) {
-  // In a real implementation, you would use a proper XML parser
-  const statusMatch = responseData.match(/<ListingStatus>(.+?)<\/ListingStatus>/);
-  return statusMatch ? statusMatch[1] : 'Unknown';
+async function completeEbaySale(orderId, shipment, accessToken) {
+  try {
+    if (!ebayConfig.appId || !ebayConfig.certId || !ebayConfig.devId || (!ebayConfig.authToken && !accessToken)) {
+      console.warn('eBay credentials not fully configured, skipping eBay shipment upload');
+      return { success: false, message: 'eBay API credentials not fully configured' };
+    }
+    
+    const result = await tradingRequest('CompleteSale', {
+      OrderID: orderId,
+      Shipped: true,
+      Shipment: {
+        ShipmentTrackingDetails: {
+          ShipmentTrackingNumber: shipment.trackingNumber,
+          ShippingCarrierUsed: shipment.carrier
+        }
+      }
+    }, accessToken);
+    
+    return { 
+      success: result.success,
+      ack: result.ack,
+      errors: result.errors,
+      warnings: result.warnings,
+      message: result.success
+        ? 'eBay order marked shipped'
+        : `eBay shipment upload failed: ${describeErrors(result.errors)}`
+    };
+  } catch (error) {
+    console.error('Error completing eBay sale:', error.message);
+    return { success: false, message: `eBay shipment upload failed: ${error.message}` };
+  }
 }
 
 module.exports = {
+  processImageUrls,
   createEbayListing,
   updateEbayListing,
   endEbayListing,
-  checkEbayListingSold
+  checkEbayListingSold,
+  getEbayOrders,
+  completeEbaySale
 }; 
\ No newline at end of file
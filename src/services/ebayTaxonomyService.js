@@ -0,0 +1,265 @@
+const axios = require('axios');
+const ebayConfig = require('../config/ebay');
+const { getApplicationToken } = require('./ebayAccountService');
+const snapshot = require('../data/ebayTaxonomySnapshot.json');
+
+const TAXONOMY_API_PATH = '/commerce/taxonomy/v1';
+// Category aspects rarely change; eBay recommends refreshing them at most daily
+const ASPECT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_SUGGESTIONS = 5;
+
+// Listing fields mapped to the aspect names eBay uses for them across categories
+const FIELD_ASPECTS = {
+  brand: ['Brand'],
+  size: ['Size', 'US Shoe Size', "Size (Men's)", "Size (Women's)"],
+  color: ['Color']
+};
+
+const aspectCache = new Map();
+
+/**
+ * Normalise text for matching against the snapshot
+ * @param {string} text - The text
+ * @returns {string} - Lowercase words separated by single spaces
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Whether the Taxonomy API should be called, rather than only using the bundled snapshot
+ * @returns {boolean}
+ */
+function useApi() {
+  return ebayConfig.taxonomySource === 'api' && Boolean(ebayConfig.appId && ebayConfig.certId);
+}
+
+/**
+ * Call the Taxonomy API with an application token
+ * @param {string} path - The path below /commerce/taxonomy/v1
+ * @returns {Promise<Object>} - The response body
+ */
+async function taxonomyRequest(path) {
+  const token = await getApplicationToken();
+  const response = await axios.get(`${ebayConfig.apiBaseUrl}${TAXONOMY_API_PATH}${path}`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Accept-Language': 'en-US'
+    }
+  });
+
+  return response.data;
+}
+
+/**
+ * Suggest categories from the bundled snapshot: an exact category name or alias wins,
+ * otherwise categories are ranked by how many of their alias words appear in the text
+ * @param {string} query - The text to match (e.g. "Cameras Canon EOS Rebel T7")
+ * @param {string} [category] - The listing's own category, matched exactly first
+ * @returns {Array<Object>} - { categoryId, categoryName }
+ */
+function suggestFromSnapshot(query, category) {
+  const names = (entry) => [entry.categoryName, ...entry.aliases].map(normalize);
+
+  if (category) {
+    const exact = snapshot.categories.find(entry => names(entry).includes(normalize(category)));
+    if (exact) return [{ categoryId: exact.categoryId, categoryName: exact.categoryName }];
+  }
+
+  const text = ` ${normalize(query)} `;
+
+  return snapshot.categories
+    .map(entry => ({
+      entry,
+      score: names(entry)
+        .filter(name => name && text.includes(` ${name} `))
+        .reduce((best, name) => Math.max(best, name.split(' ').length), 0)
+    }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ entry }) => ({ categoryId: entry.categoryId, categoryName: entry.categoryName }));
+}
+
+/**
+ * Suggest eBay categories for some text, most relevant first.
+ * Uses the Taxonomy API when it is configured, falling back to the bundled snapshot.
+ * @param {string} query - Keywords describing the item
+ * @param {string} [category] - The listing's own category
+ * @returns {Promise<Object>} - { success, categories: [{ categoryId, categoryName, categoryPath }], source }
+ */
+async function suggestCategories(query, category) {
+  try {
+    const text = [category, query].filter(Boolean).join(' ').trim();
+
+    if (!text) {
+      return { success: false, status: 400, message: 'A search query is required' };
+    }
+
+    if (useApi()) {
+      try {
+        const data = await taxonomyRequest(
+          `/category_tree/${snapshot.categoryTreeId}/get_category_suggestions?q=${encodeURIComponent(text.slice(0, 350))}`
+        );
+
+        const categories = (data.categorySuggestions || []).slice(0, MAX_SUGGESTIONS).map(suggestion => ({
+          categoryId: suggestion.category.categoryId,
+          categoryName: suggestion.category.categoryName,
+          categoryPath: (suggestion.categoryTreeNodeAncestors || [])
+            .map(ancestor => ancestor.categoryName)
+            .reverse()
+            .concat(suggestion.category.categoryName)
+            .join(' > ')
+        }));
+
+        return { success: true, categories, source: 'api' };
+      } catch (error) {
+        console.error('Error fetching eBay category suggestions, using the snapshot:', error.message);
+      }
+    }
+
+    const categories = suggestFromSnapshot(text, category)
+      .map(suggestion => ({ ...suggestion, categoryPath: suggestion.categoryName }));
+
+    return { success: true, categories, source: 'snapshot' };
+  } catch (error) {
+    console.error('Error in suggestCategories:', error);
+    return { success: false, status: 500, message: `Category suggestion failed: ${error.message}` };
+  }
+}
+
+/**
+ * Get the item specifics (aspects) eBay accepts for a category, and which of them are required.
+ * API results are cached for a day; the snapshot is used when the API is unavailable.
+ * @param {string} categoryId - The eBay category ID
+ * @returns {Promise<Object>} - { success, aspects: [{ name, required }], source }
+ */
+async function getItemAspects(categoryId) {
+  try {
+    const cached = aspectCache.get(categoryId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { success: true, aspects: cached.aspects, source: 'api' };
+    }
+
+    if (useApi()) {
+      try {
+        const data = await taxonomyRequest(
+          `/category_tree/${snapshot.categoryTreeId}/get_item_aspects_for_category?category_id=${encodeURIComponent(categoryId)}`
+        );
+
+        const aspects = (data.aspects || []).map(aspect => ({
+          name: aspect.localizedAspectName,
+          required: Boolean(aspect.aspectConstraint && aspect.aspectConstraint.aspectRequired)
+        }));
+
+        aspectCache.set(categoryId, { aspects, expiresAt: Date.now() + ASPECT_CACHE_TTL_MS });
+        return { success: true, aspects, source: 'api' };
+      } catch (error) {
+        console.error(`Error fetching eBay aspects for category ${categoryId}, using the snapshot:`, error.message);
+      }
+    }
+
+    const entry = snapshot.categories.find(category => category.categoryId === String(categoryId));
+    if (!entry) {
+      console.warn(`eBay category ${categoryId} is not in the taxonomy snapshot; its required item specifics are unknown`);
+    }
+
+    return { success: true, aspects: entry ? entry.aspects : [], source: 'snapshot' };
+  } catch (error) {
+    console.error('Error in getItemAspects:', error);
+    return { success: false, status: 500, message: `Fetching item specifics failed: ${error.message}` };
+  }
+}
+
+/**
+ * Fill a category's item specifics from the listing's brand, size and color,
+ * plus anything the seller entered in item_specifics (which takes precedence)
+ * @param {Object} listing - The listing
+ * @param {Array<Object>} aspects - The category's aspects ({ name, required })
+ * @returns {Object} - Aspect name to value
+ */
+function buildItemSpecifics(listing, aspects) {
+  const specifics = {};
+  const known = aspects.map(aspect => aspect.name);
+
+  Object.entries(FIELD_ASPECTS).forEach(([field, aspectNames]) => {
+    if (!listing[field]) return;
+
+    // Use the first name the category knows; when its aspects are unknown, the generic name
+    const name = known.length > 0
+      ? aspectNames.find(aspectName => known.includes(aspectName))
+      : aspectNames[0];
+
+    if (name) specifics[name] = String(listing[field]);
+  });
+
+  Object.entries(listing.item_specifics || {}).forEach(([name, value]) => {
+    if (value !== null && value !== undefined && value !== '') specifics[name] = value;
+  });
+
+  return specifics;
+}
+
+/**
+ * Resolve a listing's eBay category and item specifics before publishing.
+ * The seller's chosen ebay_category_id wins; otherwise the best suggestion for the listing's category and title is used.
+ * Failures are not retryable: the seller has to pick a category or fill in the missing specifics.
+ * @param {Object} listing - The listing
+ * @returns {Promise<Object>} - { success, categoryId, categoryName, specifics, missing, retryable, message }
+ */
+async function prepareListing(listing) {
+  try {
+    let categoryId = listing.ebay_category_id;
+    let categoryName = null;
+
+    if (!categoryId) {
+      const suggestions = await suggestCategories(listing.title, listing.category);
+      const best = suggestions.success && suggestions.categories[0];
+
+      if (!best) {
+        return {
+          success: false,
+          retryable: false,
+          missing: [],
+          message: `Could not find an eBay category for "${listing.category || listing.title}"; choose one for this listing`
+        };
+      }
+
+      categoryId = best.categoryId;
+      categoryName = best.categoryName;
+    }
+
+    const aspectResult = await getItemAspects(categoryId);
+    if (!aspectResult.success) {
+      return { success: false, message: aspectResult.message };
+    }
+
+    const specifics = buildItemSpecifics(listing, aspectResult.aspects);
+    const missing = aspectResult.aspects
+      .filter(aspect => aspect.required && !specifics[aspect.name])
+      .map(aspect => aspect.name);
+
+    if (missing.length > 0) {
+      return {
+        success: false,
+        retryable: false,
+        categoryId,
+        categoryName,
+        missing,
+        message: `Missing required eBay item specifics: ${missing.join(', ')}`
+      };
+    }
+
+    return { success: true, categoryId, categoryName, specifics, missing };
+  } catch (error) {
+    console.error('Error in prepareListing:', error);
+    return { success: false, message: `Preparing eBay listing failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  suggestCategories,
+  getItemAspects,
+  buildItemSpecifics,
+  prepareListing
+};
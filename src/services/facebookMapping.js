@@ -0,0 +1,117 @@
+/**
+ * Maps our listing fields to the values Facebook's commerce listings accept.
+ * Problems are reported as structured errors ({ code, severity, shortMessage, longMessage },
+ * the same shape as eBay's) so they can be returned before any Graph API call is made.
+ */
+
+const MAX_BRAND_LENGTH = 100;
+
+// Our conditions mapped to Facebook's condition enum
+const CONDITION_MAP = {
+  'New': 'new',
+  'New with tags': 'new',
+  'New without tags': 'open_box_new',
+  'Used - Excellent': 'used_like_new',
+  'Used - Good': 'used_good',
+  'Used - Fair': 'used_fair',
+  'Used - Poor': 'used'
+};
+
+// Conditions are matched without regard to case
+const CONDITION_LOOKUP = {};
+Object.entries(CONDITION_MAP).forEach(([condition, facebookCondition]) => {
+  CONDITION_LOOKUP[condition.toLowerCase()] = facebookCondition;
+});
+
+// Our categories grouped under the Facebook category they are listed in. Categories are free-form
+// (the AI suggests them), so broad names like "Electronics" are listed alongside our own.
+const CATEGORY_GROUPS = {
+  CLOTHING_ACCESSORIES: [
+    'Clothing', 'Clothing & Accessories', "Men's Clothing", "Women's Clothing",
+    'T-Shirts', 'Shirts', 'Pants', 'Jeans', 'Shorts', 'Suits', 'Sweaters', 'Coats & Jackets', 'Activewear',
+    'Dresses', 'Tops & Blouses', 'Skirts', "Women's Pants", "Women's Jeans", "Women's Shorts", "Women's Suits",
+    "Women's Sweaters", "Women's Coats", "Women's Activewear",
+    'Shoes', "Men's Shoes", "Women's Shoes", 'Athletic Shoes', 'Boots', 'Sandals',
+    'Accessories', 'Belts', 'Hats', 'Sunglasses', 'Wallets'
+  ],
+  BAGS_LUGGAGE: ['Bags & Purses', 'Bags', 'Handbags', 'Luggage'],
+  JEWELRY_WATCHES: ['Jewelry', 'Watches', 'Jewelry & Watches'],
+  ELECTRONICS: ['Electronics', 'Smartphones', 'Cell Phones', 'Laptops', 'Computers', 'Tablets', 'Headphones', 'Cameras', 'Smart Watches'],
+  VIDEO_GAMES: ['Video Games', 'Gaming Consoles'],
+  FURNITURE: ['Furniture'],
+  HOME_GARDEN: ['Home & Garden', 'Home', 'Home Decor', 'Kitchen', 'Bedding', 'Bath', 'Garden'],
+  TOOLS_HOME_IMPROVEMENT: ['Tools'],
+  BABY_KIDS: ['Baby Clothing', 'Kids Clothing'],
+  TOYS_GAMES: ['Toys', 'Toys & Games'],
+  SPORTS_OUTDOORS: ['Sports & Outdoors', 'Sporting Goods', 'Fitness Equipment', 'Cycling', 'Camping'],
+  BOOKS_MOVIES_MUSIC: ['Books', 'Movies', 'Music', 'Books, Movies & Music']
+};
+
+// Where listings without a category, or with one not listed above, are posted
+const DEFAULT_CATEGORY = 'MISCELLANEOUS';
+
+const CATEGORY_MAP = {};
+Object.entries(CATEGORY_GROUPS).forEach(([facebookCategory, categories]) => {
+  categories.forEach(category => {
+    CATEGORY_MAP[category.toLowerCase()] = facebookCategory;
+  });
+});
+
+/**
+ * Build a validation error in the shared structured shape
+ * @param {string} code - The error code
+ * @param {string} message - What is wrong and how to fix it
+ * @returns {Object} - { code, severity, shortMessage, longMessage }
+ */
+function validationError(code, message) {
+  return { code, severity: 'Error', shortMessage: message, longMessage: message };
+}
+
+/**
+ * Map a listing's condition, category and brand to Facebook fields.
+ * Only the fields present are mapped, so this also works for a partial update.
+ * A missing or unrecognised category is posted under DEFAULT_CATEGORY rather than rejected.
+ * @param {Object} fields - Any of { condition, category, brand }
+ * @returns {Object} - { success, fields } or { success: false, errors, message }
+ */
+function mapListingFields(fields) {
+  const mapped = {};
+  const errors = [];
+
+  if (fields.condition !== undefined) {
+    mapped.condition = CONDITION_LOOKUP[String(fields.condition || '').trim().toLowerCase()];
+    if (!mapped.condition) {
+      errors.push(validationError(
+        'INVALID_CONDITION',
+        `Condition "${fields.condition}" can't be listed on Facebook; use one of: ${Object.keys(CONDITION_MAP).join(', ')}`
+      ));
+    }
+  }
+
+  if (fields.category !== undefined) {
+    const category = fields.category ? String(fields.category).trim().toLowerCase() : '';
+    mapped.category = CATEGORY_MAP[category] || DEFAULT_CATEGORY;
+  }
+
+  if (fields.brand !== undefined) {
+    const brand = typeof fields.brand === 'string' ? fields.brand.trim() : '';
+    if (brand.length > MAX_BRAND_LENGTH) {
+      errors.push(validationError('INVALID_BRAND', `Brand must be at most ${MAX_BRAND_LENGTH} characters for Facebook`));
+    }
+    // Unbranded items are listed without a brand rather than under a placeholder
+    mapped.brand = brand || null;
+  }
+
+  if (errors.length > 0) {
+    return { success: false, errors, message: errors.map(error => error.longMessage).join('; ') };
+  }
+
+  return { success: true, fields: mapped };
+}
+
+module.exports = {
+  CONDITION_MAP,
+  CATEGORY_MAP,
+  DEFAULT_CATEGORY,
+  mapListingFields
+};
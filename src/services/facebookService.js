@@ -1,6 +1,57 @@
 const axios = require('axios');
 const facebookConfig = require('../config/facebook');
 const { supabase } = require('../config/supabase');
+const policyProfileService = require('./policyProfileService');
+const facebookMapping = require('./facebookMapping');
+
+const MAX_ORDER_PAGES = 10;
+
+/**
+ * Translate shipping and return profiles into commerce listing fields
+ * @param {Object} policies - The listing's { shipping, returns } profiles
+ * @returns {Object} - delivery_method, shipping_options, pickup_location and return_policy
+ */
+function buildPolicyFields({ shipping, returns }) {
+  const fields = {
+    delivery_method: shipping.type === 'local_pickup' ? 'local_pickup' : 'shipping',
+    shipping_options: [],
+    return_policy: returns.returns_accepted
+      ? {
+        accepts_returns: true,
+        return_window_days: returns.return_days,
+        return_shipping_paid_by: returns.return_shipping_paid_by
+      }
+      : { accepts_returns: false }
+  };
+
+  if (shipping.type === 'local_pickup') {
+    fields.pickup_location = { postal_code: shipping.postal_code };
+    return fields;
+  }
+
+  const option = { name: shipping.name, carrier_service: shipping.service, handling_days: shipping.handling_days };
+
+  if (shipping.type === 'calculated') {
+    // Facebook rates the package from the seller's postal code to the buyer's
+    fields.shipping_options.push({
+      ...option,
+      rate_type: 'calculated',
+      origin_postal_code: shipping.postal_code,
+      package: {
+        weight: { value: shipping.weight_oz, unit: 'oz' },
+        dimensions: { length: shipping.length_in, width: shipping.width_in, height: shipping.height_in, unit: 'in' }
+      }
+    });
+  } else {
+    fields.shipping_options.push({
+      ...option,
+      rate_type: 'flat',
+      price: shipping.type === 'free' ? 0 : shipping.cost
+    });
+  }
+
+  return fields;
+}
 
 /**
  * Create a new listing on Facebook Marketplace
@@ -15,8 +66,28 @@ async function createFacebookListing(listing, imageUrls) {
       return { success: false, message: 'Facebook API not configured' };
     }
     
+    // Reject fields Facebook won't accept before calling the Graph API; the seller has to fix them
+    const mapping = facebookMapping.mapListingFields({
+      condition: listing.condition,
+      category: listing.category,
+      brand: listing.brand || ''
+    });
+    if (!mapping.success) {
+      return {
+        success: false,
+        retryable: false,
+        errors: mapping.errors,
+        message: `Facebook listing creation failed: ${mapping.message}`
+      };
+    }
+    
+    const policies = await policyProfileService.getListingPolicies(listing);
+    if (!policies.success) {
+      return { success: false, message: `Facebook listing creation failed: ${policies.message}` };
+    }
+    
     // Facebook Commerce API endpoint
-    const fbApiUrl = 'https://graph.facebook.com/v18.0/me/commerce_listings';
+    const fbApiUrl = `${facebookConfig.graphBaseUrl}/me/commerce_listings`;
     
     // Prepare the listing data
     const fbListing = {
@@ -25,16 +96,11 @@ async function createFacebookListing(listing, imageUrls) {
       price: listing.price,
       currency: 'USD',
       availability: 'in stock',
-      condition: 'new',
-      shipping_options: [
-        {
-          name: 'Standard Shipping',
-          price: 10.00
-        }
-      ],
-      images: imageUrls.slice(0, 10).map(url => ({ url })),
-      brand: 'SnapList',
-      category: 'CLOTHING_ACCESSORIES' // Default category
+      condition: mapping.fields.condition,
+      category: mapping.fields.category,
+      ...(mapping.fields.brand && { brand: mapping.fields.brand }),
+      ...buildPolicyFields(policies),
+      images: imageUrls.slice(0, 10).map(url => ({ url }))
     };
     
     // Make the API request to Facebook
@@ -68,7 +134,7 @@ async function createFacebookListing(listing, imageUrls) {
 /**
  * Update an existing Facebook Marketplace listing
  * @param {string} fbListingId - The Facebook listing ID
- * @param {Object} updateData - The data to update
+ * @param {Object} updateData - The Graph API fields to update; condition, category and brand take our values
  * @returns {Promise<Object>} - The update result
  */
 async function updateFacebookListing(fbListingId, updateData) {
@@ -78,8 +144,24 @@ async function updateFacebookListing(fbListingId, updateData) {
       return { success: false, message: 'Facebook API not configured' };
     }
     
+    // Condition, category and brand changes go through the same mapping as new listings
+    const mappedFields = ['condition', 'category', 'brand'].filter(field => updateData[field] !== undefined);
+    let fbUpdate = updateData;
+    
+    if (mappedFields.length > 0) {
+      const mapping = facebookMapping.mapListingFields(
+        Object.fromEntries(mappedFields.map(field => [field, updateData[field]]))
+      );
+      
+      if (!mapping.success) {
+        return { success: false, errors: mapping.errors, message: `Facebook listing update failed: ${mapping.message}` };
+      }
+      
+      fbUpdate = { ...updateData, ...mapping.fields };
+    }
+    
     // Facebook Commerce API endpoint
-    const fbApiUrl = `https://graph.facebook.com/v18.0/${fbListingId}`;
+    const fbApiUrl = `${facebookConfig.graphBaseUrl}/${fbListingId}`;
     
     // Make the API request to Facebook
     const response = await axios({
@@ -88,7 +170,7 @@ async function updateFacebookListing(fbListingId, updateData) {
       params: {
         access_token: facebookConfig.accessToken
       },
-      data: updateData
+      data: fbUpdate
     });
     
     const success = response.data && response.data.success === true;
@@ -116,7 +198,7 @@ async function endFacebookListing(fbListingId) {
     }
     
     // Facebook Commerce API endpoint
-    const fbApiUrl = `https://graph.facebook.com/v18.0/${fbListingId}`;
+    const fbApiUrl = `${facebookConfig.graphBaseUrl}/${fbListingId}`;
     
     // Make the API request to Facebook to delete the listing
     const response = await axios({
@@ -152,7 +234,7 @@ async function checkFacebookListingSold(fbListingId) {
     }
     
     // Facebook Commerce API endpoint
-    const fbApiUrl = `https://graph.facebook.com/v18.0/${fbListingId}`;
+    const fbApiUrl = `${facebookConfig.graphBaseUrl}/${fbListingId}`;
     
     // Make the API request to Facebook
     const response = await axios({
@@ -182,9 +264,142 @@ async function checkFacebookListingSold(fbListingId) {
   }
 }
 
+/**
+ * Turn one Graph commerce order into our order shape
+ * @param {Object} order - The commerce order
+ * @param {Object} item - The order item for our listing
+ * @returns {Object} - The order (see the fetchOrders contract in services/marketplaces)
+ */
+function normalizeFacebookOrder(order, item) {
+  const buyer = order.buyer_details || {};
+  const address = order.shipping_address || null;
+  const payment = order.estimated_payment_details || {};
+  const shipping = payment.subtotal && payment.subtotal.shipping;
+  const unitPrice = item.price_per_unit || {};
+  const state = order.order_status && order.order_status.state;
+
+  return {
+    externalOrderId: order.id,
+    externalId: item.product_id,
+    buyer: {
+      name: buyer.name || null,
+      username: null,
+      email: buyer.email || null
+    },
+    shippingAddress: address ? {
+      name: address.name || null,
+      street1: address.street1 || null,
+      street2: address.street2 || null,
+      city: address.city || null,
+      state: address.state || null,
+      postalCode: address.postal_code || null,
+      country: address.country || null,
+      phone: null
+    } : null,
+    salePrice: parseFloat(unitPrice.amount || 0) * (parseInt(item.quantity) || 1),
+    shippingPaid: shipping ? parseFloat(shipping.amount) : 0,
+    // Graph orders don't carry Facebook's selling fee; it is only settled in payouts
+    marketplaceFees: null,
+    currency: unitPrice.currency || 'USD',
+    fulfillmentStatus: state === 'COMPLETED' ? 'shipped' : 'unfulfilled',
+    orderedAt: order.created || null,
+    shippedAt: null,
+    // Shipments are reported per order item
+    marketplaceData: { itemId: item.id || null, quantity: parseInt(item.quantity) || 1 }
+  };
+}
+
+/**
+ * Get the orders for a Facebook Marketplace listing
+ * @param {string} fbListingId - The Facebook listing ID
+ * @param {string|Date} [createdFrom] - Only orders updated since
+ * @returns {Promise<Object>} - { success, orders, message }
+ */
+async function getFacebookOrders(fbListingId, createdFrom) {
+  try {
+    if (!facebookConfig.accessToken) {
+      console.warn('Facebook credentials not configured, skipping Facebook order fetch');
+      return { success: false, orders: [], message: 'Facebook API not configured' };
+    }
+    
+    const orders = [];
+    let url = `${facebookConfig.graphBaseUrl}/me/commerce_orders`;
+    let params = {
+      access_token: facebookConfig.accessToken,
+      fields: 'id,buyer_details,created,estimated_payment_details,order_status,shipping_address,items{id,product_id,retailer_id,quantity,price_per_unit}',
+      ...(createdFrom && { updated_after: Math.floor(new Date(createdFrom).getTime() / 1000) })
+    };
+    
+    // Follow Graph's paging links, which carry the query themselves
+    for (let page = 0; url && page < MAX_ORDER_PAGES; page++) {
+      const response = await axios({ method: 'get', url, params });
+      const body = response.data || {};
+      
+      (body.data || []).forEach(order => {
+        const items = (order.items && order.items.data) || [];
+        const item = items.find(entry => String(entry.product_id) === String(fbListingId));
+        if (item) orders.push(normalizeFacebookOrder(order, item));
+      });
+      
+      url = body.paging && body.paging.next;
+      params = undefined;
+    }
+    
+    return { success: true, orders };
+  } catch (error) {
+    console.error('Error fetching Facebook orders:', error.response?.data || error.message);
+    return { success: false, orders: [], message: `Facebook order fetch failed: ${error.message}` };
+  }
+}
+
+/**
+ * Report a Facebook Marketplace order's shipment with its tracking number
+ * @param {string} orderId - The Facebook order ID
+ * @param {Object} shipment - { carrier, trackingNumber, items }, with Facebook's carrier code
+ *   and the order items shipped ([{ item_id, quantity }])
+ * @returns {Promise<Object>} - The result
+ */
+async function addFacebookShipment(orderId, shipment) {
+  try {
+    if (!facebookConfig.accessToken) {
+      console.warn('Facebook credentials not configured, skipping Facebook shipment');
+      return { success: false, message: 'Facebook API not configured' };
+    }
+    
+    const response = await axios({
+      method: 'post',
+      url: `${facebookConfig.graphBaseUrl}/${orderId}/shipments`,
+      params: {
+        access_token: facebookConfig.accessToken
+      },
+      data: {
+        items: shipment.items,
+        tracking_info: {
+          carrier: shipment.carrier,
+          tracking_number: shipment.trackingNumber
+        },
+        // Retrying the same shipment must not report it twice
+        idempotency_key: `${orderId}-${shipment.trackingNumber}`
+      }
+    });
+    
+    const success = response.data && response.data.success === true;
+    
+    return { 
+      success, 
+      message: success ? 'Facebook order marked shipped' : 'Failed to report the Facebook shipment'
+    };
+  } catch (error) {
+    console.error('Error adding Facebook shipment:', error.response?.data || error.message);
+    return { success: false, message: `Facebook shipment failed: ${error.message}` };
+  }
+}
+
 module.exports = {
   createFacebookListing,
   updateFacebookListing,
   endFacebookListing,
-  checkFacebookListingSold
+  checkFacebookListingSold,
+  getFacebookOrders,
+  addFacebookShipment
 }; 
\ No newline at end of file
@@ -0,0 +1,95 @@
+const { supabase } = require('../config/supabase');
+const feesConfig = require('../config/fees');
+
+const roundCents = value => Math.round(value * 100) / 100;
+const toAmount = value => Number(value) || 0;
+
+/**
+ * The commission rate a seller is charged right now
+ * @param {Object} user - The users row (commission_rate, commission_rate_until), or null
+ * @returns {number} - The rate, e.g. 0.025
+ */
+function commissionRateFor(user) {
+  if (!user || user.commission_rate === null || user.commission_rate === undefined) {
+    return feesConfig.commissionRate;
+  }
+
+  if (user.commission_rate_until && new Date(user.commission_rate_until) <= new Date()) {
+    return feesConfig.commissionRate;
+  }
+
+  return Number(user.commission_rate);
+}
+
+/**
+ * Estimate a marketplace's selling fee from its fee schedule
+ * @param {string} channel - The marketplace name
+ * @param {number} salePrice - The sale price
+ * @returns {number} - The fee, or 0 for a marketplace without a schedule
+ */
+function estimateMarketplaceFee(channel, salePrice) {
+  const schedule = feesConfig.marketplaceFees[channel];
+  if (!schedule) {
+    return 0;
+  }
+
+  return roundCents(Math.max(salePrice * schedule.rate + schedule.fixed, schedule.minimum));
+}
+
+/**
+ * Work out what comes off a sale before the seller is paid
+ * @param {Object} sale - { userId, channel, salePrice, marketplaceFees (what the order reported, if anything),
+ *   commissionRate (the rate already charged on this sale, to keep it when the sale is updated) }
+ * @returns {Promise<Object>} - { success, fees: profit columns (fees, fees_estimated, commission, commission_rate), message }
+ */
+async function calculateSaleFees({ userId, channel, salePrice, marketplaceFees = null, commissionRate = null }) {
+  try {
+    let rate = commissionRate === null || commissionRate === undefined ? null : Number(commissionRate);
+
+    if (rate === null) {
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('commission_rate, commission_rate_until')
+        .eq('id', userId)
+        .maybeSingle();
+
+      if (error) {
+        return { success: false, message: `Failed to fetch commission rate: ${error.message}` };
+      }
+
+      rate = commissionRateFor(user);
+    }
+
+    const price = toAmount(salePrice);
+    const reported = marketplaceFees !== null && marketplaceFees !== undefined;
+
+    return {
+      success: true,
+      fees: {
+        fees: reported ? roundCents(toAmount(marketplaceFees)) : estimateMarketplaceFee(channel, price),
+        fees_estimated: !reported,
+        commission: roundCents(price * rate),
+        commission_rate: rate
+      }
+    };
+  } catch (error) {
+    console.error('Error in calculateSaleFees:', error);
+    return { success: false, message: `Calculating fees failed: ${error.message}` };
+  }
+}
+
+/**
+ * What the seller is left with from a sale
+ * @param {Object} profit - The profits row
+ * @returns {number}
+ */
+function netAmount(profit) {
+  return roundCents(toAmount(profit.amount) - toAmount(profit.fees) - toAmount(profit.commission) - toAmount(profit.shipping_cost));
+}
+
+module.exports = {
+  commissionRateFor,
+  estimateMarketplaceFee,
+  calculateSaleFees,
+  netAmount
+};
@@ -0,0 +1,415 @@
+const { supabase } = require('../config/supabase');
+const shippingConfig = require('../config/shipping');
+const labels = require('./labels');
+const ledgerService = require('./ledgerService');
+const policyProfileService = require('./policyProfileService');
+const shipmentService = require('./shipmentService');
+const notificationService = require('./notificationService');
+
+const LABEL_URL_EXPIRY_SECONDS = 60 * 60;
+// A purchase that crashes leaves the order claimed; after this long the seller may try again
+const LABEL_CLAIM_MINUTES = 15;
+// The postage is already paid when the label is recorded, so a failed write is retried before giving up
+const LABEL_RECORD_ATTEMPTS = 3;
+const LABEL_RECORD_RETRY_MS = 250;
+// Our parcel fields, mapped to the request (and shipping profile) fields they're read from
+const PARCEL_FIELDS = { weightOz: 'weight_oz', lengthIn: 'length_in', widthIn: 'width_in', heightIn: 'height_in' };
+// 70 lb and 108 inches are the most any of the carriers we quote will take
+const MAX_WEIGHT_OZ = 1120;
+const MAX_LENGTH_IN = 108;
+const ADDRESS_FIELDS = ['name', 'street1', 'city', 'state', 'postal_code'];
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Read the package weight and dimensions, falling back to the listing's shipping profile
+ * @param {Object} body - The request body (weight_oz, length_in, width_in, height_in)
+ * @param {Object} profile - The listing's shipping profile
+ * @returns {Object} - { parcel } or { message } when it is invalid
+ */
+function parseParcel(body, profile) {
+  const parcel = {};
+
+  for (const [key, field] of Object.entries(PARCEL_FIELDS)) {
+    const value = toNumber(body[field] !== undefined ? body[field] : profile[field]);
+    const max = key === 'weightOz' ? MAX_WEIGHT_OZ : MAX_LENGTH_IN;
+
+    if (!(value > 0) || value > max) {
+      return { message: `${Object.values(PARCEL_FIELDS).join(', ')} are required, and ${field} must be above 0 and at most ${max}` };
+    }
+    parcel[key] = value;
+  }
+
+  return { parcel };
+}
+
+/**
+ * Read the ship-from address into the orders.shipping_address shape
+ * @param {Object} address - { name, street1, street2, city, state, postal_code, country, phone }
+ * @returns {Object} - { address } or { message } when it is invalid
+ */
+function parseFromAddress(address) {
+  if (!address || typeof address !== 'object') {
+    return { message: 'from_address is required' };
+  }
+
+  const missing = ADDRESS_FIELDS.filter(field => typeof address[field] !== 'string' || !address[field].trim());
+  if (missing.length > 0) {
+    return { message: `from_address needs ${missing.join(', ')}` };
+  }
+
+  return {
+    address: {
+      name: address.name.trim(),
+      street1: address.street1.trim(),
+      street2: address.street2 || null,
+      city: address.city.trim(),
+      state: address.state.trim(),
+      postalCode: address.postal_code.trim(),
+      country: address.country || 'US',
+      phone: address.phone || null
+    }
+  };
+}
+
+/**
+ * Load one of the seller's orders and work out what a label for it needs
+ * @param {string} orderId - The order ID
+ * @param {string} userId - The seller's user ID
+ * @param {Object} body - The request body (parcel fields and from_address)
+ * @returns {Promise<Object>} - { success, status, order, provider, shipment, message }
+ */
+async function prepareShipment(orderId, userId, body) {
+  const provider = labels.getLabelProvider();
+  if (!provider) {
+    return { success: false, status: 503, message: `Label provider "${shippingConfig.labelProvider}" is not available` };
+  }
+
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('*, listings(*)')
+    .eq('id', orderId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    return { success: false, status: 500, message: `Failed to fetch order: ${error.message}` };
+  }
+
+  if (!order) {
+    return { success: false, status: 404, message: 'Order not found' };
+  }
+
+  if (order.fulfillment_status === 'cancelled' || order.fulfillment_status === 'delivered') {
+    return { success: false, status: 400, message: `This order is ${order.fulfillment_status}, it doesn't need a label` };
+  }
+
+  if (!order.shipping_address || !order.shipping_address.postalCode) {
+    return { success: false, status: 400, message: "The marketplace hasn't provided the buyer's shipping address" };
+  }
+
+  let profile = {};
+  if (order.listings) {
+    const policies = await policyProfileService.getListingPolicies(order.listings);
+    if (policies.success) profile = policies.shipping;
+  }
+
+  const parcel = parseParcel(body, profile);
+  if (!parcel.parcel) {
+    return { success: false, status: 400, message: parcel.message };
+  }
+
+  const from = parseFromAddress(body.from_address);
+  if (!from.address) {
+    return { success: false, status: 400, message: from.message };
+  }
+
+  return {
+    success: true,
+    order,
+    provider,
+    shipment: { fromAddress: from.address, toAddress: order.shipping_address, parcel: parcel.parcel }
+  };
+}
+
+/**
+ * Quote postage for one of the seller's orders
+ * @param {string} orderId - The order ID
+ * @param {string} userId - The seller's user ID
+ * @param {Object} body - The package (weight_oz, length_in, width_in, height_in) and from_address
+ * @returns {Promise<Object>} - { success, status, rates, message }
+ */
+async function quoteLabelRates(orderId, userId, body) {
+  try {
+    const prepared = await prepareShipment(orderId, userId, body);
+    if (!prepared.success) return prepared;
+
+    const result = await prepared.provider.getRates(prepared.shipment);
+    if (!result.success) {
+      return { success: false, status: 502, message: `Rate quote failed: ${result.message}` };
+    }
+
+    const rates = [...result.rates].sort((a, b) => a.amount - b.amount);
+    return { success: true, status: 200, rates };
+  } catch (error) {
+    console.error('Error in quoteLabelRates:', error);
+    return { success: false, status: 500, message: `Quoting rates failed: ${error.message}` };
+  }
+}
+
+/**
+ * Give a claimed order back when its label purchase didn't go through
+ * @param {string} orderId - The order ID
+ * @returns {Promise<void>}
+ */
+async function releaseLabelClaim(orderId) {
+  const { error } = await supabase
+    .from('orders')
+    .update({ label_status: null, label_claimed_until: null })
+    .eq('id', orderId)
+    .eq('label_status', 'purchasing');
+
+  if (error) {
+    console.error(`Error releasing the label claim on order ${orderId}:`, error);
+  }
+}
+
+/**
+ * Record a bought label on its order, retrying a failed write
+ * @param {string} orderId - The order ID
+ * @param {Object} label - The label columns
+ * @returns {Promise<boolean>} - Whether it was recorded
+ */
+async function recordLabel(orderId, label) {
+  for (let attempt = 1; attempt <= LABEL_RECORD_ATTEMPTS; attempt++) {
+    const { error } = await supabase
+      .from('orders')
+      .update({ ...label, label_status: 'purchased', label_claimed_until: null })
+      .eq('id', orderId);
+
+    if (!error) return true;
+
+    console.error(`Error recording the label ${label.label_id} for order ${orderId} (attempt ${attempt}):`, error);
+
+    if (attempt < LABEL_RECORD_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, LABEL_RECORD_RETRY_MS * attempt));
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Add an order's label postage (label_cost) to the shipping cost of the sale's profit, once.
+ * Until order sync links the profit to the order there's nothing to charge; linking calls this again.
+ * @param {string} orderId - The order ID
+ * @returns {Promise<Object>} - { success, profit (null when nothing was charged), message }
+ */
+async function chargeLabelToProfit(orderId) {
+  try {
+    // The database adds the cost and marks the order charged in one step (charge_label_to_profit)
+    const { data: charged, error } = await supabase.rpc('charge_label_to_profit', { label_order_id: orderId });
+
+    if (error) {
+      console.error(`Error charging the label for order ${orderId} to its profit:`, error);
+      return { success: false, message: `Failed to charge label: ${error.message}` };
+    }
+
+    const profit = (charged && charged[0]) || null;
+    if (profit) {
+      await ledgerService.syncProfit(profit);
+    }
+
+    return { success: true, profit };
+  } catch (error) {
+    console.error('Error in chargeLabelToProfit:', error);
+    return { success: false, message: `Charging label failed: ${error.message}` };
+  }
+}
+
+/**
+ * Get a link to an order's label PDF that works for a limited time
+ * @param {string} path - The label's path in the labels bucket
+ * @returns {Promise<string|null>} - The signed URL, or null if it couldn't be made
+ */
+async function signLabelUrl(path) {
+  const { data, error } = await supabase.storage
+    .from(shippingConfig.labelBucket)
+    .createSignedUrl(path, LABEL_URL_EXPIRY_SECONDS);
+
+  if (error) {
+    console.error(`Error signing label URL for ${path}:`, error);
+    return null;
+  }
+
+  return data.signedUrl;
+}
+
+/**
+ * Buy a shipping label for one of the seller's orders: quote rates, buy the chosen one (the cheapest
+ * unless `rate_id` picks another), store the PDF, charge the postage to the sale's profit and
+ * mark the order shipped with the label's tracking number
+ * @param {string} orderId - The order ID
+ * @param {string} userId - The seller's user ID
+ * @param {Object} body - The package (weight_oz, length_in, width_in, height_in), from_address and rate_id
+ * @returns {Promise<Object>} - { success, status, order, label, marketplace, message }
+ */
+async function purchaseLabel(orderId, userId, body) {
+  try {
+    const prepared = await prepareShipment(orderId, userId, body);
+    if (!prepared.success) return prepared;
+
+    const { order, provider, shipment } = prepared;
+
+    // Claim the order first, so a double submit can't pay for two labels.
+    // A purchase's claim is cleared once its label is recorded, so only a stale claim runs out.
+    const now = new Date();
+    const { data: claimed, error: claimError } = await supabase
+      .from('orders')
+      .update({
+        label_status: 'purchasing',
+        label_claimed_until: new Date(now.getTime() + LABEL_CLAIM_MINUTES * 60 * 1000).toISOString()
+      })
+      .eq('id', order.id)
+      .or(`label_status.is.null,label_claimed_until.lte.${now.toISOString()}`)
+      .select('id');
+
+    if (claimError) {
+      return { success: false, status: 500, message: `Failed to update order: ${claimError.message}` };
+    }
+
+    if (claimed.length === 0) {
+      return { success: false, status: 409, message: 'This order already has a label' };
+    }
+
+    let purchase;
+    try {
+      const quote = await provider.getRates(shipment);
+      if (!quote.success) {
+        await releaseLabelClaim(order.id);
+        return { success: false, status: 502, message: `Rate quote failed: ${quote.message}` };
+      }
+
+      const rate = body.rate_id
+        ? quote.rates.find(entry => entry.rateId === body.rate_id)
+        : [...quote.rates].sort((a, b) => a.amount - b.amount)[0];
+
+      if (!rate) {
+        await releaseLabelClaim(order.id);
+        return { success: false, status: 400, message: body.rate_id ? 'That rate is no longer available, quote again' : 'No rates are available for this package' };
+      }
+
+      purchase = await provider.purchaseLabel(rate.rateId, shipment);
+    } catch (error) {
+      purchase = { success: false, message: error.message };
+    }
+
+    if (!purchase.success) {
+      console.error(`Error buying a label for order ${order.id}:`, purchase.message);
+      await releaseLabelClaim(order.id);
+      return { success: false, status: 502, message: `Label purchase failed: ${purchase.message}` };
+    }
+
+    // The postage is paid from here on, so the label is recorded even if storing the PDF fails
+    const path = `${userId}/${order.id}/${purchase.labelId}.pdf`;
+    const { error: uploadError } = await supabase.storage
+      .from(shippingConfig.labelBucket)
+      .upload(path, purchase.labelPdf, { contentType: 'application/pdf', upsert: true });
+
+    if (uploadError) {
+      console.error(`Error storing the label for order ${order.id}:`, uploadError);
+    }
+
+    const recorded = await recordLabel(order.id, {
+      label_provider: provider.name,
+      label_id: purchase.labelId,
+      label_service: purchase.service,
+      label_cost: purchase.amount,
+      label_path: uploadError ? null : path,
+      label_purchased_at: new Date().toISOString()
+    });
+
+    if (recorded) {
+      // Charged now if the profit is linked, otherwise when order sync links it
+      await chargeLabelToProfit(order.id);
+    } else {
+      // Paid for but not on the order: an admin adds it by hand, and its postage is charged then
+      await notificationService.alertAdmins(
+        `SnapList label not recorded: order ${order.id} has a paid ${provider.name} label ${purchase.labelId} ` +
+        `(${purchase.carrier} ${purchase.trackingNumber}, $${purchase.amount}) that couldn't be saved. Add it to the order.`
+      );
+    }
+
+    const shipped = await shipmentService.shipOrder(order.id, userId, {
+      carrier: purchase.carrier,
+      trackingNumber: purchase.trackingNumber
+    });
+
+    if (!shipped.success) {
+      console.error(`Error attaching tracking from label ${purchase.labelId} to order ${order.id}:`, shipped.message);
+    }
+
+    return {
+      success: true,
+      status: 200,
+      order: shipped.order || order,
+      label: {
+        carrier: purchase.carrier,
+        service: purchase.service,
+        cost: purchase.amount,
+        currency: purchase.currency,
+        trackingNumber: purchase.trackingNumber,
+        url: uploadError ? null : await signLabelUrl(path)
+      },
+      marketplace: shipped.marketplace,
+      message: !recorded
+        ? "The label was bought but couldn't be saved to the order; our team has been told and will add it"
+        : uploadError ? 'The label was bought but could not be stored, contact support for a copy' : undefined
+    };
+  } catch (error) {
+    console.error('Error in purchaseLabel:', error);
+    return { success: false, status: 500, message: `Buying label failed: ${error.message}` };
+  }
+}
+
+/**
+ * Get a fresh link to the label bought for one of the seller's orders
+ * @param {string} orderId - The order ID
+ * @param {string} userId - The seller's user ID
+ * @returns {Promise<Object>} - { success, status, url, expiresIn, message }
+ */
+async function getLabelUrl(orderId, userId) {
+  try {
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('id, label_path')
+      .eq('id', orderId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      return { success: false, status: 500, message: `Failed to fetch order: ${error.message}` };
+    }
+
+    if (!order || !order.label_path) {
+      return { success: false, status: 404, message: 'Label not found' };
+    }
+
+    const url = await signLabelUrl(order.label_path);
+    if (!url) {
+      return { success: false, status: 500, message: 'Failed to create a link to the label' };
+    }
+
+    return { success: true, status: 200, url, expiresIn: LABEL_URL_EXPIRY_SECONDS };
+  } catch (error) {
+    console.error('Error in getLabelUrl:', error);
+    return { success: false, status: 500, message: `Fetching label failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  quoteLabelRates,
+  purchaseLabel,
+  chargeLabelToProfit,
+  getLabelUrl
+};
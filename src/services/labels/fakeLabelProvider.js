@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+// Rate cards: a base price plus a price per pound; UPS bills by dimensional weight when it's higher
+const SERVICES = [
+  { carrier: 'usps', service: 'Ground Advantage', base: 4.75, perPound: 0.6, estimatedDays: 5, trackingPrefix: '9400' },
+  { carrier: 'usps', service: 'Priority Mail', base: 8.7, perPound: 1.1, estimatedDays: 3, trackingPrefix: '9405' },
+  { carrier: 'ups', service: 'Ground', base: 10.25, perPound: 0.85, estimatedDays: 4, trackingPrefix: '1Z', dimDivisor: 139 }
+];
+
+const rateIdFor = entry => `fake_${entry.carrier}_${entry.service.toLowerCase().replace(/\s+/g, '_')}`;
+
+/**
+ * Price one service for a parcel
+ * @param {Object} entry - The service's rate card
+ * @param {Object} parcel - { weightOz, lengthIn, widthIn, heightIn }
+ * @returns {number} - The price in dollars
+ */
+function priceFor(entry, parcel) {
+  let pounds = Math.ceil(parcel.weightOz / 16);
+  if (entry.dimDivisor) {
+    pounds = Math.max(pounds, Math.ceil((parcel.lengthIn * parcel.widthIn * parcel.heightIn) / entry.dimDivisor));
+  }
+  return Math.round((entry.base + entry.perPound * pounds) * 100) / 100;
+}
+
+/**
+ * Build a one-page PDF with the label's text on it
+ * @param {Array<string>} lines - The lines to print
+ * @returns {Buffer} - The PDF
+ */
+function buildLabelPdf(lines) {
+  const escape = text => String(text).replace(/[\\()]/g, match => `\\${match}`);
+  const text = lines.map((line, index) => `BT /F1 12 Tf 36 ${380 - index * 18} Td (${escape(line)}) Tj ET`).join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 288 432] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${Buffer.byteLength(text)} >>\nstream\n${text}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf);
+}
+
+/**
+ * Local stand-in for a shipping label API, for development and tests.
+ * Quotes USPS and UPS services from fixed rate cards and "buys" labels that are valid PDFs with a
+ * made-up tracking number. Nothing is charged and the labels can't be used to ship.
+ */
+module.exports = {
+  name: 'fake',
+
+  async getRates({ toAddress, parcel }) {
+    if (!toAddress || !toAddress.postalCode) {
+      return { success: false, rates: [], message: 'The destination address needs a postal code' };
+    }
+
+    return {
+      success: true,
+      rates: SERVICES.map(entry => ({
+        rateId: rateIdFor(entry),
+        carrier: entry.carrier,
+        service: entry.service,
+        amount: priceFor(entry, parcel),
+        currency: 'USD',
+        estimatedDays: entry.estimatedDays
+      }))
+    };
+  },
+
+  async purchaseLabel(rateId, { fromAddress, toAddress, parcel }) {
+    const entry = SERVICES.find(candidate => rateIdFor(candidate) === rateId);
+    if (!entry) {
+      return { success: false, message: `Unknown rate ${rateId}` };
+    }
+
+    const digits = length => Array.from({ length }, () => crypto.randomInt(10)).join('');
+    const trackingNumber = entry.trackingPrefix === '1Z'
+      ? `1ZFAKE${digits(12)}`
+      : `${entry.trackingPrefix}${digits(18)}`;
+
+    return {
+      success: true,
+      labelId: `fake_label_${crypto.randomUUID()}`,
+      trackingNumber,
+      carrier: entry.carrier,
+      service: entry.service,
+      amount: priceFor(entry, parcel),
+      currency: 'USD',
+      labelPdf: buildLabelPdf([
+        'SAMPLE LABEL - NOT VALID POSTAGE',
+        `${entry.carrier.toUpperCase()} ${entry.service}`,
+        `From: ${fromAddress.name || ''} ${fromAddress.postalCode || ''}`,
+        `To: ${toAddress.name || ''}`,
+        toAddress.street1 || '',
+        `${toAddress.city || ''} ${toAddress.state || ''} ${toAddress.postalCode}`,
+        `Tracking: ${trackingNumber}`
+      ])
+    };
+  }
+};
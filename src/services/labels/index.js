@@ -0,0 +1,47 @@
+/**
+ * Label provider registry
+ *
+ * Postage is bought from one provider (chosen by LABEL_PROVIDER), so a shipping API can be plugged
+ * in without touching the order routes. Addresses use the orders.shipping_address shape
+ * ({ name, street1, street2, city, state, postalCode, country, phone }) and parcels are
+ * { weightOz, lengthIn, widthIn, heightIn }:
+ *
+ *   name               - Short key selected by LABEL_PROVIDER (e.g. 'fake')
+ *   getRates({ fromAddress, toAddress, parcel }) -> { success, rates, message }
+ *     Each rate is { rateId, carrier, service, amount, currency, estimatedDays }, `carrier` being
+ *     one of the codes in config/shipping
+ *   purchaseLabel(rateId, { fromAddress, toAddress, parcel }) -> { success, labelId, trackingNumber,
+ *     carrier, service, amount, currency, labelPdf, message }
+ *     `labelPdf` is a Buffer holding the printable label
+ */
+const shippingConfig = require('../../config/shipping');
+const fakeLabelProvider = require('./fakeLabelProvider');
+
+const providers = new Map();
+
+/**
+ * Register a label provider
+ * @param {Object} provider - The provider (see the contract above)
+ */
+function registerLabelProvider(provider) {
+  if (!provider || !provider.name || typeof provider.getRates !== 'function' || typeof provider.purchaseLabel !== 'function') {
+    throw new Error('Label providers need a name, getRates and purchaseLabel');
+  }
+
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get the configured label provider
+ * @returns {Object|null} - The provider, or null if LABEL_PROVIDER names one that isn't registered
+ */
+function getLabelProvider() {
+  return providers.get(shippingConfig.labelProvider) || null;
+}
+
+registerLabelProvider(fakeLabelProvider);
+
+module.exports = {
+  registerLabelProvider,
+  getLabelProvider
+};
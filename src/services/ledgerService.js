@@ -0,0 +1,423 @@
+const { supabase } = require('../config/supabase');
+
+const BATCH_SIZE = 500;
+
+// Which account each kind of entry moves money out of (debit) and into (credit).
+// An entry for a negative amount (a correction) is posted the other way round.
+const ENTRY_TYPES = {
+  sale: { debit: 'marketplace_clearing', credit: 'seller_pending' },
+  marketplace_fee: { debit: 'seller_pending', credit: 'marketplace_fees' },
+  commission: { debit: 'seller_pending', credit: 'snaplist_commission' },
+  shipping: { debit: 'seller_pending', credit: 'shipping_costs' },
+  release: { debit: 'seller_pending', credit: 'seller_available' },
+  payout: { debit: 'seller_available', credit: 'payouts' },
+  adjustment: { debit: 'adjustments', credit: 'seller_available' }
+};
+
+// Entries that make up what a sale earned the seller, and whether each adds to or takes from it
+const EARNING_SIGNS = {
+  sale: 1,
+  marketplace_fee: -1,
+  commission: -1,
+  shipping: -1
+};
+
+// Payout requests that hold money back from the balance
+const DEBITED_PAYOUT_STATUSES = ['pending', 'completed'];
+
+const roundCents = value => Math.round(value * 100) / 100;
+const toAmount = value => Number(value) || 0;
+
+/**
+ * An entry's amount in its type's usual direction (negative for a correction)
+ * @param {Object} entry - The ledger_entries row
+ * @returns {number}
+ */
+function signedAmount(entry) {
+  const amount = toAmount(entry.amount);
+  return entry.debit_account === ENTRY_TYPES[entry.entry_type].debit ? amount : -amount;
+}
+
+/**
+ * What an entry did to one of the seller's accounts
+ * @param {Object} entry - The ledger_entries row
+ * @param {string} account - 'seller_pending' or 'seller_available'
+ * @returns {number} - Positive when the account went up
+ */
+function effectOn(entry, account) {
+  const amount = toAmount(entry.amount);
+  if (entry.credit_account === account) return amount;
+  if (entry.debit_account === account) return -amount;
+  return 0;
+}
+
+/**
+ * Post whatever it takes for a record's entries to add up to the given totals.
+ * Running it again for an unchanged record posts nothing, so it doubles as the backfill.
+ * The database reads what's posted and inserts the difference under a lock on the record
+ * (post_ledger_differences), so syncs of the same record running at once can't double-post.
+ * @param {Object} source - { column ('profit_id', 'payout_request_id' or 'balance_adjustment_id'), id }
+ * @param {Object} totals - What each entry type should add up to for the record, e.g. { sale: 275, release: 0 }
+ * @param {Object} fields - Columns for new entries (user_id, channel, memo)
+ * @param {Object} [dates] - When each entry type happened, if not now
+ * @returns {Promise<Object>} - { success, entries (the ones posted), message }
+ */
+async function postDifferences(source, totals, fields, dates = {}) {
+  const targets = Object.entries(totals).map(([type, total]) => ({
+    entry_type: type,
+    debit_account: ENTRY_TYPES[type].debit,
+    credit_account: ENTRY_TYPES[type].credit,
+    total: roundCents(total),
+    occurred_at: dates[type] || null
+  }));
+
+  const { data, error } = await supabase.rpc('post_ledger_differences', {
+    source_column: source.column,
+    source_id: source.id,
+    targets,
+    fields: { user_id: fields.user_id, channel: fields.channel || null, memo: fields.memo || null }
+  });
+
+  if (error) {
+    return { success: false, message: `Failed to post ledger entries: ${error.message}` };
+  }
+
+  return { success: true, entries: data || [] };
+}
+
+/**
+ * Bring the ledger in line with a sale's profit record. The sale, its fees, commission and shipping
+ * are held as pending; the net proceeds become available once the profit is completed.
+ * @param {Object} profit - The profits row
+ * @param {Object} [options] - { soldAt, releasedAt } for entries that happened in the past
+ * @returns {Promise<Object>} - { success, entries, message }
+ */
+async function syncProfit(profit, { soldAt, releasedAt } = {}) {
+  try {
+    const amount = toAmount(profit.amount);
+    const fees = toAmount(profit.fees);
+    const commission = toAmount(profit.commission);
+    const shipping = toAmount(profit.shipping_cost);
+
+    const result = await postDifferences(
+      { column: 'profit_id', id: profit.id },
+      {
+        sale: amount,
+        marketplace_fee: fees,
+        commission,
+        shipping,
+        release: profit.status === 'completed' ? amount - fees - commission - shipping : 0
+      },
+      { user_id: profit.user_id, channel: profit.platform || null },
+      { sale: soldAt, marketplace_fee: soldAt, commission: soldAt, shipping: soldAt, release: releasedAt }
+    );
+
+    if (!result.success) {
+      console.error(`Error posting profit ${profit.id} to the ledger:`, result.message);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error in syncProfit:', error);
+    return { success: false, message: `Posting profit failed: ${error.message}` };
+  }
+}
+
+/**
+ * Bring the ledger in line with a payout request: pending and completed requests are taken
+ * from the available balance, and a rejected one gives it back
+ * @param {Object} payout - The payout_requests row
+ * @param {Object} [options] - { occurredAt } for entries that happened in the past
+ * @returns {Promise<Object>} - { success, entries, message }
+ */
+async function syncPayout(payout, { occurredAt } = {}) {
+  try {
+    const result = await postDifferences(
+      { column: 'payout_request_id', id: payout.id },
+      { payout: DEBITED_PAYOUT_STATUSES.includes(payout.status) ? toAmount(payout.amount) : 0 },
+      { user_id: payout.user_id },
+      { payout: occurredAt }
+    );
+
+    if (!result.success) {
+      console.error(`Error posting payout ${payout.id} to the ledger:`, result.message);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error in syncPayout:', error);
+    return { success: false, message: `Posting payout failed: ${error.message}` };
+  }
+}
+
+/**
+ * Post a balance adjustment to the ledger
+ * @param {Object} adjustment - The balance_adjustments row; negative amounts are taken from the balance
+ * @param {Object} [options] - { occurredAt } for entries that happened in the past
+ * @returns {Promise<Object>} - { success, entries, message }
+ */
+async function syncAdjustment(adjustment, { occurredAt } = {}) {
+  try {
+    const result = await postDifferences(
+      { column: 'balance_adjustment_id', id: adjustment.id },
+      { adjustment: toAmount(adjustment.amount) },
+      { user_id: adjustment.user_id, memo: adjustment.reason || null },
+      { adjustment: occurredAt }
+    );
+
+    if (!result.success) {
+      console.error(`Error posting balance adjustment ${adjustment.id} to the ledger:`, result.message);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error in syncAdjustment:', error);
+    return { success: false, message: `Posting adjustment failed: ${error.message}` };
+  }
+}
+
+/**
+ * Get every ledger entry for a seller, oldest first
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchUserEntries(userId) {
+  const entries = [];
+  let offset = 0;
+
+  while (true) {
+    const { data, error } = await supabase
+      .from('ledger_entries')
+      .select('id, entry_type, debit_account, credit_account, amount, channel, profit_id, occurred_at')
+      .eq('user_id', userId)
+      .order('occurred_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch ledger entries: ${error.message}`);
+    }
+
+    entries.push(...data);
+    if (data.length < BATCH_SIZE) return entries;
+    offset += BATCH_SIZE;
+  }
+}
+
+/**
+ * Get what a seller can be paid out now and what is still waiting on sales to complete
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - { success, available, pending, message }
+ */
+async function getUserBalances(userId) {
+  try {
+    const entries = await fetchUserEntries(userId);
+
+    return {
+      success: true,
+      available: roundCents(entries.reduce((total, entry) => total + effectOn(entry, 'seller_available'), 0)),
+      pending: roundCents(entries.reduce((total, entry) => total + effectOn(entry, 'seller_pending'), 0))
+    };
+  } catch (error) {
+    console.error('Error in getUserBalances:', error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Get what a seller's sales earned them, net of marketplace fees, commission and shipping
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - { success, earnings, message }. earnings has total, pending and
+ *   completed (released for payout), gross, marketplaceFees, commission, shipping, byPlatform,
+ *   byMonth ({ 'YYYY-MM': amount }), saleCount and available
+ */
+async function getUserEarnings(userId) {
+  try {
+    const entries = await fetchUserEntries(userId);
+
+    const earnings = {
+      total: 0,
+      pending: 0,
+      completed: 0,
+      gross: 0,
+      marketplaceFees: 0,
+      commission: 0,
+      shipping: 0,
+      byPlatform: { ebay: 0, facebook: 0 },
+      byMonth: {},
+      saleCount: 0,
+      available: 0
+    };
+    const totalsByType = {};
+    const sales = new Set();
+
+    entries.forEach(entry => {
+      const amount = signedAmount(entry);
+      totalsByType[entry.entry_type] = (totalsByType[entry.entry_type] || 0) + amount;
+      earnings.pending += effectOn(entry, 'seller_pending');
+      earnings.available += effectOn(entry, 'seller_available');
+
+      if (entry.entry_type === 'release') {
+        earnings.completed += amount;
+      }
+
+      if (!EARNING_SIGNS[entry.entry_type]) return;
+
+      const earned = amount * EARNING_SIGNS[entry.entry_type];
+      earnings.total += earned;
+
+      if (entry.channel) {
+        earnings.byPlatform[entry.channel] = (earnings.byPlatform[entry.channel] || 0) + earned;
+      }
+
+      const monthKey = entry.occurred_at.slice(0, 7);
+      earnings.byMonth[monthKey] = (earnings.byMonth[monthKey] || 0) + earned;
+
+      if (entry.entry_type === 'sale' && entry.profit_id) {
+        sales.add(entry.profit_id);
+      }
+    });
+
+    earnings.gross = totalsByType.sale || 0;
+    earnings.marketplaceFees = totalsByType.marketplace_fee || 0;
+    earnings.commission = totalsByType.commission || 0;
+    earnings.shipping = totalsByType.shipping || 0;
+    earnings.saleCount = sales.size;
+
+    ['total', 'pending', 'completed', 'gross', 'marketplaceFees', 'commission', 'shipping', 'available'].forEach(key => {
+      earnings[key] = roundCents(earnings[key]);
+    });
+    Object.keys(earnings.byPlatform).forEach(key => {
+      earnings.byPlatform[key] = roundCents(earnings.byPlatform[key]);
+    });
+    Object.keys(earnings.byMonth).forEach(key => {
+      earnings.byMonth[key] = roundCents(earnings.byMonth[key]);
+    });
+
+    return { success: true, earnings };
+  } catch (error) {
+    console.error('Error in getUserEarnings:', error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Get sales totals across all sellers: what buyers paid, what the marketplaces and SnapList kept,
+ * postage, and what was left for sellers
+ * @returns {Promise<Object>} - { success, totals: { gross, marketplaceFees, commission, shipping, sellerNet }, message }
+ */
+async function getPlatformTotals() {
+  try {
+    const totalsByType = {};
+    let offset = 0;
+
+    while (true) {
+      const { data, error } = await supabase
+        .from('ledger_entries')
+        .select('entry_type, debit_account, amount')
+        .in('entry_type', Object.keys(EARNING_SIGNS))
+        .order('id', { ascending: true })
+        .range(offset, offset + BATCH_SIZE - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch ledger entries: ${error.message}`);
+      }
+
+      data.forEach(entry => {
+        totalsByType[entry.entry_type] = (totalsByType[entry.entry_type] || 0) + signedAmount(entry);
+      });
+
+      if (data.length < BATCH_SIZE) break;
+      offset += BATCH_SIZE;
+    }
+
+    const totals = {
+      gross: roundCents(totalsByType.sale || 0),
+      marketplaceFees: roundCents(totalsByType.marketplace_fee || 0),
+      commission: roundCents(totalsByType.commission || 0),
+      shipping: roundCents(totalsByType.shipping || 0)
+    };
+    totals.sellerNet = roundCents(totals.gross - totals.marketplaceFees - totals.commission - totals.shipping);
+
+    return { success: true, totals };
+  } catch (error) {
+    console.error('Error in getPlatformTotals:', error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Post one table's existing rows, a page at a time
+ * @param {string} table - The table name
+ * @param {Function} sync - Posts one row; resolves to { success, entries }
+ * @param {Object} counts - Totals to add to ({ entries, failed })
+ * @returns {Promise<number>} - How many rows were read
+ */
+async function backfillTable(table, sync, counts) {
+  let offset = 0;
+  let rows = 0;
+
+  while (true) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch ${table}: ${error.message}`);
+    }
+
+    for (const row of data) {
+      const result = await sync(row);
+      if (result.success) {
+        counts.entries += result.entries.length;
+      } else {
+        counts.failed++;
+      }
+    }
+
+    rows += data.length;
+    if (data.length < BATCH_SIZE) return rows;
+    offset += BATCH_SIZE;
+  }
+}
+
+/**
+ * Post every existing profit, payout request and balance adjustment to the ledger, dated when
+ * they happened. Records that are already posted are left alone, so it can be run again safely.
+ * @returns {Promise<Object>} - { success, profits, payouts, adjustments, entries, failed, message }
+ */
+async function backfillLedger() {
+  try {
+    const counts = { entries: 0, failed: 0 };
+
+    const profits = await backfillTable('profits', profit => syncProfit(profit, {
+      soldAt: profit.created_at,
+      releasedAt: profit.completed_at || profit.updated_at || profit.created_at
+    }), counts);
+    const payouts = await backfillTable('payout_requests', payout => syncPayout(payout, {
+      occurredAt: payout.created_at
+    }), counts);
+    const adjustments = await backfillTable('balance_adjustments', adjustment => syncAdjustment(adjustment, {
+      occurredAt: adjustment.created_at
+    }), counts);
+
+    return { success: counts.failed === 0, profits, payouts, adjustments, ...counts };
+  } catch (error) {
+    console.error('Error in backfillLedger:', error);
+    return { success: false, message: `Ledger backfill failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  syncProfit,
+  syncPayout,
+  syncAdjustment,
+  getUserBalances,
+  getUserEarnings,
+  getPlatformTotals,
+  backfillLedger
+};
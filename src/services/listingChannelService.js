@@ -0,0 +1,187 @@
+const { supabase } = require('../config/supabase');
+const marketplaces = require('./marketplaces');
+
+// Select listings together with their marketplace channels
+const LISTING_WITH_CHANNELS = '*, channels:listing_channels(*)';
+
+/**
+ * Pull the structured errors out of a marketplace result for last_error_details
+ * @param {Object} result - The adapter call result
+ * @returns {Object|null} - { ack, errors, warnings }, or null when the marketplace didn't report any
+ */
+function getErrorDetails(result) {
+  if (!result.errors || result.errors.length === 0) {
+    return null;
+  }
+
+  return {
+    ack: result.ack || null,
+    errors: result.errors,
+    warnings: result.warnings || []
+  };
+}
+
+/**
+ * Mirror a channel's ID and URL onto the legacy listing columns read by older clients
+ * @param {string} listingId - The listing ID
+ * @param {Object} marketplace - The marketplace adapter
+ * @param {string|null} externalId - The marketplace listing ID (null to clear)
+ * @param {string|null} externalUrl - The marketplace listing URL (null to clear)
+ * @returns {Promise<void>}
+ */
+async function mirrorLegacyColumns(listingId, marketplace, externalId, externalUrl) {
+  const updates = { [marketplace.listingIdField]: externalId };
+  if (marketplace.listingUrlField) updates[marketplace.listingUrlField] = externalUrl;
+
+  const { error } = await supabase
+    .from('listings')
+    .update(updates)
+    .eq('id', listingId);
+
+  if (error) {
+    console.error(`Error mirroring ${marketplace.name} channel onto listing ${listingId}:`, error);
+  }
+}
+
+/**
+ * Record the outcome of publishing a listing to a marketplace
+ * @param {string} listingId - The listing ID
+ * @param {Object} marketplace - The marketplace adapter
+ * @param {Object} result - The adapter's createListing result
+ * @param {Object} [retry] - Retry state for a failed publish
+ * @param {number} [retry.attempts] - Publish attempts made so far, including this one
+ * @param {string|null} [retry.nextPublishAt] - When to try again; null marks the channel permanently failed
+ * @returns {Promise<Object>} - The saved channel
+ */
+async function recordPublishResult(listingId, marketplace, result, retry = {}) {
+  try {
+    const published = result.success && result.externalId;
+    const now = new Date().toISOString();
+    const nextPublishAt = retry.nextPublishAt || null;
+
+    const channel = {
+      listing_id: listingId,
+      channel: marketplace.name,
+      status: published ? 'active' : nextPublishAt ? 'pending' : 'failed',
+      last_error: published ? null : result.message || 'Unknown error',
+      last_error_details: published ? null : getErrorDetails(result),
+      publish_attempts: published ? 0 : retry.attempts || 1,
+      next_publish_at: published ? null : nextPublishAt,
+      publish_lease_until: null,
+      last_synced_at: now,
+      updated_at: now
+    };
+
+    if (published) {
+      channel.external_id = result.externalId;
+      channel.external_url = result.url || null;
+      channel.marketplace_data = result.marketplaceData || null;
+    }
+
+    const { data, error } = await supabase
+      .from('listing_channels')
+      .upsert(channel, { onConflict: 'listing_id,channel' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`Error recording ${marketplace.name} channel for listing ${listingId}:`, error);
+      return { success: false, message: `Failed to record channel: ${error.message}` };
+    }
+
+    if (published) {
+      await mirrorLegacyColumns(listingId, marketplace, result.externalId, result.url || null);
+    }
+
+    return { success: true, channel: data };
+  } catch (error) {
+    console.error('Error in recordPublishResult:', error);
+    return { success: false, message: `Recording channel failed: ${error.message}` };
+  }
+}
+
+/**
+ * Record the outcome of a sync call (update, end, status check) against a channel
+ * @param {Object} link - A linked marketplace from marketplaces.getLinkedMarketplaces
+ * @param {string} listingId - The listing ID
+ * @param {Object} result - The adapter call result
+ * @param {string} [status] - New channel status when the call succeeded (e.g. 'ended', 'sold')
+ * @returns {Promise<void>}
+ */
+async function recordSyncResult(link, listingId, result, status) {
+  try {
+    const now = new Date().toISOString();
+    const updates = result.success
+      ? { last_synced_at: now, last_error: null, last_error_details: null, updated_at: now }
+      : { last_error: result.message || 'Unknown error', last_error_details: getErrorDetails(result), updated_at: now };
+
+    if (result.success && status) updates.status = status;
+
+    const { error } = await supabase
+      .from('listing_channels')
+      .update(updates)
+      .eq('listing_id', listingId)
+      .eq('channel', link.marketplace.name);
+
+    if (error) {
+      console.error(`Error recording ${link.marketplace.name} sync for listing ${listingId}:`, error);
+      return;
+    }
+
+    // Ended and sold channels are no longer live, so older clients shouldn't link to them
+    if (result.success && status === 'ended') {
+      await mirrorLegacyColumns(listingId, link.marketplace, null, null);
+    }
+  } catch (error) {
+    console.error('Error in recordSyncResult:', error);
+  }
+}
+
+/**
+ * Set or clear the price override for one of a listing's channels
+ * @param {Object} listing - The listing, with channels
+ * @param {string} channelName - The marketplace name (e.g. 'ebay')
+ * @param {number|null} priceOverride - The channel price, or null to follow the listing price
+ * @returns {Promise<Object>} - The updated channel and the marketplace update result
+ */
+async function setPriceOverride(listing, channelName, priceOverride) {
+  try {
+    const link = marketplaces.getLinkedMarketplaces(listing).find(linked => linked.marketplace.name === channelName);
+
+    if (!link) {
+      return { success: false, status: 404, message: `Listing is not published on ${channelName}` };
+    }
+
+    const { data: channel, error } = await supabase
+      .from('listing_channels')
+      .update({
+        price_override: priceOverride,
+        updated_at: new Date().toISOString()
+      })
+      .eq('listing_id', listing.id)
+      .eq('channel', channelName)
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`Error setting ${channelName} price override for listing ${listing.id}:`, error);
+      return { success: false, status: 500, message: `Failed to set price override: ${error.message}` };
+    }
+
+    const price = priceOverride === null ? parseFloat(listing.price) : priceOverride;
+    const marketplaceResult = await link.marketplace.updateListing(link.externalId, { price }, link.channel);
+    await recordSyncResult(link, listing.id, marketplaceResult);
+
+    return { success: true, channel, marketplace: marketplaceResult };
+  } catch (error) {
+    console.error('Error in setPriceOverride:', error);
+    return { success: false, status: 500, message: `Setting price override failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  LISTING_WITH_CHANNELS,
+  recordPublishResult,
+  recordSyncResult,
+  setPriceOverride
+};
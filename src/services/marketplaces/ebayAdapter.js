@@ -0,0 +1,142 @@
+const ebayConfig = require('../../config/ebay');
+const shippingConfig = require('../../config/shipping');
+const ebayService = require('../ebayService');
+const ebayInventoryService = require('../ebayInventoryService');
+const ebayAccountService = require('../ebayAccountService');
+
+// Our listing fields mapped to Trading API Item fields
+const FIELD_MAP = {
+  title: 'Title',
+  description: 'Description',
+  price: 'StartPrice'
+};
+
+// Listings stay on the API that created them; only channels marked 'inventory' use the REST client
+const usesInventoryApi = (channel) =>
+  Boolean(channel && channel.marketplace_data && channel.marketplace_data.api === 'inventory');
+
+/**
+ * Get the token for the eBay account a channel's listing was created under.
+ * Channels without an eBay user ID were created with the house account (accessToken null).
+ * @param {Object|null} channel - The listing_channels row
+ * @returns {Promise<Object>} - { success, accessToken, message }
+ */
+async function getChannelAuth(channel) {
+  const ebayUserId = channel && channel.marketplace_data && channel.marketplace_data.ebayUserId;
+
+  if (!ebayUserId) {
+    return { success: true, accessToken: null };
+  }
+
+  const auth = await ebayAccountService.getSellerAuth({ ebayUserId });
+
+  if (auth.success && !auth.accessToken) {
+    return { success: false, message: 'The eBay account this listing was created under is no longer connected' };
+  }
+
+  return auth;
+}
+
+module.exports = {
+  name: 'ebay',
+  displayName: 'eBay',
+  platformAliases: ['eBay'],
+  listingIdField: 'ebay_listing_id',
+  listingUrlField: 'ebay_url',
+
+  async createListing(listing, imageUrls) {
+    // List under the seller's own eBay account when they've connected one, otherwise the house account
+    const auth = await ebayAccountService.getSellerAuth({ userId: listing.user_id });
+    if (!auth.success) {
+      return { success: false, message: auth.message };
+    }
+
+    const api = ebayConfig.listingApi;
+    const result = api === 'inventory'
+      ? await ebayInventoryService.createEbayListing(listing, imageUrls, auth.accessToken)
+      : await ebayService.createEbayListing(listing, imageUrls, auth.accessToken);
+
+    const marketplaceData = { api, ebayUserId: auth.ebayUserId || null };
+    if (api === 'inventory') {
+      marketplaceData.sku = result.sku;
+      marketplaceData.offerId = result.offerId;
+    }
+
+    return {
+      ...result,
+      externalId: result.ebayItemId,
+      url: result.ebayUrl,
+      marketplaceData: result.success ? marketplaceData : undefined
+    };
+  },
+
+  async updateListing(externalId, changes, channel) {
+    const auth = await getChannelAuth(channel);
+    if (!auth.success) {
+      return { success: false, message: auth.message };
+    }
+
+    if (usesInventoryApi(channel)) {
+      return ebayInventoryService.updateEbayListing(channel.marketplace_data, changes, auth.accessToken);
+    }
+
+    const ebayUpdate = {};
+    Object.entries(FIELD_MAP).forEach(([field, ebayField]) => {
+      if (changes[field] !== undefined) ebayUpdate[ebayField] = changes[field];
+    });
+
+    if (Object.keys(ebayUpdate).length === 0) {
+      return { success: true, message: 'Nothing to update on eBay' };
+    }
+
+    return ebayService.updateEbayListing(externalId, ebayUpdate, auth.accessToken);
+  },
+
+  async endListing(externalId, channel) {
+    const auth = await getChannelAuth(channel);
+    if (!auth.success) {
+      return { success: false, message: auth.message };
+    }
+
+    if (usesInventoryApi(channel)) {
+      return ebayInventoryService.endEbayListing(channel.marketplace_data, auth.accessToken);
+    }
+
+    return ebayService.endEbayListing(externalId, auth.accessToken);
+  },
+
+  async getStatus(externalId, channel) {
+    const auth = await getChannelAuth(channel);
+    if (!auth.success) {
+      return { success: false, message: auth.message };
+    }
+
+    if (usesInventoryApi(channel)) {
+      return ebayInventoryService.checkEbayListingSold(channel.marketplace_data, auth.accessToken);
+    }
+
+    return ebayService.checkEbayListingSold(externalId, auth.accessToken);
+  },
+
+  async fetchOrders({ externalId, channel, since }) {
+    const auth = await getChannelAuth(channel);
+    if (!auth.success) {
+      return { success: false, orders: [], message: auth.message };
+    }
+
+    // Inventory API listings are ordinary eBay listings once published, so GetOrders finds them too
+    return ebayService.getEbayOrders(externalId, since, auth.accessToken);
+  },
+
+  async markShipped(order, { carrier, trackingNumber }, channel) {
+    const auth = await getChannelAuth(channel);
+    if (!auth.success) {
+      return { success: false, message: auth.message };
+    }
+
+    return ebayService.completeEbaySale(order.external_order_id, {
+      carrier: shippingConfig.carriers[carrier].ebay,
+      trackingNumber
+    }, auth.accessToken);
+  }
+};
@@ -0,0 +1,64 @@
+const shippingConfig = require('../../config/shipping');
+const facebookService = require('../facebookService');
+
+// Our listing fields mapped to Graph API commerce listing fields
+const FIELD_MAP = {
+  title: 'name',
+  description: 'description',
+  price: 'price',
+  // Mapped to Facebook's enums by facebookService
+  condition: 'condition',
+  category: 'category',
+  brand: 'brand'
+};
+
+module.exports = {
+  name: 'facebook',
+  displayName: 'Facebook Marketplace',
+  platformAliases: ['Facebook Marketplace', 'Facebook'],
+  listingIdField: 'facebook_listing_id',
+  listingUrlField: 'facebook_url',
+
+  async createListing(listing, imageUrls) {
+    const result = await facebookService.createFacebookListing(listing, imageUrls);
+    return { ...result, externalId: result.fbListingId, url: result.fbUrl };
+  },
+
+  async updateListing(externalId, changes) {
+    const fbUpdate = {};
+    Object.entries(FIELD_MAP).forEach(([field, fbField]) => {
+      if (changes[field] !== undefined) fbUpdate[fbField] = changes[field];
+    });
+
+    if (Object.keys(fbUpdate).length === 0) {
+      return { success: true, message: 'Nothing to update on Facebook' };
+    }
+
+    return facebookService.updateFacebookListing(externalId, fbUpdate);
+  },
+
+  endListing(externalId) {
+    return facebookService.endFacebookListing(externalId);
+  },
+
+  getStatus(externalId) {
+    return facebookService.checkFacebookListingSold(externalId);
+  },
+
+  fetchOrders({ externalId, since }) {
+    return facebookService.getFacebookOrders(externalId, since);
+  },
+
+  markShipped(order, { carrier, trackingNumber }) {
+    const item = order.marketplace_data || {};
+    if (!item.itemId) {
+      return Promise.resolve({ success: false, message: 'Order has no Facebook item ID, sync it again first' });
+    }
+
+    return facebookService.addFacebookShipment(order.external_order_id, {
+      carrier: shippingConfig.carriers[carrier].facebook,
+      trackingNumber,
+      items: [{ item_id: item.itemId, quantity: item.quantity || 1 }]
+    });
+  }
+};
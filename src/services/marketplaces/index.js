@@ -0,0 +1,113 @@
+/**
+ * Marketplace registry
+ *
+ * Every marketplace SnapList publishes to is an adapter with the same contract, so routes and jobs
+ * can act on a listing's marketplaces without knowing which ones exist:
+ *
+ *   name               - Short key used in API responses and profit records (e.g. 'ebay')
+ *   displayName        - Human-readable name for notifications (e.g. 'eBay')
+ *   platformAliases    - Values of `listings.platform` that select only this marketplace
+ *   listingIdField     - Legacy column on `listings` mirroring the marketplace's listing ID
+ *   listingUrlField    - Legacy column on `listings` mirroring the marketplace's listing URL
+ *   createListing(listing, imageUrls) -> { success, externalId, url, marketplaceData, message }
+ *     `marketplaceData` (optional) is kept on the channel for adapters that need more than the ID
+ *   updateListing(externalId, changes, channel) -> { success, message }
+ *     `changes` uses our field names ({ title, description, price }); adapters translate them
+ *   endListing(externalId, channel) -> { success, message }
+ *   getStatus(externalId, channel) -> { success, sold, status, message }
+ *     `channel` is the listing_channels row, or null for listings loaded without channels
+ *   fetchOrders({ externalId, channel, since }) -> { success, orders, message }
+ *     Orders for one listing placed since `since`, each { externalOrderId, externalId,
+ *     buyer: { name, username, email }, shippingAddress, salePrice, shippingPaid, marketplaceFees,
+ *     currency, fulfillmentStatus ('unfulfilled', 'shipped', 'delivered' or 'cancelled'), orderedAt, shippedAt,
+ *     marketplaceData }; `marketplaceData` (optional) is kept on the order for markShipped
+ *   markShipped(order, { carrier, trackingNumber }, channel) -> { success, message }
+ *     Tells the marketplace an order shipped; `order` is the orders row and `carrier` a code from config/shipping
+ */
+const ebayAdapter = require('./ebayAdapter');
+const facebookAdapter = require('./facebookAdapter');
+
+const REQUIRED_METHODS = ['createListing', 'updateListing', 'endListing', 'getStatus', 'fetchOrders', 'markShipped'];
+
+const marketplaces = new Map();
+
+/**
+ * Register a marketplace adapter
+ * @param {Object} adapter - The adapter (see the contract above)
+ */
+function registerMarketplace(adapter) {
+  if (!adapter || !adapter.name || !adapter.listingIdField) {
+    throw new Error('Marketplace adapters need a name and listingIdField');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Marketplace adapter ${adapter.name} is missing: ${missing.join(', ')}`);
+  }
+
+  marketplaces.set(adapter.name, adapter);
+}
+
+/**
+ * Get a marketplace adapter by name
+ * @param {string} name - The marketplace name (e.g. 'ebay')
+ * @returns {Object|null} - The adapter, or null if none is registered
+ */
+function getMarketplace(name) {
+  return marketplaces.get(name) || null;
+}
+
+/**
+ * Get every registered marketplace adapter, in registration order
+ * @returns {Array<Object>} - The adapters
+ */
+function getMarketplaces() {
+  return Array.from(marketplaces.values());
+}
+
+/**
+ * Get the marketplaces a new listing should be published to
+ * @param {string} platform - The listing's platform field ('both', 'eBay', 'Facebook Marketplace', ...)
+ * @returns {Array<Object>} - The adapters to publish to
+ */
+function getMarketplacesForPlatform(platform) {
+  if (!platform || platform === 'both') {
+    return getMarketplaces();
+  }
+
+  const wanted = platform.toLowerCase();
+  return getMarketplaces().filter(adapter =>
+    adapter.name === wanted ||
+    (adapter.platformAliases || []).some(alias => alias.toLowerCase() === wanted)
+  );
+}
+
+/**
+ * Get the marketplaces a listing is currently live on.
+ * Uses the listing's `channels` (see listingChannelService.LISTING_WITH_CHANNELS); listings loaded
+ * without channels fall back to the legacy ID columns.
+ * @param {Object} listing - The listing row
+ * @returns {Array<Object>} - { marketplace, externalId, channel } for each live marketplace
+ */
+function getLinkedMarketplaces(listing) {
+  if (Array.isArray(listing.channels)) {
+    return listing.channels
+      .filter(channel => channel.status === 'active' && channel.external_id && marketplaces.has(channel.channel))
+      .map(channel => ({ marketplace: marketplaces.get(channel.channel), externalId: channel.external_id, channel }));
+  }
+
+  return getMarketplaces()
+    .filter(adapter => listing[adapter.listingIdField])
+    .map(adapter => ({ marketplace: adapter, externalId: listing[adapter.listingIdField], channel: null }));
+}
+
+registerMarketplace(ebayAdapter);
+registerMarketplace(facebookAdapter);
+
+module.exports = {
+  registerMarketplace,
+  getMarketplace,
+  getMarketplaces,
+  getMarketplacesForPlatform,
+  getLinkedMarketplaces
+};
@@ -1,4 +1,6 @@
 const { supabase } = require('../config/supabase');
+const smsConfig = require('../config/sms');
+const smsService = require('./smsService');
 
 /**
  * Create a new notification
@@ -13,7 +15,7 @@ async function createNotification(notification) {
     }
     
     // Ensure valid notification type
-    if (!['price_reduction', 'item_sold'].includes(notification.type)) {
+    if (!['price_reduction', 'item_sold', 'publish_failed', 'oversold', 'order_delivered', 'order_refunded'].includes(notification.type)) {
       return { success: false, message: 'Invalid notification type' };
     }
     
@@ -170,8 +172,23 @@ async function deleteNotification(notificationId) {
   }
 }
 
+/**
+ * Text the admins on ADMIN_ALERT_PHONES
+ * @param {string} message - The alert
+ * @returns {Promise<void>}
+ */
+async function alertAdmins(message) {
+  for (const phone of smsConfig.adminAlertPhones) {
+    const result = await smsService.sendSms(phone, message);
+    if (!result.success) {
+      console.error(`Error alerting admin at ${phone}:`, result.message);
+    }
+  }
+}
+
 module.exports = {
   createNotification,
+  alertAdmins,
   getUserNotifications,
   markNotificationRead,
   markAllNotificationsRead,
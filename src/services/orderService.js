@@ -0,0 +1,358 @@
+const { supabase } = require('../config/supabase');
+const marketplaces = require('./marketplaces');
+const listingChannelService = require('./listingChannelService');
+const feeService = require('./feeService');
+const ledgerService = require('./ledgerService');
+const labelService = require('./labelService');
+
+const BATCH_SIZE = 50;
+// Orders can take a while to appear after a sale and keep changing until they ship; stop looking after this
+const SYNC_WINDOW_DAYS = 30;
+
+// Fulfillment only moves forward: the seller can mark an order shipped before the marketplace
+// knows, and only the carrier confirms delivery, so a sync must not undo either
+const FULFILLMENT_PROGRESS = ['unfulfilled', 'shipped', 'delivered'];
+
+// The sync can outlast its schedule interval; overlapping runs would double the marketplace calls
+let syncRunning = false;
+
+/**
+ * Turn an adapter order into an orders row
+ * @param {Object} listing - The listing it sold
+ * @param {Object} marketplace - The marketplace adapter
+ * @param {Object} order - The order (see the fetchOrders contract in services/marketplaces)
+ * @returns {Object} - The row
+ */
+function toOrderRow(listing, marketplace, order) {
+  const now = new Date().toISOString();
+
+  return {
+    listing_id: listing.id,
+    user_id: listing.user_id,
+    channel: marketplace.name,
+    external_order_id: String(order.externalOrderId),
+    buyer_name: order.buyer.name,
+    buyer_username: order.buyer.username,
+    buyer_email: order.buyer.email,
+    shipping_address: order.shippingAddress,
+    sale_price: order.salePrice,
+    shipping_paid: order.shippingPaid || 0,
+    marketplace_fees: order.marketplaceFees,
+    currency: order.currency || 'USD',
+    fulfillment_status: order.fulfillmentStatus,
+    ordered_at: order.orderedAt,
+    shipped_at: order.shippedAt,
+    marketplace_data: order.marketplaceData || null,
+    last_synced_at: now,
+    updated_at: now
+  };
+}
+
+/**
+ * Keep what we already know about an order that the marketplace hasn't caught up with
+ * @param {Object} row - The orders row built from the marketplace's order
+ * @param {Object|undefined} existing - The stored order, if any
+ * @returns {Object} - The row to store
+ */
+function mergeStoredOrder(row, existing) {
+  if (!existing) return row;
+
+  const merged = {
+    ...row,
+    shipped_at: row.shipped_at || existing.shipped_at,
+    marketplace_data: row.marketplace_data || existing.marketplace_data
+  };
+
+  if (FULFILLMENT_PROGRESS.indexOf(existing.fulfillment_status) > FULFILLMENT_PROGRESS.indexOf(row.fulfillment_status) &&
+      row.fulfillment_status !== 'cancelled') {
+    merged.fulfillment_status = existing.fulfillment_status;
+  }
+
+  return merged;
+}
+
+/**
+ * Point the listing's pending profit at its order, so the seller is paid the actual sale price,
+ * less the fee the marketplace reported and the commission at the rate charged when it sold
+ * @param {Object} listing - The listing
+ * @param {Object} order - The orders row
+ * @returns {Promise<void>}
+ */
+async function linkProfit(listing, order) {
+  const { data: profits, error } = await supabase
+    .from('profits')
+    .select('*')
+    .eq('listing_id', listing.id)
+    .eq('status', 'pending')
+    .or(`order_id.is.null,order_id.eq.${order.id}`);
+
+  if (error) {
+    console.error(`Error finding the profit for listing ${listing.id} to link to order ${order.id}:`, error);
+    return;
+  }
+
+  for (const profit of profits) {
+    const saleFees = await feeService.calculateSaleFees({
+      userId: profit.user_id,
+      channel: order.channel,
+      salePrice: order.sale_price,
+      marketplaceFees: order.marketplace_fees,
+      commissionRate: profit.commission_rate
+    });
+
+    // Left unlinked, so the next order sync tries again rather than paying the sale price without its fees
+    if (!saleFees.success) {
+      console.error(`Error calculating fees for order ${order.id}:`, saleFees.message);
+      continue;
+    }
+
+    const updates = { order_id: order.id, amount: order.sale_price, ...saleFees.fees };
+    const unchanged = Object.entries(updates).every(([column, value]) => String(profit[column]) === String(value));
+    if (unchanged) continue;
+
+    const { data: linked, error: updateError } = await supabase
+      .from('profits')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', profit.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error(`Error linking profit ${profit.id} to order ${order.id}:`, updateError);
+      continue;
+    }
+
+    await ledgerService.syncProfit(linked);
+  }
+
+  // A label bought before the profit was linked is charged to it now
+  if (order.label_cost !== null && order.label_cost !== undefined && !order.label_charged_at) {
+    await labelService.chargeLabelToProfit(order.id);
+  }
+}
+
+/**
+ * Pull a sold listing's orders from the marketplace it sold on and store them.
+ * Orders already stored are updated, so repeated syncs pick up shipping and cancellations.
+ * @param {string} listingId - The listing ID
+ * @returns {Promise<Object>} - { success, orders, message }
+ */
+async function syncListingOrders(listingId) {
+  try {
+    const { data: listing, error: fetchError } = await supabase
+      .from('listings')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
+      .eq('id', listingId)
+      .maybeSingle();
+
+    if (fetchError) {
+      return { success: false, message: `Failed to fetch listing: ${fetchError.message}` };
+    }
+
+    if (!listing || !listing.sold_channel) {
+      return { success: false, message: 'Listing has not sold on a marketplace' };
+    }
+
+    const marketplace = marketplaces.getMarketplace(listing.sold_channel);
+    if (!marketplace) {
+      return { success: false, message: `Unknown marketplace ${listing.sold_channel}` };
+    }
+
+    const channel = (listing.channels || []).find(entry => entry.channel === marketplace.name) || null;
+    const externalId = channel ? channel.external_id : listing[marketplace.listingIdField];
+
+    if (!externalId) {
+      return { success: false, message: `Listing has no ${marketplace.displayName} listing ID` };
+    }
+
+    let result;
+    try {
+      result = await marketplace.fetchOrders({ externalId, channel, since: listing.created_at });
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+
+    if (!result.success) {
+      console.error(`Error fetching ${marketplace.name} orders for listing ${listing.id}:`, result.message);
+      return { success: false, message: result.message };
+    }
+
+    if (result.orders.length === 0) {
+      return { success: true, orders: [] };
+    }
+
+    const rows = result.orders.map(order => toOrderRow(listing, marketplace, order));
+
+    const { data: stored, error: storedError } = await supabase
+      .from('orders')
+      .select('external_order_id, fulfillment_status, shipped_at, marketplace_data')
+      .eq('channel', marketplace.name)
+      .in('external_order_id', rows.map(row => row.external_order_id));
+
+    if (storedError) {
+      return { success: false, message: `Failed to fetch stored orders: ${storedError.message}` };
+    }
+
+    const { data: orders, error: upsertError } = await supabase
+      .from('orders')
+      .upsert(rows.map(row => mergeStoredOrder(row, stored.find(order => order.external_order_id === row.external_order_id))), {
+        onConflict: 'channel,external_order_id'
+      })
+      .select();
+
+    if (upsertError) {
+      console.error(`Error storing orders for listing ${listing.id}:`, upsertError);
+      return { success: false, message: `Failed to store orders: ${upsertError.message}` };
+    }
+
+    const first = orders.find(order => order.fulfillment_status !== 'cancelled');
+    if (first) {
+      await linkProfit(listing, first);
+    }
+
+    return { success: true, orders };
+  } catch (error) {
+    console.error('Error in syncListingOrders:', error);
+    return { success: false, message: `Syncing orders failed: ${error.message}` };
+  }
+}
+
+/**
+ * Sync orders for recently sold listings that have no order yet, one that hasn't shipped, or a profit not yet linked to one
+ * @returns {Promise<void>}
+ */
+async function runOrderSyncJob() {
+  if (syncRunning) {
+    console.log('Order sync is still running, skipping this run');
+    return;
+  }
+
+  syncRunning = true;
+  let synced = 0;
+  let failed = 0;
+
+  try {
+    const since = new Date(Date.now() - SYNC_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    let lastId = null;
+
+    while (true) {
+      let query = supabase
+        .from('listings')
+        .select('id, orders(fulfillment_status), profits(order_id, status)')
+        .eq('status', 'sold')
+        .not('sold_channel', 'is', null)
+        .gte('sold_at', since)
+        .order('id', { ascending: true })
+        .limit(BATCH_SIZE);
+
+      if (lastId) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data: listings, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to fetch sold listings: ${error.message}`);
+      }
+
+      for (const listing of listings) {
+        // A pending profit left unlinked by a failed fee calculation is linked once it succeeds
+        const needsSync = listing.orders.length === 0 ||
+          listing.orders.some(order => order.fulfillment_status === 'unfulfilled') ||
+          listing.profits.some(profit => profit.status === 'pending' && !profit.order_id);
+        if (!needsSync) continue;
+
+        const result = await syncListingOrders(listing.id);
+        if (result.success) synced++;
+        else failed++;
+      }
+
+      if (listings.length < BATCH_SIZE) break;
+      lastId = listings[listings.length - 1].id;
+    }
+
+    if (synced + failed > 0) {
+      console.log(`Order sync checked ${synced + failed} sold listing(s), ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error in order sync job:', error);
+  } finally {
+    syncRunning = false;
+  }
+}
+
+/**
+ * Get orders, newest first
+ * @param {Object} filters - Query filters (user_id, listing_id, channel, status, page, limit)
+ * @param {string} [select] - The columns and relations to return
+ * @returns {Promise<Object>} - The orders and total count
+ */
+async function getOrders(filters = {}, select = '*, listings(title, image_urls)') {
+  try {
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('orders')
+      .select(select, { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (filters.user_id) query = query.eq('user_id', filters.user_id);
+    if (filters.listing_id) query = query.eq('listing_id', filters.listing_id);
+    if (filters.channel) query = query.eq('channel', filters.channel);
+    if (filters.status) query = query.eq('fulfillment_status', filters.status);
+
+    const { data, count, error } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Error fetching orders:', error);
+      return { success: false, message: `Failed to fetch orders: ${error.message}` };
+    }
+
+    return { success: true, orders: data, count };
+  } catch (error) {
+    console.error('Error in getOrders:', error);
+    return { success: false, message: `Fetching orders failed: ${error.message}` };
+  }
+}
+
+/**
+ * Get one order
+ * @param {string} orderId - The order ID
+ * @param {string|null} userId - Only return the order if it belongs to this seller (null for admins)
+ * @param {string} [select] - The columns and relations to return
+ * @returns {Promise<Object>} - { success, status, order, message }
+ */
+async function getOrder(orderId, userId, select = '*, listings(title, image_urls, price), order_refunds(amount, item_returned, reason, created_at)') {
+  try {
+    let query = supabase
+      .from('orders')
+      .select(select)
+      .eq('id', orderId);
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data: order, error } = await query.maybeSingle();
+
+    if (error) {
+      return { success: false, status: 500, message: `Failed to fetch order: ${error.message}` };
+    }
+
+    if (!order) {
+      return { success: false, status: 404, message: 'Order not found' };
+    }
+
+    return { success: true, status: 200, order };
+  } catch (error) {
+    console.error('Error in getOrder:', error);
+    return { success: false, status: 500, message: `Fetching order failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  syncListingOrders,
+  runOrderSyncJob,
+  getOrders,
+  getOrder
+};
@@ -1,4 +1,8 @@
 const { supabase } = require('../config/supabase');
+const ledgerService = require('./ledgerService');
+
+// Sellers can request a payout once their available balance reaches this
+const MINIMUM_PAYOUT_BALANCE = 50;
 
 /**
  * Get user's available payout amount
@@ -7,44 +11,17 @@ const { supabase } = require('../config/supabase');
  */
 async function getUserAvailablePayoutAmount(userId) {
   try {
-    const { data, error } = await supabase
-      .from('profits')
-      .select('amount, fees, shipping_cost')
-      .eq('user_id', userId)
-      .eq('status', 'completed');
+    // Completed sales net of fees, commission and shipping, less payout requests, plus adjustments.
+    // It goes below zero when refunds take back more than the seller has left; later sales pay that off
+    const balances = await ledgerService.getUserBalances(userId);
     
-    if (error) {
-      console.error('Error fetching user profits:', error);
-      return { success: false, message: 'Failed to fetch user profits' };
+    if (!balances.success) {
+      return { success: false, message: 'Failed to fetch user balance' };
     }
-
-    // Calculate total profit
-    const totalProfit = data.reduce((total, profit) => {
-      const feesAmount = profit.fees || 0;
-      const shippingAmount = profit.shipping_cost || 0;
-      return total + (profit.amount - feesAmount - shippingAmount);
-    }, 0);
-
-    // Get total amount already paid out
-    const { data: payouts, error: payoutsError } = await supabase
-      .from('payout_requests')
-      .select('amount')
-      .eq('user_id', userId)
-      .in('status', ['completed', 'pending']);
-    
-    if (payoutsError) {
-      console.error('Error fetching user payouts:', payoutsError);
-      return { success: false, message: 'Failed to fetch user payouts' };
-    }
-
-    const totalPaidOut = payouts.reduce((total, payout) => total + payout.amount, 0);
-    
-    // Available amount is total profit minus what's already been paid out
-    const availableAmount = totalProfit - totalPaidOut;
     
     return { 
       success: true, 
-      amount: availableAmount
+      amount: balances.available
     };
   } catch (error) {
     console.error('Error in getUserAvailablePayoutAmount:', error);
@@ -61,45 +38,35 @@ async function createPayoutRequest(payoutData) {
   try {
     const { user_id, amount, phone } = payoutData;
     
-    // First check if user has enough available funds
-    const availableResult = await getUserAvailablePayoutAmount(user_id);
+    // The database checks the balance, creates the request and takes it off the balance under a lock
+    // on the user, so requests sent at once can't both spend the same balance
+    const { data: result, error } = await supabase.rpc('request_payout', {
+      payout_user_id: user_id,
+      payout_amount: amount,
+      payout_phone: phone,
+      minimum_balance: MINIMUM_PAYOUT_BALANCE
+    });
     
-    if (!availableResult.success) {
-      return availableResult;
+    if (error) {
+      console.error('Error creating payout request:', error);
+      return { success: false, message: 'Failed to create payout request' };
     }
     
-    if (availableResult.amount < 50) {
+    if (result.status === 'below_minimum') {
       return { 
         success: false, 
-        message: 'Minimum payout amount is $50.00'
+        message: `Minimum payout amount is $${MINIMUM_PAYOUT_BALANCE.toFixed(2)}`
       };
     }
 
-    if (availableResult.amount < amount) {
+    if (result.status === 'insufficient') {
       return { 
         success: false, 
-        message: `Requested amount exceeds available balance. Available: $${availableResult.amount.toFixed(2)}`
+        message: `Requested amount exceeds available balance. Available: $${Number(result.available).toFixed(2)}`
       };
     }
     
-    // Create the payout request
-    const { data, error } = await supabase
-      .from('payout_requests')
-      .insert([{
-        user_id,
-        amount,
-        phone,
-        status: 'pending'
-      }])
-      .select()
-      .single();
-    
-    if (error) {
-      console.error('Error creating payout request:', error);
-      return { success: false, message: 'Failed to create payout request' };
-    }
-    
-    return { success: true, payout: data };
+    return { success: true, payout: result.payout };
   } catch (error) {
     console.error('Error in createPayoutRequest:', error);
     return { success: false, message: `Server error: ${error.message}` };
@@ -131,6 +98,31 @@ async function getUserPayouts(userId) {
   }
 }
 
+/**
+ * Get the balance adjustments (e.g. refund charges) made to a user's balance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result object with success status and adjustments, newest first
+ */
+async function getUserAdjustments(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('balance_adjustments')
+      .select('id, amount, reason, refund_id, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      console.error('Error fetching user balance adjustments:', error);
+      return { success: false, message: 'Failed to fetch balance adjustments' };
+    }
+    
+    return { success: true, adjustments: data };
+  } catch (error) {
+    console.error('Error in getUserAdjustments:', error);
+    return { success: false, message: `Server error: ${error.message}` };
+  }
+}
+
 /**
  * Update a payout request status
  * @param {string} payoutId - Payout request ID
@@ -150,18 +142,37 @@ async function updatePayoutStatus(payoutId, status, notes = '') {
       updateData.completed_at = new Date().toISOString();
     }
     
+    // Completed and rejected are final: rejecting a paid request would give the money back to the balance
     const { data, error } = await supabase
       .from('payout_requests')
       .update(updateData)
       .eq('id', payoutId)
+      .eq('status', 'pending')
       .select()
-      .single();
+      .maybeSingle();
     
     if (error) {
       console.error('Error updating payout status:', error);
       return { success: false, message: 'Failed to update payout status' };
     }
     
+    if (!data) {
+      const { data: existing } = await supabase
+        .from('payout_requests')
+        .select('status')
+        .eq('id', payoutId)
+        .maybeSingle();
+      
+      if (!existing) {
+        return { success: false, status: 404, message: 'Payout request not found' };
+      }
+      
+      return { success: false, status: 409, message: `Payout request is already ${existing.status}` };
+    }
+    
+    // A rejected request goes back on the balance
+    await ledgerService.syncPayout(data);
+    
     return { success: true, payout: data };
   } catch (error) {
     console.error('Error in updatePayoutStatus:', error);
@@ -173,5 +184,6 @@ module.exports = {
   getUserAvailablePayoutAmount,
   createPayoutRequest,
   getUserPayouts,
+  getUserAdjustments,
   updatePayoutStatus
 };
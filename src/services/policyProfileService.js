@@ -0,0 +1,391 @@
+const { supabase } = require('../config/supabase');
+
+const SHIPPING_TYPES = ['flat', 'calculated', 'free', 'local_pickup'];
+const RETURN_WINDOWS = [14, 30, 60];
+const DEFAULT_SHIPPING_SERVICE = 'USPSPriority';
+
+// Used when a listing has no profile and the seller has no default: what listings were always posted with
+const DEFAULT_SHIPPING_PROFILE = {
+  id: null,
+  name: 'Standard Shipping',
+  type: 'flat',
+  service: DEFAULT_SHIPPING_SERVICE,
+  cost: 10,
+  handling_days: 3,
+  weight_oz: null,
+  length_in: null,
+  width_in: null,
+  height_in: null,
+  postal_code: null
+};
+
+const DEFAULT_RETURN_PROFILE = {
+  id: null,
+  name: '30-Day Returns',
+  returns_accepted: true,
+  return_days: 30,
+  return_shipping_paid_by: 'buyer'
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Check a shipping profile and fill in its defaults
+ * @param {Object} profile - The profile fields
+ * @returns {Object} - { profile } or { message } when it is invalid
+ */
+function normalizeShippingProfile(profile) {
+  const normalized = {
+    name: typeof profile.name === 'string' ? profile.name.trim() : '',
+    type: profile.type,
+    service: profile.service || null,
+    cost: toNumber(profile.cost),
+    handling_days: profile.handling_days === undefined || profile.handling_days === null ? 3 : Number(profile.handling_days),
+    weight_oz: toNumber(profile.weight_oz),
+    length_in: toNumber(profile.length_in),
+    width_in: toNumber(profile.width_in),
+    height_in: toNumber(profile.height_in),
+    postal_code: profile.postal_code || null,
+    is_default: Boolean(profile.is_default)
+  };
+
+  if (!normalized.name) return { message: 'name is required' };
+  if (!SHIPPING_TYPES.includes(normalized.type)) return { message: `type must be one of: ${SHIPPING_TYPES.join(', ')}` };
+  if (!Number.isInteger(normalized.handling_days) || normalized.handling_days < 0 || normalized.handling_days > 30) {
+    return { message: 'handling_days must be a whole number of days between 0 and 30' };
+  }
+
+  if (normalized.type === 'local_pickup') {
+    if (!normalized.postal_code) return { message: 'postal_code is required for local pickup' };
+    return { profile: { ...normalized, service: null, cost: null } };
+  }
+
+  normalized.service = normalized.service || DEFAULT_SHIPPING_SERVICE;
+
+  if (normalized.type === 'flat' && !(normalized.cost >= 0)) {
+    return { message: 'cost is required for flat shipping' };
+  }
+
+  if (normalized.type === 'calculated') {
+    const dimensions = ['weight_oz', 'length_in', 'width_in', 'height_in'];
+    if (dimensions.some(field => !(normalized[field] > 0))) {
+      return { message: `${dimensions.join(', ')} are required for calculated shipping` };
+    }
+    if (!normalized.postal_code) return { message: 'postal_code is required for calculated shipping' };
+  }
+
+  if (normalized.type !== 'flat') normalized.cost = null;
+
+  return { profile: normalized };
+}
+
+/**
+ * Check a return profile and fill in its defaults
+ * @param {Object} profile - The profile fields
+ * @returns {Object} - { profile } or { message } when it is invalid
+ */
+function normalizeReturnProfile(profile) {
+  const accepted = profile.returns_accepted === undefined ? true : profile.returns_accepted;
+  const normalized = {
+    name: typeof profile.name === 'string' ? profile.name.trim() : '',
+    returns_accepted: accepted,
+    return_days: accepted ? Number(profile.return_days || 30) : null,
+    return_shipping_paid_by: accepted ? profile.return_shipping_paid_by || 'buyer' : null,
+    is_default: Boolean(profile.is_default)
+  };
+
+  if (!normalized.name) return { message: 'name is required' };
+  if (typeof accepted !== 'boolean') return { message: 'returns_accepted must be true or false' };
+  if (accepted && !RETURN_WINDOWS.includes(normalized.return_days)) {
+    return { message: `return_days must be one of: ${RETURN_WINDOWS.join(', ')}` };
+  }
+  if (accepted && !['buyer', 'seller'].includes(normalized.return_shipping_paid_by)) {
+    return { message: 'return_shipping_paid_by must be buyer or seller' };
+  }
+
+  return { profile: normalized };
+}
+
+// The two profile kinds share storage and endpoints; only their fields differ
+const PROFILE_KINDS = {
+  shipping: { table: 'shipping_profiles', label: 'Shipping profile', normalize: normalizeShippingProfile },
+  returns: { table: 'return_profiles', label: 'Return profile', normalize: normalizeReturnProfile }
+};
+
+/**
+ * Make a profile the seller's only default
+ * @param {Object} kind - The profile kind
+ * @param {string} userId - The seller
+ * @returns {Promise<Object|null>} - The Supabase error, if any
+ */
+async function clearDefault(kind, userId) {
+  const { error } = await supabase
+    .from(kind.table)
+    .update({ is_default: false, updated_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('is_default', true);
+
+  return error;
+}
+
+/**
+ * List a seller's profiles of one kind
+ * @param {string} userId - The seller
+ * @param {string} kindName - 'shipping' or 'returns'
+ * @returns {Promise<Object>} - { success, profiles }
+ */
+async function listProfiles(userId, kindName) {
+  try {
+    const kind = PROFILE_KINDS[kindName];
+
+    const { data, error } = await supabase
+      .from(kind.table)
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error(`Error fetching ${kind.table} for user ${userId}:`, error);
+      return { success: false, status: 500, message: `Failed to fetch profiles: ${error.message}` };
+    }
+
+    return { success: true, profiles: data };
+  } catch (error) {
+    console.error('Error in listProfiles:', error);
+    return { success: false, status: 500, message: `Fetching profiles failed: ${error.message}` };
+  }
+}
+
+/**
+ * Create a profile for a seller
+ * @param {string} userId - The seller
+ * @param {string} kindName - 'shipping' or 'returns'
+ * @param {Object} fields - The profile fields
+ * @returns {Promise<Object>} - { success, profile }
+ */
+async function createProfile(userId, kindName, fields) {
+  try {
+    const kind = PROFILE_KINDS[kindName];
+    const { profile, message } = kind.normalize(fields || {});
+
+    if (!profile) {
+      return { success: false, status: 400, message };
+    }
+
+    if (profile.is_default) {
+      const clearError = await clearDefault(kind, userId);
+      if (clearError) {
+        console.error(`Error clearing default ${kind.table} for user ${userId}:`, clearError);
+        return { success: false, status: 500, message: `Failed to create profile: ${clearError.message}` };
+      }
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from(kind.table)
+      .insert({ ...profile, user_id: userId, created_at: now, updated_at: now })
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`Error creating ${kind.table} for user ${userId}:`, error);
+      return { success: false, status: 500, message: `Failed to create profile: ${error.message}` };
+    }
+
+    return { success: true, profile: data };
+  } catch (error) {
+    console.error('Error in createProfile:', error);
+    return { success: false, status: 500, message: `Profile creation failed: ${error.message}` };
+  }
+}
+
+/**
+ * Update one of a seller's profiles; the fields given replace the stored ones
+ * @param {string} userId - The seller
+ * @param {string} kindName - 'shipping' or 'returns'
+ * @param {string} profileId - The profile ID
+ * @param {Object} fields - The fields to change
+ * @returns {Promise<Object>} - { success, profile }
+ */
+async function updateProfile(userId, kindName, profileId, fields) {
+  try {
+    const kind = PROFILE_KINDS[kindName];
+
+    const { data: existing, error: fetchError } = await supabase
+      .from(kind.table)
+      .select('*')
+      .eq('id', profileId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error(`Error fetching ${kind.table} ${profileId}:`, fetchError);
+      return { success: false, status: 500, message: `Failed to fetch profile: ${fetchError.message}` };
+    }
+
+    if (!existing) {
+      return { success: false, status: 404, message: `${kind.label} not found` };
+    }
+
+    const { profile, message } = kind.normalize({ ...existing, ...fields });
+
+    if (!profile) {
+      return { success: false, status: 400, message };
+    }
+
+    if (profile.is_default && !existing.is_default) {
+      const clearError = await clearDefault(kind, userId);
+      if (clearError) {
+        console.error(`Error clearing default ${kind.table} for user ${userId}:`, clearError);
+        return { success: false, status: 500, message: `Failed to update profile: ${clearError.message}` };
+      }
+    }
+
+    const { data, error } = await supabase
+      .from(kind.table)
+      .update({ ...profile, updated_at: new Date().toISOString() })
+      .eq('id', profileId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`Error updating ${kind.table} ${profileId}:`, error);
+      return { success: false, status: 500, message: `Failed to update profile: ${error.message}` };
+    }
+
+    return { success: true, profile: data };
+  } catch (error) {
+    console.error('Error in updateProfile:', error);
+    return { success: false, status: 500, message: `Profile update failed: ${error.message}` };
+  }
+}
+
+/**
+ * Delete one of a seller's profiles. Listings using it fall back to the seller's default.
+ * @param {string} userId - The seller
+ * @param {string} kindName - 'shipping' or 'returns'
+ * @param {string} profileId - The profile ID
+ * @returns {Promise<Object>} - The result
+ */
+async function deleteProfile(userId, kindName, profileId) {
+  try {
+    const kind = PROFILE_KINDS[kindName];
+
+    const { data, error } = await supabase
+      .from(kind.table)
+      .delete()
+      .eq('id', profileId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      console.error(`Error deleting ${kind.table} ${profileId}:`, error);
+      return { success: false, status: 500, message: `Failed to delete profile: ${error.message}` };
+    }
+
+    if (!data || data.length === 0) {
+      return { success: false, status: 404, message: `${kind.label} not found` };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error in deleteProfile:', error);
+    return { success: false, status: 500, message: `Profile deletion failed: ${error.message}` };
+  }
+}
+
+/**
+ * Check that the profiles chosen for a listing belong to the seller
+ * @param {string} userId - The seller
+ * @param {Object} selection - { shipping_profile_id, return_profile_id }; null clears a choice
+ * @returns {Promise<Object>} - { success } or { success: false, status, message }
+ */
+async function validateListingProfiles(userId, selection) {
+  try {
+    const choices = [
+      ['shipping', selection.shipping_profile_id],
+      ['returns', selection.return_profile_id]
+    ].filter(([, profileId]) => profileId);
+
+    for (const [kindName, profileId] of choices) {
+      const kind = PROFILE_KINDS[kindName];
+
+      const { data, error } = await supabase
+        .from(kind.table)
+        .select('id')
+        .eq('id', profileId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) {
+        console.error(`Error fetching ${kind.table} ${profileId}:`, error);
+        return { success: false, status: 500, message: `Failed to fetch profile: ${error.message}` };
+      }
+
+      if (!data) {
+        return { success: false, status: 400, message: `${kind.label} not found` };
+      }
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error in validateListingProfiles:', error);
+    return { success: false, status: 500, message: `Checking profiles failed: ${error.message}` };
+  }
+}
+
+/**
+ * Get the profile a listing uses for one kind: its own, the seller's default, or the built-in one
+ * @param {Object} listing - The listing
+ * @param {string} kindName - 'shipping' or 'returns'
+ * @param {string} [profileId] - The profile the listing names
+ * @returns {Promise<Object>} - The profile
+ */
+async function resolveProfile(listing, kindName, profileId) {
+  const kind = PROFILE_KINDS[kindName];
+
+  let query = supabase
+    .from(kind.table)
+    .select('*')
+    .eq('user_id', listing.user_id);
+
+  query = profileId ? query.eq('id', profileId) : query.eq('is_default', true);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch ${kind.label.toLowerCase()}: ${error.message}`);
+  }
+
+  if (data) return data;
+
+  return kindName === 'shipping' ? DEFAULT_SHIPPING_PROFILE : DEFAULT_RETURN_PROFILE;
+}
+
+/**
+ * Get the shipping and return policies to publish a listing with
+ * @param {Object} listing - The listing
+ * @returns {Promise<Object>} - { success, shipping, returns }
+ */
+async function getListingPolicies(listing) {
+  try {
+    const shipping = await resolveProfile(listing, 'shipping', listing.shipping_profile_id);
+    const returns = await resolveProfile(listing, 'returns', listing.return_profile_id);
+
+    return { success: true, shipping, returns };
+  } catch (error) {
+    console.error(`Error resolving policies for listing ${listing.id}:`, error);
+    return { success: false, message: error.message };
+  }
+}
+
+module.exports = {
+  DEFAULT_SHIPPING_PROFILE,
+  DEFAULT_RETURN_PROFILE,
+  listProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  validateListingProfiles,
+  getListingPolicies
+};
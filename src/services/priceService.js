@@ -1,6 +1,6 @@
 const { supabase } = require('../config/supabase');
-const ebayService = require('./ebayService');
-const facebookService = require('./facebookService');
+const marketplaces = require('./marketplaces');
+const listingChannelService = require('./listingChannelService');
 const notificationService = require('./notificationService');
 
 /**
@@ -17,7 +17,7 @@ async function schedulePriceReductions() {
     
     const { data: listings, error } = await supabase
       .from('listings')
-      .select('*')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
       .eq('status', 'active')
       .lt('last_price_update', sevenDaysAgo.toISOString());
     
@@ -64,25 +64,18 @@ async function reduceListingPrice(listing) {
     
     console.log(`Reducing price for listing ${listing.id} from ${currentPrice} to ${newPrice}`);
     
-    // Update the price on eBay if available
-    if (listing.ebay_listing_id) {
-      const ebayUpdateResult = await ebayService.updateEbayListing(listing.ebay_listing_id, {
-        StartPrice: newPrice
-      });
-      
-      if (!ebayUpdateResult.success) {
-        console.error(`Error updating eBay price for listing ${listing.id}:`, ebayUpdateResult.message);
+    // Update the price on every marketplace the listing is published on,
+    // except channels pinned to their own price
+    for (const link of marketplaces.getLinkedMarketplaces(listing)) {
+      if (link.channel && link.channel.price_override !== null) {
+        continue;
       }
-    }
-    
-    // Update the price on Facebook if available
-    if (listing.facebook_listing_id) {
-      const fbUpdateResult = await facebookService.updateFacebookListing(listing.facebook_listing_id, {
-        price: newPrice
-      });
       
-      if (!fbUpdateResult.success) {
-        console.error(`Error updating Facebook price for listing ${listing.id}:`, fbUpdateResult.message);
+      const updateResult = await link.marketplace.updateListing(link.externalId, { price: newPrice }, link.channel);
+      await listingChannelService.recordSyncResult(link, listing.id, updateResult);
+      
+      if (!updateResult.success) {
+        console.error(`Error updating ${link.marketplace.displayName} price for listing ${listing.id}:`, updateResult.message);
       }
     }
     
@@ -145,7 +138,7 @@ async function updateListingPrice(listingId, newPrice) {
     // Get the listing
     const { data: listing, error: fetchError } = await supabase
       .from('listings')
-      .select('*')
+      .select(listingChannelService.LISTING_WITH_CHANNELS)
       .eq('id', listingId)
       .single();
     
@@ -160,25 +153,18 @@ async function updateListingPrice(listingId, newPrice) {
     
     const currentPrice = parseFloat(listing.price);
     
-    // Update the price on eBay if available
-    if (listing.ebay_listing_id) {
-      const ebayUpdateResult = await ebayService.updateEbayListing(listing.ebay_listing_id, {
-        StartPrice: newPrice
-      });
-      
-      if (!ebayUpdateResult.success) {
-        console.error(`Error updating eBay price for listing ${listingId}:`, ebayUpdateResult.message);
+    // Update the price on every marketplace the listing is published on,
+    // except channels pinned to their own price
+    for (const link of marketplaces.getLinkedMarketplaces(listing)) {
+      if (link.channel && link.channel.price_override !== null) {
+        continue;
       }
-    }
-    
-    // Update the price on Facebook if available
-    if (listing.facebook_listing_id) {
-      const fbUpdateResult = await facebookService.updateFacebookListing(listing.facebook_listing_id, {
-        price: newPrice
-      });
       
-      if (!fbUpdateResult.success) {
-        console.error(`Error updating Facebook price for listing ${listingId}:`, fbUpdateResult.message);
+      const updateResult = await link.marketplace.updateListing(link.externalId, { price: newPrice }, link.channel);
+      await listingChannelService.recordSyncResult(link, listingId, updateResult);
+      
+      if (!updateResult.success) {
+        console.error(`Error updating ${link.marketplace.displayName} price for listing ${listingId}:`, updateResult.message);
       }
     }
     
@@ -0,0 +1,427 @@
+const { supabase } = require('../config/supabase');
+const marketplaces = require('./marketplaces');
+const listingChannelService = require('./listingChannelService');
+const notificationService = require('./notificationService');
+const delistService = require('./delistService');
+
+const MAX_PUBLISH_ATTEMPTS = 6;
+const RETRY_BASE_MINUTES = 5;
+const BATCH_SIZE = 25;
+// A run that crashes mid-publish leaves the channel claimed; after this long another run may take it over
+const PUBLISH_LEASE_MINUTES = 15;
+
+/**
+ * When to retry a failed publish, or null once every attempt is used up
+ * @param {number} attempts - Publish attempts made so far
+ * @returns {string|null} - ISO timestamp of the next attempt
+ */
+function getNextPublishAt(attempts) {
+  if (attempts >= MAX_PUBLISH_ATTEMPTS) return null;
+  return new Date(Date.now() + RETRY_BASE_MINUTES * Math.pow(2, attempts - 1) * 60 * 1000).toISOString();
+}
+
+/**
+ * Tell the seller a listing could not be posted to a marketplace
+ * @param {Object} listing - The listing
+ * @param {Object} marketplace - The marketplace adapter
+ * @param {string} reason - The last publish error
+ * @returns {Promise<void>}
+ */
+async function notifyPublishFailed(listing, marketplace, reason) {
+  const result = await notificationService.createNotification({
+    user_id: listing.user_id,
+    listing_id: listing.id,
+    type: 'publish_failed',
+    message: `Your listing "${listing.title}" could not be posted to ${marketplace.displayName}: ${reason}. You can republish it from the listing page.`
+  });
+
+  if (!result.success) {
+    console.error(`Error notifying user about failed ${marketplace.name} publish for listing ${listing.id}:`, result.message);
+  }
+}
+
+/**
+ * End a channel that just went live if the listing sold on another marketplace while it was being posted.
+ * Checked after the channel is saved as active, so either this check sees the sale or the sale's
+ * delist sees the live channel.
+ * @param {Object} listing - The listing
+ * @param {Object} channel - The saved listing_channels row
+ * @returns {Promise<void>}
+ */
+async function endIfSold(listing, channel) {
+  const { data: current, error } = await supabase
+    .from('listings')
+    .select('status, sold_channel')
+    .eq('id', listing.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error checking whether listing ${listing.id} sold while publishing:`, error);
+    return;
+  }
+
+  if (!current || current.status !== 'sold') return;
+
+  console.log(`Listing ${listing.id} sold while publishing to ${channel.channel}; ending it there`);
+  await delistService.endChannel({ ...listing, sold_channel: current.sold_channel }, channel);
+}
+
+/**
+ * Publish a listing to one marketplace and record the outcome on its channel.
+ * Failures are queued for a retry with exponential backoff; once MAX_PUBLISH_ATTEMPTS
+ * is reached, or the marketplace marks the failure as not retryable, the channel is
+ * marked failed and the seller is notified. A listing that sold elsewhere in the meantime is ended again.
+ * @param {Object} listing - The listing
+ * @param {Object} marketplace - The marketplace adapter
+ * @param {number} [previousAttempts] - Attempts already made for this channel
+ * @returns {Promise<Object>} - The marketplace result and the saved channel
+ */
+async function publishChannel(listing, marketplace, previousAttempts = 0) {
+  const existing = (listing.channels || []).find(channel => channel.channel === marketplace.name);
+  const hasOverride = existing && existing.price_override !== null && existing.price_override !== undefined;
+  const listingToPublish = hasOverride ? { ...listing, price: parseFloat(existing.price_override) } : listing;
+
+  let result;
+  try {
+    result = await marketplace.createListing(listingToPublish, listing.image_urls);
+  } catch (error) {
+    result = { success: false, message: error.message };
+  }
+
+  const published = result.success && result.externalId;
+  const attempts = previousAttempts + 1;
+  // Failures the seller has to fix (e.g. missing item specifics) aren't retried
+  const nextPublishAt = published || result.retryable === false ? null : getNextPublishAt(attempts);
+
+  const channelResult = await listingChannelService.recordPublishResult(listing.id, marketplace, result, {
+    attempts,
+    nextPublishAt
+  });
+
+  if (published && channelResult.success) {
+    await endIfSold(listing, channelResult.channel);
+  }
+
+  if (!published) {
+    console.error(`Publishing listing ${listing.id} to ${marketplace.name} failed (attempt ${attempts}):`, result.message);
+
+    if (!nextPublishAt) {
+      await notifyPublishFailed(listing, marketplace, result.message || 'Unknown error');
+    }
+  }
+
+  return {
+    result,
+    channel: channelResult.success ? channelResult.channel : null
+  };
+}
+
+/**
+ * When a claim taken now runs out
+ * @returns {string} - ISO timestamp
+ */
+function getLeaseExpiry() {
+  return new Date(Date.now() + PUBLISH_LEASE_MINUTES * 60 * 1000).toISOString();
+}
+
+/**
+ * Claim a queued channel so a concurrent run can't publish it twice
+ * @param {Object} channel - The listing_channels row
+ * @returns {Promise<Object|null>} - The claimed channel, or null if another run has it
+ */
+async function claimChannel(channel) {
+  const now = new Date().toISOString();
+
+  const leaseExpiry = getLeaseExpiry();
+
+  const { data, error } = await supabase
+    .from('listing_channels')
+    .update({ next_publish_at: leaseExpiry, publish_lease_until: leaseExpiry })
+    .eq('id', channel.id)
+    .eq('status', 'pending')
+    .or(`next_publish_at.is.null,next_publish_at.lte.${now}`)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error claiming ${channel.channel} channel for listing ${channel.listing_id}:`, error);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Claim a listing's channel on a marketplace to publish it right away (a new listing or a republish),
+ * so the queue and the missing-channel reconcile can't publish it at the same time.
+ * A missing channel is created already claimed; a failed one, or a queued one that no run is publishing
+ * (even if it is waiting out a retry backoff), is claimed with a fresh set of attempts.
+ * @param {Object} listing - The listing
+ * @param {Object} marketplace - The marketplace adapter
+ * @returns {Promise<Object|null>} - The claimed channel, or null if another run is publishing it
+ */
+async function claimForPublish(listing, marketplace) {
+  const now = new Date().toISOString();
+  const leaseExpiry = getLeaseExpiry();
+
+  // ignoreDuplicates leaves a channel created since the listing was fetched (e.g. by the reconcile) alone
+  const { data: created, error } = await supabase
+    .from('listing_channels')
+    .upsert({
+      listing_id: listing.id,
+      channel: marketplace.name,
+      status: 'pending',
+      publish_attempts: 0,
+      next_publish_at: leaseExpiry,
+      publish_lease_until: leaseExpiry,
+      updated_at: now
+    }, { onConflict: 'listing_id,channel', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    console.error(`Error claiming ${marketplace.name} channel for listing ${listing.id}:`, error);
+    return null;
+  }
+
+  if (created.length > 0) return created[0];
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('listing_channels')
+    .select('*')
+    .eq('listing_id', listing.id)
+    .eq('channel', marketplace.name)
+    .maybeSingle();
+
+  if (fetchError || !existing) {
+    console.error(`Error fetching ${marketplace.name} channel for listing ${listing.id}:`, fetchError);
+    return null;
+  }
+
+  if (!['pending', 'failed'].includes(existing.status)) return null;
+
+  // The stored attempt count is reset too, so a queue run taking over after a crash starts afresh
+  let claim = supabase
+    .from('listing_channels')
+    .update({
+      status: 'pending',
+      publish_attempts: 0,
+      next_publish_at: leaseExpiry,
+      publish_lease_until: leaseExpiry,
+      updated_at: now
+    })
+    .eq('id', existing.id)
+    .eq('status', existing.status);
+
+  if (existing.status === 'pending') {
+    claim = claim.or(`publish_lease_until.is.null,publish_lease_until.lte.${now}`);
+  }
+
+  const { data: claimed, error: claimError } = await claim
+    .select()
+    .maybeSingle();
+
+  if (claimError) {
+    console.error(`Error claiming ${marketplace.name} channel for listing ${listing.id}:`, claimError);
+    return null;
+  }
+
+  return claimed;
+}
+
+/**
+ * Publish every queued channel that is due, oldest first
+ * @returns {Promise<void>}
+ */
+async function processPublishQueue() {
+  try {
+    const now = new Date().toISOString();
+
+    const { data: queued, error } = await supabase
+      .from('listing_channels')
+      .select(`*, listing:listings(${listingChannelService.LISTING_WITH_CHANNELS})`)
+      .eq('status', 'pending')
+      .or(`next_publish_at.is.null,next_publish_at.lte.${now}`)
+      .order('next_publish_at', { ascending: true, nullsFirst: true })
+      .limit(BATCH_SIZE);
+
+    if (error) {
+      console.error('Error fetching queued marketplace publishes:', error);
+      return;
+    }
+
+    if (queued.length > 0) {
+      console.log(`Publishing ${queued.length} queued marketplace channel(s)`);
+    }
+
+    for (const channel of queued) {
+      const marketplace = marketplaces.getMarketplace(channel.channel);
+      const listing = channel.listing;
+
+      // Listings that were ended or sold while queued no longer need a marketplace presence
+      if (!marketplace || !listing || listing.status !== 'active') {
+        await supabase
+          .from('listing_channels')
+          .update({ status: 'ended', next_publish_at: null, updated_at: new Date().toISOString() })
+          .eq('id', channel.id);
+        continue;
+      }
+
+      const claimed = await claimChannel(channel);
+      if (!claimed) continue;
+
+      await publishChannel(listing, marketplace, claimed.publish_attempts || 0);
+    }
+  } catch (error) {
+    console.error('Error in marketplace publish job:', error);
+  }
+}
+
+/**
+ * Queue a channel for every marketplace an active listing targets but has no channel for
+ * (e.g. the server stopped between creating the listing and posting it), a batch of listings at a time
+ * @returns {Promise<void>}
+ */
+async function reconcileListings() {
+  try {
+    let queued = 0;
+    let lastId = null;
+
+    while (true) {
+      let query = supabase
+        .from('listings')
+        .select('id, platform, channels:listing_channels(channel)')
+        .eq('status', 'active')
+        .order('id', { ascending: true })
+        .limit(BATCH_SIZE);
+
+      if (lastId) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data: listings, error } = await query;
+
+      if (error) {
+        console.error('Error fetching listings to reconcile:', error);
+        return;
+      }
+
+      const missing = [];
+      const now = new Date().toISOString();
+
+      for (const listing of listings) {
+        const existing = (listing.channels || []).map(channel => channel.channel);
+
+        marketplaces.getMarketplacesForPlatform(listing.platform)
+          .filter(marketplace => !existing.includes(marketplace.name))
+          .forEach(marketplace => {
+            missing.push({
+              listing_id: listing.id,
+              channel: marketplace.name,
+              status: 'pending',
+              publish_attempts: 0,
+              next_publish_at: now,
+              updated_at: now
+            });
+          });
+      }
+
+      if (missing.length > 0) {
+        // ignoreDuplicates keeps a channel created since the fetch above from being reset
+        const { error: queueError } = await supabase
+          .from('listing_channels')
+          .upsert(missing, { onConflict: 'listing_id,channel', ignoreDuplicates: true });
+
+        if (queueError) {
+          console.error('Error queuing missing marketplace channels:', queueError);
+          return;
+        }
+
+        queued += missing.length;
+      }
+
+      if (listings.length < BATCH_SIZE) break;
+      lastId = listings[listings.length - 1].id;
+    }
+
+    if (queued > 0) {
+      console.log(`Queued ${queued} missing marketplace channel(s) for publishing`);
+    }
+  } catch (error) {
+    console.error('Error in marketplace reconcile job:', error);
+  }
+}
+
+/**
+ * Reconcile listings, then publish whatever is due
+ * @returns {Promise<void>}
+ */
+async function runPublishJob() {
+  await reconcileListings();
+  await processPublishQueue();
+}
+
+/**
+ * Publish a listing again on marketplaces where it is missing, queued or failed, with a fresh set of attempts.
+ * A queued channel waiting out a retry backoff is published right away; one a run is publishing is skipped.
+ * @param {Object} listing - The listing, with channels
+ * @param {Array<string>} [channelNames] - Limit to these marketplaces (defaults to every marketplace the listing targets)
+ * @returns {Promise<Object>} - Per-marketplace results and the saved channels
+ */
+async function republishListing(listing, channelNames) {
+  try {
+    if (listing.status !== 'active') {
+      return { success: false, status: 400, message: 'Only active listings can be republished' };
+    }
+
+    let targets = marketplaces.getMarketplacesForPlatform(listing.platform);
+
+    if (channelNames && channelNames.length > 0) {
+      const unknown = channelNames.filter(name => !targets.some(marketplace => marketplace.name === name));
+      if (unknown.length > 0) {
+        return { success: false, status: 400, message: `Listing does not target: ${unknown.join(', ')}` };
+      }
+      targets = targets.filter(marketplace => channelNames.includes(marketplace.name));
+    }
+
+    const republishable = targets.filter(marketplace => {
+      const channel = (listing.channels || []).find(existing => existing.channel === marketplace.name);
+      return !channel || ['pending', 'failed'].includes(channel.status);
+    });
+
+    if (republishable.length === 0) {
+      return { success: false, status: 400, message: 'Listing has no missing or failed marketplace channels' };
+    }
+
+    const results = {};
+    const channels = [];
+
+    for (const marketplace of republishable) {
+      const claimed = await claimForPublish(listing, marketplace);
+      if (!claimed) {
+        results[marketplace.name] = {
+          success: false,
+          message: `${marketplace.displayName} is already being published`
+        };
+        continue;
+      }
+
+      const { result, channel } = await publishChannel(listing, marketplace);
+      results[marketplace.name] = result;
+      if (channel) channels.push(channel);
+    }
+
+    return { success: true, status: 200, marketplace: results, channels };
+  } catch (error) {
+    console.error('Error in republishListing:', error);
+    return { success: false, status: 500, message: `Republish failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  publishChannel,
+  claimForPublish,
+  processPublishQueue,
+  reconcileListings,
+  runPublishJob,
+  republishListing
+};
@@ -0,0 +1,188 @@
+const { supabase } = require('../config/supabase');
+const ledgerService = require('./ledgerService');
+const notificationService = require('./notificationService');
+const payoutService = require('./payoutService');
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+const formatMoney = (amount) => `$${Math.abs(amount).toFixed(2)}`;
+
+/**
+ * Tell the seller a refund was taken from their balance
+ * @param {Object} order - The order, with its listing's title
+ * @param {Object} refund - The order_refunds row
+ * @param {Object} balance - The seller's balance after the refund ({ success, amount })
+ * @returns {Promise<void>}
+ */
+async function notifySeller(order, refund, balance) {
+  const title = order.listings ? order.listings.title : 'an item';
+  let message = `The buyer of "${title}" was refunded ${formatMoney(refund.amount)}`;
+  message += refund.item_returned ? ' and the item was returned.' : '.';
+
+  if (refund.seller_charge > 0) {
+    message += ` ${formatMoney(refund.seller_charge)} was taken from your balance.`;
+    if (balance.success && balance.amount < 0) {
+      message += ` Your balance is now -${formatMoney(balance.amount)}, which will be paid off from your next sales.`;
+    }
+  }
+
+  await notificationService.createNotification({
+    user_id: order.user_id,
+    listing_id: order.listing_id,
+    type: 'order_refunded',
+    message
+  });
+}
+
+/**
+ * Record a refund on an order and take it back from the seller's balance.
+ * The charge goes against the balance whether or not the sale has been paid out yet, so the
+ * balance can drop below zero; payouts are refused until later sales bring it back up.
+ * @param {string} orderId - The order ID
+ * @param {Object} fields - { amount, seller_charge (defaults to amount), reason, item_returned, external_refund_id }
+ * @param {Object} [recordedBy] - { adminId, source ('admin' or 'marketplace') }
+ * @returns {Promise<Object>} - { success, status, refund, adjustment, balance, message }
+ */
+async function recordRefund(orderId, fields, { adminId = null, source = 'admin' } = {}) {
+  try {
+    const amount = toNumber(fields.amount);
+    const sellerCharge = fields.seller_charge === undefined ? amount : toNumber(fields.seller_charge);
+    const reason = typeof fields.reason === 'string' ? fields.reason.trim() : '';
+
+    if (!(amount > 0)) {
+      return { success: false, status: 400, message: 'amount must be a positive number' };
+    }
+
+    if (!(sellerCharge >= 0)) {
+      return { success: false, status: 400, message: 'seller_charge must be zero or more' };
+    }
+
+    if (!reason) {
+      return { success: false, status: 400, message: 'reason is required' };
+    }
+
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('*, listings(title), order_refunds(amount)')
+      .eq('id', orderId)
+      .maybeSingle();
+
+    if (orderError) {
+      return { success: false, status: 500, message: `Failed to fetch order: ${orderError.message}` };
+    }
+
+    if (!order) {
+      return { success: false, status: 404, message: 'Order not found' };
+    }
+
+    const refunded = (order.order_refunds || []).reduce((total, refund) => total + Number(refund.amount), 0);
+    const refundable = Math.round((Number(order.sale_price) + Number(order.shipping_paid || 0) - refunded) * 100) / 100;
+
+    if (amount > refundable) {
+      return { success: false, status: 400, message: `Only ${formatMoney(refundable)} of this order is left to refund` };
+    }
+
+    const { data: refund, error: refundError } = await supabase
+      .from('order_refunds')
+      .insert({
+        order_id: order.id,
+        user_id: order.user_id,
+        amount,
+        seller_charge: sellerCharge,
+        item_returned: Boolean(fields.item_returned),
+        reason,
+        source,
+        external_refund_id: fields.external_refund_id || null,
+        recorded_by: adminId
+      })
+      .select()
+      .single();
+
+    if (refundError) {
+      console.error(`Error recording refund on order ${order.id}:`, refundError);
+      return { success: false, status: 500, message: `Failed to record refund: ${refundError.message}` };
+    }
+
+    let adjustment = null;
+    if (sellerCharge > 0) {
+      const { data, error: adjustmentError } = await supabase
+        .from('balance_adjustments')
+        .insert({
+          user_id: order.user_id,
+          amount: -sellerCharge,
+          reason: `Refund on ${order.channel} order ${order.external_order_id}: ${reason}`,
+          refund_id: refund.id,
+          created_by: adminId
+        })
+        .select()
+        .single();
+
+      if (adjustmentError) {
+        // Without the charge the refund would be free to the seller; take it out again so it can be retried
+        console.error(`Error charging refund ${refund.id} to the seller:`, adjustmentError);
+        await supabase.from('order_refunds').delete().eq('id', refund.id);
+        return { success: false, status: 500, message: `Failed to charge the refund: ${adjustmentError.message}` };
+      }
+
+      const posted = await ledgerService.syncAdjustment(data);
+      if (!posted.success) {
+        await supabase.from('balance_adjustments').delete().eq('id', data.id);
+        await supabase.from('order_refunds').delete().eq('id', refund.id);
+        return { success: false, status: 500, message: `Failed to charge the refund: ${posted.message}` };
+      }
+
+      adjustment = data;
+    }
+
+    const balance = await payoutService.getUserAvailablePayoutAmount(order.user_id);
+    await notifySeller(order, refund, balance);
+
+    return {
+      success: true,
+      status: 201,
+      refund,
+      adjustment,
+      balance: balance.success ? balance.amount : null
+    };
+  } catch (error) {
+    console.error('Error in recordRefund:', error);
+    return { success: false, status: 500, message: `Recording refund failed: ${error.message}` };
+  }
+}
+
+/**
+ * Get refunds, newest first
+ * @param {Object} filters - Query filters (user_id, order_id, page, limit)
+ * @returns {Promise<Object>} - The refunds, with their order and seller, and the total count
+ */
+async function getRefunds(filters = {}) {
+  try {
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('order_refunds')
+      .select('*, orders(channel, external_order_id, sale_price, listings(title)), users(name, phone)', { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (filters.user_id) query = query.eq('user_id', filters.user_id);
+    if (filters.order_id) query = query.eq('order_id', filters.order_id);
+
+    const { data, count, error } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Error fetching refunds:', error);
+      return { success: false, message: `Failed to fetch refunds: ${error.message}` };
+    }
+
+    return { success: true, refunds: data, count };
+  } catch (error) {
+    console.error('Error in getRefunds:', error);
+    return { success: false, message: `Fetching refunds failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  recordRefund,
+  getRefunds
+};
@@ -0,0 +1,334 @@
+const { supabase } = require('../config/supabase');
+const shippingConfig = require('../config/shipping');
+const marketplaces = require('./marketplaces');
+const carriers = require('./carriers');
+const notificationService = require('./notificationService');
+
+const BATCH_SIZE = 50;
+const MAX_TRACKING_NUMBER_LENGTH = 64;
+
+// The tracking job can outlast its schedule interval; overlapping runs would double the carrier calls
+let trackingRunning = false;
+
+/**
+ * Tell the marketplace an order shipped, and record whether it accepted the tracking number.
+ * Failures are kept on the order so the tracking job retries them.
+ * @param {Object} order - The orders row, with carrier and tracking_number set
+ * @returns {Promise<Object>} - { success, order, message }
+ */
+async function pushTracking(order) {
+  const marketplace = marketplaces.getMarketplace(order.channel);
+  let result;
+
+  if (!marketplace) {
+    result = { success: false, message: `Unknown marketplace ${order.channel}` };
+  } else {
+    const { data: channel } = await supabase
+      .from('listing_channels')
+      .select('*')
+      .eq('listing_id', order.listing_id)
+      .eq('channel', order.channel)
+      .maybeSingle();
+
+    try {
+      result = await marketplace.markShipped(order, {
+        carrier: order.carrier,
+        trackingNumber: order.tracking_number
+      }, channel || null);
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+  }
+
+  if (!result.success) {
+    console.error(`Error sending tracking for order ${order.id} to ${order.channel}:`, result.message);
+  }
+
+  const { data: updated, error } = await supabase
+    .from('orders')
+    .update({
+      tracking_pushed_at: result.success ? new Date().toISOString() : null,
+      tracking_push_error: result.success ? null : result.message
+    })
+    .eq('id', order.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Error recording the tracking upload for order ${order.id}:`, error);
+  }
+
+  return { success: result.success, order: updated || order, message: result.message };
+}
+
+/**
+ * Mark one of the seller's orders shipped and send the tracking number to the marketplace.
+ * Shipping an order again replaces its tracking number, for when the seller made a mistake.
+ * @param {string} orderId - The order ID
+ * @param {string} userId - The seller's user ID
+ * @param {Object} shipment - { carrier, trackingNumber }, carrier being a code from config/shipping
+ * @returns {Promise<Object>} - { success, status, order, marketplace, message }
+ */
+async function shipOrder(orderId, userId, { carrier, trackingNumber }) {
+  try {
+    const carrierCode = typeof carrier === 'string' ? carrier.trim().toLowerCase() : '';
+    if (!shippingConfig.carriers[carrierCode]) {
+      return {
+        success: false,
+        status: 400,
+        message: `Carrier must be one of: ${Object.keys(shippingConfig.carriers).join(', ')}`
+      };
+    }
+
+    const tracking = typeof trackingNumber === 'string' ? trackingNumber.replace(/\s+/g, '').toUpperCase() : '';
+    if (!tracking || tracking.length > MAX_TRACKING_NUMBER_LENGTH) {
+      return { success: false, status: 400, message: 'A valid tracking number is required' };
+    }
+
+    const { data: order, error: fetchError } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', orderId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (fetchError) {
+      return { success: false, status: 500, message: `Failed to fetch order: ${fetchError.message}` };
+    }
+
+    if (!order) {
+      return { success: false, status: 404, message: 'Order not found' };
+    }
+
+    if (order.fulfillment_status === 'cancelled') {
+      return { success: false, status: 400, message: 'This order was cancelled, do not ship it' };
+    }
+
+    if (order.fulfillment_status === 'delivered') {
+      return { success: false, status: 400, message: 'This order has already been delivered' };
+    }
+
+    const now = new Date().toISOString();
+    const { data: shipped, error: updateError } = await supabase
+      .from('orders')
+      .update({
+        carrier: carrierCode,
+        tracking_number: tracking,
+        fulfillment_status: 'shipped',
+        shipped_at: order.shipped_at || now,
+        shipment_status: 'pre_transit',
+        shipment_checked_at: null,
+        tracking_pushed_at: null,
+        tracking_push_error: null,
+        updated_at: now
+      })
+      .eq('id', order.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      return { success: false, status: 500, message: `Failed to update order: ${updateError.message}` };
+    }
+
+    // The order is shipped either way; a marketplace that didn't take the tracking is retried by the tracking job
+    const pushed = await pushTracking(shipped);
+
+    return {
+      success: true,
+      status: 200,
+      order: pushed.order,
+      marketplace: { success: pushed.success, message: pushed.message }
+    };
+  } catch (error) {
+    console.error('Error in shipOrder:', error);
+    return { success: false, status: 500, message: `Shipping order failed: ${error.message}` };
+  }
+}
+
+/**
+ * Ask the carrier where a shipped order is and record it, marking the order delivered when it arrives
+ * @param {Object} order - The orders row, with its listing's title
+ * @param {Object} provider - The carrier status provider (see services/carriers)
+ * @returns {Promise<Object>} - { success, delivered, message }
+ */
+async function checkShipment(order, provider) {
+  let result;
+  try {
+    result = await provider.getTrackingStatus({
+      carrier: order.carrier,
+      trackingNumber: order.tracking_number,
+      shippedAt: order.shipped_at
+    });
+  } catch (error) {
+    result = { success: false, message: error.message };
+  }
+
+  if (!result.success) {
+    console.error(`Error tracking order ${order.id}:`, result.message);
+    return { success: false, message: result.message };
+  }
+
+  if (!carriers.SHIPMENT_STATUSES.includes(result.status)) {
+    console.error(`Carrier provider ${provider.name} returned unknown status "${result.status}" for order ${order.id}`);
+    return { success: false, message: `Unknown shipment status ${result.status}` };
+  }
+
+  const now = new Date().toISOString();
+  const delivered = result.status === 'delivered';
+  const updates = {
+    shipment_status: result.status,
+    shipment_checked_at: now
+  };
+
+  if (delivered) {
+    updates.fulfillment_status = 'delivered';
+    updates.delivered_at = result.deliveredAt || now;
+    updates.updated_at = now;
+  }
+
+  const { error } = await supabase
+    .from('orders')
+    .update(updates)
+    .eq('id', order.id)
+    .eq('fulfillment_status', 'shipped');
+
+  if (error) {
+    console.error(`Error updating tracking for order ${order.id}:`, error);
+    return { success: false, message: error.message };
+  }
+
+  if (delivered) {
+    const title = order.listings ? order.listings.title : 'your item';
+    await notificationService.createNotification({
+      user_id: order.user_id,
+      listing_id: order.listing_id,
+      type: 'order_delivered',
+      message: `"${title}" was delivered to the buyer. The sale can now be paid out.`
+    });
+  }
+
+  return { success: true, delivered };
+}
+
+/**
+ * Follow every shipped order: retry tracking uploads the marketplace didn't accept, and poll the
+ * carrier status provider until the order is delivered
+ * @returns {Promise<void>}
+ */
+async function runShipmentTrackingJob() {
+  if (trackingRunning) {
+    console.log('Shipment tracking is still running, skipping this run');
+    return;
+  }
+
+  trackingRunning = true;
+  let checked = 0;
+  let delivered = 0;
+  let failed = 0;
+
+  try {
+    const provider = carriers.getCarrierProvider();
+    if (!provider) {
+      console.error(`Carrier status provider "${shippingConfig.statusProvider}" is not registered, skipping shipment tracking`);
+      return;
+    }
+
+    let lastId = null;
+
+    while (true) {
+      let query = supabase
+        .from('orders')
+        .select('*, listings(title)')
+        .eq('fulfillment_status', 'shipped')
+        .not('tracking_number', 'is', null)
+        .order('id', { ascending: true })
+        .limit(BATCH_SIZE);
+
+      if (lastId) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data: orders, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to fetch shipped orders: ${error.message}`);
+      }
+
+      for (const order of orders) {
+        if (!order.tracking_pushed_at) {
+          await pushTracking(order);
+        }
+
+        const result = await checkShipment(order, provider);
+        checked++;
+        if (!result.success) failed++;
+        else if (result.delivered) delivered++;
+      }
+
+      if (orders.length < BATCH_SIZE) break;
+      lastId = orders[orders.length - 1].id;
+    }
+
+    if (checked > 0) {
+      console.log(`Shipment tracking checked ${checked} order(s): ${delivered} delivered, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error in shipment tracking job:', error);
+  } finally {
+    trackingRunning = false;
+  }
+}
+
+/**
+ * Whether a profit may be marked completed: a sale with an order is only paid out once it was delivered.
+ * Only a manual sale has no order; a marketplace sale waits for the order sync to find its order.
+ * @param {Object} profit - The profits row
+ * @returns {Promise<Object>} - { allowed, message }
+ */
+async function canCompleteProfit(profit) {
+  if (!profit.order_id) {
+    let soldOn = marketplaces.getMarketplace(profit.platform);
+
+    if (!soldOn && profit.listing_id) {
+      const { data: listing, error } = await supabase
+        .from('listings')
+        .select('sold_channel')
+        .eq('id', profit.listing_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to fetch the profit's listing: ${error.message}`);
+      }
+
+      soldOn = listing && marketplaces.getMarketplace(listing.sold_channel);
+    }
+
+    if (soldOn) {
+      return { allowed: false, message: `This sale can't be completed until its ${soldOn.displayName} order has been synced` };
+    }
+
+    return { allowed: true };
+  }
+
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('fulfillment_status')
+    .eq('id', profit.order_id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch the profit's order: ${error.message}`);
+  }
+
+  if (order && order.fulfillment_status !== 'delivered') {
+    return { allowed: false, message: "This sale can't be completed until its order is delivered" };
+  }
+
+  return { allowed: true };
+}
+
+module.exports = {
+  shipOrder,
+  runShipmentTrackingJob,
+  canCompleteProfit
+};
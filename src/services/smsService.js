@@ -0,0 +1,50 @@
+const axios = require('axios');
+const smsConfig = require('../config/sms');
+
+/**
+ * Send an SMS message
+ * @param {string} to - The destination phone number (E.164)
+ * @param {string} body - The message text
+ * @returns {Promise<Object>} - The send result
+ */
+async function sendSms(to, body) {
+  try {
+    if (!smsConfig.accountSid || !smsConfig.authToken || !smsConfig.fromNumber) {
+      // Never log messages in production: they carry sign-in codes
+      if (process.env.NODE_ENV === 'production') {
+        console.error(`Not sending SMS to ${to}: Twilio is not configured`);
+        return { success: false, message: 'SMS is not configured' };
+      }
+
+      // Development fallback so sign-in still works without Twilio
+      console.log(`SMS to ${to}: ${body}`);
+      return { success: true, message: 'SMS logged (Twilio not configured)' };
+    }
+
+    const response = await axios({
+      method: 'post',
+      url: `https://api.twilio.com/2010-04-01/Accounts/${smsConfig.accountSid}/Messages.json`,
+      auth: {
+        username: smsConfig.accountSid,
+        password: smsConfig.authToken
+      },
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      data: new URLSearchParams({
+        To: to,
+        From: smsConfig.fromNumber,
+        Body: body
+      }).toString()
+    });
+
+    return { success: true, sid: response.data && response.data.sid };
+  } catch (error) {
+    console.error('Error sending SMS:', error.response?.data || error.message);
+    return { success: false, message: `SMS sending failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  sendSms
+};
@@ -0,0 +1,352 @@
+const { supabase } = require('../config/supabase');
+const marketplaces = require('./marketplaces');
+const listingChannelService = require('./listingChannelService');
+const notificationService = require('./notificationService');
+const delistService = require('./delistService');
+const feeService = require('./feeService');
+const ledgerService = require('./ledgerService');
+const orderService = require('./orderService');
+
+const BATCH_SIZE = 50;
+// Sold listings still missing a profit are retried for this long, like the order sync window
+const PROFIT_RETRY_DAYS = 30;
+// Leaves a sale still being marked (e.g. by the check-sold route) to record its own profit
+const PROFIT_RETRY_DELAY_MINUTES = 5;
+
+// The sweep can outlast its schedule interval on a large catalogue; overlapping runs would double the marketplace calls
+let syncRunning = false;
+
+/**
+ * Report an oversell when a listing that already sold elsewhere is found sold on this marketplace
+ * @param {Object} listing - The listing
+ * @param {Object} marketplace - The marketplace adapter reporting the sale
+ * @returns {Promise<void>}
+ */
+async function checkForOversell(listing, marketplace) {
+  const { data: sold, error } = await supabase
+    .from('listings')
+    .select('sold_channel')
+    .eq('id', listing.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error fetching the first sale of listing ${listing.id}:`, error);
+    return;
+  }
+
+  // Listings marked sold before sales were tracked by marketplace have nothing to compare against
+  if (!sold || !sold.sold_channel || sold.sold_channel === marketplace.name) return;
+
+  await delistService.reportOversell(listing, sold.sold_channel, marketplace);
+}
+
+/**
+ * Record the seller's pending profit for a listing that just sold
+ * @param {Object} listing - The listing (id, user_id, price)
+ * @param {Object} marketplace - The marketplace adapter it sold on
+ * @returns {Promise<Object>} - { success, profit }
+ */
+async function recordSaleProfit(listing, marketplace) {
+  // Marketplace fees are estimated until the order reports them
+  const saleFees = await feeService.calculateSaleFees({
+    userId: listing.user_id,
+    channel: marketplace.name,
+    salePrice: parseFloat(listing.price)
+  });
+
+  // A profit without its fees and commission would overpay the seller
+  if (!saleFees.success) {
+    console.error(`Error calculating fees for listing ${listing.id}:`, saleFees.message);
+    return { success: false, message: saleFees.message };
+  }
+
+  const { data: profit, error } = await supabase
+    .from('profits')
+    .insert({
+      listing_id: listing.id,
+      user_id: listing.user_id,
+      amount: parseFloat(listing.price),
+      ...saleFees.fees,
+      platform: marketplace.name,
+      status: 'pending',
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Error creating profit record for listing ${listing.id}:`, error);
+    return { success: false, message: `Failed to create profit: ${error.message}` };
+  }
+
+  await ledgerService.syncProfit(profit);
+
+  return { success: true, profit };
+}
+
+/**
+ * Mark a listing sold, record the seller's pending profit, tell them about the sale, end the
+ * listing on its other marketplaces and pull the order. Only the call that moves the listing to 'sold' does this, so a
+ * listing found sold by both the sweep and the check-sold route gets one profit record and one
+ * notification. A sale on a different marketplace from the first is reported as an oversell.
+ * @param {Object} listing - The listing
+ * @param {Object} marketplace - The marketplace adapter it sold on
+ * @returns {Promise<Object>} - { success, alreadySold }
+ */
+async function markListingSold(listing, marketplace) {
+  try {
+    const { data: claimed, error: updateError } = await supabase
+      .from('listings')
+      .update({
+        status: 'sold',
+        sold_channel: marketplace.name,
+        sold_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', listing.id)
+      .neq('status', 'sold')
+      .select('id')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error(`Error updating listing ${listing.id} status to sold:`, updateError);
+      return { success: false, message: `Failed to mark listing sold: ${updateError.message}` };
+    }
+
+    if (!claimed) {
+      await checkForOversell(listing, marketplace);
+      return { success: true, alreadySold: true };
+    }
+
+    // A profit that can't be recorded now is recorded by the next sweep (see recordMissingProfits)
+    await recordSaleProfit(listing, marketplace);
+
+    await notificationService.createNotification({
+      user_id: listing.user_id,
+      listing_id: listing.id,
+      type: 'item_sold',
+      message: `Your listing "${listing.title}" has been sold on ${marketplace.displayName} for $${listing.price}. Payment will be processed within 24-48 hours.`
+    });
+
+    await delistService.endOtherChannels(listing, marketplace);
+
+    // The order may not be visible yet; the order sync job keeps looking
+    await orderService.syncListingOrders(listing.id);
+
+    return { success: true, alreadySold: false };
+  } catch (error) {
+    console.error('Error in markListingSold:', error);
+    return { success: false, message: `Marking listing sold failed: ${error.message}` };
+  }
+}
+
+/**
+ * Ask each marketplace a listing is live on whether it has sold, stopping at the first sale
+ * @param {Object} listing - The listing, with channels
+ * @returns {Promise<Object>} - { sold, marketplace, results (by marketplace name), checks, failedChecks }
+ */
+async function checkListingSold(listing) {
+  const results = {};
+  let soldMarketplace = null;
+  let checks = 0;
+  let failedChecks = 0;
+
+  for (const link of marketplaces.getLinkedMarketplaces(listing)) {
+    let result;
+    try {
+      result = await link.marketplace.getStatus(link.externalId, link.channel);
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+
+    checks++;
+    results[link.marketplace.name] = result;
+
+    if (!result.success) {
+      failedChecks++;
+    }
+
+    if (result.success && result.sold) {
+      await listingChannelService.recordSyncResult(link, listing.id, result, 'sold');
+      soldMarketplace = link.marketplace;
+      break;
+    }
+
+    await listingChannelService.recordSyncResult(link, listing.id, result);
+  }
+
+  if (soldMarketplace) {
+    await markListingSold(listing, soldMarketplace);
+  }
+
+  return {
+    sold: soldMarketplace !== null,
+    marketplace: soldMarketplace,
+    results,
+    checks,
+    failedChecks
+  };
+}
+
+/**
+ * Record the profit of recently sold listings whose profit couldn't be recorded when the sale was found,
+ * then pull their orders so the profit is linked to one
+ * @returns {Promise<number>} - How many profits were recorded
+ */
+async function recordMissingProfits() {
+  const since = new Date(Date.now() - PROFIT_RETRY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const until = new Date(Date.now() - PROFIT_RETRY_DELAY_MINUTES * 60 * 1000).toISOString();
+  let recorded = 0;
+  let lastId = null;
+
+  while (true) {
+    let query = supabase
+      .from('listings')
+      .select('id, user_id, title, price, sold_channel, profits(id)')
+      .eq('status', 'sold')
+      .not('sold_channel', 'is', null)
+      .gte('sold_at', since)
+      .lte('sold_at', until)
+      .order('id', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (lastId) {
+      query = query.gt('id', lastId);
+    }
+
+    const { data: listings, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch sold listings: ${error.message}`);
+    }
+
+    for (const listing of listings) {
+      const marketplace = marketplaces.getMarketplace(listing.sold_channel);
+      if (listing.profits.length > 0 || !marketplace) continue;
+
+      const result = await recordSaleProfit(listing, marketplace);
+      if (!result.success) continue;
+
+      recorded++;
+      await orderService.syncListingOrders(listing.id);
+    }
+
+    if (listings.length < BATCH_SIZE) break;
+    lastId = listings[listings.length - 1].id;
+  }
+
+  if (recorded > 0) {
+    console.log(`Recorded ${recorded} missing profit(s) for sold listings`);
+  }
+
+  return recorded;
+}
+
+/**
+ * Record the outcome of a sweep
+ * @param {string|null} runId - The sold_sync_runs row ID
+ * @param {Object} updates - The columns to set
+ * @returns {Promise<void>}
+ */
+async function finishRun(runId, updates) {
+  if (!runId) return;
+
+  const { error } = await supabase
+    .from('sold_sync_runs')
+    .update({ ...updates, finished_at: new Date().toISOString() })
+    .eq('id', runId);
+
+  if (error) {
+    console.error(`Error recording sold sync run ${runId}:`, error);
+  }
+}
+
+/**
+ * Check every active listing for sales on its marketplaces, in batches, and record the run's stats.
+ * Also records profits a previous run found the sale for but couldn't record.
+ * @returns {Promise<void>}
+ */
+async function runSoldSyncJob() {
+  if (syncRunning) {
+    console.log('Sold status sync is still running, skipping this run');
+    return;
+  }
+
+  syncRunning = true;
+  let runId = null;
+  const stats = {
+    listings_checked: 0,
+    marketplace_checks: 0,
+    failed_checks: 0,
+    sold_count: 0
+  };
+
+  try {
+    const { data: run, error: runError } = await supabase
+      .from('sold_sync_runs')
+      .insert({ status: 'running', started_at: new Date().toISOString() })
+      .select('id')
+      .single();
+
+    // Stats are for the admin's benefit; a missing run row shouldn't stop sellers hearing about sales
+    if (runError) {
+      console.error('Error recording sold sync run start:', runError);
+    } else {
+      runId = run.id;
+    }
+
+    // Page by ID rather than offset, since listings found sold drop out of the active set mid-sweep
+    let lastId = null;
+
+    while (true) {
+      let query = supabase
+        .from('listings')
+        .select(listingChannelService.LISTING_WITH_CHANNELS)
+        .eq('status', 'active')
+        .order('id', { ascending: true })
+        .limit(BATCH_SIZE);
+
+      if (lastId) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data: listings, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to fetch active listings: ${error.message}`);
+      }
+
+      for (const listing of listings) {
+        const check = await checkListingSold(listing);
+        stats.listings_checked++;
+        stats.marketplace_checks += check.checks;
+        stats.failed_checks += check.failedChecks;
+        if (check.sold) stats.sold_count++;
+      }
+
+      if (listings.length < BATCH_SIZE) break;
+      lastId = listings[listings.length - 1].id;
+    }
+
+    await recordMissingProfits();
+
+    await finishRun(runId, { status: 'completed', ...stats });
+
+    console.log(
+      `Sold status sync checked ${stats.listings_checked} listing(s): ${stats.sold_count} sold, ` +
+      `${stats.failed_checks} of ${stats.marketplace_checks} marketplace check(s) failed`
+    );
+  } catch (error) {
+    console.error('Error in sold status sync job:', error);
+    await finishRun(runId, { status: 'failed', error: error.message, ...stats });
+  } finally {
+    syncRunning = false;
+  }
+}
+
+module.exports = {
+  markListingSold,
+  recordMissingProfits,
+  checkListingSold,
+  runSoldSyncJob
+};
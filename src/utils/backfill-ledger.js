@@ -0,0 +1,31 @@
+/**
+ * SnapList Ledger Backfill Script
+ * Posts existing profits, payout requests and balance adjustments to the ledger.
+ * Run once after applying the ledger migration; records already on the ledger are skipped.
+ * Run with: node src/utils/backfill-ledger.js
+ */
+
+require('dotenv').config();
+const ledgerService = require('../services/ledgerService');
+
+async function run() {
+  const result = await ledgerService.backfillLedger();
+
+  if (result.message) {
+    console.error(`❌ ${result.message}`);
+    process.exit(1);
+  }
+
+  console.log(`Read ${result.profits} profit(s), ${result.payouts} payout request(s) and ${result.adjustments} balance adjustment(s)`);
+  console.log(`Posted ${result.entries} ledger entr${result.entries === 1 ? 'y' : 'ies'}`);
+
+  if (result.failed > 0) {
+    console.error(`❌ ${result.failed} record(s) could not be posted; run the backfill again to retry them`);
+    process.exit(1);
+  }
+
+  console.log('✅ Ledger backfill complete');
+  process.exit(0);
+}
+
+run();
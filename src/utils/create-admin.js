@@ -0,0 +1,34 @@
+/**
+ * SnapList Admin Account Script
+ * Creates an admin account for the admin dashboard
+ * Run with: node src/utils/create-admin.js <email> <password> <owner|finance|support> [name]
+ */
+
+require('dotenv').config();
+const adminAuthService = require('../services/adminAuthService');
+
+async function run() {
+  const [email, password, role, ...nameParts] = process.argv.slice(2);
+
+  if (!email || !password || !role) {
+    console.error('Usage: node src/utils/create-admin.js <email> <password> <owner|finance|support> [name]');
+    process.exit(1);
+  }
+
+  const result = await adminAuthService.createAdmin({
+    email,
+    password,
+    role,
+    name: nameParts.join(' ') || null
+  });
+
+  if (!result.success) {
+    console.error(`❌ ${result.message}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ Created ${result.admin.role} admin ${result.admin.email} (${result.admin.id})`);
+  process.exit(0);
+}
+
+run();
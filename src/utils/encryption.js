@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Turn a hex-encoded 32-byte key into a Buffer
+ * @param {string} hexKey - The key
+ * @returns {Buffer} - The key bytes
+ */
+function toKey(hexKey) {
+  if (!/^[0-9a-f]{64}$/i.test(hexKey || '')) {
+    throw new Error('Encryption key must be 32 bytes, hex-encoded');
+  }
+
+  return Buffer.from(hexKey, 'hex');
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext - The secret
+ * @param {string} hexKey - 32-byte hex-encoded key
+ * @returns {string} - "v1:<iv>:<auth tag>:<ciphertext>", each part base64
+ */
+function encrypt(plaintext, hexKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, toKey(hexKey), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a secret produced by encrypt()
+ * @param {string} payload - The stored value
+ * @param {string} hexKey - 32-byte hex-encoded key
+ * @returns {string} - The secret
+ * @throws {Error} - If the payload is malformed or was encrypted with another key
+ */
+function decrypt(payload, hexKey) {
+  const [version, iv, authTag, ciphertext] = String(payload).split(':');
+
+  if (version !== VERSION || !iv || !authTag || !ciphertext) {
+    throw new Error('Unrecognised encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, toKey(hexKey), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,708 @@
+/**
+ * Fake eBay and Facebook Marketplace server for development and tests.
+ * Speaks enough of eBay's OAuth, Identity, Taxonomy, Trading (AddItem, ReviseItem, EndItem, GetItem,
+ * GetOrders, CompleteSale), Sell Inventory and Sell Account APIs, and of Facebook's Graph commerce
+ * listings, orders and shipments, to run the whole listing lifecycle offline. Run it with: npm run fake-marketplaces
+ *
+ * Point the app at it with:
+ *   EBAY_API_BASE_URL=http://localhost:4010
+ *   EBAY_AUTH_BASE_URL=http://localhost:4010
+ *   FACEBOOK_GRAPH_BASE_URL=http://localhost:4010/graph
+ *
+ * Control endpoints (also available as methods on the object createFakeMarketplaceServer returns):
+ *   GET  /__fake/state  - Everything the fake marketplaces hold, and the requests they received
+ *   POST /__fake/fail   - { marketplace, operation, mode, times } make upcoming calls fail
+ *   POST /__fake/sell   - { marketplace, id } mark a listing as sold and place an order for it
+ *   POST /__fake/reset  - Forget all listings, failures and requests
+ *
+ * Operations are create, update, end, status, orders, ship and token; mode is one of FAILURE_MODES.
+ */
+
+const express = require('express');
+const { XMLBuilder, XMLParser } = require('fast-xml-parser');
+const snapshot = require('../data/ebayTaxonomySnapshot.json');
+
+const DEFAULT_PORT = 4010;
+const FAILURE_MODES = ['validation', 'auth', 'rate_limit', 'server', 'network'];
+const OPERATIONS = ['create', 'update', 'end', 'status', 'orders', 'ship', 'token', '*'];
+
+// Trading API calls mapped to the operation they perform
+const TRADING_OPERATIONS = {
+  AddItem: 'create',
+  ReviseItem: 'update',
+  EndItem: 'end',
+  GetItem: 'status',
+  GetOrders: 'orders',
+  CompleteSale: 'ship'
+};
+
+// How each failure mode looks on each API: Trading errors (XML), REST errors (Inventory/Account) and Graph errors
+const TRADING_FAILURES = {
+  validation: { httpStatus: 200, code: '21919', message: 'The fake marketplace rejected this listing.' },
+  auth: { httpStatus: 200, code: '931', message: 'Auth token is invalid.' },
+  rate_limit: { httpStatus: 200, code: '518', message: 'Call usage limit has been reached.' },
+  server: { httpStatus: 500, code: '10007', message: 'Internal error to the application.' }
+};
+
+const REST_FAILURES = {
+  validation: { httpStatus: 400, errorId: 25002, category: 'REQUEST', message: 'The fake marketplace rejected this request.' },
+  auth: { httpStatus: 401, errorId: 1001, category: 'REQUEST', message: 'Invalid access token.' },
+  rate_limit: { httpStatus: 429, errorId: 2001, category: 'REQUEST', message: 'Too many requests.' },
+  server: { httpStatus: 500, errorId: 25001, category: 'APPLICATION', message: 'A system error has occurred.' }
+};
+
+const GRAPH_FAILURES = {
+  validation: { httpStatus: 400, code: 100, type: 'GraphMethodException', message: 'Invalid parameter' },
+  auth: { httpStatus: 401, code: 190, type: 'OAuthException', message: 'Invalid OAuth access token.' },
+  rate_limit: { httpStatus: 400, code: 4, type: 'OAuthException', message: 'Application request limit reached' },
+  server: { httpStatus: 500, code: 2, type: 'OAuthException', message: 'An unexpected error has occurred.' }
+};
+
+// Every fake sale goes to the same buyer
+const FAKE_BUYER = {
+  name: 'Jamie Buyer',
+  username: 'fake_buyer',
+  email: 'buyer@fake-marketplace.test',
+  street1: '1 Test Street',
+  city: 'San Jose',
+  state: 'CA',
+  postalCode: '95131',
+  country: 'US'
+};
+
+const xmlBuilder = new XMLBuilder({ ignoreAttributes: false, suppressEmptyNode: true });
+const xmlParser = new XMLParser({ ignoreAttributes: true, removeNSPrefix: true, parseTagValue: false });
+
+/**
+ * Create an empty marketplace state
+ * @returns {Object} - The state
+ */
+function createState() {
+  return {
+    nextId: 110000000001,
+    ebay: {
+      items: {},
+      inventoryItems: {},
+      offers: {},
+      policies: { fulfillment: [], payment: [], return: [] },
+      locations: {},
+      orders: []
+    },
+    facebook: {
+      listings: {},
+      orders: []
+    },
+    failures: [],
+    requests: []
+  };
+}
+
+/**
+ * Build a Trading API response
+ * @param {string} callName - The call (e.g. 'AddItem')
+ * @param {Object} fields - Response fields besides Ack
+ * @param {Array<Object>} [errors] - { code, message, severity }
+ * @returns {string} - The XML
+ */
+function tradingResponse(callName, fields, errors = []) {
+  const failed = errors.some(error => error.severity !== 'Warning');
+
+  return xmlBuilder.build({
+    '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+    [`${callName}Response`]: {
+      '@_xmlns': 'urn:ebay:apis:eBLBaseComponents',
+      Timestamp: new Date().toISOString(),
+      Ack: failed ? 'Failure' : errors.length > 0 ? 'Warning' : 'Success',
+      ...(errors.length > 0 && {
+        Errors: errors.map(error => ({
+          ShortMessage: error.message,
+          LongMessage: error.message,
+          ErrorCode: error.code,
+          SeverityCode: error.severity || 'Error',
+          ErrorClassification: 'RequestError'
+        }))
+      }),
+      ...fields
+    }
+  });
+}
+
+/**
+ * Create a fake marketplace server
+ * @param {Object} [options]
+ * @param {string} [options.connectCallbackUrl] - Where the fake eBay consent page sends sellers
+ *   (defaults to http://localhost:3000/api/users/ebay/callback)
+ * @returns {Object} - { app, state, listen, close, fail, sell, reset }
+ */
+function createFakeMarketplaceServer(options = {}) {
+  const connectCallbackUrl = options.connectCallbackUrl || 'http://localhost:3000/api/users/ebay/callback';
+  let state = createState();
+  let server = null;
+
+  const newId = () => String(state.nextId++);
+
+  /**
+   * Queue failures for upcoming calls
+   * @param {Object} spec - { marketplace: 'ebay'|'facebook', operation, mode, times } (times defaults to 1; null fails every call)
+   * @returns {Object} - The queued failure
+   */
+  function fail(spec) {
+    if (!['ebay', 'facebook'].includes(spec.marketplace)) throw new Error('marketplace must be ebay or facebook');
+    if (!OPERATIONS.includes(spec.operation || '*')) throw new Error(`operation must be one of: ${OPERATIONS.join(', ')}`);
+    if (!FAILURE_MODES.includes(spec.mode)) throw new Error(`mode must be one of: ${FAILURE_MODES.join(', ')}`);
+
+    const failure = {
+      marketplace: spec.marketplace,
+      operation: spec.operation || '*',
+      mode: spec.mode,
+      remaining: spec.times === null ? null : spec.times || 1
+    };
+    state.failures.push(failure);
+    return failure;
+  }
+
+  /**
+   * Take the next queued failure for a call, if any
+   * @param {string} marketplace - 'ebay' or 'facebook'
+   * @param {string} operation - The operation
+   * @returns {string|null} - The failure mode
+   */
+  function takeFailure(marketplace, operation) {
+    const failure = state.failures.find(entry =>
+      entry.marketplace === marketplace && (entry.operation === '*' || entry.operation === operation));
+    if (!failure) return null;
+
+    if (failure.remaining !== null) {
+      failure.remaining -= 1;
+      if (failure.remaining <= 0) state.failures.splice(state.failures.indexOf(failure), 1);
+    }
+
+    return failure.mode;
+  }
+
+  /**
+   * Place an eBay order for a sold item, as GetOrders reports it
+   * @param {string} itemId - The eBay item/listing ID
+   * @param {string|number} price - The sale price
+   */
+  function placeEbayOrder(itemId, price) {
+    const shipping = 5;
+    state.ebay.orders.push({
+      OrderID: `${newId()}-${newId()}`,
+      OrderStatus: 'Completed',
+      CreatedTime: new Date().toISOString(),
+      BuyerUserID: FAKE_BUYER.username,
+      ShippingAddress: {
+        Name: FAKE_BUYER.name,
+        Street1: FAKE_BUYER.street1,
+        CityName: FAKE_BUYER.city,
+        StateOrProvince: FAKE_BUYER.state,
+        PostalCode: FAKE_BUYER.postalCode,
+        Country: FAKE_BUYER.country
+      },
+      ShippingServiceSelected: { ShippingServiceCost: shipping.toFixed(2) },
+      TransactionArray: {
+        Transaction: [{
+          Item: { ItemID: itemId },
+          QuantityPurchased: 1,
+          TransactionPrice: parseFloat(price || 0).toFixed(2),
+          FinalValueFee: (parseFloat(price || 0) * 0.13).toFixed(2),
+          Buyer: { Email: FAKE_BUYER.email }
+        }]
+      }
+    });
+  }
+
+  /**
+   * Mark a listing as sold and place an order for it, the way a buyer checking out would
+   * @param {string} marketplace - 'ebay' or 'facebook'
+   * @param {string} id - The eBay item/listing ID or Facebook listing ID
+   * @returns {boolean} - Whether the listing was found
+   */
+  function sell(marketplace, id) {
+    if (marketplace === 'facebook') {
+      const listing = state.facebook.listings[id];
+      if (!listing) return false;
+      listing.state = 'SOLD';
+      state.facebook.orders.push({
+        id: newId(),
+        created: new Date().toISOString(),
+        order_status: { state: 'CREATED' },
+        buyer_details: { name: FAKE_BUYER.name, email: FAKE_BUYER.email },
+        shipping_address: {
+          name: FAKE_BUYER.name,
+          street1: FAKE_BUYER.street1,
+          city: FAKE_BUYER.city,
+          state: FAKE_BUYER.state,
+          postal_code: FAKE_BUYER.postalCode,
+          country: FAKE_BUYER.country
+        },
+        estimated_payment_details: {
+          subtotal: { shipping: { amount: '0.00', currency: 'USD' } }
+        },
+        items: {
+          data: [{ id: newId(), product_id: id, quantity: 1, price_per_unit: { amount: String(listing.price || 0), currency: 'USD' } }]
+        }
+      });
+      return true;
+    }
+
+    const item = state.ebay.items[id];
+    if (item) {
+      item.ListingStatus = 'Completed';
+      item.QuantitySold = 1;
+      placeEbayOrder(id, item.StartPrice);
+      return true;
+    }
+
+    const offer = Object.values(state.ebay.offers).find(entry => entry.listing && entry.listing.listingId === id);
+    if (!offer) return false;
+    offer.listing.listingStatus = 'OUT_OF_STOCK';
+    offer.listing.soldQuantity = 1;
+    const pricing = offer.pricingSummary && offer.pricingSummary.price;
+    placeEbayOrder(id, pricing && pricing.value);
+    return true;
+  }
+
+  function reset() {
+    state = createState();
+    app.locals.state = state;
+  }
+
+  /**
+   * Answer with a failure if one is queued for this call
+   * @returns {boolean} - Whether the response was sent
+   */
+  function respondWithFailure(req, res, marketplace, operation, api) {
+    const mode = takeFailure(marketplace, operation);
+    if (!mode) return false;
+
+    state.requests.push({ marketplace, operation, method: req.method, path: req.path, failure: mode });
+
+    if (mode === 'network') {
+      req.socket.destroy();
+      return true;
+    }
+
+    if (api === 'trading') {
+      const failure = TRADING_FAILURES[mode];
+      res.status(failure.httpStatus).type('text/xml')
+        .send(tradingResponse(req.callName, {}, [{ code: failure.code, message: failure.message }]));
+    } else if (api === 'graph') {
+      const failure = GRAPH_FAILURES[mode];
+      res.status(failure.httpStatus).json({ error: { message: failure.message, type: failure.type, code: failure.code } });
+    } else if (operation === 'token') {
+      res.status(400).json({ error: 'invalid_grant', error_description: 'the provided authorization grant is invalid' });
+    } else {
+      const failure = REST_FAILURES[mode];
+      res.status(failure.httpStatus).json({
+        errors: [{ errorId: failure.errorId, domain: 'API_FAKE', category: failure.category, message: failure.message }]
+      });
+    }
+
+    return true;
+  }
+
+  const record = (marketplace, operation, req) =>
+    state.requests.push({ marketplace, operation, method: req.method, path: req.path });
+
+  const restError = (res, httpStatus, errorId, message) =>
+    res.status(httpStatus).json({ errors: [{ errorId, domain: 'API_FAKE', category: 'REQUEST', message }] });
+
+  const app = express();
+  app.locals.state = state;
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.text({ type: ['text/xml', 'application/xml'] }));
+
+  // --- Control ---
+
+  app.get('/__fake/state', (req, res) => res.json(state));
+
+  app.post('/__fake/fail', (req, res) => {
+    try {
+      res.status(201).json({ success: true, failure: fail(req.body || {}) });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  });
+
+  app.post('/__fake/sell', (req, res) => {
+    const { marketplace, id } = req.body || {};
+    if (!sell(marketplace, String(id))) {
+      return res.status(404).json({ success: false, message: 'Listing not found' });
+    }
+    res.json({ success: true });
+  });
+
+  app.post('/__fake/reset', (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  // --- eBay OAuth and Identity ---
+
+  app.get('/oauth2/authorize', (req, res) => {
+    const query = new URLSearchParams({ code: `fake-code-${newId()}`, state: req.query.state || '' });
+    res.redirect(`${connectCallbackUrl}?${query.toString()}`);
+  });
+
+  app.post('/identity/v1/oauth2/token', (req, res) => {
+    if (respondWithFailure(req, res, 'ebay', 'token', 'rest')) return;
+    record('ebay', 'token', req);
+
+    if (req.body.grant_type === 'client_credentials') {
+      return res.json({ access_token: 'fake-application-token', expires_in: 7200, token_type: 'Application Access Token' });
+    }
+
+    res.json({
+      access_token: `fake-user-token-${newId()}`,
+      expires_in: 7200,
+      token_type: 'User Access Token',
+      ...(req.body.grant_type === 'authorization_code' && {
+        refresh_token: 'fake-refresh-token',
+        refresh_token_expires_in: 47304000
+      })
+    });
+  });
+
+  app.get('/commerce/identity/v1/user/', (req, res) => {
+    res.json({ userId: 'fake-ebay-user', username: 'fake_seller' });
+  });
+
+  // --- eBay Taxonomy, answered from the bundled snapshot ---
+
+  app.get('/commerce/taxonomy/v1/category_tree/:treeId/get_category_suggestions', (req, res) => {
+    const query = ` ${String(req.query.q || '').toLowerCase()} `;
+    const matches = snapshot.categories.filter(category =>
+      [category.categoryName, ...category.aliases].some(name => query.includes(` ${name.toLowerCase()} `)));
+
+    if (matches.length === 0) {
+      return res.status(204).end();
+    }
+
+    res.json({
+      categoryTreeId: req.params.treeId,
+      categorySuggestions: matches.map(category => ({
+        category: { categoryId: category.categoryId, categoryName: category.categoryName },
+        categoryTreeNodeAncestors: []
+      }))
+    });
+  });
+
+  app.get('/commerce/taxonomy/v1/category_tree/:treeId/get_item_aspects_for_category', (req, res) => {
+    const category = snapshot.categories.find(entry => entry.categoryId === req.query.category_id);
+    if (!category) return restError(res, 404, 62004, 'The specified category ID does not exist');
+
+    res.json({
+      categoryId: category.categoryId,
+      aspects: category.aspects.map(aspect => ({
+        localizedAspectName: aspect.name,
+        aspectConstraint: { aspectRequired: aspect.required, aspectUsage: aspect.required ? 'RECOMMENDED' : 'OPTIONAL' }
+      }))
+    });
+  });
+
+  // --- eBay Trading API ---
+
+  app.post('/ws/api.dll', (req, res) => {
+    const callName = req.get('X-EBAY-API-CALL-NAME');
+    const operation = TRADING_OPERATIONS[callName];
+    req.callName = callName;
+
+    if (!operation) {
+      return res.type('text/xml').send(tradingResponse(callName || 'Unknown', {}, [
+        { code: '2', message: `Unsupported API call "${callName}" in the fake marketplace.` }
+      ]));
+    }
+
+    if (respondWithFailure(req, res, 'ebay', operation, 'trading')) return;
+    record('ebay', operation, req);
+
+    const body = xmlParser.parse(req.body || '')[`${callName}Request`] || {};
+
+    if (callName === 'GetOrders') {
+      return res.type('text/xml').send(tradingResponse(callName, {
+        OrderArray: { Order: state.ebay.orders },
+        HasMoreOrders: 'false'
+      }));
+    }
+
+    if (callName === 'CompleteSale') {
+      const order = state.ebay.orders.find(entry => entry.OrderID === body.OrderID);
+      if (!order) {
+        return res.type('text/xml').send(tradingResponse(callName, {}, [
+          { code: '21916275', message: 'The order ID is invalid.' }
+        ]));
+      }
+      order.ShippedTime = order.ShippedTime || new Date().toISOString();
+      order.ShipmentTrackingDetails = body.Shipment && body.Shipment.ShipmentTrackingDetails;
+      return res.type('text/xml').send(tradingResponse(callName, {}));
+    }
+
+    const itemId = callName === 'AddItem' ? newId() : body.ItemID || (body.Item && body.Item.ItemID);
+    const item = state.ebay.items[itemId];
+
+    if (callName !== 'AddItem' && !item) {
+      return res.type('text/xml').send(tradingResponse(callName, {}, [
+        { code: '17', message: 'This item cannot be accessed because the listing has been deleted or you are not the seller.' }
+      ]));
+    }
+
+    switch (callName) {
+      case 'AddItem':
+        state.ebay.items[itemId] = { ...body.Item, ItemID: itemId, ListingStatus: 'Active', QuantitySold: 0 };
+        return res.type('text/xml').send(tradingResponse(callName, { ItemID: itemId, StartTime: new Date().toISOString() }));
+      case 'ReviseItem':
+        Object.assign(item, body.Item);
+        return res.type('text/xml').send(tradingResponse(callName, { ItemID: itemId }));
+      case 'EndItem':
+        item.ListingStatus = 'Ended';
+        return res.type('text/xml').send(tradingResponse(callName, { EndTime: new Date().toISOString() }));
+      default:
+        return res.type('text/xml').send(tradingResponse(callName, {
+          Item: {
+            ItemID: itemId,
+            Title: item.Title,
+            SellingStatus: { ListingStatus: item.ListingStatus, QuantitySold: item.QuantitySold }
+          }
+        }));
+    }
+  });
+
+  // --- eBay Sell Inventory API ---
+
+  const inventory = express.Router();
+
+  const publishedOfferForSku = (sku) =>
+    Object.values(state.ebay.offers).find(offer => offer.sku === sku && offer.status === 'PUBLISHED');
+
+  inventory.get('/inventory_item/:sku', (req, res) => {
+    const item = state.ebay.inventoryItems[req.params.sku];
+    if (!item) return restError(res, 404, 25702, `SKU ${req.params.sku} was not found`);
+    res.json(item);
+  });
+
+  inventory.put('/inventory_item/:sku', (req, res) => {
+    // Changing a published item revises the live listing
+    const operation = publishedOfferForSku(req.params.sku) ? 'update' : 'create';
+    if (operation === 'update' && respondWithFailure(req, res, 'ebay', operation, 'rest')) return;
+    record('ebay', operation, req);
+
+    state.ebay.inventoryItems[req.params.sku] = { ...req.body, sku: req.params.sku };
+    res.status(204).end();
+  });
+
+  inventory.get('/offer', (req, res) => {
+    const offers = Object.values(state.ebay.offers).filter(offer => offer.sku === req.query.sku);
+    if (offers.length === 0) return restError(res, 404, 25713, 'This Offer is not available');
+    res.json({ offers, total: offers.length });
+  });
+
+  inventory.post('/offer', (req, res) => {
+    record('ebay', 'create', req);
+    const offerId = newId();
+    state.ebay.offers[offerId] = { ...req.body, offerId, status: 'UNPUBLISHED' };
+    res.status(201).json({ offerId });
+  });
+
+  inventory.get('/offer/:offerId', (req, res) => {
+    if (respondWithFailure(req, res, 'ebay', 'status', 'rest')) return;
+    record('ebay', 'status', req);
+
+    const offer = state.ebay.offers[req.params.offerId];
+    if (!offer) return restError(res, 404, 25713, 'This Offer is not available');
+    res.json(offer);
+  });
+
+  inventory.put('/offer/:offerId', (req, res) => {
+    const offer = state.ebay.offers[req.params.offerId];
+    if (!offer) return restError(res, 404, 25713, 'This Offer is not available');
+
+    const operation = offer.status === 'PUBLISHED' ? 'update' : 'create';
+    if (operation === 'update' && respondWithFailure(req, res, 'ebay', operation, 'rest')) return;
+    record('ebay', operation, req);
+
+    Object.assign(offer, req.body);
+    res.status(204).end();
+  });
+
+  inventory.post('/offer/:offerId/publish', (req, res) => {
+    if (respondWithFailure(req, res, 'ebay', 'create', 'rest')) return;
+    record('ebay', 'create', req);
+
+    const offer = state.ebay.offers[req.params.offerId];
+    if (!offer) return restError(res, 404, 25713, 'This Offer is not available');
+    if (!state.ebay.inventoryItems[offer.sku]) return restError(res, 400, 25002, 'The inventory item is missing');
+
+    offer.status = 'PUBLISHED';
+    offer.listing = { listingId: newId(), listingStatus: 'ACTIVE', soldQuantity: 0 };
+    res.json({ listingId: offer.listing.listingId, warnings: [] });
+  });
+
+  inventory.post('/offer/:offerId/withdraw', (req, res) => {
+    if (respondWithFailure(req, res, 'ebay', 'end', 'rest')) return;
+    record('ebay', 'end', req);
+
+    const offer = state.ebay.offers[req.params.offerId];
+    if (!offer || !offer.listing) return restError(res, 404, 25713, 'This Offer is not available');
+
+    offer.status = 'UNPUBLISHED';
+    offer.listing.listingStatus = 'ENDED';
+    res.json({ listingId: offer.listing.listingId, warnings: [] });
+  });
+
+  inventory.get('/location/:key', (req, res) => {
+    const location = state.ebay.locations[req.params.key];
+    if (!location) return restError(res, 404, 25804, 'Location not found');
+    res.json(location);
+  });
+
+  inventory.post('/location/:key', (req, res) => {
+    state.ebay.locations[req.params.key] = { ...req.body, merchantLocationKey: req.params.key };
+    res.status(204).end();
+  });
+
+  app.use('/sell/inventory/v1', inventory);
+
+  // --- eBay Sell Account API (business policies) ---
+
+  ['fulfillment', 'payment', 'return'].forEach(type => {
+    const idField = `${type}PolicyId`;
+
+    app.get(`/sell/account/v1/${type}_policy`, (req, res) => {
+      res.json({ [`${type}Policies`]: state.ebay.policies[type] });
+    });
+
+    app.post(`/sell/account/v1/${type}_policy`, (req, res) => {
+      const policy = { ...req.body, [idField]: newId() };
+      state.ebay.policies[type].push(policy);
+      res.status(201).json(policy);
+    });
+
+    app.put(`/sell/account/v1/${type}_policy/:policyId`, (req, res) => {
+      const policy = state.ebay.policies[type].find(entry => entry[idField] === req.params.policyId);
+      if (!policy) return restError(res, 404, 20404, 'Policy not found');
+
+      Object.assign(policy, req.body);
+      res.json(policy);
+    });
+  });
+
+  // --- Facebook Graph commerce listings ---
+
+  const graph = express.Router();
+
+  const graphNotFound = (res, id) => res.status(400).json({
+    error: { message: `Unsupported request - object with ID '${id}' does not exist`, type: 'GraphMethodException', code: 100 }
+  });
+
+  graph.post('/me/commerce_listings', (req, res) => {
+    if (respondWithFailure(req, res, 'facebook', 'create', 'graph')) return;
+    record('facebook', 'create', req);
+
+    const id = newId();
+    state.facebook.listings[id] = { ...req.body, id, state: 'FOR_SALE' };
+    res.json({ id });
+  });
+
+  graph.get('/me/commerce_orders', (req, res) => {
+    if (respondWithFailure(req, res, 'facebook', 'orders', 'graph')) return;
+    record('facebook', 'orders', req);
+
+    res.json({ data: state.facebook.orders, paging: {} });
+  });
+
+  graph.post('/:id/shipments', (req, res) => {
+    if (respondWithFailure(req, res, 'facebook', 'ship', 'graph')) return;
+    record('facebook', 'ship', req);
+
+    const order = state.facebook.orders.find(entry => entry.id === req.params.id);
+    if (!order) return graphNotFound(res, req.params.id);
+
+    order.shipments = (order.shipments || []).concat({ items: req.body.items, tracking_info: req.body.tracking_info });
+    order.order_status = { state: 'COMPLETED' };
+    res.json({ success: true });
+  });
+
+  graph.post('/:id', (req, res) => {
+    if (respondWithFailure(req, res, 'facebook', 'update', 'graph')) return;
+    record('facebook', 'update', req);
+
+    const listing = state.facebook.listings[req.params.id];
+    if (!listing || listing.state === 'DELETED') return graphNotFound(res, req.params.id);
+
+    Object.assign(listing, req.body);
+    res.json({ success: true });
+  });
+
+  graph.delete('/:id', (req, res) => {
+    if (respondWithFailure(req, res, 'facebook', 'end', 'graph')) return;
+    record('facebook', 'end', req);
+
+    const listing = state.facebook.listings[req.params.id];
+    if (!listing || listing.state === 'DELETED') return graphNotFound(res, req.params.id);
+
+    listing.state = 'DELETED';
+    res.json({ success: true });
+  });
+
+  graph.get('/:id', (req, res) => {
+    if (respondWithFailure(req, res, 'facebook', 'status', 'graph')) return;
+    record('facebook', 'status', req);
+
+    const listing = state.facebook.listings[req.params.id];
+    if (!listing) return graphNotFound(res, req.params.id);
+
+    res.json({ id: listing.id, state: listing.state });
+  });
+
+  app.use('/graph', graph);
+
+  /**
+   * Start listening
+   * @param {number} [port] - The port (0 picks a free one)
+   * @returns {Promise<string>} - The server's base URL
+   */
+  function listen(port = DEFAULT_PORT) {
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, (error) => {
+        if (error) return reject(error);
+        resolve(`http://localhost:${server.address().port}`);
+      });
+    });
+  }
+
+  function close() {
+    return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  return {
+    app,
+    get state() {
+      return state;
+    },
+    listen,
+    close,
+    fail,
+    sell,
+    reset
+  };
+}
+
+if (require.main === module) {
+  const fake = createFakeMarketplaceServer({ connectCallbackUrl: process.env.FAKE_EBAY_CONNECT_CALLBACK_URL });
+
+  fake.listen(parseInt(process.env.FAKE_MARKETPLACE_PORT || DEFAULT_PORT, 10)).then(url => {
+    console.log(`Fake marketplaces listening on ${url}`);
+    console.log('Point SnapList at them with:');
+    console.log(`  EBAY_API_BASE_URL=${url}`);
+    console.log(`  EBAY_AUTH_BASE_URL=${url}`);
+    console.log(`  FACEBOOK_GRAPH_BASE_URL=${url}/graph`);
+  });
+}
+
+module.exports = {
+  FAILURE_MODES,
+  createFakeMarketplaceServer
+};
@@ -2,6 +2,9 @@
  * SnapList API Test Script
  * This script can be used to test the API endpoints
  * Run with: node src/utils/test-endpoints.js
+ *
+ * Authenticated endpoints need an access token for the test user, obtained from
+ * POST /api/auth/verify. Pass it with SNAPLIST_ACCESS_TOKEN and SNAPLIST_USER_ID.
  */
 
 const axios = require('axios');
@@ -10,7 +13,8 @@ const path = require('path');
 
 // Config
 const API_URL = 'http://localhost:3000/api';
-let userId = null;
+const accessToken = process.env.SNAPLIST_ACCESS_TOKEN || null;
+let userId = process.env.SNAPLIST_USER_ID || null;
 let listingId = null;
 let profitId = null;
 let imageUrl = null;
@@ -24,6 +28,7 @@ async function makeRequest(method, endpoint, data = null) {
     const response = await axios({
       method,
       url,
+      headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
       data
     });
     
@@ -51,7 +56,7 @@ async function testUserEndpoints() {
     zelle_id: 'test.user@example.com'
   };
   
-  const createResult = await makeRequest('post', '/users', userData);
+  const createResult = userId ? null : await makeRequest('post', '/users', userData);
   if (createResult?.success) {
     userId = createResult.user.id;
     console.log(`Created user ID: ${userId}`);
@@ -1,5 +1,6 @@
 const { supabase } = require('../config/supabase');
 const { v4: uuidv4 } = require('uuid');
+const ledgerService = require('../services/ledgerService');
 
 /**
  * Create a new user
@@ -94,10 +95,9 @@ async function updateUser(userId, updateData) {
     
     // Only allow updating certain fields
     if (updateData.name !== undefined) updates.name = updateData.name;
-    if (updateData.phone !== undefined) updates.phone = updateData.phone;
     if (updateData.zelle_id !== undefined) updates.zelle_id = updateData.zelle_id;
     
-    // Don't allow updating birthday (age verification)
+    // Don't allow updating birthday (age verification) or phone (the sign-in identity)
     
     if (Object.keys(updates).length === 0) {
       return { success: false, message: 'No valid fields to update' };
@@ -142,17 +142,16 @@ async function getUserStats(userId) {
       return { success: false, message: `Failed to fetch user statistics: ${listingsError.message}` };
     }
     
-    // Get profits
-    const { data: profitsData, error: profitsError } = await supabase
-      .from('profits')
-      .select('status, amount, platform')
-      .eq('user_id', userId);
+    // Get earnings from the ledger
+    const earningsResult = await ledgerService.getUserEarnings(userId);
     
-    if (profitsError) {
-      console.error(`Error fetching profits for user ${userId}:`, profitsError);
-      return { success: false, message: `Failed to fetch user statistics: ${profitsError.message}` };
+    if (!earningsResult.success) {
+      console.error(`Error fetching ledger for user ${userId}:`, earningsResult.message);
+      return { success: false, message: `Failed to fetch user statistics: ${earningsResult.message}` };
     }
     
+    const { earnings } = earningsResult;
+    
     // Calculate statistics
     const stats = {
       listings: {
@@ -161,22 +160,13 @@ async function getUserStats(userId) {
         sold: listingsData.filter(listing => listing.status === 'sold').length,
         ended: listingsData.filter(listing => listing.status === 'ended').length
       },
+      // Net of marketplace fees, commission and shipping
       profits: {
-        total: profitsData.reduce((sum, profit) => sum + parseFloat(profit.amount), 0),
-        pending: profitsData
-          .filter(profit => profit.status === 'pending')
-          .reduce((sum, profit) => sum + parseFloat(profit.amount), 0),
-        completed: profitsData
-          .filter(profit => profit.status === 'completed')
-          .reduce((sum, profit) => sum + parseFloat(profit.amount), 0),
-        byPlatform: {
-          ebay: profitsData
-            .filter(profit => profit.platform === 'ebay')
-            .reduce((sum, profit) => sum + parseFloat(profit.amount), 0),
-          facebook: profitsData
-            .filter(profit => profit.platform === 'facebook')
-            .reduce((sum, profit) => sum + parseFloat(profit.amount), 0)
-        }
+        total: earnings.total,
+        pending: earnings.pending,
+        completed: earnings.completed,
+        available: earnings.available,
+        byPlatform: earnings.byPlatform
       }
     };
     
@@ -0,0 +1,73 @@
+-- Phone-number sign-in codes and refresh tokens for end-user authentication
+
+-- Store every number the way sign-in normalises it (normalizePhone in src/services/authService.js),
+-- so differently formatted copies of one number collide below instead of slipping past the index.
+-- Numbers normalizePhone can't read are left as typed.
+update users
+set phone = normalized.phone
+from (
+  select id,
+         case
+           when btrim(phone) like '+%' and length(digits) >= 8 then '+' || digits
+           when btrim(phone) not like '+%' and length(digits) = 10 then '+1' || digits
+           when btrim(phone) not like '+%' and length(digits) = 11 and digits like '1%' then '+' || digits
+         end as phone
+  from (
+    select id, phone, regexp_replace(phone, '\D', '', 'g') as digits
+    from users
+    where phone is not null
+  ) typed
+) normalized
+where users.id = normalized.id
+  and normalized.phone is not null
+  and users.phone <> normalized.phone;
+
+-- Accounts sharing a number can't all keep it. The oldest keeps it (the account sign-in already picks);
+-- the others are set aside here with the number they had, for support to merge, and lose it on users.
+create table if not exists user_phone_duplicates (
+  user_id uuid primary key references users (id) on delete cascade,
+  phone text not null,
+  kept_user_id uuid not null references users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+insert into user_phone_duplicates (user_id, phone, kept_user_id)
+select id, phone, kept_user_id
+from (
+  select id, phone, first_value(id) over (partition by phone order by created_at, id) as kept_user_id
+  from users
+  where phone is not null
+) ranked
+where id <> kept_user_id
+on conflict (user_id) do nothing;
+
+alter table users alter column phone drop not null;
+
+update users
+set phone = null
+where id in (select user_id from user_phone_duplicates);
+
+-- A phone number signs in to exactly one account
+create unique index if not exists users_phone_key on users (phone);
+
+create table if not exists auth_otps (
+  id uuid primary key default gen_random_uuid(),
+  phone text not null,
+  code_hash text not null,
+  attempts integer not null default 0,
+  expires_at timestamptz not null,
+  consumed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists auth_otps_phone_created_at_idx on auth_otps (phone, created_at desc);
+
+create table if not exists auth_refresh_tokens (
+  id uuid primary key,
+  user_id uuid not null references users (id) on delete cascade,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists auth_refresh_tokens_user_id_idx on auth_refresh_tokens (user_id);
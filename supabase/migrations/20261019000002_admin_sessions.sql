@@ -0,0 +1,26 @@
+-- Admin accounts with hashed passwords and server-side sessions
+
+create table if not exists admins (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  name text,
+  password_hash text not null,
+  failed_login_attempts integer not null default 0,
+  locked_until timestamptz,
+  last_login_at timestamptz,
+  disabled_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists admin_sessions (
+  id uuid primary key default gen_random_uuid(),
+  token_hash text not null unique,
+  admin_id uuid not null references admins (id) on delete cascade,
+  ip_address text,
+  user_agent text,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_sessions_admin_id_idx on admin_sessions (admin_id);
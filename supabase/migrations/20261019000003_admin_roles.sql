@@ -0,0 +1,5 @@
+-- Operator roles for admin accounts (see src/config/adminRoles.js)
+
+alter table admins
+  add column if not exists role text not null default 'support'
+  check (role in ('owner', 'finance', 'support'));
@@ -0,0 +1,42 @@
+-- Append-only record of every admin action (see src/services/auditService.js)
+
+create table if not exists admin_audit_log (
+  id bigint generated always as identity primary key,
+  -- No foreign key: entries must outlive the admin account they reference
+  admin_id uuid,
+  admin_email text,
+  admin_role text,
+  action text not null,
+  entity_type text not null,
+  entity_id text,
+  before jsonb,
+  after jsonb,
+  metadata jsonb,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_at_idx on admin_audit_log (created_at desc);
+create index if not exists admin_audit_log_entity_idx on admin_audit_log (entity_type, entity_id);
+create index if not exists admin_audit_log_admin_id_idx on admin_audit_log (admin_id);
+
+-- Entries can be written but never changed or removed, even with the service role key
+create or replace function admin_audit_log_immutable()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'admin_audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists admin_audit_log_no_update on admin_audit_log;
+create trigger admin_audit_log_no_update
+  before update or delete on admin_audit_log
+  for each row execute function admin_audit_log_immutable();
+
+drop trigger if exists admin_audit_log_no_truncate on admin_audit_log;
+create trigger admin_audit_log_no_truncate
+  before truncate on admin_audit_log
+  for each statement execute function admin_audit_log_immutable();
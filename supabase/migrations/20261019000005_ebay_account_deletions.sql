@@ -0,0 +1,36 @@
+-- Links between SnapList users and the eBay accounts they act as, so deletions can be traced back
+create table if not exists ebay_accounts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null unique references users (id) on delete cascade,
+  ebay_user_id text,
+  ebay_username text,
+  eias_token text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists ebay_accounts_ebay_user_id_idx on ebay_accounts (ebay_user_id);
+create index if not exists ebay_accounts_eias_token_idx on ebay_accounts (eias_token);
+
+-- Marketplace account deletion notifications and their processing state
+create table if not exists ebay_account_deletions (
+  id uuid primary key default gen_random_uuid(),
+  ebay_user_id text not null,
+  ebay_username text,
+  deletion_date timestamptz,
+  request_body jsonb,
+  created_at timestamptz not null default now()
+);
+
+alter table ebay_account_deletions
+  add column if not exists eias_token text,
+  add column if not exists status text not null default 'pending'
+    check (status in ('pending', 'processing', 'retrying', 'completed', 'failed')),
+  add column if not exists attempts integer not null default 0,
+  add column if not exists next_attempt_at timestamptz,
+  add column if not exists last_error text,
+  add column if not exists linked_user_count integer,
+  add column if not exists result jsonb,
+  add column if not exists processed_at timestamptz;
+
+create index if not exists ebay_account_deletions_status_idx on ebay_account_deletions (status, next_attempt_at);
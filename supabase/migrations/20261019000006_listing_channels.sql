@@ -0,0 +1,39 @@
+-- One row per marketplace a listing is (or was meant to be) published on.
+-- listings.ebay_listing_id / facebook_listing_id and the *_url columns are kept as a mirror
+-- of active channels for older clients; listing_channels is the source of truth.
+
+create table if not exists listing_channels (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references listings (id) on delete cascade,
+  channel text not null,
+  external_id text,
+  external_url text,
+  status text not null default 'pending'
+    check (status in ('pending', 'active', 'failed', 'ended', 'sold')),
+  price_override numeric(10, 2),
+  last_synced_at timestamptz,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (listing_id, channel)
+);
+
+create index if not exists listing_channels_channel_external_id_idx on listing_channels (channel, external_id);
+create index if not exists listing_channels_status_idx on listing_channels (status);
+
+-- Backfill from the legacy columns
+insert into listing_channels (listing_id, channel, external_id, external_url, status, last_synced_at)
+select id, 'ebay', ebay_listing_id, ebay_url,
+  case when status in ('sold', 'ended') then status else 'active' end,
+  updated_at
+from listings
+where ebay_listing_id is not null
+on conflict (listing_id, channel) do nothing;
+
+insert into listing_channels (listing_id, channel, external_id, external_url, status, last_synced_at)
+select id, 'facebook', facebook_listing_id, facebook_url,
+  case when status in ('sold', 'ended') then status else 'active' end,
+  updated_at
+from listings
+where facebook_listing_id is not null
+on conflict (listing_id, channel) do nothing;
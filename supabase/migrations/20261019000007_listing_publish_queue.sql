@@ -0,0 +1,12 @@
+-- Publish retry queue: channels waiting to be (re)published carry their attempt count and next try time
+
+alter table listing_channels
+  add column if not exists publish_attempts integer not null default 0,
+  add column if not exists next_publish_at timestamptz;
+
+create index if not exists listing_channels_publish_queue_idx on listing_channels (status, next_publish_at);
+
+-- Failures recorded before the queue existed get a fresh set of retries
+update listing_channels
+set status = 'pending', publish_attempts = 0, next_publish_at = now()
+where status = 'failed';
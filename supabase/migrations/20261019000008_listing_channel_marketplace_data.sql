@@ -0,0 +1,5 @@
+-- Marketplace-specific identifiers for a channel beyond the listing ID
+-- (e.g. { "api": "inventory", "sku": "...", "offerId": "..." } for eBay Inventory API listings)
+
+alter table listing_channels
+  add column if not exists marketplace_data jsonb;
@@ -0,0 +1,10 @@
+-- OAuth tokens for sellers who connected their own eBay account.
+-- Tokens are encrypted by the API (AES-256-GCM, EBAY_TOKEN_ENCRYPTION_KEY) before they are stored.
+
+alter table ebay_accounts
+  add column if not exists access_token_encrypted text,
+  add column if not exists access_token_expires_at timestamptz,
+  add column if not exists refresh_token_encrypted text,
+  add column if not exists refresh_token_expires_at timestamptz,
+  add column if not exists scopes text[],
+  add column if not exists connected_at timestamptz;
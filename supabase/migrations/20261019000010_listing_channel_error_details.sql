@@ -0,0 +1,5 @@
+-- Structured detail for a channel's last_error: the marketplace's ack, errors and warnings
+-- (e.g. eBay's { code, severity, shortMessage, longMessage } entries) so users and admins can see why a call was rejected
+
+alter table listing_channels
+  add column if not exists last_error_details jsonb;
@@ -0,0 +1,7 @@
+-- eBay category and item specifics chosen by the seller. When ebay_category_id is null the
+-- category is suggested from the listing's category and title at publish time; item_specifics
+-- holds aspect values (e.g. { "Model": "EOS Rebel T7" }) beyond the brand, size and color columns
+
+alter table listings
+  add column if not exists ebay_category_id text,
+  add column if not exists item_specifics jsonb;
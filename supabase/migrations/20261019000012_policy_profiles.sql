@@ -0,0 +1,48 @@
+-- Seller-level shipping and return policy profiles. A listing uses the profiles it names,
+-- otherwise the seller's default profile, otherwise the built-in defaults (flat $10 USPS Priority,
+-- 30-day returns paid by the buyer). Each marketplace client translates them into its own payload.
+
+create table if not exists shipping_profiles (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  name text not null,
+  type text not null
+    check (type in ('flat', 'calculated', 'free', 'local_pickup')),
+  -- Carrier service code, e.g. USPSPriority or UPSGround (not used for local pickup)
+  service text,
+  -- What the buyer pays, for flat shipping
+  cost numeric(10, 2),
+  handling_days int not null default 3 check (handling_days between 0 and 30),
+  -- Package used to calculate the rate, for calculated shipping
+  weight_oz numeric(8, 2),
+  length_in numeric(6, 2),
+  width_in numeric(6, 2),
+  height_in numeric(6, 2),
+  -- Where the item ships from, or where it is picked up
+  postal_code text,
+  is_default boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists shipping_profiles_user_id_idx on shipping_profiles (user_id);
+create unique index if not exists shipping_profiles_one_default_idx on shipping_profiles (user_id) where is_default;
+
+create table if not exists return_profiles (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  name text not null,
+  returns_accepted boolean not null default true,
+  return_days int check (return_days in (14, 30, 60)),
+  return_shipping_paid_by text check (return_shipping_paid_by in ('buyer', 'seller')),
+  is_default boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists return_profiles_user_id_idx on return_profiles (user_id);
+create unique index if not exists return_profiles_one_default_idx on return_profiles (user_id) where is_default;
+
+alter table listings
+  add column if not exists shipping_profile_id uuid references shipping_profiles (id) on delete set null,
+  add column if not exists return_profile_id uuid references return_profiles (id) on delete set null;
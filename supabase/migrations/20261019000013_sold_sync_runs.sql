@@ -0,0 +1,18 @@
+-- One row per background sold-status sweep (see src/services/soldSyncService.js)
+create table if not exists sold_sync_runs (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'running'
+    check (status in ('running', 'completed', 'failed')),
+  listings_checked integer not null default 0,
+  marketplace_checks integer not null default 0,
+  failed_checks integer not null default 0,
+  sold_count integer not null default 0,
+  error text,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists sold_sync_runs_started_at_idx on sold_sync_runs (started_at desc);
+
+-- The sweep pages through active listings by ID
+create index if not exists listings_status_id_idx on listings (status, id);
@@ -0,0 +1,35 @@
+-- When a listing sells on one marketplace its other channels move to 'ending' until the marketplace
+-- confirms the end (see src/services/delistService.js)
+
+alter table listing_channels drop constraint if exists listing_channels_status_check;
+
+alter table listing_channels
+  add constraint listing_channels_status_check
+    check (status in ('pending', 'active', 'failed', 'ending', 'ended', 'sold'));
+
+alter table listing_channels
+  add column if not exists delist_attempts integer not null default 0,
+  add column if not exists next_delist_at timestamptz;
+
+create index if not exists listing_channels_delist_queue_idx on listing_channels (status, next_delist_at);
+
+-- The marketplace the listing sold on first; a sale reported by any other is an oversell
+alter table listings
+  add column if not exists sold_channel text;
+
+create table if not exists oversell_incidents (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references listings (id) on delete cascade,
+  user_id uuid not null references users (id) on delete cascade,
+  first_channel text not null,
+  second_channel text not null,
+  status text not null default 'open'
+    check (status in ('open', 'resolved')),
+  resolution_notes text,
+  resolved_by uuid references admins (id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (listing_id, second_channel)
+);
+
+create index if not exists oversell_incidents_status_idx on oversell_incidents (status, created_at desc);
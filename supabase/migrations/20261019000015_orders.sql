@@ -0,0 +1,35 @@
+-- Orders pulled from the marketplace a listing sold on (see src/services/orderService.js)
+create table if not exists orders (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid references listings (id) on delete set null,
+  user_id uuid not null references users (id) on delete cascade,
+  channel text not null,
+  external_order_id text not null,
+  buyer_name text,
+  buyer_username text,
+  buyer_email text,
+  shipping_address jsonb,
+  sale_price numeric(10, 2) not null,
+  shipping_paid numeric(10, 2) not null default 0,
+  marketplace_fees numeric(10, 2),
+  currency text not null default 'USD',
+  fulfillment_status text not null default 'unfulfilled'
+    check (fulfillment_status in ('unfulfilled', 'shipped', 'delivered', 'cancelled')),
+  ordered_at timestamptz,
+  shipped_at timestamptz,
+  last_synced_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (channel, external_order_id)
+);
+
+create index if not exists orders_user_id_idx on orders (user_id, created_at desc);
+create index if not exists orders_listing_id_idx on orders (listing_id);
+
+-- When the listing sold, so the order sync only looks back as far as it needs to
+alter table listings
+  add column if not exists sold_at timestamptz;
+
+-- The order a profit was paid out from; its amount becomes the order's sale price
+alter table profits
+  add column if not exists order_id uuid references orders (id) on delete set null;
@@ -0,0 +1,16 @@
+-- Tracking for orders the seller has shipped (see src/services/shipmentService.js)
+alter table orders
+  add column if not exists carrier text,
+  add column if not exists tracking_number text,
+  add column if not exists shipment_status text
+    check (shipment_status in ('pre_transit', 'in_transit', 'out_for_delivery', 'delivered', 'exception')),
+  add column if not exists shipment_checked_at timestamptz,
+  add column if not exists delivered_at timestamptz,
+  -- When the marketplace accepted the tracking number; null while it still has to be pushed
+  add column if not exists tracking_pushed_at timestamptz,
+  add column if not exists tracking_push_error text,
+  -- Marketplace order details some adapters need to act on the order later (e.g. Facebook item IDs)
+  add column if not exists marketplace_data jsonb;
+
+create index if not exists orders_in_transit_idx on orders (shipped_at)
+  where fulfillment_status = 'shipped';
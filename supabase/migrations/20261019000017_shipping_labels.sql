@@ -0,0 +1,17 @@
+-- Shipping labels bought through a label provider (see src/services/labelService.js)
+alter table orders
+  -- 'purchasing' while a purchase is in flight, so a double submit can't buy two labels
+  add column if not exists label_status text
+    check (label_status in ('purchasing', 'purchased')),
+  add column if not exists label_provider text,
+  add column if not exists label_id text,
+  add column if not exists label_service text,
+  add column if not exists label_cost numeric(10, 2),
+  -- Path of the label PDF in the shipping-labels bucket
+  add column if not exists label_path text,
+  add column if not exists label_purchased_at timestamptz;
+
+-- Labels carry the buyer's address, so the bucket is private; the API hands out signed URLs
+insert into storage.buckets (id, name, public)
+values ('shipping-labels', 'shipping-labels', false)
+on conflict (id) do nothing;
@@ -0,0 +1,34 @@
+-- Money given back to a buyer on an order, with or without the item coming back (see src/services/refundService.js)
+create table if not exists order_refunds (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references orders (id) on delete cascade,
+  user_id uuid not null references users (id) on delete cascade,
+  -- What the buyer got back
+  amount numeric(10, 2) not null check (amount > 0),
+  -- What was taken from the seller's balance for it
+  seller_charge numeric(10, 2) not null check (seller_charge >= 0),
+  item_returned boolean not null default false,
+  reason text not null,
+  source text not null default 'admin' check (source in ('admin', 'marketplace')),
+  external_refund_id text,
+  recorded_by uuid references admins (id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (order_id, external_refund_id)
+);
+
+create index if not exists order_refunds_order_id_idx on order_refunds (order_id);
+create index if not exists order_refunds_created_at_idx on order_refunds (created_at desc);
+
+-- Changes to a seller's balance outside of profits and payouts; negative amounts are taken back,
+-- and may leave the balance below zero until later sales cover it
+create table if not exists balance_adjustments (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  amount numeric(10, 2) not null check (amount <> 0),
+  reason text not null,
+  refund_id uuid references order_refunds (id) on delete set null,
+  created_by uuid references admins (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists balance_adjustments_user_id_idx on balance_adjustments (user_id, created_at desc);
@@ -0,0 +1,59 @@
+-- Double-entry ledger behind seller balances (see src/services/ledgerService.js).
+-- Each entry moves an amount from one account to another, so every row balances on its own:
+--   sale             marketplace_clearing -> seller_pending     what the buyer paid for the item
+--   marketplace_fee  seller_pending -> marketplace_fees         kept by the marketplace
+--   commission       seller_pending -> snaplist_commission      kept by SnapList
+--   shipping         seller_pending -> shipping_costs           postage paid for the seller
+--   release          seller_pending -> seller_available         a completed sale's net proceeds
+--   payout           seller_available -> payouts                a payout request
+--   adjustment       adjustments -> seller_available            corrections and refund charges
+-- Corrections post the difference in the opposite direction; nothing is ever edited.
+-- A seller's balance in an account is what was credited to it minus what was debited from it.
+create table if not exists ledger_entries (
+  id uuid primary key default gen_random_uuid(),
+  -- No foreign keys: entries must outlive the seller, sale and payout they record
+  user_id uuid not null,
+  entry_type text not null check (entry_type in (
+    'sale', 'marketplace_fee', 'commission', 'shipping', 'release', 'payout', 'adjustment'
+  )),
+  debit_account text not null,
+  credit_account text not null,
+  amount numeric(12, 2) not null check (amount > 0),
+  -- The marketplace a sale's entries came from
+  channel text,
+  profit_id uuid,
+  payout_request_id uuid,
+  balance_adjustment_id uuid,
+  memo text,
+  -- When the sale, payout or adjustment happened; created_at is when it was posted
+  occurred_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  check (debit_account <> credit_account)
+);
+
+create index if not exists ledger_entries_user_id_idx on ledger_entries (user_id, occurred_at);
+create index if not exists ledger_entries_profit_id_idx on ledger_entries (profit_id) where profit_id is not null;
+create index if not exists ledger_entries_payout_request_id_idx on ledger_entries (payout_request_id) where payout_request_id is not null;
+create index if not exists ledger_entries_balance_adjustment_id_idx on ledger_entries (balance_adjustment_id) where balance_adjustment_id is not null;
+
+create or replace function ledger_entries_immutable()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'ledger_entries is append-only';
+end;
+$$;
+
+drop trigger if exists ledger_entries_no_update on ledger_entries;
+create trigger ledger_entries_no_update
+  before update or delete on ledger_entries
+  for each row execute function ledger_entries_immutable();
+
+drop trigger if exists ledger_entries_no_truncate on ledger_entries;
+create trigger ledger_entries_no_truncate
+  before truncate on ledger_entries
+  for each statement execute function ledger_entries_immutable();
+
+-- Existing profits, payout requests and balance adjustments are posted by the one-off backfill:
+--   node src/utils/backfill-ledger.js
@@ -0,0 +1,12 @@
+-- SnapList's commission and the marketplace's fee, worked out when an item sells (see src/services/feeService.js)
+alter table profits
+  add column if not exists commission numeric(10, 2) not null default 0,
+  -- The rate the commission was charged at, kept so later order updates use the same one
+  add column if not exists commission_rate numeric(6, 4),
+  -- Whether fees is our estimate from the marketplace's fee schedule rather than what the order reported
+  add column if not exists fees_estimated boolean not null default false;
+
+-- A seller's own commission rate, e.g. for a promotion; the configured rate applies when it's null or has ended
+alter table users
+  add column if not exists commission_rate numeric(6, 4) check (commission_rate >= 0 and commission_rate <= 1),
+  add column if not exists commission_rate_until timestamptz;
@@ -0,0 +1,63 @@
+-- Post whatever it takes for a record's ledger entries to add up to the given totals
+-- (called by postDifferences in src/services/ledgerService.js).
+-- The sold sweep, order sync, label purchases and admin edits can all sync the same profit at once.
+-- Reading what's posted and inserting the difference happen under a lock on the record, so two syncs
+-- can't both post the same difference.
+--   source_column  profit_id, payout_request_id or balance_adjustment_id
+--   targets        [{ entry_type, debit_account, credit_account, total, occurred_at }]
+--   fields         { user_id, channel, memo } for new entries
+create or replace function post_ledger_differences(
+  source_column text,
+  source_id uuid,
+  targets jsonb,
+  fields jsonb
+)
+returns setof ledger_entries
+language plpgsql
+as $$
+declare
+  target jsonb;
+  posted numeric;
+  difference numeric;
+begin
+  if source_column not in ('profit_id', 'payout_request_id', 'balance_adjustment_id') then
+    raise exception 'Unknown ledger source %', source_column;
+  end if;
+
+  -- Held until the transaction ends, so the insert below is committed before the next sync reads
+  perform pg_advisory_xact_lock(hashtextextended(source_column || ':' || source_id::text, 0));
+
+  for target in select value from jsonb_array_elements(targets) loop
+    execute format(
+      'select coalesce(sum(case when debit_account = $2 then amount else -amount end), 0)
+         from ledger_entries
+        where %I = $1 and entry_type = $3',
+      source_column
+    )
+    into posted
+    using source_id, target->>'debit_account', target->>'entry_type';
+
+    difference := round((target->>'total')::numeric - posted, 2);
+    continue when difference = 0;
+
+    -- A negative difference is a correction, posted in the opposite direction
+    return query execute format(
+      'insert into ledger_entries
+         (user_id, entry_type, debit_account, credit_account, amount, channel, memo, occurred_at, %I)
+       values ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       returning *',
+      source_column
+    )
+    using
+      (fields->>'user_id')::uuid,
+      target->>'entry_type',
+      case when difference > 0 then target->>'debit_account' else target->>'credit_account' end,
+      case when difference > 0 then target->>'credit_account' else target->>'debit_account' end,
+      abs(difference),
+      fields->>'channel',
+      fields->>'memo',
+      coalesce((target->>'occurred_at')::timestamptz, now()),
+      source_id;
+  end loop;
+end;
+$$;
@@ -0,0 +1,46 @@
+-- Charge a label's postage (orders.label_cost) to the sale's profit exactly once
+-- (see chargeLabelToProfit in src/services/labelService.js).
+-- A label can be bought before order sync links the profit to the order, so both the purchase and
+-- the link call this; whichever finds the profit linked charges it.
+alter table orders
+  -- When label_cost was added to the profit's shipping_cost; null until a linked profit is charged
+  add column if not exists label_charged_at timestamptz;
+
+-- Labels bought before this migration were charged at purchase if their profit was already linked
+update orders
+   set label_charged_at = label_purchased_at
+ where label_status = 'purchased'
+   and label_charged_at is null
+   and exists (
+     select 1 from profits
+      where profits.order_id = orders.id
+        and profits.shipping_cost >= orders.label_cost
+   );
+
+create or replace function charge_label_to_profit(label_order_id uuid)
+returns setof profits
+language plpgsql
+as $$
+declare
+  label_order orders%rowtype;
+begin
+  -- Lock the order so a purchase and an order sync can't both charge it
+  select * into label_order from orders where id = label_order_id for update;
+
+  if label_order.label_cost is null or label_order.label_charged_at is not null then
+    return;
+  end if;
+
+  -- Added in the update itself, so concurrent changes to the profit aren't overwritten
+  return query
+    update profits
+       set shipping_cost = coalesce(shipping_cost, 0) + label_order.label_cost,
+           updated_at = now()
+     where order_id = label_order_id
+    returning *;
+
+  if found then
+    update orders set label_charged_at = now() where id = label_order_id;
+  end if;
+end;
+$$;
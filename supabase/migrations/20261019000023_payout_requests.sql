@@ -0,0 +1,50 @@
+-- Create a payout request and take it off the seller's available balance in one step
+-- (called by createPayoutRequest in src/services/payoutService.js).
+-- The balance check, the request and its ledger entry happen under a lock on the seller,
+-- so two requests sent at once can't both be checked against the same balance.
+-- Returns { status: 'created' | 'below_minimum' | 'insufficient', available, payout }, where
+-- available is the balance before the request.
+create or replace function request_payout(
+  payout_user_id uuid,
+  payout_amount numeric,
+  payout_phone text,
+  minimum_balance numeric
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  available numeric;
+  payout payout_requests%rowtype;
+begin
+  -- Held until the transaction ends, so the next request reads the balance with this one taken off
+  perform pg_advisory_xact_lock(hashtextextended('payout:' || payout_user_id::text, 0));
+
+  select coalesce(sum(case
+           when credit_account = 'seller_available' then amount
+           when debit_account = 'seller_available' then -amount
+           else 0
+         end), 0)
+    into available
+    from ledger_entries
+   where user_id = payout_user_id;
+
+  if available < minimum_balance then
+    return jsonb_build_object('status', 'below_minimum', 'available', available);
+  end if;
+
+  if available < payout_amount then
+    return jsonb_build_object('status', 'insufficient', 'available', available);
+  end if;
+
+  insert into payout_requests (user_id, amount, phone, status)
+  values (payout_user_id, payout_amount, payout_phone, 'pending')
+  returning * into payout;
+
+  -- The entry syncPayout would post for a pending request
+  insert into ledger_entries (user_id, entry_type, debit_account, credit_account, amount, payout_request_id)
+  values (payout_user_id, 'payout', 'seller_available', 'payouts', payout_amount, payout.id);
+
+  return jsonb_build_object('status', 'created', 'available', available, 'payout', to_jsonb(payout));
+end;
+$$;
@@ -0,0 +1,6 @@
+-- A publish run's claim on a channel, kept apart from next_publish_at so a republish can tell a
+-- channel being published (lease still running) from one only waiting out its retry backoff
+-- (see claimForPublish in src/services/publishQueueService.js)
+
+alter table listing_channels
+  add column if not exists publish_lease_until timestamptz;
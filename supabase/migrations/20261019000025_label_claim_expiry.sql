@@ -0,0 +1,6 @@
+-- A label purchase claims its order until label_claimed_until; a purchase that crashed before
+-- recording its label stops blocking the order once the claim runs out
+-- (see purchaseLabel in src/services/labelService.js)
+
+alter table orders
+  add column if not exists label_claimed_until timestamptz;
@@ -0,0 +1,11 @@
+-- One row per eBay consent flow started. The flow's signed state carries the nonce, and the callback
+-- marks it used, so a state can complete only one connection (see src/services/ebayAccountService.js)
+create table if not exists ebay_connect_states (
+  nonce text primary key,
+  user_id uuid not null references users (id) on delete cascade,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ebay_connect_states_expires_at_idx on ebay_connect_states (expires_at);
@@ -0,0 +1,538 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  createChannel,
+  signInAdmin
+} = require('./helpers/testApp');
+const { hashPassword } = require('../src/services/adminAuthService');
+const ledgerService = require('../src/services/ledgerService');
+
+const PASSWORD = 'correct horse battery staple';
+
+describe('admin routes', () => {
+  let api;
+  let user;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    user = createUser({ name: 'Dana Seller' });
+  });
+
+  const auditActions = () => db.rows('admin_audit_log').map(entry => entry.action);
+
+  describe('authentication', () => {
+    let admin;
+
+    beforeEach(async () => {
+      admin = db.seed('admins', {
+        email: 'ops@snaplist.test',
+        name: 'Ops',
+        role: 'owner',
+        password_hash: await hashPassword(PASSWORD),
+        failed_login_attempts: 0
+      });
+    });
+
+    it('signs in with an HttpOnly session cookie', async () => {
+      const response = await api.request('POST', '/api/admin/auth/login', {
+        body: { email: 'OPS@snaplist.test', password: PASSWORD }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.admin.id, admin.id);
+      assert.equal(response.body.admin.password_hash, undefined);
+      assert.match(response.headers.get('set-cookie'), /^snaplist_admin_session=\w+;.*HttpOnly/);
+      assert.deepEqual(auditActions(), ['admin.login']);
+    });
+
+    it('rejects wrong passwords', async () => {
+      const response = await api.request('POST', '/api/admin/auth/login', {
+        body: { email: 'ops@snaplist.test', password: 'wrong password!' }
+      });
+
+      assert.equal(response.status, 401);
+      assert.equal(db.rows('admins')[0].failed_login_attempts, 1);
+    });
+
+    it('locks the account after five failed attempts', async () => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await api.request('POST', '/api/admin/auth/login', {
+          body: { email: 'ops@snaplist.test', password: 'wrong password!' }
+        });
+      }
+
+      const response = await api.request('POST', '/api/admin/auth/login', {
+        body: { email: 'ops@snaplist.test', password: PASSWORD }
+      });
+
+      assert.equal(response.status, 429);
+    });
+
+    it('requires an email and password', async () => {
+      const response = await api.request('POST', '/api/admin/auth/login', { body: { email: 'ops@snaplist.test' } });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('reports the session and ends it on logout', async () => {
+      const login = await api.request('POST', '/api/admin/auth/login', {
+        body: { email: 'ops@snaplist.test', password: PASSWORD }
+      });
+      const cookie = login.headers.get('set-cookie').split(';')[0];
+
+      const check = await api.request('GET', '/api/admin/auth/check', { cookie });
+      assert.equal(check.body.authenticated, true);
+      assert.equal(check.body.admin.email, 'ops@snaplist.test');
+
+      const logout = await api.request('POST', '/api/admin/auth/logout', { cookie });
+      assert.equal(logout.status, 200);
+
+      const afterLogout = await api.request('GET', '/api/admin/auth/check', { cookie });
+      assert.equal(afterLogout.body.authenticated, false);
+      assert.ok(auditActions().includes('admin.logout'));
+    });
+
+    it('requires a session for everything else', async () => {
+      const response = await api.request('GET', '/api/admin/stats');
+
+      assert.equal(response.status, 401);
+    });
+  });
+
+  describe('role permissions', () => {
+    it('lets finance view stats but not delete users', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      assert.equal((await api.request('GET', '/api/admin/stats', { cookie })).status, 200);
+      assert.equal((await api.request('DELETE', `/api/admin/users/${user.id}`, { cookie })).status, 403);
+      assert.equal(db.rows('users').length, 1);
+    });
+
+    it('limits support to support chats', async () => {
+      const { cookie } = await signInAdmin(api, 'support');
+
+      assert.equal((await api.request('GET', '/api/admin/support-chats', { cookie })).status, 200);
+      assert.equal((await api.request('GET', '/api/admin/payouts', { cookie })).status, 403);
+      assert.equal((await api.request('GET', '/api/admin/audit', { cookie })).status, 403);
+    });
+  });
+
+  describe('dashboard, users and listings', () => {
+    let cookie;
+
+    beforeEach(async () => {
+      ({ cookie } = await signInAdmin(api));
+    });
+
+    it('GET /stats totals sales from the ledger and counts', async () => {
+      createListing(user);
+      const sold = createListing(user, { status: 'sold' });
+      db.seed('profits', [
+        { listing_id: sold.id, user_id: user.id, amount: 100, fees: 13.65, commission: 2.5, shipping_cost: 8, platform: 'ebay', status: 'completed' },
+        { listing_id: sold.id, user_id: user.id, amount: 50.5, fees: 5.05, commission: 1.26, platform: 'facebook', status: 'pending' }
+      ]);
+      await ledgerService.backfillLedger();
+
+      const response = await api.request('GET', '/api/admin/stats', { cookie });
+
+      assert.deepEqual(response.body.stats, {
+        totalRevenue: 150.5,
+        marketplaceFees: 18.7,
+        totalProfit: 3.76,
+        shippingCosts: 8,
+        sellerNet: 120.04,
+        commissionRate: 0.025,
+        userCount: 1,
+        activeListingCount: 1,
+        soldCount: 1
+      });
+    });
+
+    it('GET /users searches by name or phone', async () => {
+      createUser({ name: 'Someone Else' });
+
+      const response = await api.request('GET', '/api/admin/users?search=dana', { cookie });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.count, 1);
+      assert.equal(response.body.users[0].id, user.id);
+    });
+
+    it('GET /users counts each user\'s active and sold listings', async () => {
+      const other = createUser({ name: 'Someone Else' });
+      createListing(user);
+      createListing(user);
+      createListing(user, { status: 'sold' });
+      createListing(user, { status: 'ended' });
+      createListing(other, { status: 'sold' });
+
+      const response = await api.request('GET', '/api/admin/users', { cookie });
+
+      const counts = Object.fromEntries(response.body.users.map(entry =>
+        [entry.id, [entry.active_listings_count, entry.sold_items_count]]));
+      assert.deepEqual(counts, { [user.id]: [2, 1], [other.id]: [0, 1] });
+    });
+
+    it('GET /users/:id returns a user or 404', async () => {
+      const found = await api.request('GET', `/api/admin/users/${user.id}`, { cookie });
+      const missing = await api.request('GET', '/api/admin/users/00000000-0000-4000-8000-000000000000', { cookie });
+
+      assert.equal(found.body.user.name, 'Dana Seller');
+      assert.equal(missing.status, 404);
+    });
+
+    it('DELETE /users/:id deletes and audits the user', async () => {
+      const response = await api.request('DELETE', `/api/admin/users/${user.id}`, { cookie });
+
+      assert.equal(response.status, 200);
+      assert.equal(db.rows('users').length, 0);
+      const entry = db.rows('admin_audit_log').find(row => row.action === 'user.delete');
+      assert.equal(entry.before.name, 'Dana Seller');
+    });
+
+    it('GET /listings filters, searches and names the seller', async () => {
+      createListing(user, { title: 'Vintage Leica M3', price: 900 });
+      createListing(user, { title: 'Canon AE-1', price: 120 });
+      createListing(user, { title: 'Leica lens cap', price: 15, status: 'sold' });
+
+      const response = await api.request('GET', '/api/admin/listings?search=leica&status=active&min_price=100', { cookie });
+
+      assert.equal(response.body.count, 1);
+      assert.equal(response.body.listings[0].title, 'Vintage Leica M3');
+      assert.equal(response.body.listings[0].user_name, 'Dana Seller');
+    });
+
+    it('GET /listings/:id includes the seller and channels', async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+
+      const response = await api.request('GET', `/api/admin/listings/${listing.id}`, { cookie });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.listing.users.phone, user.phone);
+      assert.equal(response.body.listing.channels[0].channel, 'ebay');
+    });
+
+    it('PUT /listings/:id updates and audits the listing', async () => {
+      const listing = createListing(user);
+
+      const response = await api.request('PUT', `/api/admin/listings/${listing.id}`, {
+        cookie,
+        body: { title: 'Canon EOS Rebel T7 (kit)', price: 280 }
+      });
+
+      assert.equal(response.body.listing.title, 'Canon EOS Rebel T7 (kit)');
+      const entry = db.rows('admin_audit_log').find(row => row.action === 'listing.update');
+      assert.equal(entry.before.price, 300);
+      assert.equal(entry.after.price, 280);
+    });
+
+    it('PUT /listings/:id/status validates the status', async () => {
+      const listing = createListing(user);
+
+      const invalid = await api.request('PUT', `/api/admin/listings/${listing.id}/status`, { cookie, body: { status: 'deleted' } });
+      const valid = await api.request('PUT', `/api/admin/listings/${listing.id}/status`, { cookie, body: { status: 'ended' } });
+
+      assert.equal(invalid.status, 400);
+      assert.equal(valid.status, 200);
+      assert.equal(db.rows('listings')[0].status, 'ended');
+      assert.ok(auditActions().includes('listing.status_change'));
+    });
+  });
+
+  describe('payouts', () => {
+    let cookie;
+
+    beforeEach(async () => {
+      ({ cookie } = await signInAdmin(api, 'finance'));
+    });
+
+    const createPayout = (fields = {}) => db.seed('payout_requests', {
+      user_id: user.id,
+      amount: 100,
+      phone: user.phone,
+      status: 'pending',
+      ...fields
+    });
+
+    it('GET /payouts/stats summarizes pending and monthly payouts', async () => {
+      createPayout({ amount: 80 });
+      createPayout({ amount: 40 });
+      createPayout({
+        amount: 60,
+        status: 'completed',
+        created_at: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
+        completed_at: new Date().toISOString()
+      });
+
+      const response = await api.request('GET', '/api/admin/payouts/stats', { cookie });
+
+      assert.equal(response.body.pendingAmount, 120);
+      assert.equal(response.body.pendingCount, 2);
+    });
+
+    it('GET /payouts lists payouts with the seller name', async () => {
+      createPayout();
+      createPayout({ status: 'completed' });
+
+      const response = await api.request('GET', '/api/admin/payouts?status=pending', { cookie });
+
+      assert.equal(response.body.count, 1);
+      assert.equal(response.body.payouts[0].user_name, 'Dana Seller');
+    });
+
+    it('GET /payouts/:id returns a payout or 404', async () => {
+      const payout = createPayout();
+
+      const found = await api.request('GET', `/api/admin/payouts/${payout.id}`, { cookie });
+      const missing = await api.request('GET', '/api/admin/payouts/00000000-0000-4000-8000-000000000000', { cookie });
+
+      assert.equal(found.body.payout.amount, 100);
+      assert.equal(missing.status, 404);
+    });
+
+    it('GET /payouts/:id/items lists items sold before the payout', async () => {
+      createListing(user, { title: 'Sold earlier', status: 'sold', updated_at: '2026-09-01T00:00:00.000Z' });
+      createListing(user, { title: 'Sold later', status: 'sold', updated_at: '2026-10-15T00:00:00.000Z' });
+      const payout = createPayout({ created_at: '2026-10-01T00:00:00.000Z' });
+
+      const response = await api.request('GET', `/api/admin/payouts/${payout.id}/items`, { cookie });
+
+      assert.deepEqual(response.body.items.map(item => item.title), ['Sold earlier']);
+    });
+
+    it('POST /payouts/:id/process completes a pending payout', async () => {
+      const payout = createPayout();
+
+      const response = await api.request('POST', `/api/admin/payouts/${payout.id}/process`, { cookie });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.payout.status, 'completed');
+      assert.ok(auditActions().includes('payout.process'));
+    });
+
+    it('POST /payouts/:id/process refuses payouts that are not pending', async () => {
+      const payout = createPayout({ status: 'rejected' });
+
+      const response = await api.request('POST', `/api/admin/payouts/${payout.id}/process`, { cookie });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, "Cannot process payout with status 'rejected'");
+    });
+
+    it('POST /payouts/:id/process returns 404 for unknown payouts', async () => {
+      const response = await api.request('POST', '/api/admin/payouts/00000000-0000-4000-8000-000000000000/process', { cookie });
+
+      assert.equal(response.status, 404);
+    });
+
+    it('POST /process-payout/:id completes a payout', async () => {
+      const payout = createPayout();
+
+      const response = await api.request('POST', `/api/admin/process-payout/${payout.id}`, { cookie });
+
+      assert.equal(response.body.payout.status, 'completed');
+    });
+
+    it('POST /payouts/process-all completes and audits every pending payout', async () => {
+      createPayout();
+      createPayout({ amount: 55 });
+      createPayout({ status: 'rejected' });
+
+      const response = await api.request('POST', '/api/admin/payouts/process-all', { cookie });
+
+      assert.equal(response.body.processed_count, 2);
+      const entries = db.rows('admin_audit_log').filter(entry => entry.action === 'payout.process');
+      assert.equal(entries.length, 2);
+      assert.deepEqual(entries[0].metadata, { bulk: true, processed_count: 2 });
+    });
+
+    it('POST /payouts/process-all handles an empty queue', async () => {
+      const response = await api.request('POST', '/api/admin/payouts/process-all', { cookie });
+
+      assert.equal(response.body.processed_count, 0);
+      assert.equal(response.body.message, 'No pending payouts to process');
+    });
+  });
+
+  describe('support chats', () => {
+    const conversationId = '3f1c2a9e-8d4b-4c7a-9e2f-1b5d6c7e8f90';
+    let cookie;
+    let chat;
+
+    beforeEach(async () => {
+      ({ cookie } = await signInAdmin(api, 'support'));
+      chat = db.seed('support_chats', {
+        user_id: user.id,
+        conversation_id: conversationId,
+        message: 'Where is my payout?',
+        ai_response: 'Payouts take 24-48 hours.',
+        status: 'escalated',
+        hide_ai_response: false
+      });
+      db.seed('support_chats', {
+        user_id: user.id,
+        conversation_id: conversationId,
+        message: 'It has been a week.',
+        status: 'escalated',
+        hide_ai_response: false
+      });
+    });
+
+    it('GET /support-chats uses the conversation function when available', async () => {
+      db.functions.get_latest_conversations_by_status = ({ status_param }) =>
+        db.rows('support_chats').filter(row => row.status === status_param).slice(-1);
+
+      const response = await api.request('GET', '/api/admin/support-chats?status=escalated', { cookie });
+
+      assert.equal(response.body.chats.length, 1);
+      assert.equal(response.body.chats[0].message, 'It has been a week.');
+    });
+
+    it('GET /support-chats falls back to the table', async () => {
+      const response = await api.request('GET', '/api/admin/support-chats', { cookie });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.count, 2);
+      assert.equal(response.body.chats[0].users.name, 'Dana Seller');
+    });
+
+    it('GET /support-chats/:id returns one message', async () => {
+      const response = await api.request('GET', `/api/admin/support-chats/${chat.id}`, { cookie });
+
+      assert.equal(response.body.chat.message, 'Where is my payout?');
+    });
+
+    it("GET /support-chats/user/:userId lists the user's messages", async () => {
+      const response = await api.request('GET', `/api/admin/support-chats/user/${user.id}`, { cookie });
+
+      assert.equal(response.body.chats.length, 2);
+    });
+
+    it('GET /support-chats/conversation/:conversationId returns the thread in order', async () => {
+      const response = await api.request('GET', `/api/admin/support-chats/conversation/${conversationId}`, { cookie });
+
+      assert.deepEqual(response.body.messages.map(message => message.message), ['Where is my payout?', 'It has been a week.']);
+    });
+
+    it('GET /support-chats/conversation/:conversationId validates and finds the conversation', async () => {
+      const invalid = await api.request('GET', '/api/admin/support-chats/conversation/not-a-uuid', { cookie });
+      const missing = await api.request('GET', '/api/admin/support-chats/conversation/00000000-0000-4000-8000-000000000000', { cookie });
+
+      assert.equal(invalid.status, 400);
+      assert.equal(missing.status, 404);
+    });
+
+    it('POST /support-chats/:id/respond records the reply', async () => {
+      const response = await api.request('POST', `/api/admin/support-chats/${chat.id}/respond`, {
+        cookie,
+        body: { response: 'Sent it just now, sorry for the wait!' }
+      });
+
+      assert.equal(response.body.chat.status, 'responded');
+      assert.equal(response.body.chat.admin_response, 'Sent it just now, sorry for the wait!');
+      assert.ok(auditActions().includes('support_chat.respond'));
+    });
+
+    it('POST /support-chats/:id/respond requires a response', async () => {
+      const response = await api.request('POST', `/api/admin/support-chats/${chat.id}/respond`, { cookie, body: {} });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('PUT /support-chats/:id/toggle-ai hides AI replies across the conversation', async () => {
+      const response = await api.request('PUT', `/api/admin/support-chats/${chat.id}/toggle-ai`, { cookie });
+
+      assert.equal(response.body.message, 'AI response hidden');
+      assert.ok(db.rows('support_chats').every(row => row.hide_ai_response === true));
+      const entry = db.rows('admin_audit_log').find(row => row.action === 'support_chat.toggle_ai');
+      assert.deepEqual(entry.metadata, { updated_count: 2 });
+    });
+
+    it('PUT /support-chats/:id/status validates the status', async () => {
+      const invalid = await api.request('PUT', `/api/admin/support-chats/${chat.id}/status`, { cookie, body: { status: 'closed' } });
+      const valid = await api.request('PUT', `/api/admin/support-chats/${chat.id}/status`, { cookie, body: { status: 'resolved' } });
+
+      assert.equal(invalid.status, 400);
+      assert.equal(valid.body.chat.status, 'resolved');
+    });
+  });
+
+  describe('eBay account deletions', () => {
+    let cookie;
+
+    beforeEach(async () => {
+      ({ cookie } = await signInAdmin(api));
+    });
+
+    it('GET /ebay-deletions summarizes deletions by status', async () => {
+      db.seed('ebay_account_deletions', [
+        { ebay_user_id: 'buyer1', status: 'completed', attempts: 1 },
+        { ebay_user_id: 'buyer2', status: 'failed', attempts: 5 }
+      ]);
+
+      const response = await api.request('GET', '/api/admin/ebay-deletions', { cookie });
+
+      assert.equal(response.body.count, 2);
+      assert.equal(response.body.summary.completed, 1);
+      assert.equal(response.body.summary.failed, 1);
+    });
+
+    it('POST /ebay-deletions/:id/retry purges the linked seller', async () => {
+      const listing = createListing(user, { ebay_listing_id: 'ebay-1', ebay_url: 'https://ebay.test/1' });
+      createChannel(listing, 'ebay');
+      createChannel(listing, 'facebook');
+      db.seed('ebay_accounts', { user_id: user.id, ebay_user_id: 'seller-on-ebay' });
+      const deletion = db.seed('ebay_account_deletions', {
+        ebay_user_id: 'seller-on-ebay',
+        status: 'failed',
+        attempts: 5,
+        last_error: 'Failed to look up linked users: timeout'
+      });
+
+      const response = await api.request('POST', `/api/admin/ebay-deletions/${deletion.id}/retry`, { cookie });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.deletion.status, 'completed');
+      assert.deepEqual(db.rows('listing_channels').map(channel => channel.channel), ['facebook']);
+      assert.equal(db.rows('listings')[0].ebay_listing_id, null);
+      assert.equal(db.rows('ebay_accounts').length, 0);
+      assert.ok(auditActions().includes('ebay_deletion.retry'));
+    });
+
+    it('POST /ebay-deletions/:id/retry only retries failed or retrying deletions', async () => {
+      const deletion = db.seed('ebay_account_deletions', { ebay_user_id: 'buyer1', status: 'completed', attempts: 1 });
+
+      const response = await api.request('POST', `/api/admin/ebay-deletions/${deletion.id}/retry`, { cookie });
+
+      assert.equal(response.status, 400);
+      assert.ok(!auditActions().includes('ebay_deletion.retry'));
+    });
+  });
+
+  describe('GET /audit', () => {
+    it('filters the audit log', async () => {
+      const { cookie, admin } = await signInAdmin(api);
+      await api.request('DELETE', `/api/admin/users/${user.id}`, { cookie });
+
+      const response = await api.request('GET', `/api/admin/audit?action=user.delete&admin_id=${admin.id}`, { cookie });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.count, 1);
+      assert.equal(response.body.entries[0].entity_id, user.id);
+    });
+  });
+});
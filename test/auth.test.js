@@ -0,0 +1,129 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  resetState,
+  createUser
+} = require('./helpers/testApp');
+const smsConfig = require('../src/config/sms');
+const smsService = require('../src/services/smsService');
+
+describe('auth routes', () => {
+  let api;
+  let sent;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(t => {
+    resetState();
+    sent = [];
+    t.mock.method(smsService, 'sendSms', async (to, body) => {
+      sent.push({ to, body });
+      return { success: true };
+    });
+  });
+
+  // Request a code and return it as the SMS carried it
+  const requestCode = async phone => {
+    const response = await api.request('POST', '/api/auth/otp', { body: { phone } });
+    assert.equal(response.status, 200);
+    return sent[sent.length - 1].body.match(/\d{6}/)[0];
+  };
+
+  describe('POST /api/auth/verify', () => {
+    it('registers a new phone number, defaulting zelle_id to the phone', async () => {
+      const code = await requestCode('+15551230000');
+
+      const response = await api.request('POST', '/api/auth/verify', {
+        body: { phone: '+15551230000', code, name: 'New Seller', birthday: '1995-06-15' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.ok(response.body.accessToken);
+      const [created] = db.rows('users');
+      assert.equal(created.name, 'New Seller');
+      assert.equal(created.zelle_id, '+15551230000');
+    });
+
+    it('asks for registration details for an unknown phone number', async () => {
+      const code = await requestCode('+15551230000');
+
+      const response = await api.request('POST', '/api/auth/verify', { body: { phone: '+15551230000', code } });
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.registrationRequired, true);
+    });
+
+    it('rejects users younger than 13', async () => {
+      const birthday = new Date();
+      birthday.setFullYear(birthday.getFullYear() - 10);
+      const code = await requestCode('+15551230001');
+
+      const response = await api.request('POST', '/api/auth/verify', {
+        body: { phone: '+15551230001', code, name: 'Too Young', birthday: birthday.toISOString().slice(0, 10) }
+      });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /at least 13/);
+      assert.equal(db.rows('users').length, 0);
+    });
+
+    it('signs in to the existing account instead of registering another', async () => {
+      const user = createUser({ phone: '+15551230002' });
+      const code = await requestCode(user.phone);
+
+      const response = await api.request('POST', '/api/auth/verify', {
+        body: { phone: user.phone, code, name: 'Someone Else', birthday: '1990-01-01', zelle_id: 'other@example.com' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.user.id, user.id);
+      assert.equal(db.rows('users').length, 1);
+    });
+  });
+});
+
+describe('SMS without Twilio', () => {
+  it('refuses to send in production instead of logging the message', async t => {
+    const env = process.env.NODE_ENV;
+    const credentials = { ...smsConfig };
+    const logged = [];
+    t.mock.method(console, 'log', (...args) => logged.push(args.join(' ')));
+    t.mock.method(console, 'error', () => {});
+    process.env.NODE_ENV = 'production';
+    smsConfig.accountSid = undefined;
+
+    try {
+      const result = await smsService.sendSms('+15551230000', 'Your SnapList code is 123456.');
+
+      assert.equal(result.success, false);
+      assert.ok(!logged.some(line => line.includes('123456')));
+    } finally {
+      process.env.NODE_ENV = env;
+      Object.assign(smsConfig, credentials);
+    }
+  });
+
+  it('logs the message outside production', async t => {
+    const credentials = { ...smsConfig };
+    const logged = [];
+    t.mock.method(console, 'log', (...args) => logged.push(args.join(' ')));
+    smsConfig.accountSid = undefined;
+
+    try {
+      const result = await smsService.sendSms('+15551230000', 'Your SnapList code is 123456.');
+
+      assert.equal(result.success, true);
+      assert.ok(logged.some(line => line.includes('123456')));
+    } finally {
+      Object.assign(smsConfig, credentials);
+    }
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  marketplaces,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  createChannel,
+  tokenFor,
+  signInAdmin
+} = require('./helpers/testApp');
+const soldSyncService = require('../src/services/soldSyncService');
+const orderService = require('../src/services/orderService');
+const ledgerService = require('../src/services/ledgerService');
+
+const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('commission and fees', () => {
+  let api;
+  let user;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+  });
+
+  describe('at sale time', () => {
+    it('estimates the marketplace fee and charges the standard commission', async () => {
+      const listing = createListing(user, { price: 6 });
+
+      await soldSyncService.markListingSold(listing, marketplaces.facebook);
+
+      const [profit] = db.rows('profits');
+      // Facebook's 10% comes to less than its $0.80 minimum
+      assert.equal(profit.fees, 0.8);
+      assert.equal(profit.fees_estimated, true);
+      assert.equal(profit.commission, 0.15);
+      assert.equal(profit.commission_rate, 0.025);
+    });
+
+    it("charges a seller's own rate while it lasts", async () => {
+      user = createUser({ commission_rate: 0.01, commission_rate_until: daysFromNow(7) });
+
+      await soldSyncService.markListingSold(createListing(user), marketplaces.ebay);
+
+      const [profit] = db.rows('profits');
+      assert.equal(profit.commission, 3);
+      assert.equal(profit.commission_rate, 0.01);
+    });
+
+    it('goes back to the standard rate once the seller\'s rate ends', async () => {
+      user = createUser({ commission_rate: 0, commission_rate_until: daysFromNow(-1) });
+
+      await soldSyncService.markListingSold(createListing(user), marketplaces.ebay);
+
+      assert.equal(db.rows('profits')[0].commission, 7.5);
+    });
+
+    it("replaces the estimate with the order's fees and keeps the rate the sale was charged", async () => {
+      const listing = createListing(user);
+      const channel = createChannel(listing, 'ebay');
+      await soldSyncService.markListingSold(listing, marketplaces.ebay);
+      const { cookie } = await signInAdmin(api, 'finance');
+      await api.request('PUT', `/api/admin/users/${user.id}/commission`, { cookie, body: { commission_rate: 0 } });
+
+      marketplaces.ebay.respond('fetchOrders', {
+        success: true,
+        orders: [{
+          externalOrderId: 'order-1',
+          externalId: channel.external_id,
+          buyer: { name: 'Jamie Buyer' },
+          shippingAddress: null,
+          salePrice: 275,
+          shippingPaid: 0,
+          marketplaceFees: 35.75,
+          currency: 'USD',
+          fulfillmentStatus: 'unfulfilled',
+          orderedAt: '2026-10-18T10:00:00.000Z'
+        }]
+      });
+      const result = await orderService.syncListingOrders(listing.id);
+
+      assert.equal(result.success, true);
+      const [profit] = db.rows('profits');
+      assert.equal(profit.amount, 275);
+      assert.equal(profit.fees, 35.75);
+      assert.equal(profit.fees_estimated, false);
+      assert.equal(profit.commission, 6.88);
+      assert.equal(profit.commission_rate, 0.025);
+
+      const balances = await ledgerService.getUserBalances(user.id);
+      assert.equal(balances.pending, 232.37);
+    });
+  });
+
+  describe('GET /api/profits', () => {
+    it("shows each sale's net and the totals", async () => {
+      const listing = createListing(user, { status: 'sold' });
+      db.seed('profits', { listing_id: listing.id, user_id: user.id, amount: 300, fees: 40.15, commission: 7.5, shipping_cost: 11, status: 'pending' });
+      db.seed('profits', { listing_id: listing.id, user_id: user.id, amount: 80, fees: 8, commission: 2, shipping_cost: 0, status: 'completed' });
+
+      const response = await api.request('GET', '/api/profits', { token: tokenFor(user) });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.profits.map(profit => profit.net).sort((a, b) => a - b), [70, 241.35]);
+      assert.deepEqual(response.body.totals, { gross: 380, marketplace_fees: 48.15, commission: 9.5, shipping: 11, net: 311.35 });
+      assert.equal(response.body.total, 380);
+    });
+  });
+
+  describe('PUT /api/admin/users/:id/commission', () => {
+    const setRate = (cookie, id, body) => api.request('PUT', `/api/admin/users/${id}/commission`, { cookie, body });
+
+    it("sets the seller's rate and records who changed it", async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      const response = await setRate(cookie, user.id, { commission_rate: 0.01, commission_rate_until: '2099-01-01' });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.user.commission_rate, 0.01);
+      assert.equal(response.body.user.commission_rate_until, '2099-01-01T00:00:00.000Z');
+      assert.equal(response.body.effective_rate, 0.01);
+
+      const entry = db.rows('admin_audit_log').find(row => row.action === 'user.commission_rate');
+      assert.equal(entry.entity_id, user.id);
+    });
+
+    it('clears the rate back to the standard one', async () => {
+      user = createUser({ commission_rate: 0.01, commission_rate_until: '2099-01-01T00:00:00.000Z' });
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      const response = await setRate(cookie, user.id, { commission_rate: null });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.user.commission_rate_until, null);
+      assert.equal(response.body.effective_rate, 0.025);
+    });
+
+    it('rejects rates outside 0 to 1 and bad end dates', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      const tooHigh = await setRate(cookie, user.id, { commission_rate: 2.5 });
+      const missing = await setRate(cookie, user.id, {});
+      const badDate = await setRate(cookie, user.id, { commission_rate: 0.01, commission_rate_until: 'next week' });
+
+      assert.equal(tooHigh.status, 400);
+      assert.equal(missing.status, 400);
+      assert.equal(badDate.status, 400);
+      assert.equal(db.rows('admin_audit_log').filter(row => row.action === 'user.commission_rate').length, 0);
+    });
+
+    it('returns 404 for an unknown user', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      const response = await setRate(cookie, '00000000-0000-0000-0000-000000000000', { commission_rate: 0.01 });
+
+      assert.equal(response.status, 404);
+    });
+
+    it('is limited to admins who can edit profits', async () => {
+      const { cookie } = await signInAdmin(api, 'support');
+
+      const response = await setRate(cookie, user.id, { commission_rate: 0 });
+
+      assert.equal(response.status, 403);
+    });
+  });
+});
@@ -0,0 +1,271 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  marketplaces,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  createChannel,
+  signInAdmin
+} = require('./helpers/testApp');
+const smsConfig = require('../src/config/sms');
+const smsService = require('../src/services/smsService');
+const soldSyncService = require('../src/services/soldSyncService');
+const delistService = require('../src/services/delistService');
+const publishQueueService = require('../src/services/publishQueueService');
+
+const channelOf = (listing, name) =>
+  db.rows('listing_channels').find(channel => channel.listing_id === listing.id && channel.channel === name);
+
+// Make a queued delist due now, as if its backoff had elapsed
+const makeDue = channel => db.client
+  .from('listing_channels')
+  .update({ next_delist_at: new Date(Date.now() - 1000).toISOString() })
+  .eq('id', channel.id);
+
+describe('ending sold listings on other marketplaces', () => {
+  let user;
+  let listing;
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+    listing = createListing(user, { title: 'Walnut side table' });
+  });
+
+  it('ends the other marketplaces when a sale is found', async () => {
+    const ebay = createChannel(listing, 'ebay');
+    const facebook = createChannel(listing, 'facebook');
+    marketplaces.ebay.sell(ebay.external_id);
+
+    await soldSyncService.runSoldSyncJob();
+
+    assert.deepEqual(marketplaces.facebook.callsTo('endListing').map(args => args[0]), [facebook.external_id]);
+    assert.equal(channelOf(listing, 'ebay').status, 'sold');
+    assert.equal(channelOf(listing, 'facebook').status, 'ended');
+    assert.equal(db.rows('listings')[0].sold_channel, 'ebay');
+    assert.equal(marketplaces.ebay.callsTo('endListing').length, 0);
+  });
+
+  it('keeps retrying a failed end with backoff until the marketplace confirms it', async () => {
+    createChannel(listing, 'ebay');
+    const facebook = createChannel(listing, 'facebook');
+    for (let i = 0; i < 8; i++) {
+      marketplaces.facebook.respond('endListing', { success: false, message: 'Graph API unavailable' });
+    }
+
+    await soldSyncService.markListingSold(listing, marketplaces.ebay);
+
+    let channel = channelOf(listing, 'facebook');
+    assert.equal(channel.status, 'ending');
+    assert.equal(channel.delist_attempts, 1);
+    assert.equal(channel.last_error, 'Graph API unavailable');
+    const delay = new Date(channel.next_delist_at) - Date.now();
+    assert.ok(delay > 4 * 60 * 1000 && delay <= 5 * 60 * 1000);
+
+    // Not due yet
+    await delistService.processPendingDelists();
+    assert.equal(marketplaces.facebook.callsTo('endListing').length, 1);
+
+    for (let i = 0; i < 7; i++) {
+      await makeDue(facebook);
+      await delistService.processPendingDelists();
+    }
+
+    channel = channelOf(listing, 'facebook');
+    assert.equal(channel.status, 'ending');
+    assert.equal(channel.delist_attempts, 8);
+    assert.ok(new Date(channel.next_delist_at) - Date.now() <= 60 * 60 * 1000);
+
+    await makeDue(facebook);
+    await delistService.processPendingDelists();
+
+    channel = channelOf(listing, 'facebook');
+    assert.equal(channel.status, 'ended');
+    assert.equal(channel.last_error, null);
+    assert.equal(marketplaces.facebook.callsTo('endListing').length, 9);
+  });
+
+  it('leaves channels that are not live alone', async () => {
+    createChannel(listing, 'ebay');
+    createChannel(listing, 'facebook', { status: 'failed', external_id: null });
+
+    await soldSyncService.markListingSold(listing, marketplaces.ebay);
+
+    assert.equal(marketplaces.facebook.callsTo('endListing').length, 0);
+    assert.equal(channelOf(listing, 'facebook').status, 'failed');
+  });
+
+  it('cancels a publish still queued when the listing sells', async () => {
+    createChannel(listing, 'ebay');
+    createChannel(listing, 'facebook', {
+      status: 'pending',
+      external_id: null,
+      publish_attempts: 2,
+      next_publish_at: new Date(Date.now() - 1000).toISOString()
+    });
+
+    await soldSyncService.markListingSold(listing, marketplaces.ebay);
+
+    const channel = channelOf(listing, 'facebook');
+    assert.equal(channel.status, 'ended');
+    assert.equal(channel.next_publish_at, null);
+    assert.equal(marketplaces.facebook.callsTo('endListing').length, 0);
+  });
+
+  it('ends a listing that went live on another marketplace while it sold', async t => {
+    createChannel(listing, 'ebay');
+    // Claimed by a publish that is still waiting on Facebook
+    createChannel(listing, 'facebook', {
+      status: 'pending',
+      external_id: null,
+      next_publish_at: new Date(Date.now() + 15 * 60 * 1000).toISOString()
+    });
+    t.mock.method(marketplaces.facebook, 'createListing', async () => {
+      await soldSyncService.markListingSold(listing, marketplaces.ebay);
+      return { success: true, externalId: 'facebook-late', url: 'https://facebook.test/listings/facebook-late' };
+    });
+
+    await publishQueueService.publishChannel(listing, marketplaces.facebook);
+
+    assert.deepEqual(marketplaces.facebook.callsTo('endListing').map(args => args[0]), ['facebook-late']);
+    assert.equal(channelOf(listing, 'facebook').status, 'ended');
+    assert.equal(channelOf(listing, 'facebook').external_id, 'facebook-late');
+  });
+});
+
+describe('oversell incidents', () => {
+  let user;
+  let listing;
+  let texts;
+
+  beforeEach(t => {
+    resetState();
+    user = createUser();
+    listing = createListing(user, { title: 'Walnut side table' });
+    texts = [];
+    t.mock.method(smsService, 'sendSms', async (to, body) => {
+      texts.push({ to, body });
+      return { success: true };
+    });
+    smsConfig.adminAlertPhones.splice(0, Infinity, '+15550000001', '+15550000002');
+  });
+
+  after(() => {
+    smsConfig.adminAlertPhones.splice(0, Infinity);
+  });
+
+  it('flags a second sale found while ending the other marketplace', async () => {
+    createChannel(listing, 'ebay');
+    const facebook = createChannel(listing, 'facebook');
+    marketplaces.facebook.sell(facebook.external_id);
+
+    await soldSyncService.markListingSold(listing, marketplaces.ebay);
+
+    assert.equal(marketplaces.facebook.callsTo('endListing').length, 0);
+    assert.equal(channelOf(listing, 'facebook').status, 'sold');
+
+    const [incident] = db.rows('oversell_incidents');
+    assert.equal(incident.listing_id, listing.id);
+    assert.equal(incident.first_channel, 'ebay');
+    assert.equal(incident.second_channel, 'facebook');
+    assert.equal(incident.status, 'open');
+
+    const notification = db.rows('notifications').find(row => row.type === 'oversold');
+    assert.equal(notification.user_id, user.id);
+    assert.match(notification.message, /eBay and Facebook Marketplace/);
+
+    assert.deepEqual(texts.map(text => text.to), ['+15550000001', '+15550000002']);
+    assert.match(texts[0].body, new RegExp(incident.id));
+  });
+
+  it('flags a sale reported on another marketplace after the listing was marked sold', async () => {
+    await soldSyncService.markListingSold(listing, marketplaces.ebay);
+    const first = await soldSyncService.markListingSold(listing, marketplaces.facebook);
+    const second = await soldSyncService.markListingSold(listing, marketplaces.facebook);
+
+    assert.equal(first.alreadySold, true);
+    assert.equal(second.alreadySold, true);
+    assert.equal(db.rows('oversell_incidents').length, 1);
+    assert.equal(db.rows('notifications').filter(row => row.type === 'oversold').length, 1);
+    assert.equal(texts.length, 2);
+    assert.equal(db.rows('profits').length, 1);
+  });
+
+  it('does not flag the same marketplace reporting its sale again', async () => {
+    await soldSyncService.markListingSold(listing, marketplaces.ebay);
+    await soldSyncService.markListingSold(listing, marketplaces.ebay);
+
+    assert.equal(db.rows('oversell_incidents').length, 0);
+    assert.equal(texts.length, 0);
+  });
+});
+
+describe('oversell admin routes', () => {
+  let api;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    listing = createListing(createUser());
+  });
+
+  it('lists incidents by status', async () => {
+    const { cookie } = await signInAdmin(api, 'finance');
+    db.seed('oversell_incidents', [
+      { listing_id: listing.id, user_id: listing.user_id, first_channel: 'ebay', second_channel: 'facebook', status: 'open' },
+      { listing_id: listing.id, user_id: listing.user_id, first_channel: 'facebook', second_channel: 'ebay', status: 'resolved' }
+    ]);
+
+    const response = await api.request('GET', '/api/admin/oversells?status=open', { cookie });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.count, 1);
+    assert.equal(response.body.incidents[0].second_channel, 'facebook');
+    assert.equal(response.body.incidents[0].listings.title, listing.title);
+  });
+
+  it('resolves an incident and records it in the audit log', async () => {
+    const { admin, cookie } = await signInAdmin(api);
+    const incident = db.seed('oversell_incidents', {
+      listing_id: listing.id,
+      user_id: listing.user_id,
+      first_channel: 'ebay',
+      second_channel: 'facebook',
+      status: 'open'
+    });
+
+    const response = await api.request('PUT', `/api/admin/oversells/${incident.id}/resolve`, {
+      cookie,
+      body: { notes: 'Facebook buyer refunded' }
+    });
+    const again = await api.request('PUT', `/api/admin/oversells/${incident.id}/resolve`, { cookie });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.incident.status, 'resolved');
+    assert.equal(response.body.incident.resolution_notes, 'Facebook buyer refunded');
+    assert.equal(response.body.incident.resolved_by, admin.id);
+    assert.equal(again.status, 400);
+
+    const entry = db.rows('admin_audit_log').find(row => row.action === 'oversell.resolve');
+    assert.equal(entry.entity_id, incident.id);
+  });
+
+  it('requires listing edit permission to resolve', async () => {
+    const { cookie } = await signInAdmin(api, 'finance');
+
+    const response = await api.request('PUT', '/api/admin/oversells/00000000-0000-4000-8000-000000000000/resolve', { cookie });
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,224 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const {
+  db,
+  startServer,
+  resetState,
+  createUser,
+  tokenFor
+} = require('./helpers/testApp');
+const authConfig = require('../src/config/auth');
+const ebayConfig = require('../src/config/ebay');
+const ebayAccountService = require('../src/services/ebayAccountService');
+const { encrypt, decrypt } = require('../src/utils/encryption');
+const { createFakeMarketplaceServer } = require('../src/utils/fakeMarketplaceServer');
+
+describe('eBay account connections', () => {
+  const config = { ...ebayConfig };
+  let api;
+  let fake;
+  let user;
+  let token;
+
+  before(async () => {
+    api = await startServer();
+    // eBay's consent page sends sellers straight back to the app's callback
+    fake = createFakeMarketplaceServer({ connectCallbackUrl: `${api.url}/api/users/ebay/callback` });
+    const url = await fake.listen(0);
+    Object.assign(ebayConfig, { apiBaseUrl: url, identityBaseUrl: url, authBaseUrl: url });
+  });
+
+  after(async () => {
+    Object.assign(ebayConfig, config);
+    await fake.close();
+    await api.close();
+  });
+
+  beforeEach(t => {
+    resetState();
+    fake.reset();
+    user = createUser();
+    token = tokenFor(user);
+    t.mock.method(console, 'error', () => {});
+  });
+
+  const tokenRequests = () => fake.state.requests.filter(request => request.operation === 'token');
+
+  /**
+   * Open the consent URL the app hands out and return eBay's redirect back to the callback
+   * @returns {Promise<URL>} - The callback URL, with eBay's code and the app's state
+   */
+  const grantConsent = async () => {
+    const connect = await api.request('GET', `/api/users/${user.id}/ebay/connect`, { token });
+    const consent = await fetch(connect.body.url, { redirect: 'manual' });
+    return new URL(consent.headers.get('location'));
+  };
+
+  const callback = url => api.request('GET', `${url.pathname}${url.search}`);
+
+  describe('callback', () => {
+    it('exchanges the code and stores the tokens encrypted', async () => {
+      const response = await callback(await grantConsent());
+
+      assert.equal(response.status, 200);
+      assert.match(response.text, /connected/);
+
+      const [account] = db.rows('ebay_accounts');
+      assert.equal(account.user_id, user.id);
+      assert.equal(account.ebay_user_id, 'fake-ebay-user');
+      assert.equal(account.ebay_username, 'fake_seller');
+      assert.match(account.access_token_encrypted, /^v1:/);
+      assert.doesNotMatch(account.access_token_encrypted, /fake-user-token/);
+      assert.match(decrypt(account.access_token_encrypted, ebayConfig.tokenEncryptionKey), /^fake-user-token-/);
+      assert.equal(decrypt(account.refresh_token_encrypted, ebayConfig.tokenEncryptionKey), 'fake-refresh-token');
+      assert.ok(new Date(account.access_token_expires_at) > new Date());
+
+      const status = await api.request('GET', `/api/users/${user.id}/ebay`, { token });
+      assert.equal(status.body.ebay.connected, true);
+      assert.equal(status.body.ebay.ebay_username, 'fake_seller');
+    });
+
+    it('rejects an expired state', async () => {
+      const url = await grantConsent();
+      const expired = jwt.sign(
+        { sub: user.id, type: 'ebay_connect', exp: Math.floor(Date.now() / 1000) - 60 },
+        authConfig.jwtSecret
+      );
+      url.searchParams.set('state', expired);
+
+      const response = await callback(url);
+
+      assert.equal(response.status, 400);
+      assert.match(response.text, /expired/);
+      assert.equal(tokenRequests().length, 0);
+      assert.equal(db.rows('ebay_accounts').length, 0);
+    });
+
+    it("rejects a state that wasn't issued for connecting eBay", async () => {
+      const url = await grantConsent();
+      url.searchParams.set('state', tokenFor(user));
+
+      const response = await callback(url);
+
+      assert.equal(response.status, 400);
+      assert.match(response.text, /Invalid eBay connection state/);
+      assert.equal(db.rows('ebay_accounts').length, 0);
+    });
+
+    it('accepts a state only once', async () => {
+      const url = await grantConsent();
+
+      const first = await callback(url);
+      const replayed = await callback(url);
+
+      assert.equal(first.status, 200);
+      assert.equal(replayed.status, 400);
+      assert.match(replayed.text, /already used/);
+      assert.equal(tokenRequests().length, 1);
+      assert.ok(db.rows('ebay_connect_states')[0].used_at);
+    });
+
+    it("rejects a signed state whose nonce wasn't issued", async () => {
+      const url = await grantConsent();
+      url.searchParams.set('state', jwt.sign({ sub: user.id, type: 'ebay_connect', nonce: 'made-up' }, authConfig.jwtSecret));
+
+      const response = await callback(url);
+
+      assert.equal(response.status, 400);
+      assert.match(response.text, /already used/);
+      assert.equal(tokenRequests().length, 0);
+      assert.equal(db.rows('ebay_accounts').length, 0);
+    });
+
+    it('rejects an eBay account connected to another user', async () => {
+      const other = createUser();
+      db.seed('ebay_accounts', {
+        user_id: other.id,
+        ebay_user_id: 'fake-ebay-user',
+        refresh_token_encrypted: encrypt('their-refresh-token', ebayConfig.tokenEncryptionKey)
+      });
+
+      const response = await callback(await grantConsent());
+
+      assert.equal(response.status, 400);
+      assert.match(response.text, /already connected to another SnapList account/);
+      const accounts = db.rows('ebay_accounts');
+      assert.equal(accounts.length, 1);
+      assert.equal(accounts[0].user_id, other.id);
+    });
+
+    it('connects an eBay account another user has disconnected', async () => {
+      const other = createUser();
+      db.seed('ebay_accounts', { user_id: other.id, ebay_user_id: 'fake-ebay-user', refresh_token_encrypted: null });
+
+      const response = await callback(await grantConsent());
+
+      assert.equal(response.status, 200);
+      assert.ok(db.rows('ebay_accounts').find(account => account.user_id === user.id));
+    });
+
+    it('reports a code eBay refuses to exchange', async () => {
+      const url = await grantConsent();
+      fake.fail({ marketplace: 'ebay', operation: 'token', mode: 'validation' });
+
+      const response = await callback(url);
+
+      assert.equal(response.status, 400);
+      assert.match(response.text, /authorization grant is invalid/);
+      assert.equal(db.rows('ebay_accounts').length, 0);
+    });
+  });
+
+  describe('getSellerAuth', () => {
+    const key = ebayConfig.tokenEncryptionKey;
+
+    const connectAccount = (fields = {}) => db.seed('ebay_accounts', {
+      user_id: user.id,
+      ebay_user_id: 'fake-ebay-user',
+      access_token_encrypted: encrypt('stored-access-token', key),
+      access_token_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      refresh_token_encrypted: encrypt('fake-refresh-token', key),
+      scopes: ebayConfig.userScopes,
+      ...fields
+    });
+
+    it('uses the stored access token until it expires', async () => {
+      connectAccount();
+
+      const result = await ebayAccountService.getSellerAuth({ userId: user.id });
+
+      assert.equal(result.success, true);
+      assert.equal(result.accessToken, 'stored-access-token');
+      assert.equal(tokenRequests().length, 0);
+    });
+
+    it('refreshes an expired access token and stores the new one', async () => {
+      connectAccount({ access_token_expires_at: new Date(Date.now() - 1000).toISOString() });
+
+      const result = await ebayAccountService.getSellerAuth({ userId: user.id });
+
+      assert.equal(result.success, true);
+      assert.match(result.accessToken, /^fake-user-token-/);
+      assert.equal(result.ebayUserId, 'fake-ebay-user');
+      assert.equal(tokenRequests().length, 1);
+
+      const [account] = db.rows('ebay_accounts');
+      assert.equal(decrypt(account.access_token_encrypted, key), result.accessToken);
+      assert.ok(new Date(account.access_token_expires_at) > new Date());
+    });
+
+    it('disconnects an account whose refresh token eBay no longer accepts', async () => {
+      connectAccount({ access_token_expires_at: null });
+      fake.fail({ marketplace: 'ebay', operation: 'token', mode: 'auth' });
+
+      const result = await ebayAccountService.getSellerAuth({ userId: user.id });
+
+      assert.equal(result.success, false);
+      assert.match(result.message, /reconnect/);
+      const [account] = db.rows('ebay_accounts');
+      assert.equal(account.refresh_token_encrypted, null);
+      assert.equal(account.ebay_user_id, 'fake-ebay-user');
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  resetState,
+  createUser,
+  createListing
+} = require('./helpers/testApp');
+const ebayConfig = require('../src/config/ebay');
+const ebayInventoryService = require('../src/services/ebayInventoryService');
+const { createFakeMarketplaceServer } = require('../src/utils/fakeMarketplaceServer');
+
+describe('eBay Inventory API client', () => {
+  const fake = createFakeMarketplaceServer();
+  const config = { ...ebayConfig };
+  let user;
+
+  before(async () => {
+    const url = await fake.listen(0);
+    Object.assign(ebayConfig, {
+      apiBaseUrl: url,
+      oauthToken: 'house-token',
+      fulfillmentPolicyId: 'house-fulfillment',
+      paymentPolicyId: 'house-payment',
+      returnPolicyId: 'house-returns',
+      merchantLocationKey: 'house-warehouse'
+    });
+  });
+
+  after(async () => {
+    Object.assign(ebayConfig, config);
+    await fake.close();
+  });
+
+  beforeEach(t => {
+    resetState();
+    fake.reset();
+    user = createUser();
+    // Failed calls are logged with the error; keep the test output readable
+    t.mock.method(console, 'error', () => {});
+  });
+
+  // The camera category requires a Model
+  const createCameraListing = () => createListing(user, { item_specifics: { Model: 'EOS Rebel T7' } });
+  const offers = () => Object.values(fake.state.ebay.offers);
+
+  describe('createEbayListing', () => {
+    it('creates the inventory item and an offer, then publishes it', async () => {
+      const listing = createCameraListing();
+
+      const result = await ebayInventoryService.createEbayListing(listing, listing.image_urls);
+
+      assert.equal(result.success, true);
+      assert.equal(result.ack, 'Success');
+      assert.equal(result.sku, `SNAPLIST-${listing.id}`);
+
+      const item = fake.state.ebay.inventoryItems[result.sku];
+      assert.equal(item.product.title, listing.title);
+      assert.equal(item.condition, 'USED_GOOD');
+      assert.deepEqual(item.product.imageUrls, listing.image_urls);
+
+      const [offer] = offers();
+      assert.equal(offer.offerId, result.offerId);
+      assert.equal(offer.status, 'PUBLISHED');
+      assert.equal(offer.listing.listingId, result.ebayItemId);
+      assert.equal(offer.pricingSummary.price.value, '300');
+      assert.equal(offer.merchantLocationKey, 'house-warehouse');
+      assert.deepEqual(offer.listingPolicies, {
+        fulfillmentPolicyId: 'house-fulfillment',
+        paymentPolicyId: 'house-payment',
+        returnPolicyId: 'house-returns'
+      });
+    });
+
+    it("creates policies and a location on a seller's own account from their profiles", async () => {
+      const profile = db.seed('shipping_profiles', {
+        user_id: user.id,
+        name: 'From home',
+        type: 'flat',
+        service: 'USPSPriority',
+        cost: 8,
+        handling_days: 2,
+        postal_code: '95131',
+        is_default: true
+      });
+      const listing = createCameraListing();
+
+      const result = await ebayInventoryService.createEbayListing(listing, listing.image_urls, 'seller-token');
+
+      assert.equal(result.success, true);
+      const [fulfillment] = fake.state.ebay.policies.fulfillment;
+      assert.equal(fulfillment.name, `SnapList shipping ${profile.id}`);
+      assert.equal(fake.state.ebay.policies.payment.length, 1);
+      assert.equal(fake.state.ebay.policies.return.length, 1);
+      assert.ok(fake.state.ebay.locations['SNAPLIST-95131']);
+
+      const [offer] = offers();
+      assert.equal(offer.listingPolicies.fulfillmentPolicyId, fulfillment.fulfillmentPolicyId);
+      assert.equal(offer.merchantLocationKey, 'SNAPLIST-95131');
+    });
+
+    it('publishes the offer a failed attempt left behind instead of creating another', async () => {
+      const listing = createCameraListing();
+      fake.fail({ marketplace: 'ebay', operation: 'create', mode: 'server' });
+
+      const failed = await ebayInventoryService.createEbayListing(listing, listing.image_urls);
+      const retried = await ebayInventoryService.createEbayListing(listing, listing.image_urls);
+
+      assert.equal(failed.success, false);
+      assert.equal(retried.success, true);
+      assert.equal(offers().length, 1);
+      assert.equal(offers()[0].status, 'PUBLISHED');
+    });
+
+    it("doesn't call eBay without the house account's settings", async () => {
+      ebayConfig.merchantLocationKey = undefined;
+      const listing = createCameraListing();
+
+      try {
+        const result = await ebayInventoryService.createEbayListing(listing, listing.image_urls);
+
+        assert.equal(result.success, false);
+        assert.match(result.message, /not fully configured/);
+        assert.equal(fake.state.requests.length, 0);
+      } finally {
+        ebayConfig.merchantLocationKey = 'house-warehouse';
+      }
+    });
+  });
+
+  describe('endEbayListing', () => {
+    it('withdraws the offer', async () => {
+      const listing = createCameraListing();
+      const created = await ebayInventoryService.createEbayListing(listing, listing.image_urls);
+
+      const result = await ebayInventoryService.endEbayListing({ sku: created.sku, offerId: created.offerId });
+
+      assert.equal(result.success, true);
+      const [offer] = offers();
+      assert.equal(offer.status, 'UNPUBLISHED');
+      assert.equal(offer.listing.listingStatus, 'ENDED');
+
+      const status = await ebayInventoryService.checkEbayListingSold({ sku: created.sku, offerId: created.offerId });
+      assert.equal(status.sold, false);
+      assert.equal(status.status, 'Ended');
+    });
+  });
+
+  describe('errors', () => {
+    // Each fake failure mode answers with the HTTP status and error ID eBay uses for it
+    const cases = [
+      { mode: 'validation', type: 'EbayValidationError', httpStatus: 400, errorId: 25002, retryable: false },
+      { mode: 'auth', type: 'EbayAuthError', httpStatus: 401, errorId: 1001, retryable: false },
+      { mode: 'rate_limit', type: 'EbayRateLimitError', httpStatus: 429, errorId: 2001, retryable: true },
+      { mode: 'server', type: 'EbayServerError', httpStatus: 500, errorId: 25001, retryable: true }
+    ];
+
+    cases.forEach(({ mode, type, httpStatus, errorId, retryable }) => {
+      it(`reports a ${mode} error as ${type}`, async () => {
+        const listing = createCameraListing();
+        fake.fail({ marketplace: 'ebay', operation: 'create', mode });
+
+        const result = await ebayInventoryService.createEbayListing(listing, listing.image_urls);
+
+        assert.equal(result.success, false);
+        assert.equal(result.ack, 'Failure');
+        assert.deepEqual(result.error, { type, message: result.error.message, httpStatus, errorId, retryable });
+        assert.equal(result.errors[0].code, String(errorId));
+      });
+    });
+
+    it('reports an offer eBay does not have as EbayNotFoundError', async () => {
+      const result = await ebayInventoryService.endEbayListing({ sku: 'SNAPLIST-missing', offerId: '404' });
+
+      assert.equal(result.success, false);
+      assert.equal(result.error.type, 'EbayNotFoundError');
+      assert.equal(result.error.errorId, 25713);
+      assert.equal(result.error.retryable, false);
+    });
+
+    it('reports a dropped connection as a retryable EbayServerError', async () => {
+      const listing = createCameraListing();
+      const created = await ebayInventoryService.createEbayListing(listing, listing.image_urls);
+      fake.fail({ marketplace: 'ebay', operation: 'end', mode: 'network' });
+
+      const result = await ebayInventoryService.endEbayListing({ sku: created.sku, offerId: created.offerId });
+
+      assert.equal(result.success, false);
+      assert.equal(result.error.type, 'EbayServerError');
+      assert.equal(result.error.httpStatus, null);
+      assert.equal(result.error.retryable, true);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  db,
+  startServer,
+  resetState
+} = require('./helpers/testApp');
+const ebayNotificationService = require('../src/services/ebayNotificationService');
+
+const KID = 'test-key-1';
+
+/**
+ * An account deletion notification as eBay sends it
+ */
+function deletionNotification(userId = 'ebay-user-1') {
+  return {
+    metadata: { topic: 'MARKETPLACE_ACCOUNT_DELETION', schemaVersion: '1.0', deprecated: false },
+    notification: {
+      notificationId: crypto.randomUUID(),
+      eventDate: '2026-10-18T10:00:00.000Z',
+      publishDate: '2026-10-18T10:00:01.000Z',
+      publishAttemptCount: 1,
+      data: { username: 'seller_1', userId, eiasToken: 'eias-token-1' }
+    }
+  };
+}
+
+describe('eBay webhooks', () => {
+  let api;
+  let keys;
+  let keyProvider;
+
+  before(async () => {
+    api = await startServer();
+    keys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+    // eBay's Notification API would return the key as PEM with the algorithm and digest it signs with
+    keyProvider = async kid => (kid === KID
+      ? { key: keys.publicKey.export({ type: 'spki', format: 'pem' }), algorithm: 'ECDSA', digest: 'SHA1' }
+      : null);
+    ebayNotificationService.setKeyProvider(keyProvider);
+  });
+
+  after(async () => {
+    ebayNotificationService.setKeyProvider(null);
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+  });
+
+  /**
+   * Build an x-ebay-signature header over a payload
+   * @param {Object} payload - The body that gets signed
+   * @param {Object} [options] - { kid, digest (sent in the header), signWith (the digest actually used) }
+   */
+  const signatureHeader = (payload, { kid = KID, digest = 'SHA1', signWith = digest } = {}) => {
+    const signer = crypto.createSign(signWith.toLowerCase().replace('-', ''));
+    signer.update(JSON.stringify(payload));
+    signer.end();
+
+    const header = { alg: 'ecdsa', kid, signature: signer.sign(keys.privateKey).toString('base64'), digest };
+    return Buffer.from(JSON.stringify(header)).toString('base64');
+  };
+
+  const notify = (payload, signature) => api.request('POST', '/api/ebay-webhooks/account-deletion', {
+    body: payload,
+    headers: signature ? { 'x-ebay-signature': signature } : {}
+  });
+
+  it('accepts a correctly signed notification and queues the deletion', async () => {
+    const payload = deletionNotification();
+
+    const response = await notify(payload, signatureHeader(payload));
+
+    assert.equal(response.status, 200);
+    const [deletion] = db.rows('ebay_account_deletions');
+    assert.equal(deletion.ebay_user_id, 'ebay-user-1');
+  });
+
+  it('rejects a payload changed after it was signed', async () => {
+    const signed = deletionNotification();
+
+    const response = await notify(deletionNotification('someone-else'), signatureHeader(signed));
+
+    assert.equal(response.status, 412);
+    assert.equal(db.rows('ebay_account_deletions').length, 0);
+  });
+
+  it("rejects a signature from a key eBay doesn't know", async () => {
+    const payload = deletionNotification();
+
+    const response = await notify(payload, signatureHeader(payload, { kid: 'unknown-key' }));
+
+    assert.equal(response.status, 412);
+    assert.match(response.body.message, /Unknown signing key/);
+  });
+
+  it("rejects a header that asks for a different digest than the key's", async () => {
+    const payload = deletionNotification();
+
+    const response = await notify(payload, signatureHeader(payload, { digest: 'SHA256' }));
+
+    assert.equal(response.status, 412);
+    assert.match(response.body.message, /does not match the signing key/);
+    assert.equal(db.rows('ebay_account_deletions').length, 0);
+  });
+
+  it('rejects a missing or malformed signature header', async () => {
+    const payload = deletionNotification();
+
+    const missing = await notify(payload, undefined);
+    const malformed = await notify(payload, 'not-base64-json');
+
+    assert.equal(missing.status, 412);
+    assert.equal(malformed.status, 412);
+  });
+
+  it("doesn't log the seller's details from a notification that fails verification", async t => {
+    const logged = [];
+    t.mock.method(console, 'log', (...args) => logged.push(args.join(' ')));
+    t.mock.method(console, 'warn', (...args) => logged.push(args.join(' ')));
+    const payload = deletionNotification('private-ebay-user');
+
+    const response = await notify(payload, 'not-base64-json');
+
+    assert.equal(response.status, 412);
+    assert.ok(logged.some(line => line.includes(payload.notification.notificationId)));
+    assert.ok(logged.every(line => !line.includes('private-ebay-user') && !line.includes('eias-token-1')));
+  });
+
+  it('looks a key up again after eBay did not return it', async () => {
+    let lookups = 0;
+    // eBay starts signing with a key before its Notification API serves it
+    ebayNotificationService.setKeyProvider(async kid => {
+      lookups++;
+      return lookups === 1 ? null : keyProvider(kid);
+    });
+
+    try {
+      const payload = deletionNotification();
+
+      const early = await notify(payload, signatureHeader(payload));
+      const redelivered = await notify(payload, signatureHeader(payload));
+
+      assert.equal(early.status, 412);
+      assert.equal(redelivered.status, 200);
+      assert.equal(lookups, 2);
+    } finally {
+      ebayNotificationService.setKeyProvider(keyProvider);
+    }
+  });
+});
@@ -0,0 +1,602 @@
+/**
+ * In-memory stand-in for the Supabase client used by the API.
+ * Implements the parts of the query builder the code base uses (select with embedded relations,
+ * insert, update, upsert, delete, the filter methods, PostgREST `or` strings, ordering, ranges,
+ * single/maybeSingle and exact counts), plus rpc and storage.
+ *
+ * Embedded relations follow the schema's naming: `users(name)` on a row with a `user_id` column is
+ * a to-one join; `listing_channels(*)` on a listings row is a to-many join on `listing_id`.
+ */
+const crypto = require('crypto');
+const http = require('http');
+
+const NO_ROWS_ERROR = {
+  code: 'PGRST116',
+  message: 'JSON object requested, multiple (or no) rows returned'
+};
+
+/**
+ * Singular form of a table name, as used in foreign key columns (listings -> listing)
+ * @param {string} table - The table name
+ * @returns {string}
+ */
+function singular(table) {
+  return table.replace(/s$/, '');
+}
+
+/**
+ * Split a list on commas that aren't inside parentheses
+ * @param {string} text - e.g. "a.eq.1,and(b.eq.2,c.eq.3)"
+ * @returns {Array<string>}
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Compare two column values the way Postgres would for the types the API stores
+ * @returns {number} - Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const numberA = Number(a);
+  const numberB = Number(b);
+
+  if (a !== '' && b !== '' && typeof a !== 'boolean' && typeof b !== 'boolean' &&
+      !Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+    return numberA - numberB;
+  }
+
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Turn a LIKE pattern into a regular expression
+ * @param {string} pattern - The pattern (% and _ wildcards; * is accepted as % like PostgREST does)
+ * @param {boolean} caseInsensitive - ILIKE rather than LIKE
+ * @returns {RegExp}
+ */
+function likeToRegExp(pattern, caseInsensitive) {
+  const source = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/[%*]/g, '.*')
+    .replace(/_/g, '.');
+
+  return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+}
+
+/**
+ * Parse a filter value written in a PostgREST filter string
+ * @param {string} op - The operator
+ * @param {string} raw - The raw value
+ * @returns {*}
+ */
+function parseFilterValue(op, raw) {
+  if (op === 'in') {
+    return raw.replace(/^\(|\)$/g, '').split(',').map(value => value.trim().replace(/^"|"$/g, ''));
+  }
+
+  if (op === 'is') {
+    return { null: null, true: true, false: false }[raw.toLowerCase()];
+  }
+
+  return raw;
+}
+
+/**
+ * Check one row value against an operator
+ * @param {*} actual - The row's value
+ * @param {string} op - eq, neq, gt, gte, lt, lte, in, is, like, ilike or contains
+ * @param {*} expected - The filter value
+ * @returns {boolean}
+ */
+function matchesOperator(actual, op, expected) {
+  if (op === 'is') {
+    return expected === null ? actual === null || actual === undefined : actual === expected;
+  }
+
+  if (op === 'contains') {
+    if (Array.isArray(actual)) {
+      return [].concat(expected).every(item => actual.some(value => JSON.stringify(value) === JSON.stringify(item)));
+    }
+    return actual !== null && typeof actual === 'object' &&
+      Object.entries(expected).every(([key, value]) => JSON.stringify(actual[key]) === JSON.stringify(value));
+  }
+
+  // Comparisons with NULL are never true in SQL
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+
+  switch (op) {
+    case 'eq': return String(actual) === String(expected);
+    case 'neq': return String(actual) !== String(expected);
+    case 'gt': return compareValues(actual, expected) > 0;
+    case 'gte': return compareValues(actual, expected) >= 0;
+    case 'lt': return compareValues(actual, expected) < 0;
+    case 'lte': return compareValues(actual, expected) <= 0;
+    case 'in': return [].concat(expected).map(String).includes(String(actual));
+    case 'like': return likeToRegExp(expected, false).test(String(actual));
+    case 'ilike': return likeToRegExp(expected, true).test(String(actual));
+    default: throw new Error(`The fake Supabase client does not support the "${op}" operator`);
+  }
+}
+
+/**
+ * Parse a PostgREST logical filter string (the argument to .or()) into a predicate
+ * @param {string} text - e.g. "status.eq.pending,and(status.in.(retrying,failed),next_attempt_at.lte.2026-01-01)"
+ * @param {string} [combinator] - 'or' or 'and'
+ * @returns {Function} - row => boolean
+ */
+function parseLogicalFilter(text, combinator = 'or') {
+  const predicates = splitTopLevel(text).map(condition => {
+    const nested = condition.match(/^(not\.)?(and|or)\((.*)\)$/s);
+    if (nested) {
+      const predicate = parseLogicalFilter(nested[3], nested[2]);
+      return nested[1] ? row => !predicate(row) : predicate;
+    }
+
+    const [column, ...rest] = condition.split('.');
+    let negate = false;
+    if (rest[0] === 'not') {
+      negate = true;
+      rest.shift();
+    }
+
+    const op = rest.shift();
+    const value = parseFilterValue(op, rest.join('.'));
+    return row => matchesOperator(row[column], op, value) !== negate;
+  });
+
+  return combinator === 'and'
+    ? row => predicates.every(predicate => predicate(row))
+    : row => predicates.some(predicate => predicate(row));
+}
+
+/**
+ * Parse a select list into plain columns and embedded relations
+ * @param {string} columns - e.g. "*, users(name), channels:listing_channels(*)"
+ * @returns {Array<Object>} - { type: 'all' | 'column' | 'embed', ... }
+ */
+function parseSelect(columns) {
+  return splitTopLevel((columns || '*').replace(/\s+/g, ' ')).map(item => {
+    const embed = item.match(/^(?:(\w+)\s*:\s*)?(\w+)(?:!\w+)?\s*\((.*)\)$/s);
+    if (embed) {
+      return { type: 'embed', alias: embed[1] || embed[2], table: embed[2], columns: embed[3] };
+    }
+
+    if (item === '*') {
+      return { type: 'all' };
+    }
+
+    const [alias, column] = item.includes(':') ? item.split(':').map(part => part.trim()) : [item, item];
+    return { type: 'column', alias, column };
+  });
+}
+
+/**
+ * Create a fake Supabase client with an empty in-memory database
+ * @returns {Object} - { client, tables, seed, rows, failNext, reset, functions, storage }
+ */
+function createFakeSupabase() {
+  const tables = new Map();
+  const failures = new Map();
+  const functions = {};
+  const storageObjects = new Map();
+
+  const getTable = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  const withDefaults = (row) => ({
+    id: crypto.randomUUID(),
+    created_at: new Date().toISOString(),
+    ...row
+  });
+
+  /**
+   * Shape a stored row for a response: picked columns plus embedded relations
+   */
+  const project = (table, row, columns) => {
+    const result = {};
+
+    parseSelect(columns).forEach(item => {
+      if (item.type === 'all') {
+        Object.assign(result, row);
+      } else if (item.type === 'column') {
+        result[item.alias] = row[item.column] === undefined ? null : row[item.column];
+      } else {
+        const foreignKey = `${singular(item.table)}_id`;
+
+        if (foreignKey in row) {
+          const related = getTable(item.table).find(candidate => candidate.id === row[foreignKey]);
+          result[item.alias] = related ? project(item.table, related, item.columns) : null;
+        } else {
+          const backReference = `${singular(table)}_id`;
+          const related = getTable(item.table).filter(candidate => candidate[backReference] === row.id);
+          result[item.alias] = item.columns.trim() === 'count'
+            ? [{ count: related.length }]
+            : related.map(candidate => project(item.table, candidate, item.columns));
+        }
+      }
+    });
+
+    return structuredClone(result);
+  };
+
+  class QueryBuilder {
+    constructor(table) {
+      this.table = table;
+      this.operation = 'select';
+      this.columns = '*';
+      this.returning = false;
+      this.predicates = [];
+      this.orders = [];
+      this.offset = 0;
+      this.rowLimit = null;
+      this.expect = null;
+      this.countRows = false;
+      this.head = false;
+    }
+
+    select(columns = '*', options = {}) {
+      if (this.operation === 'select') {
+        this.columns = columns;
+        this.countRows = options.count === 'exact';
+        this.head = Boolean(options.head);
+      } else {
+        this.returning = true;
+        this.columns = columns;
+      }
+      return this;
+    }
+
+    insert(values) {
+      this.operation = 'insert';
+      this.values = [].concat(values);
+      return this;
+    }
+
+    update(values) {
+      this.operation = 'update';
+      this.values = values;
+      return this;
+    }
+
+    upsert(values, options = {}) {
+      this.operation = 'upsert';
+      this.values = [].concat(values);
+      this.conflictColumns = (options.onConflict || 'id').split(',').map(column => column.trim());
+      this.ignoreDuplicates = Boolean(options.ignoreDuplicates);
+      return this;
+    }
+
+    delete() {
+      this.operation = 'delete';
+      return this;
+    }
+
+    where(predicate) {
+      this.predicates.push(predicate);
+      return this;
+    }
+
+    eq(column, value) { return this.where(row => matchesOperator(row[column], 'eq', value)); }
+    neq(column, value) { return this.where(row => matchesOperator(row[column], 'neq', value)); }
+    gt(column, value) { return this.where(row => matchesOperator(row[column], 'gt', value)); }
+    gte(column, value) { return this.where(row => matchesOperator(row[column], 'gte', value)); }
+    lt(column, value) { return this.where(row => matchesOperator(row[column], 'lt', value)); }
+    lte(column, value) { return this.where(row => matchesOperator(row[column], 'lte', value)); }
+    in(column, values) { return this.where(row => matchesOperator(row[column], 'in', values)); }
+    is(column, value) { return this.where(row => matchesOperator(row[column], 'is', value)); }
+    like(column, pattern) { return this.where(row => matchesOperator(row[column], 'like', pattern)); }
+    ilike(column, pattern) { return this.where(row => matchesOperator(row[column], 'ilike', pattern)); }
+    contains(column, value) { return this.where(row => matchesOperator(row[column], 'contains', value)); }
+
+    not(column, op, value) {
+      const expected = typeof value === 'string' ? parseFilterValue(op, value) : value;
+      return this.where(row => !matchesOperator(row[column], op, expected));
+    }
+
+    filter(column, op, value) {
+      const expected = typeof value === 'string' ? parseFilterValue(op, value) : value;
+      return this.where(row => matchesOperator(row[column], op, expected));
+    }
+
+    match(values) {
+      Object.entries(values).forEach(([column, value]) => this.eq(column, value));
+      return this;
+    }
+
+    or(filters) {
+      return this.where(parseLogicalFilter(filters));
+    }
+
+    order(column, options = {}) {
+      const ascending = options.ascending !== false;
+      // Postgres puts NULLs last when ascending and first when descending
+      const nullsFirst = options.nullsFirst !== undefined ? options.nullsFirst : !ascending;
+      this.orders.push({ column, ascending, nullsFirst });
+      return this;
+    }
+
+    limit(count) {
+      this.rowLimit = count;
+      return this;
+    }
+
+    range(from, to) {
+      this.offset = from;
+      this.rowLimit = to - from + 1;
+      return this;
+    }
+
+    single() {
+      this.expect = 'single';
+      return this;
+    }
+
+    maybeSingle() {
+      this.expect = 'maybeSingle';
+      return this;
+    }
+
+    then(resolve, reject) {
+      return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+    }
+
+    matching() {
+      return getTable(this.table).filter(row => this.predicates.every(predicate => predicate(row)));
+    }
+
+    sorted(rows) {
+      return [...rows].sort((a, b) => {
+        for (const { column, ascending, nullsFirst } of this.orders) {
+          const aNull = a[column] === null || a[column] === undefined;
+          const bNull = b[column] === null || b[column] === undefined;
+
+          if (aNull || bNull) {
+            if (aNull && bNull) continue;
+            return aNull === nullsFirst ? -1 : 1;
+          }
+
+          const difference = compareValues(a[column], b[column]);
+          if (difference !== 0) return ascending ? difference : -difference;
+        }
+        return 0;
+      });
+    }
+
+    write() {
+      const table = getTable(this.table);
+
+      if (this.operation === 'insert') {
+        const rows = this.values.map(withDefaults);
+        table.push(...rows);
+        return rows;
+      }
+
+      if (this.operation === 'update') {
+        const rows = this.matching();
+        rows.forEach(row => Object.assign(row, this.values));
+        return rows;
+      }
+
+      if (this.operation === 'upsert') {
+        const rows = [];
+        this.values.forEach(values => {
+          const existing = table.find(row => this.conflictColumns.every(column => String(row[column]) === String(values[column])));
+
+          if (!existing) {
+            const row = withDefaults(values);
+            table.push(row);
+            rows.push(row);
+          } else if (!this.ignoreDuplicates) {
+            Object.assign(existing, values);
+            rows.push(existing);
+          }
+        });
+        return rows;
+      }
+
+      const rows = this.matching();
+      tables.set(this.table, table.filter(row => !rows.includes(row)));
+      return rows;
+    }
+
+    execute() {
+      const failure = (failures.get(this.table) || []).shift();
+      if (failure) {
+        return { data: null, error: failure, count: null, status: 500 };
+      }
+
+      let rows;
+      if (this.operation === 'select') {
+        rows = this.matching();
+      } else {
+        rows = this.write();
+        if (!this.returning) {
+          return { data: null, error: null, count: null, status: 200 };
+        }
+      }
+
+      const count = this.countRows ? rows.length : null;
+      rows = this.sorted(rows).slice(this.offset, this.rowLimit === null ? undefined : this.offset + this.rowLimit);
+
+      if (this.head) {
+        return { data: null, error: null, count, status: 200 };
+      }
+
+      const data = rows.map(row => project(this.table, row, this.columns));
+
+      if (this.expect === 'single' && data.length !== 1) {
+        return { data: null, error: { ...NO_ROWS_ERROR }, count, status: 406 };
+      }
+
+      if (this.expect === 'maybeSingle') {
+        if (data.length > 1) return { data: null, error: { ...NO_ROWS_ERROR }, count, status: 406 };
+        return { data: data[0] || null, error: null, count, status: 200 };
+      }
+
+      return { data: this.expect === 'single' ? data[0] : data, error: null, count, status: 200 };
+    }
+  }
+
+  const storage = {
+    objects: storageObjects,
+    publicUrlBase: 'http://127.0.0.1:9/storage/v1/object/public',
+
+    from(bucket) {
+      return {
+        async upload(path, body) {
+          storageObjects.set(`${bucket}/${path}`, Buffer.from(body));
+          return { data: { path }, error: null };
+        },
+
+        getPublicUrl(path) {
+          return { data: { publicUrl: `${storage.publicUrlBase}/${bucket}/${path}` } };
+        },
+
+        async createSignedUrl(path, expiresIn) {
+          if (!storageObjects.has(`${bucket}/${path}`)) {
+            return { data: null, error: { statusCode: '404', message: 'Object not found' } };
+          }
+          return { data: { signedUrl: `${storage.publicUrlBase}/${bucket}/${path}?expires_in=${expiresIn}` }, error: null };
+        },
+
+        async remove(paths) {
+          const removed = paths.filter(path => storageObjects.delete(`${bucket}/${path}`));
+          return { data: removed.map(name => ({ name })), error: null };
+        }
+      };
+    },
+
+    /**
+     * Serve stored objects over HTTP on localhost so code that downloads public URLs can run offline
+     * @returns {Promise<Object>} - { url, close }
+     */
+    serve() {
+      const server = http.createServer((req, res) => {
+        const key = decodeURIComponent(req.url.replace(/^\/storage\/v1\/object\/public\//, ''));
+        const object = storageObjects.get(key);
+
+        if (!object) {
+          res.writeHead(404).end('Object not found');
+          return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' }).end(object);
+      });
+
+      return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+          const url = `http://127.0.0.1:${server.address().port}`;
+          storage.publicUrlBase = `${url}/storage/v1/object/public`;
+          resolve({ url, close: () => new Promise(done => server.close(done)) });
+        });
+      });
+    }
+  };
+
+  const client = {
+    from: (table) => new QueryBuilder(table),
+
+    async rpc(name, params = {}) {
+      const failure = (failures.get(`rpc:${name}`) || []).shift();
+      if (failure) return { data: null, error: failure, count: null };
+
+      const handler = functions[name];
+      if (!handler) {
+        return { data: null, error: { code: 'PGRST202', message: `Could not find the function public.${name}` }, count: null };
+      }
+
+      const data = await handler(params);
+      return { data, error: null, count: Array.isArray(data) ? data.length : null };
+    },
+
+    storage
+  };
+
+  functions.gen_random_uuid = () => crypto.randomUUID();
+
+  return {
+    client,
+    functions,
+    storage,
+
+    /**
+     * Insert rows directly, filling in id and created_at like the database defaults would
+     * @param {string} table - The table name
+     * @param {Object|Array<Object>} rows - The rows
+     * @returns {Object|Array<Object>} - Copies of the stored rows
+     */
+    seed(table, rows) {
+      const stored = [].concat(rows).map(withDefaults);
+      getTable(table).push(...stored);
+      const copies = structuredClone(stored);
+      return Array.isArray(rows) ? copies : copies[0];
+    },
+
+    /**
+     * Update rows directly, like a statement inside a database function
+     * @param {string} table - The table name
+     * @param {Function} predicate - Picks the rows to update
+     * @param {Object} values - The new column values
+     * @returns {Array<Object>} - Copies of the updated rows
+     */
+    update(table, predicate, values) {
+      const rows = getTable(table).filter(predicate);
+      rows.forEach(row => Object.assign(row, values));
+      return structuredClone(rows);
+    },
+
+    /**
+     * Read a table's rows
+     * @param {string} table - The table name
+     * @returns {Array<Object>} - Copies of the rows
+     */
+    rows(table) {
+      return structuredClone(getTable(table));
+    },
+
+    /**
+     * Make the next query on a table (or `rpc:<name>`) return an error
+     * @param {string} target - The table name, or rpc:<function name>
+     * @param {string} [message] - The error message
+     */
+    failNext(target, message = 'Simulated database error') {
+      if (!failures.has(target)) failures.set(target, []);
+      failures.get(target).push({ code: 'XX000', message });
+    },
+
+    reset() {
+      tables.clear();
+      failures.clear();
+      storageObjects.clear();
+      Object.keys(functions).forEach(name => {
+        if (name !== 'gen_random_uuid') delete functions[name];
+      });
+    }
+  };
+}
+
+module.exports = {
+  createFakeSupabase
+};
@@ -0,0 +1,120 @@
+/**
+ * Marketplace adapters that record their calls instead of talking to eBay or Facebook.
+ * They register under the real adapters' names (see services/marketplaces), so routes and
+ * services use them without knowing the difference.
+ */
+
+const MARKETPLACES = [
+  {
+    name: 'ebay',
+    displayName: 'eBay',
+    platformAliases: ['eBay'],
+    listingIdField: 'ebay_listing_id',
+    listingUrlField: 'ebay_url'
+  },
+  {
+    name: 'facebook',
+    displayName: 'Facebook Marketplace',
+    platformAliases: ['Facebook Marketplace', 'Facebook'],
+    listingIdField: 'facebook_listing_id',
+    listingUrlField: 'facebook_url'
+  }
+];
+
+/**
+ * Create a recording adapter for one marketplace
+ * @param {Object} definition - The adapter's identity (name, listingIdField, ...)
+ * @returns {Object} - The adapter, plus calls, respond(), sell() and reset()
+ */
+function createMockMarketplace(definition) {
+  let nextId = 1;
+  const queued = {};
+  const sold = new Set();
+
+  const adapter = {
+    ...definition,
+    calls: [],
+
+    /**
+     * Return `result` from the next call to `method` instead of the default success
+     * @param {string} method - createListing, updateListing, endListing, getStatus, fetchOrders or markShipped
+     * @param {Object} result - The result to return
+     */
+    respond(method, result) {
+      if (!queued[method]) queued[method] = [];
+      queued[method].push(result);
+    },
+
+    /**
+     * Make getStatus report a listing as sold
+     * @param {string} externalId - The marketplace listing ID
+     */
+    sell(externalId) {
+      sold.add(externalId);
+    },
+
+    callsTo(method) {
+      return adapter.calls.filter(call => call.method === method).map(call => call.args);
+    },
+
+    reset() {
+      adapter.calls.length = 0;
+      Object.keys(queued).forEach(method => delete queued[method]);
+      sold.clear();
+      nextId = 1;
+    }
+  };
+
+  const call = (method, args, defaultResult) => {
+    adapter.calls.push({ method, args });
+    const result = queued[method] && queued[method].shift();
+    return Promise.resolve(result || defaultResult());
+  };
+
+  adapter.createListing = (listing, imageUrls) => call('createListing', [listing, imageUrls], () => {
+    const externalId = `${definition.name}-${nextId++}`;
+    return { success: true, externalId, url: `https://${definition.name}.test/listings/${externalId}` };
+  });
+
+  adapter.updateListing = (externalId, changes, channel) =>
+    call('updateListing', [externalId, changes, channel], () => ({ success: true }));
+
+  adapter.endListing = (externalId, channel) =>
+    call('endListing', [externalId, channel], () => ({ success: true }));
+
+  adapter.getStatus = (externalId, channel) =>
+    call('getStatus', [externalId, channel], () => ({
+      success: true,
+      sold: sold.has(externalId),
+      status: sold.has(externalId) ? 'sold' : 'active'
+    }));
+
+  adapter.fetchOrders = (options) =>
+    call('fetchOrders', [options], () => ({ success: true, orders: [] }));
+
+  adapter.markShipped = (order, shipment, channel) =>
+    call('markShipped', [order, shipment, channel], () => ({ success: true }));
+
+  return adapter;
+}
+
+/**
+ * Replace the eBay and Facebook adapters with recording mocks
+ * @returns {Object} - The mocks by marketplace name
+ */
+function installMockMarketplaces() {
+  const marketplaces = require('../../src/services/marketplaces');
+  const mocks = {};
+
+  MARKETPLACES.forEach(definition => {
+    mocks[definition.name] = createMockMarketplace(definition);
+    marketplaces.registerMarketplace(mocks[definition.name]);
+  });
+
+  return mocks;
+}
+
+module.exports = {
+  createMockMarketplace,
+  installMockMarketplaces
+};
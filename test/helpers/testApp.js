@@ -0,0 +1,343 @@
+/**
+ * Boots the API for tests: in-memory Supabase, stubbed OpenAI, mocked marketplaces and no network.
+ * Require this before anything under src/, since it replaces the config modules the app loads.
+ */
+const path = require('path');
+const Module = require('module');
+const jwt = require('jsonwebtoken');
+const { createFakeSupabase } = require('./fakeSupabase');
+const { installMockMarketplaces } = require('./mockMarketplaces');
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+// Nothing listens on the discard port, so anything that slips past the mocks fails fast instead of going online
+const OFFLINE_URL = 'http://127.0.0.1:9';
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  SUPABASE_URL: OFFLINE_URL,
+  SUPABASE_KEY: 'test-supabase-key',
+  OPENAI_API_KEY: 'test-openai-key',
+  JWT_SECRET: 'test-jwt-secret',
+  EBAY_APP_ID: 'test-app-id',
+  EBAY_CERT_ID: 'test-cert-id',
+  EBAY_RU_NAME: 'test-ru-name',
+  EBAY_TOKEN_ENCRYPTION_KEY: 'a'.repeat(64),
+  EBAY_TAXONOMY_SOURCE: 'snapshot',
+  EBAY_API_BASE_URL: OFFLINE_URL,
+  EBAY_AUTH_BASE_URL: OFFLINE_URL,
+  FACEBOOK_GRAPH_BASE_URL: OFFLINE_URL
+});
+delete process.env.EBAY_CONNECT_RETURN_URL;
+
+/**
+ * Put a module into the require cache so the app loads `exports` instead of the real file
+ * @param {string} relativePath - Path below src/
+ * @param {*} exports - The module's exports
+ */
+function stubModule(relativePath, exports) {
+  const filename = require.resolve(path.join(SRC, relativePath));
+  const stub = new Module(filename);
+  stub.filename = filename;
+  stub.loaded = true;
+  stub.exports = exports;
+  require.cache[filename] = stub;
+}
+
+const db = createFakeSupabase();
+
+// OpenAI replies are queued per test; anything unqueued gets a plain support answer
+const openaiReplies = [];
+const openai = {
+  calls: [],
+
+  /**
+   * Queue the content of the next chat completion
+   * @param {string|Object} content - Text, or an object sent as JSON
+   */
+  reply(content) {
+    openaiReplies.push(typeof content === 'string' ? content : JSON.stringify(content));
+  },
+
+  chat: {
+    completions: {
+      create: async (params) => {
+        openai.calls.push(params);
+        const content = openaiReplies.length > 0 ? openaiReplies.shift() : 'Happy to help with that!';
+        return { choices: [{ message: { role: 'assistant', content } }] };
+      }
+    }
+  },
+
+  reset() {
+    openai.calls.length = 0;
+    openaiReplies.length = 0;
+  }
+};
+
+/**
+ * Register the database functions the app calls, doing what their migrations do.
+ * Each runs without awaiting, so nothing else touches the tables mid-call, like the locks in Postgres.
+ */
+function installDatabaseFunctions() {
+  // supabase/migrations/20261019000021_ledger_posting.sql
+  db.functions.post_ledger_differences = ({ source_column, source_id, targets, fields }) => {
+    const posted = db.rows('ledger_entries').filter(entry => entry[source_column] === source_id);
+
+    const entries = targets
+      .map(target => {
+        const total = posted
+          .filter(entry => entry.entry_type === target.entry_type)
+          .reduce((sum, entry) => sum + (entry.debit_account === target.debit_account ? 1 : -1) * Number(entry.amount), 0);
+        return { target, difference: Math.round((target.total - total) * 100) / 100 };
+      })
+      .filter(({ difference }) => difference !== 0)
+      .map(({ target, difference }) => ({
+        user_id: fields.user_id,
+        entry_type: target.entry_type,
+        debit_account: difference > 0 ? target.debit_account : target.credit_account,
+        credit_account: difference > 0 ? target.credit_account : target.debit_account,
+        amount: Math.abs(difference),
+        channel: fields.channel,
+        memo: fields.memo,
+        occurred_at: target.occurred_at || new Date().toISOString(),
+        [source_column]: source_id
+      }));
+
+    return entries.length > 0 ? db.seed('ledger_entries', entries) : [];
+  };
+
+  // supabase/migrations/20261019000022_label_charges.sql
+  db.functions.charge_label_to_profit = ({ label_order_id }) => {
+    const [order] = db.rows('orders').filter(row => row.id === label_order_id);
+    if (!order || order.label_cost === null || order.label_cost === undefined || order.label_charged_at) {
+      return [];
+    }
+
+    const profits = db.rows('profits').filter(profit => profit.order_id === label_order_id);
+    const charged = profits.flatMap(profit => db.update('profits', row => row.id === profit.id, {
+      shipping_cost: Math.round(((Number(profit.shipping_cost) || 0) + Number(order.label_cost)) * 100) / 100,
+      updated_at: new Date().toISOString()
+    }));
+
+    if (charged.length > 0) {
+      db.update('orders', row => row.id === label_order_id, { label_charged_at: new Date().toISOString() });
+    }
+
+    return charged;
+  };
+
+  // supabase/migrations/20261019000023_payout_requests.sql
+  db.functions.request_payout = ({ payout_user_id, payout_amount, payout_phone, minimum_balance }) => {
+    const available = Math.round(db.rows('ledger_entries')
+      .filter(entry => entry.user_id === payout_user_id)
+      .reduce((sum, entry) => {
+        if (entry.credit_account === 'seller_available') return sum + Number(entry.amount);
+        if (entry.debit_account === 'seller_available') return sum - Number(entry.amount);
+        return sum;
+      }, 0) * 100) / 100;
+
+    if (available < minimum_balance) return { status: 'below_minimum', available };
+    if (available < payout_amount) return { status: 'insufficient', available };
+
+    const payout = db.seed('payout_requests', {
+      user_id: payout_user_id,
+      amount: payout_amount,
+      phone: payout_phone,
+      status: 'pending'
+    });
+    db.seed('ledger_entries', {
+      user_id: payout_user_id,
+      entry_type: 'payout',
+      debit_account: 'seller_available',
+      credit_account: 'payouts',
+      amount: payout_amount,
+      payout_request_id: payout.id,
+      occurred_at: payout.created_at
+    });
+
+    return { status: 'created', available, payout };
+  };
+}
+
+installDatabaseFunctions();
+
+stubModule('config/supabase', { supabase: db.client });
+stubModule('config/openai', openai);
+
+const marketplaces = installMockMarketplaces();
+const app = require('../../src/index');
+const authConfig = require('../../src/config/auth');
+const { hashPassword } = require('../../src/services/adminAuthService');
+
+/**
+ * Start the app on a random local port
+ * @returns {Promise<Object>} - { url, request, close }
+ */
+function startServer() {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+
+      /**
+       * Call the API
+       * @param {string} method - The HTTP method
+       * @param {string} urlPath - The path, e.g. /api/listings
+       * @param {Object} [options] - { body, token, cookie, headers, form }
+       * @returns {Promise<Object>} - { status, headers, body, text }
+       */
+      const request = async (method, urlPath, options = {}) => {
+        const headers = { ...options.headers };
+        let body;
+
+        if (options.form) {
+          body = options.form;
+        } else if (options.body !== undefined) {
+          headers['Content-Type'] = 'application/json';
+          body = JSON.stringify(options.body);
+        }
+
+        if (options.token) headers.Authorization = `Bearer ${options.token}`;
+        if (options.cookie) headers.Cookie = options.cookie;
+
+        const response = await fetch(`${url}${urlPath}`, { method, headers, body, redirect: 'manual' });
+        const text = await response.text();
+        let json = null;
+        try {
+          json = JSON.parse(text);
+        } catch (error) {
+          // Not every route answers with JSON
+        }
+
+        return { status: response.status, headers: response.headers, body: json, text };
+      };
+
+      resolve({
+        url,
+        request,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Reset the database, OpenAI replies and marketplace mocks between tests
+ */
+function resetState() {
+  db.reset();
+  installDatabaseFunctions();
+  openai.reset();
+  Object.values(marketplaces).forEach(marketplace => marketplace.reset());
+}
+
+/**
+ * Create a user
+ * @param {Object} [fields] - Column overrides
+ * @returns {Object} - The stored user
+ */
+function createUser(fields = {}) {
+  return db.seed('users', {
+    name: 'Test Seller',
+    phone: `+1555${String(Math.floor(Math.random() * 10000000)).padStart(7, '0')}`,
+    birthday: '1990-01-01',
+    zelle_id: 'seller@example.com',
+    ...fields
+  });
+}
+
+/**
+ * Create a listing for a user
+ * @param {Object} user - The owner
+ * @param {Object} [fields] - Column overrides
+ * @returns {Object} - The stored listing
+ */
+function createListing(user, fields = {}) {
+  const now = new Date().toISOString();
+  return db.seed('listings', {
+    user_id: user.id,
+    title: 'Canon EOS Rebel T7 Camera',
+    description: 'Lightly used DSLR with kit lens',
+    price: 300,
+    original_price: 300,
+    min_price: 150,
+    image_urls: ['https://images.test/camera.jpg'],
+    status: 'active',
+    condition: 'Used - Good',
+    category: 'Cameras',
+    brand: 'Canon',
+    platform: 'both',
+    updated_at: now,
+    last_price_update: now,
+    ...fields
+  });
+}
+
+/**
+ * Link a listing to a marketplace with an active channel
+ * @param {Object} listing - The listing
+ * @param {string} channel - The marketplace name
+ * @param {Object} [fields] - Column overrides
+ * @returns {Object} - The stored channel
+ */
+function createChannel(listing, channel, fields = {}) {
+  return db.seed('listing_channels', {
+    listing_id: listing.id,
+    channel,
+    status: 'active',
+    external_id: `${channel}-${listing.id.slice(0, 8)}`,
+    external_url: `https://${channel}.test/listings/${listing.id}`,
+    publish_attempts: 0,
+    price_override: null,
+    ...fields
+  });
+}
+
+/**
+ * Sign an access token for a user, as POST /api/auth/verify would
+ * @param {Object} user - The user
+ * @returns {string} - The bearer token
+ */
+function tokenFor(user) {
+  return jwt.sign({ sub: user.id, phone: user.phone, type: 'access' }, authConfig.jwtSecret, { expiresIn: '15m' });
+}
+
+/**
+ * Create an admin and sign them in
+ * @param {Object} api - The started server
+ * @param {string} [role] - owner, finance or support
+ * @returns {Promise<Object>} - { admin, cookie }
+ */
+async function signInAdmin(api, role = 'owner') {
+  const email = `${role}-${Date.now()}@snaplist.test`;
+  const admin = db.seed('admins', {
+    email,
+    name: `Test ${role}`,
+    role,
+    password_hash: await hashPassword('correct horse battery staple'),
+    failed_login_attempts: 0
+  });
+
+  const response = await api.request('POST', '/api/admin/auth/login', {
+    body: { email, password: 'correct horse battery staple' }
+  });
+
+  const cookie = (response.headers.get('set-cookie') || '').split(';')[0];
+  return { admin, cookie };
+}
+
+module.exports = {
+  app,
+  db,
+  openai,
+  marketplaces,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  createChannel,
+  tokenFor,
+  signInAdmin
+};
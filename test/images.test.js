@@ -0,0 +1,224 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { db, openai, startServer, resetState } = require('./helpers/testApp');
+
+const BUCKET = 'snaplist-images';
+
+const LISTING_DETAILS = {
+  title: 'Canon EOS Rebel T7 DSLR Camera with 18-55mm Lens',
+  description: 'Lightly used Canon DSLR in great condition.',
+  price: '$325.00',
+  category: 'Cameras & Photo',
+  brand: 'Canon',
+  size: null,
+  color: 'Black'
+};
+
+/**
+ * Create a small solid-colour JPEG
+ * @param {number} [width] - Width in pixels
+ * @param {number} [height] - Height in pixels
+ * @returns {Promise<Buffer>} - The image
+ */
+function createJpeg(width = 200, height = 100) {
+  return sharp({
+    create: { width, height, channels: 3, background: { r: 40, g: 90, b: 160 } }
+  }).jpeg().toBuffer();
+}
+
+/**
+ * Put an image into fake storage as if it had been uploaded earlier
+ * @param {string} filename - The file name under uploads/
+ * @returns {Promise<void>}
+ */
+async function storeUpload(filename) {
+  await db.storage.from(BUCKET).upload(`uploads/${filename}`, await createJpeg());
+}
+
+describe('images routes', () => {
+  let api;
+  let storageServer;
+
+  before(async () => {
+    api = await startServer();
+    storageServer = await db.storage.serve();
+  });
+
+  after(async () => {
+    await storageServer.close();
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+  });
+
+  describe('POST /api/images/upload', () => {
+    const uploadForm = async (fields = {}) => {
+      const form = new FormData();
+      form.append('image', new Blob([await createJpeg(1600, 800)], { type: 'image/jpeg' }), 'camera.jpg');
+      Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+      return form;
+    };
+
+    it('optimizes and stores the image', async () => {
+      const response = await api.request('POST', '/api/images/upload', { form: await uploadForm() });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.image.originalName, 'camera.jpg');
+      assert.match(response.body.image.filename, /^optimized_.*\.jpg$/);
+      assert.equal(response.body.listingDetails, null);
+
+      const stored = db.storage.objects.get(`${BUCKET}/uploads/${response.body.image.filename}`);
+      const metadata = await sharp(stored).metadata();
+      assert.equal(metadata.width, 1200);
+      assert.equal(metadata.height, 600);
+    });
+
+    it('generates listing details when auto_analyze is set', async () => {
+      openai.reply(LISTING_DETAILS);
+
+      const response = await api.request('POST', '/api/images/upload', {
+        form: await uploadForm({ auto_analyze: 'true' })
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.listingDetails.title, LISTING_DETAILS.title);
+      assert.equal(response.body.listingDetails.price, 325);
+      assert.equal(response.body.listingDetails.size, null);
+      assert.equal(openai.calls[0].response_format.type, 'json_object');
+    });
+
+    it('requires an image', async () => {
+      const response = await api.request('POST', '/api/images/upload', { form: new FormData() });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'No image uploaded');
+    });
+
+    it('rejects files that are not images', async () => {
+      const form = new FormData();
+      form.append('image', new Blob(['not an image'], { type: 'text/plain' }), 'notes.txt');
+
+      const response = await api.request('POST', '/api/images/upload', { form });
+
+      assert.equal(response.status, 500);
+      assert.equal(db.storage.objects.size, 0);
+    });
+  });
+
+  describe('POST /api/images/process', () => {
+    it('returns the original image when it shows a single item', async () => {
+      await storeUpload('single.jpg');
+      openai.reply({ objects: [{ label: 'camera', bbox: { x: 0, y: 0, width: 100, height: 100 } }] });
+
+      const response = await api.request('POST', '/api/images/process', {
+        body: { imageUrl: `${db.storage.publicUrlBase}/${BUCKET}/uploads/single.jpg` }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.count, 1);
+      assert.equal(response.body.images[0].coordinates, null);
+      assert.deepEqual(response.body.images[0].metadata, { width: 200, height: 100, format: 'jpeg' });
+    });
+
+    it('crops each detected item into its own image', async () => {
+      await storeUpload('pair.jpg');
+      openai.reply({
+        objects: [
+          { label: 'camera', bbox: { x: 0, y: 0, width: 50, height: 100 } },
+          { label: 'lens', bbox: { x: 50, y: 0, width: 50, height: 100 } }
+        ]
+      });
+
+      const response = await api.request('POST', '/api/images/process', {
+        body: { imageUrl: `${db.storage.publicUrlBase}/${BUCKET}/uploads/pair.jpg` }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.count, 2);
+      assert.deepEqual(response.body.images[1].coordinates, { x: 100, y: 0, width: 100, height: 100 });
+      assert.equal(response.body.images[1].metadata.label, 'lens');
+      // The original plus both crops
+      assert.equal(db.storage.objects.size, 4);
+    });
+
+    it('requires an image URL', async () => {
+      const response = await api.request('POST', '/api/images/process', { body: {} });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('returns 404 when the image cannot be downloaded', async () => {
+      const response = await api.request('POST', '/api/images/process', {
+        body: { imageUrl: `${db.storage.publicUrlBase}/${BUCKET}/uploads/missing.jpg` }
+      });
+
+      assert.equal(response.status, 404);
+    });
+  });
+
+  describe('GET /api/images/:id/analyze', () => {
+    it('generates listing details for a stored image', async () => {
+      await storeUpload('analyze.jpg');
+      openai.reply(LISTING_DETAILS);
+
+      const response = await api.request('GET', '/api/images/analyze.jpg/analyze');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.listingDetails.brand, 'Canon');
+      assert.equal(response.body.listingDetails.original_price, 325);
+    });
+
+    it('returns 404 for unknown images', async () => {
+      const response = await api.request('GET', '/api/images/missing.jpg/analyze');
+
+      assert.equal(response.status, 404);
+      assert.equal(openai.calls.length, 0);
+    });
+
+    it('reports unusable model output', async () => {
+      await storeUpload('garbled.jpg');
+      openai.reply('not json');
+
+      const response = await api.request('GET', '/api/images/garbled.jpg/analyze');
+
+      assert.equal(response.status, 500);
+      assert.match(response.body.message, /Failed to generate listing details/);
+    });
+  });
+
+  describe('POST /api/images/:id/reanalyze', () => {
+    it('passes the seller context to the model', async () => {
+      await storeUpload('context.jpg');
+      openai.reply({ ...LISTING_DETAILS, title: 'Canon EOS Rebel T7 Body Only' });
+
+      const response = await api.request('POST', '/api/images/context.jpg/reanalyze', {
+        body: { context: { title: 'Canon EOS Rebel T7 body only', condition: 'Used - Good' } }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.listingDetails.title, 'Canon EOS Rebel T7 Body Only');
+      assert.match(JSON.stringify(openai.calls[0].messages), /Title\/Product Name: Canon EOS Rebel T7 body only/);
+    });
+
+    it('requires context', async () => {
+      const response = await api.request('POST', '/api/images/context.jpg/reanalyze', { body: { context: {} } });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'Context data is required');
+    });
+  });
+
+  describe('DELETE /api/images/:filename', () => {
+    it('removes the image from storage', async () => {
+      await storeUpload('old.jpg');
+
+      const response = await api.request('DELETE', '/api/images/old.jpg');
+
+      assert.equal(response.status, 200);
+      assert.equal(db.storage.objects.size, 0);
+    });
+  });
+});
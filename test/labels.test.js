@@ -0,0 +1,394 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  marketplaces,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  createChannel,
+  tokenFor
+} = require('./helpers/testApp');
+const shippingConfig = require('../src/config/shipping');
+const smsConfig = require('../src/config/sms');
+const smsService = require('../src/services/smsService');
+const labels = require('../src/services/labels');
+const labelService = require('../src/services/labelService');
+const orderService = require('../src/services/orderService');
+
+const FROM_ADDRESS = {
+  name: 'Sam Seller',
+  street1: '500 Market Street',
+  city: 'San Francisco',
+  state: 'CA',
+  postal_code: '94105'
+};
+
+// 1 lb 8 oz in a small box
+const PACKAGE = { weight_oz: 24, length_in: 10, width_in: 8, height_in: 4, from_address: FROM_ADDRESS };
+
+/**
+ * Seed a stored order for a listing, with the pending profit it pays out
+ */
+function createOrder(listing, fields = {}) {
+  const order = db.seed('orders', {
+    listing_id: listing.id,
+    user_id: listing.user_id,
+    channel: 'ebay',
+    external_order_id: `order-${listing.id.slice(0, 8)}`,
+    buyer_name: 'Jamie Buyer',
+    shipping_address: { name: 'Jamie Buyer', street1: '1 Test Street', city: 'San Jose', state: 'CA', postalCode: '95131', country: 'US' },
+    sale_price: 275,
+    shipping_paid: 12.5,
+    currency: 'USD',
+    fulfillment_status: 'unfulfilled',
+    ...fields
+  });
+  db.seed('profits', {
+    listing_id: listing.id,
+    user_id: listing.user_id,
+    order_id: order.id,
+    amount: 275,
+    fees: 35.75,
+    shipping_cost: 0,
+    platform: 'ebay',
+    status: 'pending'
+  });
+  return order;
+}
+
+describe('shipping labels', () => {
+  let api;
+  let user;
+  let token;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+    token = tokenFor(user);
+    listing = createListing(user, { status: 'sold', sold_channel: 'ebay' });
+  });
+
+  describe('POST /api/orders/:id/label/rates', () => {
+    it('quotes rates cheapest first', async () => {
+      const order = createOrder(listing);
+
+      const response = await api.request('POST', `/api/orders/${order.id}/label/rates`, { token, body: PACKAGE });
+
+      assert.equal(response.status, 200);
+      const amounts = response.body.rates.map(rate => rate.amount);
+      assert.deepEqual(amounts, [...amounts].sort((a, b) => a - b));
+      assert.deepEqual(response.body.rates[0], {
+        rateId: 'fake_usps_ground_advantage',
+        carrier: 'usps',
+        service: 'Ground Advantage',
+        amount: 5.95,
+        currency: 'USD',
+        estimatedDays: 5
+      });
+    });
+
+    it("uses the listing's shipping profile for a package it isn't told about", async () => {
+      const profile = db.seed('shipping_profiles', {
+        user_id: user.id,
+        name: 'Boxed camera',
+        type: 'calculated',
+        service: 'USPSPriority',
+        weight_oz: 40,
+        length_in: 12,
+        width_in: 10,
+        height_in: 8,
+        postal_code: '94105'
+      });
+      const order = createOrder(createListing(user, { status: 'sold', shipping_profile_id: profile.id }));
+
+      const response = await api.request('POST', `/api/orders/${order.id}/label/rates`, {
+        token,
+        body: { from_address: FROM_ADDRESS }
+      });
+
+      assert.equal(response.status, 200);
+      // 40 oz rounds up to 3 lb
+      assert.equal(response.body.rates.find(rate => rate.rateId === 'fake_usps_ground_advantage').amount, 6.55);
+    });
+
+    it('needs the package size and a ship-from address', async () => {
+      const order = createOrder(listing);
+
+      const size = await api.request('POST', `/api/orders/${order.id}/label/rates`, {
+        token,
+        body: { from_address: FROM_ADDRESS }
+      });
+      const from = await api.request('POST', `/api/orders/${order.id}/label/rates`, {
+        token,
+        body: { ...PACKAGE, from_address: { ...FROM_ADDRESS, street1: '' } }
+      });
+
+      assert.equal(size.status, 400);
+      assert.match(size.body.message, /weight_oz/);
+      assert.equal(from.status, 400);
+      assert.match(from.body.message, /street1/);
+    });
+  });
+
+  describe('POST /api/orders/:id/label', () => {
+    it('buys the cheapest label, stores it, charges it to the sale and ships the order', async () => {
+      const order = createOrder(listing);
+
+      const response = await api.request('POST', `/api/orders/${order.id}/label`, { token, body: PACKAGE });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.label.carrier, 'usps');
+      assert.equal(response.body.label.service, 'Ground Advantage');
+      assert.equal(response.body.label.cost, 5.95);
+      assert.match(response.body.label.url, /shipping-labels/);
+
+      const [stored] = db.rows('orders');
+      assert.equal(stored.label_status, 'purchased');
+      assert.equal(stored.label_provider, 'fake');
+      assert.equal(stored.label_cost, 5.95);
+      assert.equal(stored.fulfillment_status, 'shipped');
+      assert.equal(stored.carrier, 'usps');
+      assert.equal(stored.tracking_number, response.body.label.trackingNumber);
+
+      const pdf = db.storage.objects.get(`${shippingConfig.labelBucket}/${stored.label_path}`);
+      assert.ok(stored.label_path.startsWith(`${user.id}/${order.id}/`));
+      assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+
+      assert.equal(db.rows('profits')[0].shipping_cost, 5.95);
+      const [postage] = db.rows('ledger_entries').filter(entry => entry.entry_type === 'shipping');
+      assert.equal(postage.amount, 5.95);
+
+      const [[, shipment]] = marketplaces.ebay.callsTo('markShipped');
+      assert.deepEqual(shipment, { carrier: 'usps', trackingNumber: stored.tracking_number });
+    });
+
+    it('buys the rate the seller picked', async () => {
+      const order = createOrder(listing);
+
+      const response = await api.request('POST', `/api/orders/${order.id}/label`, {
+        token,
+        body: { ...PACKAGE, rate_id: 'fake_ups_ground' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.label.carrier, 'ups');
+      assert.match(response.body.label.trackingNumber, /^1Z/);
+      assert.equal(db.rows('orders')[0].carrier, 'ups');
+    });
+
+    it('only buys one label per order', async () => {
+      const order = createOrder(listing);
+
+      const first = await api.request('POST', `/api/orders/${order.id}/label`, { token, body: PACKAGE });
+      const second = await api.request('POST', `/api/orders/${order.id}/label`, { token, body: PACKAGE });
+
+      assert.equal(first.status, 200);
+      assert.equal(second.status, 409);
+      assert.equal(db.storage.objects.size, 1);
+      assert.equal(db.rows('profits')[0].shipping_cost, 5.95);
+    });
+
+    it('charges a label bought before the profit was linked once order sync links it', async () => {
+      const channel = createChannel(listing, 'ebay', { status: 'sold' });
+      const order = createOrder(listing);
+      // The sold sweep's profit, not yet pointed at the order
+      db.update('profits', profit => profit.order_id === order.id, { order_id: null });
+
+      const response = await api.request('POST', `/api/orders/${order.id}/label`, { token, body: PACKAGE });
+
+      assert.equal(response.status, 200);
+      assert.equal(db.rows('profits')[0].shipping_cost, 0);
+      assert.equal(db.rows('orders')[0].label_charged_at, undefined);
+
+      const marketplaceOrder = {
+        externalOrderId: order.external_order_id,
+        externalId: channel.external_id,
+        buyer: { name: 'Jamie Buyer' },
+        shippingAddress: order.shipping_address,
+        salePrice: 275,
+        shippingPaid: 12.5,
+        marketplaceFees: 35.75,
+        currency: 'USD',
+        fulfillmentStatus: 'shipped',
+        orderedAt: '2026-10-18T10:00:00.000Z'
+      };
+      marketplaces.ebay.respond('fetchOrders', { success: true, orders: [marketplaceOrder] });
+      marketplaces.ebay.respond('fetchOrders', { success: true, orders: [marketplaceOrder] });
+      await orderService.syncListingOrders(listing.id);
+      await orderService.syncListingOrders(listing.id);
+
+      const [profit] = db.rows('profits');
+      assert.equal(profit.order_id, order.id);
+      assert.equal(profit.shipping_cost, 5.95);
+      assert.ok(db.rows('orders')[0].label_charged_at);
+      const postage = db.rows('ledger_entries').filter(entry => entry.entry_type === 'shipping');
+      assert.deepEqual(postage.map(entry => entry.amount), [5.95]);
+    });
+
+    it('charges a label once however many times it is charged at the same time', async () => {
+      const order = createOrder(listing);
+      db.update('orders', row => row.id === order.id, { label_status: 'purchased', label_cost: 7.5 });
+
+      await Promise.all([
+        labelService.chargeLabelToProfit(order.id),
+        labelService.chargeLabelToProfit(order.id)
+      ]);
+
+      assert.equal(db.rows('profits')[0].shipping_cost, 7.5);
+    });
+
+    it('leaves the order as it was when the provider refuses the purchase', async () => {
+      const order = createOrder(listing);
+      const fake = labels.getLabelProvider();
+      labels.registerLabelProvider({
+        name: 'declining',
+        getRates: shipment => fake.getRates(shipment),
+        purchaseLabel: async () => ({ success: false, message: 'Insufficient postage balance' })
+      });
+      const previous = shippingConfig.labelProvider;
+      shippingConfig.labelProvider = 'declining';
+
+      try {
+        const response = await api.request('POST', `/api/orders/${order.id}/label`, { token, body: PACKAGE });
+
+        assert.equal(response.status, 502);
+        assert.match(response.body.message, /Insufficient postage balance/);
+        const [stored] = db.rows('orders');
+        assert.equal(stored.label_status, null);
+        assert.equal(stored.fulfillment_status, 'unfulfilled');
+        assert.equal(db.rows('profits')[0].shipping_cost, 0);
+        assert.equal(db.storage.objects.size, 0);
+      } finally {
+        shippingConfig.labelProvider = previous;
+      }
+    });
+
+    it('takes over a claim left by a purchase that never finished', async () => {
+      const order = createOrder(listing, {
+        label_status: 'purchasing',
+        label_claimed_until: new Date(Date.now() + 5 * 60 * 1000).toISOString()
+      });
+
+      const claimed = await api.request('POST', `/api/orders/${order.id}/label`, { token, body: PACKAGE });
+
+      assert.equal(claimed.status, 409);
+      assert.equal(db.storage.objects.size, 0);
+
+      await db.client.from('orders').update({ label_claimed_until: new Date(Date.now() - 1000).toISOString() }).eq('id', order.id);
+      const stale = await api.request('POST', `/api/orders/${order.id}/label`, { token, body: PACKAGE });
+
+      assert.equal(stale.status, 200);
+      const [stored] = db.rows('orders');
+      assert.equal(stored.label_status, 'purchased');
+      assert.equal(stored.label_claimed_until, null);
+    });
+
+    describe('when the order cannot be updated after the purchase', () => {
+      let previous;
+      let texts;
+      let failures;
+
+      beforeEach(t => {
+        const fake = labels.getLabelProvider();
+        // The database starts failing the moment the postage is paid
+        labels.registerLabelProvider({
+          name: 'flaky-database',
+          getRates: shipment => fake.getRates(shipment),
+          purchaseLabel: async (rateId, shipment) => {
+            for (let i = 0; i < failures; i++) db.failNext('orders', 'connection reset');
+            return fake.purchaseLabel(rateId, shipment);
+          }
+        });
+        previous = shippingConfig.labelProvider;
+        shippingConfig.labelProvider = 'flaky-database';
+        texts = [];
+        t.mock.method(smsService, 'sendSms', async (to, body) => {
+          texts.push({ to, body });
+          return { success: true };
+        });
+        t.mock.method(console, 'error', () => {});
+        smsConfig.adminAlertPhones.splice(0, Infinity, '+15550000001');
+      });
+
+      afterEach(() => {
+        shippingConfig.labelProvider = previous;
+      });
+
+      after(() => {
+        smsConfig.adminAlertPhones.splice(0, Infinity);
+      });
+
+      const purchase = async count => {
+        failures = count;
+        const order = createOrder(listing);
+        const response = await api.request('POST', `/api/orders/${order.id}/label`, { token, body: PACKAGE });
+        return { order, response };
+      };
+
+      it('retries recording the label', async () => {
+        const { response } = await purchase(1);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.message, undefined);
+        const [stored] = db.rows('orders');
+        assert.equal(stored.label_status, 'purchased');
+        assert.equal(stored.label_cost, 5.95);
+        assert.equal(db.rows('profits')[0].shipping_cost, 5.95);
+        assert.equal(texts.length, 0);
+      });
+
+      it('tells the seller and alerts the admins when the label still cannot be recorded', async () => {
+        const { order, response } = await purchase(3);
+
+        assert.equal(response.status, 200);
+        assert.match(response.body.message, /couldn't be saved to the order/);
+        assert.ok(response.body.label.trackingNumber);
+        assert.equal(db.rows('orders')[0].label_status, 'purchasing');
+        assert.equal(texts.length, 1);
+        assert.match(texts[0].body, new RegExp(`order ${order.id}`));
+        assert.match(texts[0].body, new RegExp(response.body.label.trackingNumber));
+      });
+    });
+
+    it('refuses cancelled orders', async () => {
+      const order = createOrder(listing, { fulfillment_status: 'cancelled' });
+
+      const response = await api.request('POST', `/api/orders/${order.id}/label`, { token, body: PACKAGE });
+
+      assert.equal(response.status, 400);
+      assert.equal(db.storage.objects.size, 0);
+    });
+  });
+
+  describe('GET /api/orders/:id/label', () => {
+    it('links to the label', async () => {
+      const order = createOrder(listing);
+      await api.request('POST', `/api/orders/${order.id}/label`, { token, body: PACKAGE });
+
+      const response = await api.request('GET', `/api/orders/${order.id}/label`, { token });
+
+      assert.equal(response.status, 200);
+      assert.match(response.body.url, new RegExp(`${order.id}/fake_label_`));
+      assert.equal(response.body.expires_in, 3600);
+    });
+
+    it("returns 404 for another seller's order", async () => {
+      const order = createOrder(createListing(createUser(), { status: 'sold' }));
+
+      const response = await api.request('GET', `/api/orders/${order.id}/label`, { token });
+
+      assert.equal(response.status, 404);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  marketplaces,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  tokenFor,
+  signInAdmin
+} = require('./helpers/testApp');
+const ledgerService = require('../src/services/ledgerService');
+const soldSyncService = require('../src/services/soldSyncService');
+
+const entriesOfType = type => db.rows('ledger_entries').filter(entry => entry.entry_type === type);
+
+describe('ledger', () => {
+  let api;
+  let user;
+  let token;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+    token = tokenFor(user);
+    listing = createListing(user, { status: 'sold' });
+  });
+
+  const createProfit = (fields = {}) => db.seed('profits', {
+    listing_id: listing.id,
+    user_id: user.id,
+    amount: 300,
+    fees: 39,
+    shipping_cost: 11,
+    platform: 'ebay',
+    status: 'completed',
+    ...fields
+  });
+
+  const balances = async () => {
+    const result = await ledgerService.getUserBalances(user.id);
+    return { available: result.available, pending: result.pending };
+  };
+
+  it('holds a sale as pending until its profit is completed', async () => {
+    const sold = createListing(user);
+    await soldSyncService.markListingSold(sold, marketplaces.ebay);
+
+    const [sale] = entriesOfType('sale');
+    assert.equal(sale.amount, 300);
+    assert.equal(sale.debit_account, 'marketplace_clearing');
+    assert.equal(sale.credit_account, 'seller_pending');
+    assert.equal(sale.channel, 'ebay');
+    // Less the estimated eBay fee (13.25% + $0.40) and 2.5% commission
+    assert.equal(entriesOfType('marketplace_fee')[0].amount, 40.15);
+    assert.equal(entriesOfType('commission')[0].amount, 7.5);
+    assert.deepEqual(await balances(), { available: 0, pending: 252.35 });
+
+    const { cookie } = await signInAdmin(api, 'finance');
+    const [profit] = db.rows('profits');
+    // A marketplace sale is completed once its order is delivered
+    const order = db.seed('orders', { listing_id: sold.id, user_id: user.id, channel: 'ebay', sale_price: 300, fulfillment_status: 'delivered' });
+    db.update('profits', row => row.id === profit.id, { order_id: order.id });
+    await api.request('PUT', `/api/profits/${profit.id}`, { cookie, body: { status: 'completed' } });
+
+    const [release] = entriesOfType('release');
+    assert.equal(release.amount, 252.35);
+    assert.equal(release.profit_id, profit.id);
+    assert.deepEqual(await balances(), { available: 252.35, pending: 0 });
+  });
+
+  it('posts corrections as new entries in the opposite direction', async () => {
+    const profit = createProfit();
+    await ledgerService.backfillLedger();
+    const { cookie } = await signInAdmin(api, 'finance');
+
+    await api.request('PUT', `/api/profits/${profit.id}`, { cookie, body: { status: 'pending' } });
+
+    const releases = entriesOfType('release');
+    assert.equal(releases.length, 2);
+    assert.equal(releases[1].debit_account, 'seller_available');
+    assert.equal(releases[1].credit_account, 'seller_pending');
+    assert.equal(releases[1].amount, 250);
+    assert.deepEqual(await balances(), { available: 0, pending: 250 });
+  });
+
+  it('posts a sale once when it is synced from several places at the same time', async () => {
+    const profit = createProfit();
+
+    const results = await Promise.all([
+      ledgerService.syncProfit(profit),
+      ledgerService.syncProfit(profit),
+      ledgerService.syncProfit(profit)
+    ]);
+
+    assert.ok(results.every(result => result.success));
+    assert.equal(entriesOfType('sale').length, 1);
+    assert.equal(entriesOfType('release').length, 1);
+    assert.deepEqual(await balances(), { available: 250, pending: 0 });
+  });
+
+  it('reports a failed posting', async () => {
+    const profit = createProfit();
+    db.failNext('rpc:post_ledger_differences', 'connection reset');
+
+    const result = await ledgerService.syncProfit(profit);
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /connection reset/);
+    assert.equal(db.rows('ledger_entries').length, 0);
+  });
+
+  it('takes payout requests off the balance and gives rejected ones back', async () => {
+    createProfit();
+    await ledgerService.backfillLedger();
+
+    const created = await api.request('POST', '/api/payouts', { token, body: { amount: 100, phone: user.phone } });
+
+    assert.equal(created.status, 201);
+    assert.equal(entriesOfType('payout')[0].amount, 100);
+    assert.equal((await balances()).available, 150);
+
+    const { cookie } = await signInAdmin(api, 'finance');
+    await api.request('PUT', `/api/payouts/${created.body.payout.id}`, { cookie, body: { status: 'rejected' } });
+
+    const [, reversal] = entriesOfType('payout');
+    assert.equal(reversal.debit_account, 'payouts');
+    assert.equal(reversal.credit_account, 'seller_available');
+    assert.equal((await balances()).available, 250);
+  });
+
+  it('drops a payout request that could not be posted', async () => {
+    createProfit();
+    await ledgerService.backfillLedger();
+    db.failNext('rpc:request_payout', 'connection reset');
+
+    const response = await api.request('POST', '/api/payouts', { token, body: { amount: 100, phone: user.phone } });
+
+    assert.equal(response.status, 400);
+    assert.equal(db.rows('payout_requests').length, 0);
+    assert.equal(entriesOfType('payout').length, 0);
+  });
+
+  it('backfills existing records once, dated when they happened', async () => {
+    createProfit({ created_at: '2026-07-02T12:00:00.000Z', completed_at: '2026-07-20T12:00:00.000Z' });
+    createProfit({ amount: 80, fees: 0, shipping_cost: 0, platform: 'facebook', status: 'pending', created_at: '2026-08-03T12:00:00.000Z' });
+    db.seed('payout_requests', { user_id: user.id, amount: 200, phone: user.phone, status: 'completed', created_at: '2026-07-25T12:00:00.000Z' });
+    db.seed('payout_requests', { user_id: user.id, amount: 500, phone: user.phone, status: 'rejected' });
+    db.seed('balance_adjustments', { user_id: user.id, amount: -20, reason: 'Refund on ebay order 1: Broken' });
+
+    const first = await ledgerService.backfillLedger();
+    const second = await ledgerService.backfillLedger();
+
+    assert.equal(first.success, true);
+    assert.equal(first.profits, 2);
+    assert.equal(first.payouts, 2);
+    assert.equal(first.adjustments, 1);
+    // Sale, fee, shipping and release for the completed profit, the pending sale, one payout and the adjustment
+    assert.equal(first.entries, 7);
+    assert.equal(second.entries, 0);
+
+    assert.equal(entriesOfType('sale')[0].occurred_at, '2026-07-02T12:00:00.000Z');
+    assert.equal(entriesOfType('release')[0].occurred_at, '2026-07-20T12:00:00.000Z');
+    assert.equal(entriesOfType('adjustment')[0].memo, 'Refund on ebay order 1: Broken');
+    assert.deepEqual(await balances(), { available: 30, pending: 80 });
+  });
+
+  it('keeps every entry balanced and positive', async () => {
+    createProfit();
+    createProfit({ status: 'pending', fees: 0 });
+    await ledgerService.backfillLedger();
+    await api.request('POST', '/api/payouts', { token, body: { amount: 60, phone: user.phone } });
+
+    const entries = db.rows('ledger_entries');
+    assert.ok(entries.length > 0);
+    entries.forEach(entry => {
+      assert.ok(entry.amount > 0);
+      assert.notEqual(entry.debit_account, entry.credit_account);
+      assert.deepEqual(
+        [entry.debit_account, entry.credit_account].sort(),
+        Object.values(ledgerService.ENTRY_TYPES[entry.entry_type]).sort()
+      );
+    });
+  });
+
+  describe('derived totals', () => {
+    it('summarises profits net of fees and shipping', async () => {
+      createProfit({ created_at: '2026-09-05T12:00:00.000Z' });
+      createProfit({ amount: 80, fees: 8, shipping_cost: 0, platform: 'facebook', status: 'pending', created_at: '2026-09-10T12:00:00.000Z' });
+      await ledgerService.backfillLedger();
+
+      const response = await api.request('GET', '/api/profits/summary', { token });
+
+      assert.equal(response.status, 200);
+      const { summary } = response.body;
+      assert.equal(summary.totalProfit, 322);
+      assert.equal(summary.pendingProfit, 72);
+      assert.equal(summary.completedProfit, 250);
+      assert.equal(summary.availableBalance, 250);
+      assert.equal(summary.grossSales, 380);
+      assert.equal(summary.marketplaceFees, 47);
+      assert.equal(summary.shippingCosts, 11);
+      assert.deepEqual(summary.byPlatform, { ebay: 250, facebook: 72 });
+      assert.deepEqual(summary.byMonth, [{ month: '2026-09', amount: 322 }]);
+      assert.equal(summary.totalCount, 2);
+    });
+
+    it('reports the same figures in user stats', async () => {
+      createProfit();
+      await ledgerService.backfillLedger();
+      await api.request('POST', '/api/payouts', { token, body: { amount: 100, phone: user.phone } });
+
+      const response = await api.request('GET', `/api/users/${user.id}/stats`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.stats.profits.total, 250);
+      assert.equal(response.body.stats.profits.completed, 250);
+      assert.equal(response.body.stats.profits.available, 150);
+    });
+  });
+});
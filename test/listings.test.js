@@ -0,0 +1,565 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  marketplaces,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  createChannel,
+  tokenFor
+} = require('./helpers/testApp');
+const publishQueueService = require('../src/services/publishQueueService');
+
+const NEW_LISTING = {
+  title: 'Nintendo Switch OLED',
+  description: 'Barely used, comes with dock and joy-cons',
+  price: 280,
+  image_urls: ['https://images.test/switch.jpg'],
+  category: 'Video Games',
+  brand: 'Nintendo'
+};
+
+describe('listings routes', () => {
+  let api;
+  let user;
+  let token;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+    token = tokenFor(user);
+  });
+
+  describe('GET /api/listings', () => {
+    it("lists the user's listings with their channels", async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+      createListing(createUser(), { title: 'Not mine' });
+
+      const response = await api.request('GET', '/api/listings', { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.count, 1);
+      assert.equal(response.body.listings[0].id, listing.id);
+      assert.equal(response.body.listings[0].channels.length, 1);
+    });
+
+    it('filters by status', async () => {
+      createListing(user, { status: 'active' });
+      createListing(user, { status: 'sold' });
+
+      const response = await api.request('GET', '/api/listings?status=sold', { token });
+
+      assert.equal(response.body.count, 1);
+      assert.equal(response.body.listings[0].status, 'sold');
+    });
+
+    it("rejects requests for another user's listings", async () => {
+      const other = createUser();
+      const response = await api.request('GET', `/api/listings?user_id=${other.id}`, { token });
+
+      assert.equal(response.status, 403);
+    });
+
+    it('requires authentication', async () => {
+      const response = await api.request('GET', '/api/listings');
+
+      assert.equal(response.status, 401);
+    });
+  });
+
+  describe('eBay taxonomy', () => {
+    it('suggests categories from the snapshot', async () => {
+      const response = await api.request('GET', '/api/listings/ebay/categories?q=canon%20camera', { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.source, 'snapshot');
+      assert.ok(response.body.categories.some(category => category.categoryId === '625'));
+    });
+
+    it('requires a query', async () => {
+      const response = await api.request('GET', '/api/listings/ebay/categories', { token });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('lists the item specifics for a category', async () => {
+      const response = await api.request('GET', '/api/listings/ebay/categories/625/aspects', { token });
+
+      assert.equal(response.status, 200);
+      assert.ok(response.body.aspects.some(aspect => aspect.name === 'Brand' && aspect.required));
+    });
+  });
+
+  describe('GET /api/listings/:id', () => {
+    it('returns the listing with its price history', async () => {
+      const listing = createListing(user);
+      db.seed('price_history', { listing_id: listing.id, previous_price: 320, new_price: 300, reason: 'manual' });
+
+      const response = await api.request('GET', `/api/listings/${listing.id}`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.listing.id, listing.id);
+      assert.equal(response.body.priceHistory.length, 1);
+    });
+
+    it("returns 404 for another user's listing", async () => {
+      const listing = createListing(createUser());
+      const response = await api.request('GET', `/api/listings/${listing.id}`, { token });
+
+      assert.equal(response.status, 404);
+    });
+  });
+
+  describe('POST /api/listings', () => {
+    it('creates the listing and publishes it to every marketplace', async () => {
+      const response = await api.request('POST', '/api/listings', { token, body: NEW_LISTING });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.listing.min_price, 140);
+      assert.equal(response.body.listing.ebay_listing_id, 'ebay-1');
+      assert.equal(response.body.listing.facebook_listing_id, 'facebook-1');
+      assert.equal(response.body.listing.channels.length, 2);
+      assert.equal(response.body.marketplace.ebay.success, true);
+      assert.equal(marketplaces.ebay.callsTo('createListing').length, 1);
+      assert.equal(db.rows('listing_channels').filter(channel => channel.status === 'active').length, 2);
+    });
+
+    it('skips marketplaces the listing does not target', async () => {
+      const response = await api.request('POST', '/api/listings', {
+        token,
+        body: { ...NEW_LISTING, platform: 'eBay', min_price: 200 }
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.listing.min_price, 200);
+      assert.equal(response.body.marketplace.facebook.message, 'Facebook Marketplace posting skipped');
+      assert.equal(marketplaces.facebook.callsTo('createListing').length, 0);
+    });
+
+    it('fails a channel and notifies the seller when the marketplace rejects the listing', async () => {
+      marketplaces.ebay.respond('createListing', { success: false, retryable: false, message: 'Missing item specifics: Model' });
+
+      const response = await api.request('POST', '/api/listings', { token, body: NEW_LISTING });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.marketplace.ebay.success, false);
+      const ebayChannel = db.rows('listing_channels').find(channel => channel.channel === 'ebay');
+      assert.equal(ebayChannel.status, 'failed');
+      assert.equal(ebayChannel.next_publish_at, null);
+      const notifications = db.rows('notifications');
+      assert.equal(notifications.length, 1);
+      assert.equal(notifications[0].type, 'publish_failed');
+    });
+
+    it('queues a retry when the marketplace is temporarily unavailable', async () => {
+      marketplaces.facebook.respond('createListing', { success: false, message: 'Service unavailable' });
+
+      await api.request('POST', '/api/listings', { token, body: NEW_LISTING });
+
+      const facebookChannel = db.rows('listing_channels').find(channel => channel.channel === 'facebook');
+      assert.equal(facebookChannel.status, 'pending');
+      assert.ok(facebookChannel.next_publish_at);
+      assert.equal(db.rows('notifications').length, 0);
+    });
+
+    it('requires title, description, price and images', async () => {
+      const response = await api.request('POST', '/api/listings', {
+        token,
+        body: { ...NEW_LISTING, image_urls: [] }
+      });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /Missing required fields/);
+    });
+
+    it('validates item specifics', async () => {
+      const response = await api.request('POST', '/api/listings', {
+        token,
+        body: { ...NEW_LISTING, item_specifics: { Model: 42 } }
+      });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('rejects a shipping profile that belongs to someone else', async () => {
+      const profile = db.seed('shipping_profiles', { user_id: createUser().id, name: 'Theirs' });
+
+      const response = await api.request('POST', '/api/listings', {
+        token,
+        body: { ...NEW_LISTING, shipping_profile_id: profile.id }
+      });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'Shipping profile not found');
+      assert.equal(db.rows('listings').length, 0);
+    });
+
+    it('rejects tokens for users that no longer exist', async () => {
+      db.reset();
+
+      const response = await api.request('POST', '/api/listings', { token, body: NEW_LISTING });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'Invalid user ID');
+    });
+  });
+
+  describe('PUT /api/listings/:id', () => {
+    it('records manual price changes and pushes them to marketplaces', async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+
+      const response = await api.request('PUT', `/api/listings/${listing.id}`, { token, body: { price: 250 } });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.listing.price, 250);
+      const [history] = db.rows('price_history');
+      assert.equal(history.reason, 'manual');
+      assert.equal(history.previous_price, 300);
+      assert.deepEqual(marketplaces.ebay.callsTo('updateListing')[0][1], { price: 250 });
+    });
+
+    it('sends detail changes to linked marketplaces', async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'facebook');
+
+      const response = await api.request('PUT', `/api/listings/${listing.id}`, {
+        token,
+        body: { title: 'Canon Rebel T7 with two lenses', condition: 'Used - Like New' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.listing.title, 'Canon Rebel T7 with two lenses');
+      assert.deepEqual(marketplaces.facebook.callsTo('updateListing')[0][1], {
+        title: 'Canon Rebel T7 with two lenses',
+        condition: 'Used - Like New'
+      });
+    });
+
+    it('ends marketplace listings when the listing is ended', async () => {
+      const listing = createListing(user, { ebay_listing_id: 'ebay-legacy', ebay_url: 'https://ebay.test/legacy' });
+      createChannel(listing, 'ebay', { external_id: 'ebay-legacy' });
+
+      const response = await api.request('PUT', `/api/listings/${listing.id}`, { token, body: { status: 'ended' } });
+
+      assert.equal(response.status, 200);
+      assert.equal(marketplaces.ebay.callsTo('endListing')[0][0], 'ebay-legacy');
+      assert.equal(db.rows('listing_channels')[0].status, 'ended');
+      assert.equal(db.rows('listings')[0].ebay_listing_id, null);
+    });
+
+    it('returns 404 for unknown listings', async () => {
+      const response = await api.request('PUT', '/api/listings/00000000-0000-4000-8000-000000000000', {
+        token,
+        body: { title: 'Nope' }
+      });
+
+      assert.equal(response.status, 404);
+    });
+  });
+
+  describe('DELETE /api/listings/:id', () => {
+    it('ends marketplace listings and deletes the listing', async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+      createChannel(listing, 'facebook');
+
+      const response = await api.request('DELETE', `/api/listings/${listing.id}`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(marketplaces.ebay.callsTo('endListing').length, 1);
+      assert.equal(marketplaces.facebook.callsTo('endListing').length, 1);
+      assert.equal(db.rows('listings').length, 0);
+    });
+
+    it("returns 404 for another user's listing", async () => {
+      const listing = createListing(createUser());
+      const response = await api.request('DELETE', `/api/listings/${listing.id}`, { token });
+
+      assert.equal(response.status, 404);
+      assert.equal(db.rows('listings').length, 1);
+    });
+  });
+
+  describe('GET /api/listings/:id/check-sold', () => {
+    it('marks the listing sold and records a pending profit', async () => {
+      const listing = createListing(user);
+      const channel = createChannel(listing, 'facebook');
+      marketplaces.facebook.sell(channel.external_id);
+
+      const response = await api.request('GET', `/api/listings/${listing.id}/check-sold`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.sold, true);
+      assert.equal(response.body.platform, 'facebook');
+      assert.equal(db.rows('listings')[0].status, 'sold');
+      assert.equal(db.rows('listing_channels')[0].status, 'sold');
+      const [profit] = db.rows('profits');
+      assert.equal(profit.amount, 300);
+      assert.equal(profit.status, 'pending');
+      assert.equal(db.rows('notifications')[0].type, 'item_sold');
+    });
+
+    it('reports unsold listings', async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+
+      const response = await api.request('GET', `/api/listings/${listing.id}/check-sold`, { token });
+
+      assert.equal(response.body.sold, false);
+      assert.equal(response.body.ebay.status, 'active');
+      assert.equal(db.rows('profits').length, 0);
+    });
+
+    it('short-circuits listings already marked sold', async () => {
+      const listing = createListing(user, { status: 'sold' });
+
+      const response = await api.request('GET', `/api/listings/${listing.id}/check-sold`, { token });
+
+      assert.equal(response.body.sold, true);
+      assert.equal(response.body.message, 'Listing is already marked as sold');
+      assert.equal(marketplaces.ebay.callsTo('getStatus').length, 0);
+    });
+  });
+
+  describe('PUT /api/listings/:id/channels/:channel', () => {
+    it('sets a price override and pushes it to the marketplace', async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+
+      const response = await api.request('PUT', `/api/listings/${listing.id}/channels/ebay`, {
+        token,
+        body: { price_override: 329.99 }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.channel.price_override, 329.99);
+      assert.deepEqual(marketplaces.ebay.callsTo('updateListing')[0][1], { price: 329.99 });
+    });
+
+    it('rejects invalid prices', async () => {
+      const listing = createListing(user);
+      const response = await api.request('PUT', `/api/listings/${listing.id}/channels/ebay`, {
+        token,
+        body: { price_override: -5 }
+      });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('returns 404 when the listing is not on that marketplace', async () => {
+      const listing = createListing(user);
+      const response = await api.request('PUT', `/api/listings/${listing.id}/channels/ebay`, {
+        token,
+        body: { price_override: 200 }
+      });
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.message, 'Listing is not published on ebay');
+    });
+  });
+
+  describe('POST /api/listings/:id/republish', () => {
+    it('republishes failed channels only', async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+      createChannel(listing, 'facebook', { status: 'failed', external_id: null, publish_attempts: 6 });
+
+      const response = await api.request('POST', `/api/listings/${listing.id}/republish`, { token, body: {} });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(Object.keys(response.body.marketplace), ['facebook']);
+      assert.equal(marketplaces.ebay.callsTo('createListing').length, 0);
+      const facebookChannel = db.rows('listing_channels').find(channel => channel.channel === 'facebook');
+      assert.equal(facebookChannel.status, 'active');
+      assert.equal(facebookChannel.publish_attempts, 0);
+      assert.equal(facebookChannel.external_id, 'facebook-1');
+    });
+
+    it('skips a channel a queue run is publishing', async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+      // A queue run's claim, held until the lease runs out
+      const leaseExpiry = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      createChannel(listing, 'facebook', {
+        status: 'pending',
+        external_id: null,
+        publish_attempts: 2,
+        next_publish_at: leaseExpiry,
+        publish_lease_until: leaseExpiry
+      });
+
+      const response = await api.request('POST', `/api/listings/${listing.id}/republish`, { token, body: {} });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.marketplace.facebook.success, false);
+      assert.match(response.body.marketplace.facebook.message, /already being published/);
+      assert.equal(marketplaces.facebook.callsTo('createListing').length, 0);
+    });
+
+    it('publishes a channel waiting out a retry backoff right away', async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+      createChannel(listing, 'facebook', {
+        status: 'pending',
+        external_id: null,
+        publish_attempts: 3,
+        next_publish_at: new Date(Date.now() + 20 * 60 * 1000).toISOString(),
+        publish_lease_until: null
+      });
+
+      const response = await api.request('POST', `/api/listings/${listing.id}/republish`, { token, body: {} });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.marketplace.facebook.success, true);
+      assert.equal(marketplaces.facebook.callsTo('createListing').length, 1);
+      const facebookChannel = db.rows('listing_channels').find(channel => channel.channel === 'facebook');
+      assert.equal(facebookChannel.status, 'active');
+      assert.equal(facebookChannel.publish_lease_until, null);
+    });
+
+    it('resets the stored attempt count while republishing', async t => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+      createChannel(listing, 'facebook', { status: 'failed', external_id: null, publish_attempts: 6 });
+      // What a queue run taking over after a crash mid-publish would see
+      let stored;
+      t.mock.method(marketplaces.facebook, 'createListing', async () => {
+        stored = db.rows('listing_channels').find(channel => channel.channel === 'facebook');
+        return { success: false, message: 'Service unavailable' };
+      });
+
+      await api.request('POST', `/api/listings/${listing.id}/republish`, { token, body: {} });
+
+      assert.equal(stored.status, 'pending');
+      assert.equal(stored.publish_attempts, 0);
+      assert.ok(new Date(stored.publish_lease_until) > new Date());
+      const facebookChannel = db.rows('listing_channels').find(channel => channel.channel === 'facebook');
+      assert.equal(facebookChannel.status, 'pending');
+      assert.equal(facebookChannel.publish_attempts, 1);
+    });
+
+    it('publishes once when a republish arrives during a queue run', async t => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+      createChannel(listing, 'facebook', { status: 'pending', external_id: null, publish_attempts: 1, next_publish_at: null });
+
+      // Hold the queue run's publish open until the republish has been handled
+      const createFacebookListing = marketplaces.facebook.createListing;
+      let started;
+      let release;
+      const publishStarted = new Promise(resolve => { started = resolve; });
+      const publishing = new Promise(resolve => { release = resolve; });
+      let calls = 0;
+      t.mock.method(marketplaces.facebook, 'createListing', async (...args) => {
+        calls += 1;
+        if (calls === 1) {
+          started();
+          await publishing;
+        }
+        return createFacebookListing(...args);
+      });
+
+      const run = publishQueueService.processPublishQueue();
+      await publishStarted;
+      const response = await api.request('POST', `/api/listings/${listing.id}/republish`, { token, body: {} });
+      release();
+      await run;
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.marketplace.facebook.success, false);
+      assert.equal(calls, 1);
+      assert.equal(db.rows('listing_channels').find(channel => channel.channel === 'facebook').status, 'active');
+    });
+
+    it('rejects listings with nothing to republish', async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+      createChannel(listing, 'facebook');
+
+      const response = await api.request('POST', `/api/listings/${listing.id}/republish`, { token, body: {} });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('rejects listings that are not active', async () => {
+      const listing = createListing(user, { status: 'sold' });
+      const response = await api.request('POST', `/api/listings/${listing.id}/republish`, { token, body: {} });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'Only active listings can be republished');
+    });
+
+    it('validates the channel list', async () => {
+      const listing = createListing(user);
+      const response = await api.request('POST', `/api/listings/${listing.id}/republish`, {
+        token,
+        body: { channels: 'ebay' }
+      });
+
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('publish job', () => {
+    it('queues missing channels for active listings across batches', async () => {
+      for (let i = 0; i < 30; i++) {
+        createListing(user);
+      }
+      createChannel(createListing(user, { platform: 'eBay' }), 'ebay');
+      createListing(user, { status: 'ended' });
+
+      await publishQueueService.reconcileListings();
+
+      const queued = db.rows('listing_channels').filter(channel => channel.status === 'pending');
+      assert.equal(queued.length, 60);
+      assert.ok(queued.every(channel => channel.publish_attempts === 0 && channel.next_publish_at));
+    });
+  });
+
+  describe('POST /api/listings/:id/reduce-price', () => {
+    it('reduces the price by 10% except on channels with their own price', async () => {
+      const listing = createListing(user);
+      createChannel(listing, 'ebay');
+      createChannel(listing, 'facebook', { price_override: 310 });
+
+      const response = await api.request('POST', `/api/listings/${listing.id}/reduce-price`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.newPrice, 270);
+      assert.equal(db.rows('listings')[0].price, 270);
+      assert.equal(marketplaces.ebay.callsTo('updateListing').length, 1);
+      assert.equal(marketplaces.facebook.callsTo('updateListing').length, 0);
+      assert.equal(db.rows('price_history')[0].reason, 'automatic');
+      assert.equal(db.rows('notifications')[0].type, 'price_reduction');
+    });
+
+    it('never goes below the minimum price', async () => {
+      const listing = createListing(user, { price: 160 });
+
+      const response = await api.request('POST', `/api/listings/${listing.id}/reduce-price`, { token });
+
+      assert.equal(response.body.newPrice, 150);
+    });
+
+    it('leaves listings at their minimum price alone', async () => {
+      const listing = createListing(user, { price: 150 });
+
+      const response = await api.request('POST', `/api/listings/${listing.id}/reduce-price`, { token });
+
+      assert.equal(response.body.message, 'Listing already at minimum price');
+      assert.equal(db.rows('price_history').length, 0);
+    });
+  });
+});
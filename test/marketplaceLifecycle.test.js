@@ -0,0 +1,182 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  marketplaces: mocks,
+  startServer,
+  resetState,
+  createUser,
+  tokenFor
+} = require('./helpers/testApp');
+const ebayConfig = require('../src/config/ebay');
+const facebookConfig = require('../src/config/facebook');
+const marketplaces = require('../src/services/marketplaces');
+const ebayAdapter = require('../src/services/marketplaces/ebayAdapter');
+const facebookAdapter = require('../src/services/marketplaces/facebookAdapter');
+const { createFakeMarketplaceServer } = require('../src/utils/fakeMarketplaceServer');
+
+const NEW_LISTING = {
+  title: 'Canon EOS Rebel T7 Camera',
+  description: 'Lightly used DSLR with kit lens',
+  price: 300,
+  image_urls: ['https://images.test/camera.jpg'],
+  condition: 'Used - Good',
+  category: 'Cameras',
+  brand: 'Canon',
+  item_specifics: { Model: 'EOS Rebel T7' }
+};
+
+// The real eBay and Facebook adapters, talking HTTP to the fake marketplace server
+describe('marketplace lifecycle', () => {
+  const fake = createFakeMarketplaceServer();
+  const ebaySettings = { ...ebayConfig };
+  const facebookSettings = { ...facebookConfig };
+  let api;
+  let user;
+  let token;
+
+  before(async () => {
+    api = await startServer();
+    const url = await fake.listen(0);
+
+    Object.assign(ebayConfig, {
+      apiBaseUrl: url,
+      identityBaseUrl: url,
+      devId: 'test-dev-id',
+      authToken: 'house-trading-token',
+      oauthToken: 'house-oauth-token',
+      fulfillmentPolicyId: 'house-fulfillment',
+      paymentPolicyId: 'house-payment',
+      returnPolicyId: 'house-returns',
+      merchantLocationKey: 'house-warehouse'
+    });
+    Object.assign(facebookConfig, { accessToken: 'test-page-token', graphBaseUrl: `${url}/graph` });
+
+    marketplaces.registerMarketplace(ebayAdapter);
+    marketplaces.registerMarketplace(facebookAdapter);
+  });
+
+  after(async () => {
+    marketplaces.registerMarketplace(mocks.ebay);
+    marketplaces.registerMarketplace(mocks.facebook);
+    Object.assign(ebayConfig, ebaySettings);
+    Object.assign(facebookConfig, facebookSettings);
+    await fake.close();
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    fake.reset();
+    ebayConfig.listingApi = 'trading';
+    user = createUser();
+    token = tokenFor(user);
+  });
+
+  const channel = name => db.rows('listing_channels').find(row => row.channel === name);
+
+  const publish = async (body = {}) => {
+    const response = await api.request('POST', '/api/listings', { token, body: { ...NEW_LISTING, ...body } });
+    assert.equal(response.status, 201);
+    return response.body;
+  };
+
+  const checkSold = async listingId => {
+    const response = await api.request('GET', `/api/listings/${listingId}/check-sold`, { token });
+    assert.equal(response.status, 200);
+    return response.body;
+  };
+
+  const end = async listingId => {
+    const response = await api.request('PUT', `/api/listings/${listingId}`, { token, body: { status: 'ended' } });
+    assert.equal(response.status, 200);
+  };
+
+  it('publishes, checks and ends a listing through the Trading API and Facebook', async () => {
+    const { listing, marketplace } = await publish();
+
+    assert.equal(marketplace.ebay.success, true);
+    assert.equal(marketplace.facebook.success, true);
+    const item = fake.state.ebay.items[listing.ebay_listing_id];
+    assert.equal(item.Title, NEW_LISTING.title);
+    assert.equal(fake.state.facebook.listings[listing.facebook_listing_id].state, 'FOR_SALE');
+    assert.equal(channel('ebay').marketplace_data.api, 'trading');
+
+    const status = await checkSold(listing.id);
+
+    assert.equal(status.sold, false);
+    assert.equal(status.ebay.status, 'Active');
+    assert.equal(status.facebook.success, true);
+
+    await end(listing.id);
+
+    assert.equal(item.ListingStatus, 'Ended');
+    assert.equal(fake.state.facebook.listings[listing.facebook_listing_id].state, 'DELETED');
+    assert.equal(channel('ebay').status, 'ended');
+    assert.equal(channel('facebook').status, 'ended');
+  });
+
+  it('publishes, checks and ends a listing through the Inventory API', async () => {
+    ebayConfig.listingApi = 'inventory';
+
+    const { listing, marketplace } = await publish({ platform: 'eBay' });
+
+    assert.equal(marketplace.ebay.success, true);
+    const { marketplace_data: data } = channel('ebay');
+    assert.equal(data.api, 'inventory');
+    const offer = fake.state.ebay.offers[data.offerId];
+    assert.equal(offer.status, 'PUBLISHED');
+    assert.equal(offer.listing.listingId, listing.ebay_listing_id);
+
+    const status = await checkSold(listing.id);
+
+    assert.equal(status.sold, false);
+    assert.equal(status.ebay.status, 'Active');
+
+    await end(listing.id);
+
+    assert.equal(offer.listing.listingStatus, 'ENDED');
+    assert.equal(channel('ebay').status, 'ended');
+  });
+
+  it('publishes to Facebook without a category and with a lowercase condition', async () => {
+    const { listing, marketplace } = await publish({ platform: 'Facebook', category: undefined, condition: 'used - excellent' });
+
+    assert.equal(marketplace.facebook.success, true);
+    const posted = fake.state.facebook.listings[listing.facebook_listing_id];
+    assert.equal(posted.category, 'MISCELLANEOUS');
+    assert.equal(posted.condition, 'used_like_new');
+  });
+
+  it('publishes to Facebook under a broad or unknown category', async () => {
+    const broad = await publish({ platform: 'Facebook', category: 'Electronics' });
+    const unknown = await publish({ platform: 'Facebook', category: 'Collectibles' });
+
+    assert.equal(fake.state.facebook.listings[broad.listing.facebook_listing_id].category, 'ELECTRONICS');
+    assert.equal(fake.state.facebook.listings[unknown.listing.facebook_listing_id].category, 'MISCELLANEOUS');
+  });
+
+  it('marks a listing sold on eBay and ends it on Facebook', async () => {
+    const { listing } = await publish();
+    fake.sell('ebay', listing.ebay_listing_id);
+
+    const status = await checkSold(listing.id);
+
+    assert.equal(status.sold, true);
+    assert.equal(status.platform, 'ebay');
+    assert.equal(db.rows('listings')[0].status, 'sold');
+    assert.equal(channel('ebay').status, 'sold');
+    assert.equal(fake.state.facebook.listings[listing.facebook_listing_id].state, 'DELETED');
+  });
+
+  it('keeps a listing live when eBay fails to report its status', async () => {
+    const { listing } = await publish({ platform: 'eBay' });
+    fake.fail({ marketplace: 'ebay', operation: 'status', mode: 'server' });
+
+    const status = await checkSold(listing.id);
+
+    assert.equal(status.sold, false);
+    assert.equal(status.ebay.success, false);
+    assert.equal(fake.state.ebay.items[listing.ebay_listing_id].ListingStatus, 'Active');
+  });
+});
@@ -0,0 +1,308 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  marketplaces,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  createChannel,
+  tokenFor,
+  signInAdmin
+} = require('./helpers/testApp');
+const soldSyncService = require('../src/services/soldSyncService');
+const orderService = require('../src/services/orderService');
+const feeService = require('../src/services/feeService');
+const ebayAccountDeletionService = require('../src/services/ebayAccountDeletionService');
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * An order as an adapter's fetchOrders returns it
+ */
+function marketplaceOrder(externalId, fields = {}) {
+  return {
+    externalOrderId: `order-${externalId}`,
+    externalId,
+    buyer: { name: 'Jamie Buyer', username: 'jamie_b', email: 'jamie@buyer.test' },
+    shippingAddress: { name: 'Jamie Buyer', street1: '1 Test Street', city: 'San Jose', state: 'CA', postalCode: '95131', country: 'US' },
+    salePrice: 275,
+    shippingPaid: 12.5,
+    marketplaceFees: 35.75,
+    currency: 'USD',
+    fulfillmentStatus: 'unfulfilled',
+    orderedAt: '2026-10-18T10:00:00.000Z',
+    shippedAt: null,
+    ...fields
+  };
+}
+
+/**
+ * Seed a stored order for a listing
+ */
+function createOrder(listing, fields = {}) {
+  return db.seed('orders', {
+    listing_id: listing.id,
+    user_id: listing.user_id,
+    channel: 'ebay',
+    external_order_id: `order-${listing.id.slice(0, 8)}`,
+    buyer_name: 'Jamie Buyer',
+    buyer_username: 'jamie_b',
+    buyer_email: 'jamie@buyer.test',
+    shipping_address: { street1: '1 Test Street' },
+    sale_price: 275,
+    shipping_paid: 12.5,
+    marketplace_fees: 35.75,
+    currency: 'USD',
+    fulfillment_status: 'unfulfilled',
+    ...fields
+  });
+}
+
+describe('order sync', () => {
+  let user;
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+  });
+
+  it('stores the order when a sale is found and pays out the actual sale price', async () => {
+    const listing = createListing(user, { price: 300 });
+    const channel = createChannel(listing, 'ebay');
+    marketplaces.ebay.respond('fetchOrders', { success: true, orders: [marketplaceOrder(channel.external_id)] });
+
+    await soldSyncService.markListingSold(listing, marketplaces.ebay);
+
+    const [options] = marketplaces.ebay.callsTo('fetchOrders')[0];
+    assert.equal(options.externalId, channel.external_id);
+    assert.equal(options.channel.id, channel.id);
+
+    const [order] = db.rows('orders');
+    assert.equal(order.listing_id, listing.id);
+    assert.equal(order.user_id, user.id);
+    assert.equal(order.channel, 'ebay');
+    assert.equal(order.buyer_username, 'jamie_b');
+    assert.equal(order.sale_price, 275);
+    assert.equal(order.shipping_paid, 12.5);
+    assert.equal(order.marketplace_fees, 35.75);
+    assert.equal(order.shipping_address.city, 'San Jose');
+
+    const [profit] = db.rows('profits');
+    assert.equal(profit.order_id, order.id);
+    assert.equal(profit.amount, 275);
+    assert.ok(db.rows('listings')[0].sold_at);
+  });
+
+  it('updates stored orders instead of duplicating them', async () => {
+    const listing = createListing(user, { status: 'sold', sold_channel: 'facebook', sold_at: daysAgo(1) });
+    const channel = createChannel(listing, 'facebook', { status: 'sold' });
+    marketplaces.facebook.respond('fetchOrders', { success: true, orders: [marketplaceOrder(channel.external_id)] });
+    marketplaces.facebook.respond('fetchOrders', {
+      success: true,
+      orders: [marketplaceOrder(channel.external_id, { fulfillmentStatus: 'shipped', shippedAt: '2026-10-19T09:00:00.000Z' })]
+    });
+
+    await orderService.syncListingOrders(listing.id);
+    await orderService.syncListingOrders(listing.id);
+
+    const orders = db.rows('orders');
+    assert.equal(orders.length, 1);
+    assert.equal(orders[0].fulfillment_status, 'shipped');
+    assert.equal(orders[0].shipped_at, '2026-10-19T09:00:00.000Z');
+  });
+
+  it('keeps checking recent sales until the order ships', async () => {
+    const waiting = createListing(user, { status: 'sold', sold_channel: 'ebay', sold_at: daysAgo(1) });
+    createChannel(waiting, 'ebay', { status: 'sold' });
+    const unshipped = createListing(user, { status: 'sold', sold_channel: 'ebay', sold_at: daysAgo(2) });
+    createChannel(unshipped, 'ebay', { status: 'sold' });
+    createOrder(unshipped);
+    const shipped = createListing(user, { status: 'sold', sold_channel: 'ebay', sold_at: daysAgo(2) });
+    createChannel(shipped, 'ebay', { status: 'sold' });
+    createOrder(shipped, { fulfillment_status: 'shipped' });
+    const old = createListing(user, { status: 'sold', sold_channel: 'ebay', sold_at: daysAgo(45) });
+    createChannel(old, 'ebay', { status: 'sold' });
+
+    await orderService.runOrderSyncJob();
+
+    const checked = marketplaces.ebay.callsTo('fetchOrders').map(([options]) => options.externalId).sort();
+    assert.deepEqual(checked, [`ebay-${waiting.id.slice(0, 8)}`, `ebay-${unshipped.id.slice(0, 8)}`].sort());
+  });
+
+  it("links a sale's profit to its order once the fees can be worked out", async t => {
+    t.mock.method(console, 'error', () => {});
+    const listing = createListing(user, { status: 'sold', sold_channel: 'ebay', sold_at: daysAgo(1) });
+    const channel = createChannel(listing, 'ebay', { status: 'sold' });
+    const profit = db.seed('profits', {
+      listing_id: listing.id,
+      user_id: user.id,
+      amount: 300,
+      fees: 40.15,
+      fees_estimated: true,
+      commission: 7.5,
+      commission_rate: 0.025,
+      platform: 'ebay',
+      status: 'pending'
+    });
+    const order = marketplaceOrder(channel.external_id, { fulfillmentStatus: 'shipped', shippedAt: '2026-10-19T09:00:00.000Z' });
+    marketplaces.ebay.respond('fetchOrders', { success: true, orders: [order] });
+    marketplaces.ebay.respond('fetchOrders', { success: true, orders: [order] });
+    const failedFees = t.mock.method(feeService, 'calculateSaleFees', async () => ({ success: false, message: 'Failed to fetch commission rate' }));
+
+    await orderService.runOrderSyncJob();
+
+    let [stored] = db.rows('profits');
+    assert.equal(db.rows('orders')[0].fulfillment_status, 'shipped');
+    assert.ok(!stored.order_id);
+    assert.equal(stored.amount, 300);
+
+    failedFees.mock.restore();
+    await orderService.runOrderSyncJob();
+
+    [stored] = db.rows('profits');
+    assert.equal(stored.id, profit.id);
+    assert.equal(stored.order_id, db.rows('orders')[0].id);
+    assert.equal(stored.amount, 275);
+    assert.equal(stored.fees, 35.75);
+    assert.equal(stored.fees_estimated, false);
+  });
+
+  it('reports marketplace failures without storing anything', async () => {
+    const listing = createListing(user, { status: 'sold', sold_channel: 'ebay', sold_at: daysAgo(1) });
+    createChannel(listing, 'ebay', { status: 'sold' });
+    marketplaces.ebay.respond('fetchOrders', { success: false, orders: [], message: 'Call usage limit has been reached.' });
+
+    const result = await orderService.syncListingOrders(listing.id);
+
+    assert.equal(result.success, false);
+    assert.equal(result.message, 'Call usage limit has been reached.');
+    assert.equal(db.rows('orders').length, 0);
+  });
+
+  it('strips buyer details when eBay reports the buyer deleted their account', async () => {
+    const listing = createListing(user, { status: 'sold' });
+    createOrder(listing);
+    createOrder(createListing(user, { status: 'sold' }), { buyer_username: 'someone_else' });
+    const deletion = db.seed('ebay_account_deletions', { ebay_user_id: 'buyer-id', ebay_username: 'jamie_b', status: 'pending', attempts: 0 });
+
+    const result = await ebayAccountDeletionService.processDeletion(deletion.id);
+
+    assert.equal(result.success, true);
+    assert.equal(result.deletion.result.purged.orders, 1);
+    const purged = db.rows('orders').find(order => order.listing_id === listing.id);
+    assert.equal(purged.buyer_name, null);
+    assert.equal(purged.buyer_username, null);
+    assert.equal(purged.buyer_email, null);
+    assert.equal(purged.shipping_address, null);
+    assert.equal(purged.sale_price, 275);
+    assert.ok(db.rows('orders').some(order => order.buyer_username === 'someone_else'));
+  });
+});
+
+describe('order routes', () => {
+  let api;
+  let user;
+  let token;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+    token = tokenFor(user);
+    listing = createListing(user, { status: 'sold' });
+  });
+
+  describe('GET /api/orders', () => {
+    it("returns the seller's orders with their listing", async () => {
+      createOrder(listing);
+      createOrder(createListing(createUser(), { status: 'sold' }));
+
+      const response = await api.request('GET', '/api/orders', { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.count, 1);
+      assert.equal(response.body.orders[0].listing_id, listing.id);
+      assert.equal(response.body.orders[0].listings.title, listing.title);
+    });
+
+    it('filters by fulfillment status', async () => {
+      createOrder(listing);
+      createOrder(createListing(user, { status: 'sold' }), { fulfillment_status: 'shipped' });
+
+      const response = await api.request('GET', '/api/orders?status=shipped', { token });
+
+      assert.equal(response.body.count, 1);
+      assert.equal(response.body.orders[0].fulfillment_status, 'shipped');
+    });
+
+    it('requires authentication', async () => {
+      const response = await api.request('GET', '/api/orders');
+
+      assert.equal(response.status, 401);
+    });
+  });
+
+  describe('GET /api/orders/:id', () => {
+    it('returns the order', async () => {
+      const order = createOrder(listing);
+
+      const response = await api.request('GET', `/api/orders/${order.id}`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.order.buyer_name, 'Jamie Buyer');
+    });
+
+    it("returns 404 for another seller's order", async () => {
+      const order = createOrder(createListing(createUser(), { status: 'sold' }));
+
+      const response = await api.request('GET', `/api/orders/${order.id}`, { token });
+
+      assert.equal(response.status, 404);
+    });
+  });
+
+  describe('admin', () => {
+    it('lists every order with its seller', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+      createOrder(listing);
+      createOrder(createListing(createUser(), { status: 'sold' }), { channel: 'facebook' });
+
+      const all = await api.request('GET', '/api/admin/orders', { cookie });
+      const facebook = await api.request('GET', '/api/admin/orders?channel=facebook', { cookie });
+
+      assert.equal(all.status, 200);
+      assert.equal(all.body.count, 2);
+      assert.ok(all.body.orders.every(order => order.users.name));
+      assert.equal(facebook.body.count, 1);
+    });
+
+    it('returns an order with its profit record', async () => {
+      const { cookie } = await signInAdmin(api);
+      const order = createOrder(listing);
+      db.seed('profits', { listing_id: listing.id, user_id: user.id, order_id: order.id, amount: 275, status: 'pending' });
+
+      const response = await api.request('GET', `/api/admin/orders/${order.id}`, { cookie });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.order.profits[0].amount, 275);
+    });
+
+    it('is hidden from support agents', async () => {
+      const { cookie } = await signInAdmin(api, 'support');
+
+      const response = await api.request('GET', '/api/admin/orders', { cookie });
+
+      assert.equal(response.status, 403);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  tokenFor,
+  signInAdmin
+} = require('./helpers/testApp');
+const ledgerService = require('../src/services/ledgerService');
+const payoutService = require('../src/services/payoutService');
+
+describe('payouts routes', () => {
+  let api;
+  let user;
+  let token;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    resetState();
+    user = createUser();
+    token = tokenFor(user);
+
+    const listing = createListing(user, { status: 'sold' });
+    db.seed('profits', { listing_id: listing.id, user_id: user.id, amount: 300, fees: 39, shipping_cost: 11, status: 'completed' });
+    db.seed('profits', { listing_id: listing.id, user_id: user.id, amount: 80, status: 'pending' });
+    await ledgerService.backfillLedger();
+  });
+
+  const createPayout = (fields = {}) => db.seed('payout_requests', {
+    user_id: user.id,
+    amount: 100,
+    phone: user.phone,
+    status: 'pending',
+    ...fields
+  });
+
+  describe('GET /api/payouts/available/:userId', () => {
+    it('subtracts fees, shipping and requested payouts from completed profits', async () => {
+      createPayout({ amount: 100, status: 'completed' });
+      createPayout({ amount: 30, status: 'pending' });
+      createPayout({ amount: 500, status: 'rejected' });
+      await ledgerService.backfillLedger();
+
+      const response = await api.request('GET', `/api/payouts/available/${user.id}`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.amount, 120);
+    });
+
+    it("rejects requests for another user's balance", async () => {
+      const response = await api.request('GET', `/api/payouts/available/${createUser().id}`, { token });
+
+      assert.equal(response.status, 403);
+    });
+  });
+
+  describe('POST /api/payouts', () => {
+    it('creates a pending payout request', async () => {
+      const response = await api.request('POST', '/api/payouts', { token, body: { amount: 200, phone: user.phone } });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.payout.status, 'pending');
+      assert.equal(response.body.payout.amount, 200);
+      assert.equal(db.rows('payout_requests').length, 1);
+    });
+
+    it('rejects amounts above the available balance', async () => {
+      const response = await api.request('POST', '/api/payouts', { token, body: { amount: 251, phone: user.phone } });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'Requested amount exceeds available balance. Available: $250.00');
+    });
+
+    it('enforces the $50 minimum balance', async () => {
+      createPayout({ amount: 210, status: 'completed' });
+      await ledgerService.backfillLedger();
+
+      const response = await api.request('POST', '/api/payouts', { token, body: { amount: 40, phone: user.phone } });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'Minimum payout amount is $50.00');
+    });
+
+    it('lets only one of two requests made at once spend the balance', async () => {
+      const results = await Promise.all([
+        payoutService.createPayoutRequest({ user_id: user.id, amount: 200, phone: user.phone }),
+        payoutService.createPayoutRequest({ user_id: user.id, amount: 200, phone: user.phone })
+      ]);
+
+      assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+      assert.equal(db.rows('payout_requests').length, 1);
+      assert.equal((await ledgerService.getUserBalances(user.id)).available, 50);
+    });
+
+    it('requires an amount and phone', async () => {
+      const response = await api.request('POST', '/api/payouts', { token, body: { amount: 100 } });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('rejects non-positive amounts', async () => {
+      const response = await api.request('POST', '/api/payouts', { token, body: { amount: '-20', phone: user.phone } });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'Amount must be a positive number');
+    });
+
+    it("rejects payouts from another user's balance", async () => {
+      const response = await api.request('POST', '/api/payouts', {
+        token,
+        body: { user_id: createUser().id, amount: 100, phone: user.phone }
+      });
+
+      assert.equal(response.status, 403);
+    });
+  });
+
+  describe('GET /api/payouts/user/:userId', () => {
+    it("lists the user's payout requests", async () => {
+      createPayout();
+      db.seed('payout_requests', { user_id: createUser().id, amount: 75, status: 'pending' });
+
+      const response = await api.request('GET', `/api/payouts/user/${user.id}`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.payouts.length, 1);
+    });
+  });
+
+  describe('PUT /api/payouts/:payoutId', () => {
+    it('completes a payout and audits it', async () => {
+      const payout = createPayout();
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      const response = await api.request('PUT', `/api/payouts/${payout.id}`, {
+        cookie,
+        body: { status: 'completed', notes: 'Sent via Zelle' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.payout.status, 'completed');
+      assert.ok(response.body.payout.completed_at);
+      assert.ok(db.rows('admin_audit_log').some(row => row.action === 'payout.process'));
+    });
+
+    it('audits rejections separately', async () => {
+      const payout = createPayout();
+      const { cookie } = await signInAdmin(api);
+
+      await api.request('PUT', `/api/payouts/${payout.id}`, { cookie, body: { status: 'rejected' } });
+
+      assert.ok(db.rows('admin_audit_log').some(row => row.action === 'payout.reject'));
+    });
+
+    it("doesn't reject a payout that was already completed", async () => {
+      const payout = createPayout({ status: 'completed' });
+      await ledgerService.backfillLedger();
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      const response = await api.request('PUT', `/api/payouts/${payout.id}`, { cookie, body: { status: 'rejected' } });
+
+      assert.equal(response.status, 409);
+      assert.equal(db.rows('payout_requests')[0].status, 'completed');
+      assert.equal((await ledgerService.getUserBalances(user.id)).available, 150);
+    });
+
+    it('returns 404 for an unknown payout request', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      const response = await api.request('PUT', '/api/payouts/00000000-0000-4000-8000-000000000000', {
+        cookie,
+        body: { status: 'completed' }
+      });
+
+      assert.equal(response.status, 404);
+    });
+
+    it('validates the status', async () => {
+      const payout = createPayout();
+      const { cookie } = await signInAdmin(api);
+
+      const response = await api.request('PUT', `/api/payouts/${payout.id}`, { cookie, body: { status: 'pending' } });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('requires the payouts:process permission', async () => {
+      const payout = createPayout();
+      const { cookie } = await signInAdmin(api, 'support');
+
+      const response = await api.request('PUT', `/api/payouts/${payout.id}`, { cookie, body: { status: 'completed' } });
+
+      assert.equal(response.status, 403);
+      assert.equal(db.rows('payout_requests')[0].status, 'pending');
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  tokenFor,
+  signInAdmin
+} = require('./helpers/testApp');
+const ledgerService = require('../src/services/ledgerService');
+
+describe('profits routes', () => {
+  let api;
+  let user;
+  let token;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+    token = tokenFor(user);
+    listing = createListing(user, { status: 'sold' });
+  });
+
+  const createProfit = (fields = {}) => db.seed('profits', {
+    listing_id: listing.id,
+    user_id: user.id,
+    amount: 300,
+    platform: 'ebay',
+    status: 'pending',
+    ...fields
+  });
+
+  describe('GET /api/profits', () => {
+    it('lists profits with their listings and total', async () => {
+      createProfit();
+      createProfit({ amount: 120.5, platform: 'facebook', status: 'completed' });
+      db.seed('profits', { listing_id: listing.id, user_id: createUser().id, amount: 999, status: 'pending' });
+
+      const response = await api.request('GET', '/api/profits', { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.count, 2);
+      assert.equal(response.body.total, 420.5);
+      assert.equal(response.body.profits[0].listings.title, listing.title);
+    });
+
+    it('filters by status', async () => {
+      createProfit();
+      createProfit({ status: 'completed' });
+
+      const response = await api.request('GET', '/api/profits?status=completed', { token });
+
+      assert.equal(response.body.count, 1);
+      assert.equal(response.body.profits[0].status, 'completed');
+    });
+
+    it("rejects requests for another user's profits", async () => {
+      const response = await api.request('GET', `/api/profits?user_id=${createUser().id}`, { token });
+
+      assert.equal(response.status, 403);
+    });
+  });
+
+  describe('GET /api/profits/summary', () => {
+    it('totals profits by status, platform and month', async () => {
+      createProfit({ amount: 100, created_at: '2026-08-05T12:00:00.000Z' });
+      createProfit({ amount: 50, platform: 'facebook', status: 'completed', created_at: '2026-09-10T12:00:00.000Z' });
+      createProfit({ amount: 25, status: 'completed', created_at: '2026-09-20T12:00:00.000Z' });
+      await ledgerService.backfillLedger();
+
+      const response = await api.request('GET', '/api/profits/summary', { token });
+
+      assert.equal(response.status, 200);
+      const { summary } = response.body;
+      assert.equal(summary.totalProfit, 175);
+      assert.equal(summary.pendingProfit, 100);
+      assert.equal(summary.completedProfit, 75);
+      assert.deepEqual(summary.byPlatform, { ebay: 125, facebook: 50 });
+      assert.deepEqual(summary.byMonth, [
+        { month: '2026-08', amount: 100 },
+        { month: '2026-09', amount: 75 }
+      ]);
+      assert.equal(summary.totalCount, 3);
+    });
+
+    it('reports database errors', async () => {
+      db.failNext('ledger_entries', 'connection reset');
+
+      const response = await api.request('GET', '/api/profits/summary', { token });
+
+      assert.equal(response.status, 500);
+      assert.match(response.body.message, /connection reset/);
+    });
+  });
+
+  describe('GET /api/profits/:id', () => {
+    it('returns a profit with its listing', async () => {
+      const profit = createProfit();
+
+      const response = await api.request('GET', `/api/profits/${profit.id}`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.profit.id, profit.id);
+      assert.equal(response.body.profit.listings.description, listing.description);
+    });
+
+    it("returns 404 for another user's profit", async () => {
+      const profit = db.seed('profits', { listing_id: listing.id, user_id: createUser().id, amount: 10, status: 'pending' });
+
+      const response = await api.request('GET', `/api/profits/${profit.id}`, { token });
+
+      assert.equal(response.status, 404);
+    });
+  });
+
+  describe('PUT /api/profits/:id', () => {
+    it('lets finance admins complete a profit and audits the change', async () => {
+      const profit = createProfit({ platform: 'manual' });
+      const { admin, cookie } = await signInAdmin(api, 'finance');
+
+      const response = await api.request('PUT', `/api/profits/${profit.id}`, { cookie, body: { status: 'completed' } });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.profit.status, 'completed');
+      assert.ok(response.body.profit.completed_at);
+      const entry = db.rows('admin_audit_log').find(row => row.action === 'profit.status_change');
+      assert.equal(entry.admin_id, admin.id);
+      assert.equal(entry.before.status, 'pending');
+      assert.equal(entry.after.status, 'completed');
+    });
+
+    it('validates the status', async () => {
+      const profit = createProfit();
+      const { cookie } = await signInAdmin(api);
+
+      const response = await api.request('PUT', `/api/profits/${profit.id}`, { cookie, body: { status: 'paid' } });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('requires an admin session', async () => {
+      const profit = createProfit();
+
+      const response = await api.request('PUT', `/api/profits/${profit.id}`, { token, body: { status: 'completed' } });
+
+      assert.equal(response.status, 401);
+      assert.equal(db.rows('profits')[0].status, 'pending');
+    });
+
+    it('requires the profits:edit permission', async () => {
+      const profit = createProfit();
+      const { cookie } = await signInAdmin(api, 'support');
+
+      const response = await api.request('PUT', `/api/profits/${profit.id}`, { cookie, body: { status: 'completed' } });
+
+      assert.equal(response.status, 403);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  tokenFor,
+  signInAdmin
+} = require('./helpers/testApp');
+const ledgerService = require('../src/services/ledgerService');
+
+describe('refunds', () => {
+  let api;
+  let user;
+  let token;
+  let order;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    resetState();
+    user = createUser();
+    token = tokenFor(user);
+
+    const listing = createListing(user, { title: 'Walnut side table', status: 'sold', sold_channel: 'ebay' });
+    order = db.seed('orders', {
+      listing_id: listing.id,
+      user_id: user.id,
+      channel: 'ebay',
+      external_order_id: 'order-1',
+      buyer_name: 'Jamie Buyer',
+      sale_price: 275,
+      shipping_paid: 12.5,
+      currency: 'USD',
+      fulfillment_status: 'delivered'
+    });
+    // $250 available: 275 less 25 of fees
+    db.seed('profits', { listing_id: listing.id, user_id: user.id, order_id: order.id, amount: 275, fees: 25, status: 'completed' });
+    await ledgerService.backfillLedger();
+  });
+
+  const recordRefund = (cookie, body) => api.request('POST', `/api/admin/orders/${order.id}/refunds`, { cookie, body });
+
+  describe('POST /api/admin/orders/:id/refunds', () => {
+    it('records the refund, takes it from the balance and tells the seller', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      const response = await recordRefund(cookie, { amount: 100, reason: 'Arrived scratched', item_returned: true });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.refund.amount, 100);
+      assert.equal(response.body.refund.seller_charge, 100);
+      assert.equal(response.body.refund.source, 'admin');
+      assert.equal(response.body.balance, 150);
+
+      const [adjustment] = db.rows('balance_adjustments');
+      assert.equal(adjustment.amount, -100);
+      assert.equal(adjustment.refund_id, response.body.refund.id);
+      assert.match(adjustment.reason, /Arrived scratched/);
+
+      const [notification] = db.rows('notifications').filter(row => row.type === 'order_refunded');
+      assert.match(notification.message, /Walnut side table/);
+      assert.match(notification.message, /\$100\.00 was taken from your balance/);
+
+      const entry = db.rows('admin_audit_log').find(row => row.action === 'refund.record');
+      assert.equal(entry.entity_id, order.id);
+    });
+
+    it('lets the balance go below zero and refuses payouts until it recovers', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+      db.seed('payout_requests', { user_id: user.id, amount: 200, phone: user.phone, status: 'completed' });
+      await ledgerService.backfillLedger();
+
+      const response = await recordRefund(cookie, { amount: 287.5, seller_charge: 275, reason: 'Not as described' });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.balance, -225);
+
+      const available = await api.request('GET', `/api/payouts/available/${user.id}`, { token });
+      assert.equal(available.body.amount, -225);
+
+      const payout = await api.request('POST', '/api/payouts', { token, body: { amount: 50, phone: user.phone } });
+      assert.equal(payout.status, 400);
+
+      const [notification] = db.rows('notifications').filter(row => row.type === 'order_refunded');
+      assert.match(notification.message, /balance is now -\$225\.00/);
+    });
+
+    it("doesn't touch the balance when the seller isn't charged", async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      const response = await recordRefund(cookie, { amount: 12.5, seller_charge: 0, reason: 'Late delivery, shipping refunded by eBay' });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.adjustment, null);
+      assert.equal(response.body.balance, 250);
+      assert.equal(db.rows('balance_adjustments').length, 0);
+    });
+
+    it('refuses to refund more than the buyer paid', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+      await recordRefund(cookie, { amount: 200, reason: 'Partial refund' });
+
+      const response = await recordRefund(cookie, { amount: 90, reason: 'Second refund' });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /\$87\.50/);
+      assert.equal(db.rows('order_refunds').length, 1);
+    });
+
+    it('needs an amount and a reason', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      const amount = await recordRefund(cookie, { amount: -5, reason: 'Broken' });
+      const reason = await recordRefund(cookie, { amount: 5, reason: ' ' });
+
+      assert.equal(amount.status, 400);
+      assert.equal(reason.status, 400);
+      assert.equal(db.rows('order_refunds').length, 0);
+    });
+
+    it('returns 404 for an unknown order', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+
+      const response = await api.request('POST', '/api/admin/orders/00000000-0000-0000-0000-000000000000/refunds', {
+        cookie,
+        body: { amount: 10, reason: 'Broken' }
+      });
+
+      assert.equal(response.status, 404);
+    });
+
+    it('is limited to admins who can edit profits', async () => {
+      const { cookie } = await signInAdmin(api, 'support');
+
+      const response = await recordRefund(cookie, { amount: 10, reason: 'Broken' });
+
+      assert.equal(response.status, 403);
+      assert.equal(db.rows('order_refunds').length, 0);
+    });
+  });
+
+  describe('GET /api/admin/refunds', () => {
+    it('lists refunds with their order and seller', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+      await recordRefund(cookie, { amount: 40, reason: 'Missing screws' });
+
+      const response = await api.request('GET', '/api/admin/refunds', { cookie });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.count, 1);
+      assert.equal(response.body.refunds[0].orders.listings.title, 'Walnut side table');
+      assert.equal(response.body.refunds[0].users.name, user.name);
+    });
+  });
+
+  describe('seller views', () => {
+    it('shows refunds on the order and adjustments on the balance', async () => {
+      const { cookie } = await signInAdmin(api, 'finance');
+      await recordRefund(cookie, { amount: 40, reason: 'Missing screws' });
+
+      const orderResponse = await api.request('GET', `/api/orders/${order.id}`, { token });
+      const adjustments = await api.request('GET', `/api/payouts/adjustments/${user.id}`, { token });
+      const otherUser = await api.request('GET', `/api/payouts/adjustments/${createUser().id}`, { token });
+
+      assert.equal(orderResponse.status, 200);
+      assert.equal(orderResponse.body.order.order_refunds[0].amount, 40);
+      assert.equal(adjustments.status, 200);
+      assert.equal(adjustments.body.adjustments[0].amount, -40);
+      assert.equal(otherUser.status, 403);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer, resetState, createUser, createListing } = require('./helpers/testApp');
+
+describe('share routes', () => {
+  let api;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    listing = createListing(createUser());
+  });
+
+  describe('GET /share/listing/:id', () => {
+    it('redirects to the share page', async () => {
+      const response = await api.request('GET', `/share/listing/${listing.id}`);
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.get('location'), `/share/listing/html?id=${listing.id}`);
+    });
+
+    it('returns 404 for unknown listings', async () => {
+      const response = await api.request('GET', '/share/listing/00000000-0000-4000-8000-000000000000');
+
+      assert.equal(response.status, 404);
+      assert.equal(response.text, 'Listing not found');
+    });
+  });
+
+  describe('GET /share/data/:id', () => {
+    it('returns the listing with its price history, oldest first', async () => {
+      db.seed('price_history', [
+        { listing_id: listing.id, previous_price: 300, new_price: 270, reason: 'automatic', created_at: '2026-10-12T00:00:00.000Z' },
+        { listing_id: listing.id, previous_price: 330, new_price: 300, reason: 'manual', created_at: '2026-10-05T00:00:00.000Z' }
+      ]);
+
+      const response = await api.request('GET', `/share/data/${listing.id}`);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.listing.title, listing.title);
+      assert.deepEqual(response.body.priceHistory.map(entry => entry.new_price), [300, 270]);
+    });
+
+    it('does not require authentication', async () => {
+      const response = await api.request('GET', `/share/data/${listing.id}`);
+
+      assert.equal(response.body.success, true);
+    });
+
+    it('returns 404 for unknown listings', async () => {
+      const response = await api.request('GET', '/share/data/00000000-0000-4000-8000-000000000000');
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.success, false);
+    });
+  });
+});
@@ -0,0 +1,340 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  marketplaces,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  createChannel,
+  tokenFor,
+  signInAdmin
+} = require('./helpers/testApp');
+const shippingConfig = require('../src/config/shipping');
+const carriers = require('../src/services/carriers');
+const orderService = require('../src/services/orderService');
+const shipmentService = require('../src/services/shipmentService');
+
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+const orderById = id => db.rows('orders').find(order => order.id === id);
+
+/**
+ * Seed a stored order for a listing
+ */
+function createOrder(listing, fields = {}) {
+  return db.seed('orders', {
+    listing_id: listing.id,
+    user_id: listing.user_id,
+    channel: 'ebay',
+    external_order_id: `order-${listing.id.slice(0, 8)}`,
+    buyer_name: 'Jamie Buyer',
+    sale_price: 275,
+    shipping_paid: 12.5,
+    currency: 'USD',
+    fulfillment_status: 'unfulfilled',
+    ...fields
+  });
+}
+
+/**
+ * Seed an order the seller has shipped and the marketplace knows about
+ */
+function createShippedOrder(listing, fields = {}) {
+  return createOrder(listing, {
+    fulfillment_status: 'shipped',
+    carrier: 'usps',
+    tracking_number: `9400${listing.id.slice(0, 8)}`,
+    shipment_status: 'pre_transit',
+    shipped_at: hoursAgo(1),
+    tracking_pushed_at: hoursAgo(1),
+    ...fields
+  });
+}
+
+describe('POST /api/orders/:id/ship', () => {
+  let api;
+  let user;
+  let token;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+    token = tokenFor(user);
+    listing = createListing(user, { status: 'sold', sold_channel: 'ebay' });
+  });
+
+  it('marks the order shipped and sends the tracking number to the marketplace', async () => {
+    const channel = createChannel(listing, 'ebay', { status: 'sold' });
+    const order = createOrder(listing);
+
+    const response = await api.request('POST', `/api/orders/${order.id}/ship`, {
+      token,
+      body: { carrier: 'USPS', tracking_number: '9400 1000 0000 0000 0000 00' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.order.fulfillment_status, 'shipped');
+    assert.equal(response.body.order.carrier, 'usps');
+    assert.equal(response.body.order.tracking_number, '9400100000000000000000');
+    assert.equal(response.body.order.shipment_status, 'pre_transit');
+    assert.ok(response.body.order.shipped_at);
+    assert.ok(response.body.order.tracking_pushed_at);
+    assert.equal(response.body.marketplace.success, true);
+
+    const [[pushedOrder, shipment, pushedChannel]] = marketplaces.ebay.callsTo('markShipped');
+    assert.equal(pushedOrder.external_order_id, order.external_order_id);
+    assert.deepEqual(shipment, { carrier: 'usps', trackingNumber: '9400100000000000000000' });
+    assert.equal(pushedChannel.id, channel.id);
+  });
+
+  it('keeps the order shipped when the marketplace rejects the tracking, and retries it later', async () => {
+    const order = createOrder(listing);
+    marketplaces.ebay.respond('markShipped', { success: false, message: 'Call usage limit has been reached.' });
+
+    const response = await api.request('POST', `/api/orders/${order.id}/ship`, {
+      token,
+      body: { carrier: 'ups', tracking_number: '1Z999AA10123456784' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.marketplace.success, false);
+    assert.equal(response.body.order.fulfillment_status, 'shipped');
+    assert.equal(response.body.order.tracking_pushed_at, null);
+    assert.equal(response.body.order.tracking_push_error, 'Call usage limit has been reached.');
+
+    await shipmentService.runShipmentTrackingJob();
+
+    const retried = orderById(order.id);
+    assert.equal(marketplaces.ebay.callsTo('markShipped').length, 2);
+    assert.ok(retried.tracking_pushed_at);
+    assert.equal(retried.tracking_push_error, null);
+  });
+
+  it('replaces the tracking number of an order that already shipped', async () => {
+    const order = createShippedOrder(listing);
+
+    const response = await api.request('POST', `/api/orders/${order.id}/ship`, {
+      token,
+      body: { carrier: 'fedex', tracking_number: '794698570000' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.order.carrier, 'fedex');
+    assert.equal(response.body.order.tracking_number, '794698570000');
+    assert.equal(response.body.order.shipped_at, order.shipped_at);
+  });
+
+  it('validates the carrier and tracking number', async () => {
+    const order = createOrder(listing);
+
+    const carrier = await api.request('POST', `/api/orders/${order.id}/ship`, {
+      token,
+      body: { carrier: 'pigeon', tracking_number: '123' }
+    });
+    const tracking = await api.request('POST', `/api/orders/${order.id}/ship`, { token, body: { carrier: 'usps' } });
+
+    assert.equal(carrier.status, 400);
+    assert.match(carrier.body.message, /usps, ups, fedex, dhl/);
+    assert.equal(tracking.status, 400);
+    assert.equal(orderById(order.id).fulfillment_status, 'unfulfilled');
+    assert.equal(marketplaces.ebay.callsTo('markShipped').length, 0);
+  });
+
+  it('refuses cancelled and delivered orders', async () => {
+    const cancelled = createOrder(listing, { fulfillment_status: 'cancelled' });
+    const delivered = createShippedOrder(createListing(user, { status: 'sold' }), { fulfillment_status: 'delivered' });
+    const body = { carrier: 'usps', tracking_number: '9400100000000000000000' };
+
+    const first = await api.request('POST', `/api/orders/${cancelled.id}/ship`, { token, body });
+    const second = await api.request('POST', `/api/orders/${delivered.id}/ship`, { token, body });
+
+    assert.equal(first.status, 400);
+    assert.equal(second.status, 400);
+  });
+
+  it("returns 404 for another seller's order", async () => {
+    const order = createOrder(createListing(createUser(), { status: 'sold' }));
+
+    const response = await api.request('POST', `/api/orders/${order.id}/ship`, {
+      token,
+      body: { carrier: 'usps', tracking_number: '9400100000000000000000' }
+    });
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('shipment tracking', () => {
+  let user;
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+  });
+
+  it('marks orders delivered once the carrier confirms it and tells the seller', async () => {
+    const listing = createListing(user, { title: 'Walnut side table', status: 'sold' });
+    const arrived = createShippedOrder(listing, { shipped_at: hoursAgo(shippingConfig.stubDeliveryHours + 1) });
+    const travelling = createShippedOrder(createListing(user, { status: 'sold' }), { shipped_at: hoursAgo(12) });
+
+    await shipmentService.runShipmentTrackingJob();
+
+    const delivered = orderById(arrived.id);
+    assert.equal(delivered.fulfillment_status, 'delivered');
+    assert.equal(delivered.shipment_status, 'delivered');
+    assert.ok(delivered.delivered_at);
+
+    const moving = orderById(travelling.id);
+    assert.equal(moving.fulfillment_status, 'shipped');
+    assert.equal(moving.shipment_status, 'in_transit');
+    assert.ok(moving.shipment_checked_at);
+
+    const notifications = db.rows('notifications').filter(row => row.type === 'order_delivered');
+    assert.equal(notifications.length, 1);
+    assert.match(notifications[0].message, /Walnut side table/);
+    assert.equal(marketplaces.ebay.callsTo('markShipped').length, 0);
+  });
+
+  it('asks the configured carrier status provider', async () => {
+    const requests = [];
+    carriers.registerCarrierProvider({
+      name: 'test-carrier',
+      async getTrackingStatus(shipment) {
+        requests.push(shipment);
+        return { success: true, status: 'exception', deliveredAt: null };
+      }
+    });
+    const previous = shippingConfig.statusProvider;
+    shippingConfig.statusProvider = 'test-carrier';
+
+    try {
+      const order = createShippedOrder(createListing(user, { status: 'sold' }), { carrier: 'dhl' });
+
+      await shipmentService.runShipmentTrackingJob();
+
+      assert.equal(requests.length, 1);
+      assert.equal(requests[0].carrier, 'dhl');
+      assert.equal(requests[0].trackingNumber, order.tracking_number);
+      assert.equal(orderById(order.id).shipment_status, 'exception');
+      assert.equal(orderById(order.id).fulfillment_status, 'shipped');
+    } finally {
+      shippingConfig.statusProvider = previous;
+    }
+  });
+
+  it('keeps local shipping progress when the marketplace has not caught up', async () => {
+    const listing = createListing(user, { status: 'sold', sold_channel: 'ebay', sold_at: hoursAgo(48) });
+    const channel = createChannel(listing, 'ebay', { status: 'sold' });
+    const order = createShippedOrder(listing, { fulfillment_status: 'delivered', external_order_id: 'order-1' });
+    marketplaces.ebay.respond('fetchOrders', {
+      success: true,
+      orders: [{
+        externalOrderId: 'order-1',
+        externalId: channel.external_id,
+        buyer: { name: 'Jamie Buyer', username: 'jamie_b', email: null },
+        shippingAddress: null,
+        salePrice: 275,
+        shippingPaid: 12.5,
+        marketplaceFees: 35.75,
+        currency: 'USD',
+        fulfillmentStatus: 'unfulfilled',
+        orderedAt: hoursAgo(48),
+        shippedAt: null
+      }]
+    });
+
+    await orderService.syncListingOrders(listing.id);
+
+    const synced = orderById(order.id);
+    assert.equal(synced.fulfillment_status, 'delivered');
+    assert.equal(synced.shipped_at, order.shipped_at);
+    assert.equal(synced.marketplace_fees, 35.75);
+  });
+});
+
+describe('completing profits for orders', () => {
+  let api;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    listing = createListing(createUser(), { status: 'sold' });
+  });
+
+  const createProfit = order => db.seed('profits', {
+    listing_id: listing.id,
+    user_id: listing.user_id,
+    order_id: order ? order.id : null,
+    amount: 275,
+    platform: 'ebay',
+    status: 'pending'
+  });
+
+  it('waits for the order to be delivered', async () => {
+    const { cookie } = await signInAdmin(api, 'finance');
+    const order = createShippedOrder(listing);
+    const profit = createProfit(order);
+
+    const early = await api.request('PUT', `/api/profits/${profit.id}`, { cookie, body: { status: 'completed' } });
+
+    assert.equal(early.status, 400);
+    assert.match(early.body.message, /delivered/);
+    assert.equal(db.rows('profits')[0].status, 'pending');
+
+    await db.client.from('orders').update({ fulfillment_status: 'delivered' }).eq('id', order.id);
+    const delivered = await api.request('PUT', `/api/profits/${profit.id}`, { cookie, body: { status: 'completed' } });
+
+    assert.equal(delivered.status, 200);
+    assert.equal(delivered.body.profit.status, 'completed');
+  });
+
+  it('waits for the order of a marketplace sale to be synced', async () => {
+    const { cookie } = await signInAdmin(api, 'finance');
+    const profit = createProfit(null);
+
+    const response = await api.request('PUT', `/api/profits/${profit.id}`, { cookie, body: { status: 'completed' } });
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.message, /eBay order has been synced/);
+    assert.equal(db.rows('profits')[0].status, 'pending');
+  });
+
+  it("checks the listing's sold marketplace when the profit has no platform", async () => {
+    const { cookie } = await signInAdmin(api, 'finance');
+    await db.client.from('listings').update({ sold_channel: 'facebook' }).eq('id', listing.id);
+    const profit = db.seed('profits', { listing_id: listing.id, user_id: listing.user_id, amount: 275, status: 'pending' });
+
+    const response = await api.request('PUT', `/api/profits/${profit.id}`, { cookie, body: { status: 'completed' } });
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.message, /Facebook Marketplace order/);
+  });
+
+  it('still completes manual sales without an order', async () => {
+    const { cookie } = await signInAdmin(api, 'finance');
+    const profit = db.seed('profits', { listing_id: listing.id, user_id: listing.user_id, amount: 275, platform: 'manual', status: 'pending' });
+
+    const response = await api.request('PUT', `/api/profits/${profit.id}`, { cookie, body: { status: 'completed' } });
+
+    assert.equal(response.status, 200);
+  });
+});
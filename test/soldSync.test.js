@@ -0,0 +1,155 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  marketplaces,
+  resetState,
+  createUser,
+  createListing,
+  createChannel
+} = require('./helpers/testApp');
+const soldSyncService = require('../src/services/soldSyncService');
+
+describe('sold status sync job', () => {
+  let user;
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+  });
+
+  it('marks listings sold on any marketplace and records the run', async () => {
+    const soldOnFacebook = createListing(user, { title: 'Sold on Facebook' });
+    createChannel(soldOnFacebook, 'ebay');
+    const facebookChannel = createChannel(soldOnFacebook, 'facebook');
+    const unsold = createListing(user, { title: 'Still for sale' });
+    createChannel(unsold, 'ebay');
+    marketplaces.facebook.sell(facebookChannel.external_id);
+
+    await soldSyncService.runSoldSyncJob();
+
+    const listings = db.rows('listings');
+    assert.equal(listings.find(listing => listing.id === soldOnFacebook.id).status, 'sold');
+    assert.equal(listings.find(listing => listing.id === unsold.id).status, 'active');
+
+    const [profit] = db.rows('profits');
+    assert.equal(profit.listing_id, soldOnFacebook.id);
+    assert.equal(profit.platform, 'facebook');
+    assert.equal(db.rows('notifications')[0].type, 'item_sold');
+
+    const [run] = db.rows('sold_sync_runs');
+    assert.equal(run.status, 'completed');
+    assert.equal(run.listings_checked, 2);
+    assert.equal(run.marketplace_checks, 3);
+    assert.equal(run.sold_count, 1);
+    assert.ok(run.finished_at);
+  });
+
+  it('sweeps every active listing across batches', async () => {
+    for (let i = 0; i < 60; i++) {
+      createChannel(createListing(user), 'ebay');
+    }
+    createChannel(createListing(user, { status: 'ended' }), 'ebay');
+
+    await soldSyncService.runSoldSyncJob();
+
+    assert.equal(marketplaces.ebay.callsTo('getStatus').length, 60);
+    assert.equal(db.rows('sold_sync_runs')[0].listings_checked, 60);
+  });
+
+  it('counts failed marketplace checks without stopping the sweep', async () => {
+    createChannel(createListing(user), 'facebook');
+    const soldChannel = createChannel(createListing(user), 'ebay');
+    marketplaces.facebook.respond('getStatus', { success: false, message: 'Rate limited' });
+    marketplaces.ebay.sell(soldChannel.external_id);
+
+    await soldSyncService.runSoldSyncJob();
+
+    const [run] = db.rows('sold_sync_runs');
+    assert.equal(run.failed_checks, 1);
+    assert.equal(run.sold_count, 1);
+    assert.ok(db.rows('listing_channels').some(channel => channel.last_error === 'Rate limited'));
+  });
+
+  it('records failed runs', async () => {
+    db.failNext('listings', 'statement timeout');
+
+    await soldSyncService.runSoldSyncJob();
+
+    const [run] = db.rows('sold_sync_runs');
+    assert.equal(run.status, 'failed');
+    assert.match(run.error, /statement timeout/);
+  });
+
+  it('skips a run while the previous one is still going', async () => {
+    createChannel(createListing(user), 'ebay');
+
+    await Promise.all([soldSyncService.runSoldSyncJob(), soldSyncService.runSoldSyncJob()]);
+
+    assert.equal(db.rows('sold_sync_runs').length, 1);
+    assert.equal(marketplaces.ebay.callsTo('getStatus').length, 1);
+  });
+
+  it('handles a sale only once', async () => {
+    const listing = createListing(user);
+
+    const first = await soldSyncService.markListingSold(listing, marketplaces.ebay);
+    const second = await soldSyncService.markListingSold(listing, marketplaces.ebay);
+
+    assert.equal(first.alreadySold, false);
+    assert.equal(second.alreadySold, true);
+    assert.equal(db.rows('profits').length, 1);
+    assert.equal(db.rows('notifications').length, 1);
+  });
+
+  it('records the profit of a sale whose profit insert failed on a later sweep', async t => {
+    t.mock.method(console, 'error', () => {});
+    const listing = createListing(user);
+    createChannel(listing, 'ebay');
+    createChannel(listing, 'facebook');
+    db.failNext('profits', 'connection reset');
+
+    const result = await soldSyncService.markListingSold(listing, marketplaces.ebay);
+
+    assert.equal(result.success, true);
+    assert.equal(db.rows('listings')[0].status, 'sold');
+    assert.equal(db.rows('profits').length, 0);
+    assert.equal(db.rows('notifications')[0].type, 'item_sold');
+    assert.equal(marketplaces.facebook.callsTo('endListing').length, 1);
+
+    // A sale just found may still be recording its own profit
+    await soldSyncService.runSoldSyncJob();
+    assert.equal(db.rows('profits').length, 0);
+
+    db.update('listings', row => row.id === listing.id, { sold_at: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+    await soldSyncService.runSoldSyncJob();
+    await soldSyncService.runSoldSyncJob();
+
+    const profits = db.rows('profits');
+    assert.equal(profits.length, 1);
+    assert.equal(profits[0].platform, 'ebay');
+    assert.equal(profits[0].amount, 300);
+    assert.equal(db.rows('ledger_entries').filter(entry => entry.entry_type === 'sale').length, 1);
+  });
+
+  it("holds back the profit of a sale until its fees can be worked out", async t => {
+    t.mock.method(console, 'error', () => {});
+    const listing = createListing(user);
+    createChannel(listing, 'ebay');
+    // The seller's commission rate can't be read
+    db.failNext('users', 'connection reset');
+
+    await soldSyncService.markListingSold(listing, marketplaces.ebay);
+
+    assert.equal(db.rows('listings')[0].status, 'sold');
+    assert.equal(db.rows('profits').length, 0);
+
+    db.update('listings', row => row.id === listing.id, { sold_at: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+    await soldSyncService.runSoldSyncJob();
+
+    const [profit] = db.rows('profits');
+    assert.equal(profit.amount, 300);
+    assert.equal(profit.commission, 7.5);
+    assert.equal(profit.fees, 40.15);
+  });
+});
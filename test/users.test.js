@@ -0,0 +1,418 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  openai,
+  startServer,
+  resetState,
+  createUser,
+  createListing,
+  tokenFor
+} = require('./helpers/testApp');
+const ledgerService = require('../src/services/ledgerService');
+
+describe('users routes', () => {
+  let api;
+  let user;
+  let token;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    resetState();
+    user = createUser();
+    token = tokenFor(user);
+  });
+
+  describe('authentication', () => {
+    it('rejects requests without an access token', async () => {
+      const response = await api.request('GET', `/api/users/${user.id}`);
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.success, false);
+    });
+
+    it('rejects invalid access tokens', async () => {
+      const response = await api.request('GET', `/api/users/${user.id}`, { token: 'not-a-token' });
+
+      assert.equal(response.status, 401);
+    });
+
+    it("rejects access to another user's account", async () => {
+      const other = createUser({ name: 'Someone Else' });
+      const response = await api.request('GET', `/api/users/${other.id}`, { token });
+
+      assert.equal(response.status, 403);
+    });
+  });
+
+  describe('POST /api/users', () => {
+    it('is gone: accounts are only created by verifying a sign-in code', async () => {
+      const response = await api.request('POST', '/api/users', {
+        body: { name: 'New Seller', birthday: '1995-06-15', phone: user.phone, zelle_id: 'attacker@example.com' }
+      });
+
+      assert.equal(response.status, 404);
+      assert.equal(db.rows('users').length, 1);
+    });
+  });
+
+  describe('GET /api/users/:id', () => {
+    it('returns the signed-in user', async () => {
+      const response = await api.request('GET', `/api/users/${user.id}`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.user.id, user.id);
+    });
+
+    it('returns 404 when the account no longer exists', async () => {
+      db.reset();
+      const response = await api.request('GET', `/api/users/${user.id}`, { token });
+
+      assert.equal(response.status, 404);
+    });
+  });
+
+  describe('PUT /api/users/:id', () => {
+    it('updates the allowed fields', async () => {
+      const response = await api.request('PUT', `/api/users/${user.id}`, {
+        token,
+        body: { name: 'Renamed Seller', birthday: '2001-01-01' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.user.name, 'Renamed Seller');
+      assert.equal(response.body.user.birthday, user.birthday);
+    });
+
+    it("doesn't change the phone number the user signs in with", async () => {
+      const response = await api.request('PUT', `/api/users/${user.id}`, {
+        token,
+        body: { name: 'Renamed Seller', phone: '+15559990000' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.user.phone, user.phone);
+      assert.equal(db.rows('users')[0].phone, user.phone);
+    });
+
+    it('rejects an update with no allowed fields', async () => {
+      const response = await api.request('PUT', `/api/users/${user.id}`, { token, body: {} });
+
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('GET /api/users/:id/stats', () => {
+    it('summarises listings and profits', async () => {
+      createListing(user, { status: 'active' });
+      createListing(user, { status: 'sold' });
+      db.seed('profits', [
+        { user_id: user.id, amount: 40, status: 'pending', platform: 'ebay' },
+        { user_id: user.id, amount: 60, status: 'completed', platform: 'facebook' }
+      ]);
+      await ledgerService.backfillLedger();
+
+      const response = await api.request('GET', `/api/users/${user.id}/stats`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.stats.listings.total, 2);
+      assert.equal(response.body.stats.listings.sold, 1);
+      assert.equal(response.body.stats.profits.total, 100);
+      assert.equal(response.body.stats.profits.pending, 40);
+    });
+
+    it('returns 400 when the statistics cannot be loaded', async () => {
+      db.failNext('listings');
+      const response = await api.request('GET', `/api/users/${user.id}/stats`, { token });
+
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('notifications', () => {
+    beforeEach(() => {
+      db.seed('notifications', [
+        { user_id: user.id, type: 'item_sold', message: 'Sold!', status: 'unread', created_at: '2026-01-02T00:00:00.000Z' },
+        { user_id: user.id, type: 'price_reduction', message: 'Cheaper', status: 'read', created_at: '2026-01-01T00:00:00.000Z' }
+      ]);
+    });
+
+    it('GET /api/users/:id/notifications lists newest first and filters by status', async () => {
+      const all = await api.request('GET', `/api/users/${user.id}/notifications`, { token });
+      assert.equal(all.status, 200);
+      assert.deepEqual(all.body.notifications.map(notification => notification.message), ['Sold!', 'Cheaper']);
+
+      const unread = await api.request('GET', `/api/users/${user.id}/notifications?status=unread`, { token });
+      assert.equal(unread.body.notifications.length, 1);
+    });
+
+    it('POST /api/users/:id/notifications/read marks everything read', async () => {
+      const response = await api.request('POST', `/api/users/${user.id}/notifications/read`, { token });
+
+      assert.equal(response.status, 200);
+      assert.ok(db.rows('notifications').every(notification => notification.status === 'read'));
+    });
+  });
+
+  describe('eBay account connection', () => {
+    it('GET /api/users/:id/ebay reports a missing connection', async () => {
+      const response = await api.request('GET', `/api/users/${user.id}/ebay`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.ebay.connected, false);
+    });
+
+    it('GET /api/users/:id/ebay reports a connected account without exposing tokens', async () => {
+      db.seed('ebay_accounts', {
+        user_id: user.id,
+        ebay_user_id: 'ebay-user',
+        ebay_username: 'camera_seller',
+        refresh_token_encrypted: 'encrypted',
+        connected_at: '2026-01-01T00:00:00.000Z'
+      });
+
+      const response = await api.request('GET', `/api/users/${user.id}/ebay`, { token });
+
+      assert.equal(response.body.ebay.connected, true);
+      assert.equal(response.body.ebay.ebay_username, 'camera_seller');
+      assert.equal(response.body.ebay.refresh_token_encrypted, undefined);
+    });
+
+    it('GET /api/users/:id/ebay/connect returns the consent URL', async () => {
+      const response = await api.request('GET', `/api/users/${user.id}/ebay/connect`, { token });
+
+      assert.equal(response.status, 200);
+      const url = new URL(response.body.url);
+      assert.equal(url.pathname, '/oauth2/authorize');
+      assert.equal(url.searchParams.get('redirect_uri'), 'test-ru-name');
+      assert.ok(url.searchParams.get('state'));
+    });
+
+    it('DELETE /api/users/:id/ebay forgets the tokens but keeps the link', async () => {
+      db.seed('ebay_accounts', { user_id: user.id, ebay_user_id: 'ebay-user', refresh_token_encrypted: 'encrypted' });
+
+      const response = await api.request('DELETE', `/api/users/${user.id}/ebay`, { token });
+
+      assert.equal(response.status, 200);
+      const [account] = db.rows('ebay_accounts');
+      assert.equal(account.refresh_token_encrypted, null);
+      assert.equal(account.ebay_user_id, 'ebay-user');
+    });
+
+    it('GET /api/users/ebay/callback explains a declined consent', async () => {
+      const response = await api.request('GET', '/api/users/ebay/callback?error_description=User%20declined');
+
+      assert.equal(response.status, 400);
+      assert.match(response.text, /User declined/);
+    });
+
+    it('GET /api/users/ebay/callback rejects an invalid state', async () => {
+      const response = await api.request('GET', '/api/users/ebay/callback?code=abc&state=forged');
+
+      assert.equal(response.status, 400);
+      assert.match(response.text, /expired/);
+      assert.equal(db.rows('ebay_accounts').length, 0);
+    });
+  });
+
+  describe('shipping and return profiles', () => {
+    it('creates, lists, updates and deletes shipping profiles', async () => {
+      const created = await api.request('POST', `/api/users/${user.id}/shipping-profiles`, {
+        token,
+        body: { name: 'Small box', type: 'flat', cost: 8, is_default: true }
+      });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.profile.service, 'USPSPriority');
+
+      const listed = await api.request('GET', `/api/users/${user.id}/shipping-profiles`, { token });
+      assert.equal(listed.body.profiles.length, 1);
+
+      const updated = await api.request('PUT', `/api/users/${user.id}/shipping-profiles/${created.body.profile.id}`, {
+        token,
+        body: { cost: 12 }
+      });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.profile.cost, 12);
+
+      const deleted = await api.request('DELETE', `/api/users/${user.id}/shipping-profiles/${created.body.profile.id}`, { token });
+      assert.equal(deleted.status, 200);
+      assert.equal(db.rows('shipping_profiles').length, 0);
+    });
+
+    it('keeps a single default shipping profile', async () => {
+      await api.request('POST', `/api/users/${user.id}/shipping-profiles`, {
+        token,
+        body: { name: 'First', type: 'free', is_default: true }
+      });
+      await api.request('POST', `/api/users/${user.id}/shipping-profiles`, {
+        token,
+        body: { name: 'Second', type: 'free', is_default: true }
+      });
+
+      const defaults = db.rows('shipping_profiles').filter(profile => profile.is_default);
+      assert.deepEqual(defaults.map(profile => profile.name), ['Second']);
+    });
+
+    it('validates shipping profiles', async () => {
+      const response = await api.request('POST', `/api/users/${user.id}/shipping-profiles`, {
+        token,
+        body: { name: 'Heavy', type: 'calculated' }
+      });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /calculated shipping/);
+    });
+
+    it('creates, lists, updates and deletes return profiles', async () => {
+      const created = await api.request('POST', `/api/users/${user.id}/return-profiles`, {
+        token,
+        body: { name: 'Two weeks', return_days: 14 }
+      });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.profile.return_shipping_paid_by, 'buyer');
+
+      const listed = await api.request('GET', `/api/users/${user.id}/return-profiles`, { token });
+      assert.equal(listed.body.profiles.length, 1);
+
+      const updated = await api.request('PUT', `/api/users/${user.id}/return-profiles/${created.body.profile.id}`, {
+        token,
+        body: { returns_accepted: false }
+      });
+      assert.equal(updated.body.profile.return_days, null);
+
+      const deleted = await api.request('DELETE', `/api/users/${user.id}/return-profiles/${created.body.profile.id}`, { token });
+      assert.equal(deleted.status, 200);
+    });
+
+    it("returns 404 for another seller's profile", async () => {
+      const other = createUser();
+      const [profile] = db.seed('return_profiles', [{ user_id: other.id, name: 'Theirs', returns_accepted: true, return_days: 30 }]);
+
+      const updated = await api.request('PUT', `/api/users/${user.id}/return-profiles/${profile.id}`, { token, body: { name: 'Mine' } });
+      const deleted = await api.request('DELETE', `/api/users/${user.id}/return-profiles/${profile.id}`, { token });
+
+      assert.equal(updated.status, 404);
+      assert.equal(deleted.status, 404);
+    });
+  });
+
+  describe('support chat', () => {
+    it('POST /api/users/:id/chat/support requires a message', async () => {
+      const response = await api.request('POST', `/api/users/${user.id}/chat/support`, { token, body: {} });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('answers with OpenAI and starts a conversation', async () => {
+      openai.reply('You can edit listings from the My Listings tab.');
+
+      const response = await api.request('POST', `/api/users/${user.id}/chat/support`, {
+        token,
+        body: { message: 'How do I edit a listing?' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.response, 'You can edit listings from the My Listings tab.');
+      assert.equal(response.body.escalated, false);
+      assert.ok(response.body.conversationId);
+
+      const [chat] = db.rows('support_chats');
+      assert.equal(chat.status, 'pending');
+      assert.equal(openai.calls[0].messages.at(-1).content, 'How do I edit a listing?');
+    });
+
+    it('sends earlier messages as context and escalates when the assistant hands over', async () => {
+      const conversationId = '11111111-2222-4333-8444-555555555555';
+      db.seed('support_chats', {
+        user_id: user.id,
+        conversation_id: conversationId,
+        message: 'My payout is missing',
+        ai_response: 'Let me check.',
+        status: 'pending'
+      });
+      openai.reply("I'll escalate this to our support team, and someone will review your message soon!");
+
+      const response = await api.request('POST', `/api/users/${user.id}/chat/support`, {
+        token,
+        body: { message: 'It has been a week', conversation_id: conversationId }
+      });
+
+      assert.equal(response.body.escalated, true);
+      assert.equal(response.body.conversationId, conversationId);
+      assert.deepEqual(openai.calls[0].messages.slice(1).map(message => message.content), [
+        'My payout is missing',
+        'Let me check.',
+        'It has been a week'
+      ]);
+      assert.ok(db.rows('support_chats').every(chat => chat.status === 'escalated'));
+    });
+
+    it('asks why before handing a request for a human to an agent', async () => {
+      const response = await api.request('POST', `/api/users/${user.id}/chat/support`, {
+        token,
+        body: { message: 'Can I talk to a human please' }
+      });
+
+      assert.match(response.body.response, /human agent/);
+      assert.equal(openai.calls.length, 0);
+    });
+
+    it('stores messages in escalated conversations for an admin without asking OpenAI', async () => {
+      const conversationId = '11111111-2222-4333-8444-666666666666';
+      db.seed('support_chats', { user_id: user.id, conversation_id: conversationId, message: 'Help', status: 'escalated' });
+
+      const response = await api.request('POST', `/api/users/${user.id}/chat/support`, {
+        token,
+        body: { message: 'Still waiting', conversation_id: conversationId }
+      });
+
+      assert.equal(response.body.waitingForAdmin, true);
+      assert.equal(openai.calls.length, 0);
+      assert.equal(db.rows('support_chats').length, 2);
+    });
+
+    it('GET /api/users/:id/chat/support/history uses the conversation function', async () => {
+      db.functions.get_latest_conversations = ({ user_id_param }) => [
+        { id: 'chat-1', user_id: user_id_param, message: 'Hi', admin_response: 'Hello', read_at: null, created_at: '2026-01-01T00:00:00.000Z' }
+      ];
+
+      const response = await api.request('GET', `/api/users/${user.id}/chat/support/history`, { token });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.chats[0].unread, true);
+      assert.equal(response.body.chats[0].updated_at, '2026-01-01T00:00:00.000Z');
+    });
+
+    it('GET /api/users/:id/chat/support/history falls back to the chats table', async () => {
+      db.seed('support_chats', [
+        { user_id: user.id, message: 'Older', created_at: '2026-01-01T00:00:00.000Z' },
+        { user_id: user.id, message: 'Newer', created_at: '2026-01-02T00:00:00.000Z' }
+      ]);
+
+      const response = await api.request('GET', `/api/users/${user.id}/chat/support/history`, { token });
+
+      assert.deepEqual(response.body.chats.map(chat => chat.message), ['Newer', 'Older']);
+    });
+
+    it('GET /api/users/:id/chat/support/conversations/:conversationId returns messages and marks replies read', async () => {
+      const conversationId = '11111111-2222-4333-8444-777777777777';
+      db.seed('support_chats', [
+        { user_id: user.id, conversation_id: conversationId, message: 'First', admin_response: 'Reply', created_at: '2026-01-01T00:00:00.000Z' },
+        { user_id: user.id, conversation_id: conversationId, message: 'Second', created_at: '2026-01-02T00:00:00.000Z' }
+      ]);
+
+      const response = await api.request('GET', `/api/users/${user.id}/chat/support/conversations/${conversationId}`, { token });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.messages.map(message => message.message), ['First', 'Second']);
+      assert.ok(db.rows('support_chats').find(chat => chat.message === 'First').read_at);
+    });
+  });
+});